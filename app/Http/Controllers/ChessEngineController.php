@@ -0,0 +1,134 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\ChessEngine;
+use App\Models\User;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Validation\Rule;
+
+class ChessEngineController extends Controller
+{
+    /**
+     * List the active engines and the engine the user played last
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $engines = ChessEngine::active()->ordered()->get();
+        $user = $request->user();
+
+        $preferredEngine = $user ? $engines->firstWhere('id', $user->preferred_engine_id) : null;
+
+        return response()->json([
+            'engines' => $engines->map(fn (ChessEngine $engine) => $this->engineData($engine)),
+            'can_save_preference' => $user !== null,
+            'preference' => $preferredEngine ? [
+                'engine_id' => $preferredEngine->id,
+                'skill_level' => $preferredEngine->clampSkillLevel(
+                    $user->preferred_skill_level ?? $preferredEngine->default_skill_level
+                ),
+            ] : null,
+        ]);
+    }
+
+    /**
+     * Remember engine and skill level of the user (clamped to the engine's range)
+     */
+    public function updatePreference(Request $request): JsonResponse
+    {
+        $validated = $request->validate([
+            'engine_id' => ['required', 'integer', Rule::exists('chess_engines', 'id')->where('is_active', true)],
+            'skill_level' => 'required|integer',
+        ]);
+
+        $engine = ChessEngine::findOrFail($validated['engine_id']);
+        $skillLevel = $engine->clampSkillLevel($validated['skill_level']);
+
+        $request->user()->update([
+            'preferred_engine_id' => $engine->id,
+            'preferred_skill_level' => $skillLevel,
+        ]);
+
+        return response()->json([
+            'preference' => [
+                'engine_id' => $engine->id,
+                'skill_level' => $skillLevel,
+            ],
+        ]);
+    }
+
+    /**
+     * List the available opening books and the book selected per engine
+     */
+    public function books(Request $request): JsonResponse
+    {
+        $engines = ChessEngine::active()->get()->map(fn (ChessEngine $engine) => [
+            'id' => $engine->id,
+            'path' => $engine->path,
+            'opening_book' => $engine->openingBook(),
+        ]);
+
+        return response()->json([
+            'directory' => '/' . ChessEngine::BOOK_DIRECTORY,
+            'books' => ChessEngine::availableBooks(),
+            'engines' => $engines,
+            'can_save_books' => $this->canManageEngines($request->user()),
+        ]);
+    }
+
+    /**
+     * Select the opening book of an engine (null = no book)
+     * The book applies to all players, so only engine admins may change it.
+     */
+    public function updateBook(Request $request, ChessEngine $engine): JsonResponse
+    {
+        abort_unless($this->canManageEngines($request->user()), 403);
+
+        $validated = $request->validate([
+            'opening_book' => ['nullable', 'string', Rule::in(ChessEngine::availableBooks())],
+        ]);
+
+        $engine->update([
+            'settings' => [
+                ...($engine->settings ?? []),
+                'opening_book' => $validated['opening_book'] ?? null,
+            ],
+        ]);
+
+        return response()->json([
+            'engine' => [
+                'id' => $engine->id,
+                'path' => $engine->path,
+                'opening_book' => $engine->openingBook(),
+            ],
+        ]);
+    }
+
+    /**
+     * Engine admins are configured by email in app.engine_admins (ENGINE_ADMINS)
+     */
+    private function canManageEngines(?User $user): bool
+    {
+        return $user !== null && in_array($user->email, config('app.engine_admins'), true);
+    }
+
+    /**
+     * Engine columns used by the frontend engine store
+     */
+    private function engineData(ChessEngine $engine): array
+    {
+        return [
+            'id' => $engine->id,
+            'name' => $engine->name,
+            'path' => $engine->path,
+            'version' => $engine->version,
+            'description' => $engine->description,
+            'is_default' => $engine->is_default,
+            'skill_level_min' => $engine->skill_level_min,
+            'skill_level_max' => $engine->skill_level_max,
+            'default_skill_level' => $engine->clampSkillLevel($engine->default_skill_level),
+            'opening_book' => $engine->openingBook(),
+        ];
+    }
+}
@@ -0,0 +1,209 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Game;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Facades\DB;
+
+class GameController extends Controller
+{
+    /**
+     * List the user's saved games (newest first)
+     */
+    public function index(Request $request): JsonResponse
+    {
+        $games = Game::ownedBy($request->user())
+            ->latest('updated_at')
+            ->paginate($request->integer('per_page', 20));
+
+        return response()->json($games);
+    }
+
+    /**
+     * Get the user's most recent unfinished game
+     */
+    public function active(Request $request): JsonResponse
+    {
+        $game = Game::ownedBy($request->user())
+            ->unfinished()
+            ->latest('updated_at')
+            ->with('moves')
+            ->first();
+
+        return response()->json(['game' => $game]);
+    }
+
+    /**
+     * Create a new game
+     */
+    public function store(Request $request): JsonResponse
+    {
+        $validated = $this->validateGame($request);
+
+        // A repeated create for the same client game (e.g. after a failed response) updates it
+        $game = DB::transaction(function () use ($request, $validated) {
+            $game = Game::updateOrCreate(
+                ['user_id' => $request->user()->id, 'client_id' => $validated['client_id']],
+                [
+                    ...$this->gameAttributes($validated),
+                    'white_player_id' => $this->ownerColorId($request, $validated, 'white'),
+                    'black_player_id' => $this->ownerColorId($request, $validated, 'black'),
+                ]
+            );
+
+            $this->syncMoves($game, $validated['moves'] ?? []);
+
+            return $game;
+        });
+
+        return response()->json(['game' => $game->load('moves')], $game->wasRecentlyCreated ? 201 : 200);
+    }
+
+    /**
+     * Get a single game including its moves
+     */
+    public function show(Request $request, Game $game): JsonResponse
+    {
+        $this->authorizeOwner($request, $game);
+
+        return response()->json(['game' => $game->load('moves')]);
+    }
+
+    /**
+     * Save the current state of a game (moves are replaced completely)
+     */
+    public function update(Request $request, Game $game): JsonResponse
+    {
+        $this->authorizeOwner($request, $game);
+
+        $validated = $this->validateGame($request);
+
+        DB::transaction(function () use ($game, $validated) {
+            $game->update($this->gameAttributes($validated, $game));
+            $this->syncMoves($game, $validated['moves'] ?? []);
+        });
+
+        return response()->json(['game' => $game->fresh('moves')]);
+    }
+
+    /**
+     * Delete a game
+     */
+    public function destroy(Request $request, Game $game): JsonResponse
+    {
+        $this->authorizeOwner($request, $game);
+
+        $game->delete();
+
+        return response()->json(['deleted' => true]);
+    }
+
+    /**
+     * Validate the game payload sent by the gameStore
+     */
+    private function validateGame(Request $request): array
+    {
+        return $request->validate([
+            'client_id' => 'required|string|max:255',
+            'white_name' => 'nullable|string|max:255',
+            'black_name' => 'nullable|string|max:255',
+            'mode' => 'required|in:local-pvp,online-pvp,vs-ai,analysis',
+            'variant' => 'nullable|in:standard,chess960,threecheck,kingofthehill,antichess,crazyhouse',
+            'player_color' => 'nullable|in:white,black',
+            'time_control' => 'nullable|string|max:255',
+            'time_control_config' => 'nullable|array',
+            'white_time_remaining' => 'nullable|numeric|min:0',
+            'black_time_remaining' => 'nullable|numeric|min:0',
+            'initial_fen' => 'required|string|max:100',
+            'current_fen' => 'required|string|max:100',
+            'status' => 'required|string|max:50',
+            'result' => 'required|in:1-0,0-1,1/2-1/2,*',
+            'termination' => 'nullable|string|max:255',
+            'pgn' => 'nullable|string',
+            'moves' => 'array',
+            'moves.*.san' => 'required|string|max:10',
+            'moves.*.from' => 'required|string|size:2',
+            'moves.*.to' => 'required|string|size:2',
+            'moves.*.promotion' => 'nullable|string|size:1',
+            'moves.*.fen_after' => 'required|string|max:100',
+            'moves.*.clock' => 'nullable|numeric|min:0',
+        ]);
+    }
+
+    /**
+     * Map validated input to game columns
+     */
+    private function gameAttributes(array $validated, ?Game $game = null): array
+    {
+        $result = $validated['result'];
+
+        return [
+            'white_name' => $validated['white_name'] ?? 'Weiß',
+            'black_name' => $validated['black_name'] ?? 'Schwarz',
+            'mode' => $validated['mode'],
+            'variant' => $validated['variant'] ?? 'standard',
+            'player_color' => $validated['player_color'] ?? null,
+            'time_control' => $validated['time_control'] ?? '-',
+            'time_control_config' => $validated['time_control_config'] ?? null,
+            'white_time_remaining' => $validated['white_time_remaining'] ?? null,
+            'black_time_remaining' => $validated['black_time_remaining'] ?? null,
+            'initial_fen' => $validated['initial_fen'],
+            'current_fen' => $validated['current_fen'],
+            'status' => $validated['status'],
+            'result' => $result,
+            'termination' => $validated['termination'] ?? null,
+            'pgn' => $validated['pgn'] ?? null,
+            'move_count' => count($validated['moves'] ?? []),
+            'finished_at' => $result === Game::RESULT_ONGOING ? null : ($game?->finished_at ?? now()),
+        ];
+    }
+
+    /**
+     * Replace all moves of a game
+     */
+    private function syncMoves(Game $game, array $moves): void
+    {
+        $game->moves()->delete();
+
+        $now = now();
+
+        $rows = collect($moves)->values()->map(fn (array $move, int $index) => [
+            'game_id' => $game->id,
+            'ply' => $index + 1,
+            'san' => $move['san'],
+            'from_square' => $move['from'],
+            'to_square' => $move['to'],
+            'promotion' => $move['promotion'] ?? null,
+            'fen_after' => $move['fen_after'],
+            'clock' => $move['clock'] ?? null,
+            'created_at' => $now,
+            'updated_at' => $now,
+        ]);
+
+        if ($rows->isNotEmpty()) {
+            $game->moves()->insert($rows->all());
+        }
+    }
+
+    /**
+     * The owner plays a color unless the game is against the engine with the other color
+     */
+    private function ownerColorId(Request $request, array $validated, string $color): ?int
+    {
+        if ($validated['mode'] !== 'vs-ai') {
+            return null;
+        }
+
+        return ($validated['player_color'] ?? 'white') === $color ? $request->user()->id : null;
+    }
+
+    /**
+     * Only the owner may access a game
+     */
+    private function authorizeOwner(Request $request, Game $game): void
+    {
+        abort_unless((int) $game->user_id === $request->user()->id, 403);
+    }
+}
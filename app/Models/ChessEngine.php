@@ -0,0 +1,93 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Model;
+
+class ChessEngine extends Model
+{
+    /**
+     * Directory below public/ that holds the Polyglot opening books
+     */
+    public const BOOK_DIRECTORY = 'books';
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'name',
+        'path',
+        'version',
+        'description',
+        'settings',
+        'is_active',
+        'is_default',
+        'skill_level_min',
+        'skill_level_max',
+        'default_skill_level'
+    ];
+
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'settings' => 'array',
+            'is_active' => 'boolean',
+            'is_default' => 'boolean',
+            'skill_level_min' => 'integer',
+            'skill_level_max' => 'integer',
+            'default_skill_level' => 'integer',
+        ];
+    }
+
+    /**
+     * Engines that may be selected
+     */
+    public function scopeActive(Builder $query): Builder
+    {
+        return $query->where('is_active', true);
+    }
+
+    /**
+     * Default engine first, then by name
+     */
+    public function scopeOrdered(Builder $query): Builder
+    {
+        return $query->orderByDesc('is_default')->orderBy('name');
+    }
+
+    /**
+     * Keep a skill level inside the range of this engine
+     */
+    public function clampSkillLevel(int $level): int
+    {
+        return max($this->skill_level_min, min($this->skill_level_max, $level));
+    }
+
+    /**
+     * File name of the selected opening book (null = play without book)
+     */
+    public function openingBook(): ?string
+    {
+        return $this->settings['opening_book'] ?? null;
+    }
+
+    /**
+     * File names of all Polyglot books in public/books
+     *
+     * @return array<int, string>
+     */
+    public static function availableBooks(): array
+    {
+        $files = glob(public_path(self::BOOK_DIRECTORY . '/*.bin')) ?: [];
+
+        return array_map('basename', $files);
+    }
+}
@@ -0,0 +1,111 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+
+class Game extends Model
+{
+    /**
+     * PGN result for unfinished games
+     */
+    public const RESULT_ONGOING = '*';
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'user_id',
+        'client_id',
+        'white_player_id',
+        'black_player_id',
+        'white_name',
+        'black_name',
+        'mode',
+        'variant',
+        'player_color',
+        'time_control',
+        'time_control_config',
+        'white_time_remaining',
+        'black_time_remaining',
+        'initial_fen',
+        'current_fen',
+        'status',
+        'result',
+        'termination',
+        'pgn',
+        'move_count',
+        'finished_at'
+    ];
+
+    /**
+     * Get the attributes that should be cast.
+     *
+     * @return array<string, string>
+     */
+    protected function casts(): array
+    {
+        return [
+            'time_control_config' => 'array',
+            'white_time_remaining' => 'float',
+            'black_time_remaining' => 'float',
+            'move_count' => 'integer',
+            'finished_at' => 'datetime',
+        ];
+    }
+
+    /**
+     * Owner of the game
+     */
+    public function user(): BelongsTo
+    {
+        return $this->belongsTo(User::class);
+    }
+
+    public function whitePlayer(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'white_player_id');
+    }
+
+    public function blackPlayer(): BelongsTo
+    {
+        return $this->belongsTo(User::class, 'black_player_id');
+    }
+
+    /**
+     * Moves in playing order
+     */
+    public function moves(): HasMany
+    {
+        return $this->hasMany(Move::class)->orderBy('ply');
+    }
+
+    /**
+     * Games owned by the given user
+     */
+    public function scopeOwnedBy(Builder $query, User $user): Builder
+    {
+        return $query->where('user_id', $user->id);
+    }
+
+    /**
+     * Games that have not been finished yet
+     */
+    public function scopeUnfinished(Builder $query): Builder
+    {
+        return $query->whereNull('finished_at');
+    }
+
+    /**
+     * Check if the game has a final result
+     */
+    public function isFinished(): bool
+    {
+        return $this->result !== self::RESULT_ONGOING;
+    }
+}
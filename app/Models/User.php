@@ -4,6 +4,7 @@
 
 use Illuminate\Contracts\Auth\MustVerifyEmail;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
 use Illuminate\Foundation\Auth\User as Authenticatable;
 use Illuminate\Notifications\Notifiable;
 use Laravel\Sanctum\HasApiTokens;
@@ -27,6 +28,8 @@ class User extends Authenticatable implements MustVerifyEmail
         'games_lost',
         'games_drawn',
         'preferred_color',
+        'preferred_engine_id',
+        'preferred_skill_level',
         'is_online',
         'last_active'
     ];
@@ -58,6 +61,7 @@ protected function casts(): array
             'games_won' => 'integer',
             'games_lost' => 'integer',
             'games_drawn' => 'integer',
+            'preferred_skill_level' => 'integer',
         ];
     }
 
@@ -98,6 +102,14 @@ public function games()
             ->orWhere('black_player_id', $this->id);
     }
 
+    /**
+     * Engine last chosen for games against the computer
+     */
+    public function preferredEngine(): BelongsTo
+    {
+        return $this->belongsTo(ChessEngine::class, 'preferred_engine_id');
+    }
+
     /**
      * Update user's online status
      */
@@ -123,4 +123,16 @@
         'store' => env('APP_MAINTENANCE_STORE', 'database'),
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | Engine Admins
+    |--------------------------------------------------------------------------
+    |
+    | Comma separated email addresses of the users who may change the engine
+    | settings shared by all players, e.g. the opening book of an engine.
+    |
+    */
+
+    'engine_admins' => array_filter(array_map('trim', explode(',', env('ENGINE_ADMINS', '')))),
+
 ];
@@ -0,0 +1,31 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            $table->foreignId('preferred_engine_id')->nullable()->after('preferred_color')
+                ->constrained('chess_engines')->nullOnDelete();
+            $table->integer('preferred_skill_level')->nullable()->after('preferred_engine_id');
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('users', function (Blueprint $table) {
+            $table->dropConstrainedForeignId('preferred_engine_id');
+            $table->dropColumn('preferred_skill_level');
+        });
+    }
+};
@@ -0,0 +1,77 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('games', function (Blueprint $table) {
+            $table->foreignId('user_id')->after('id')->constrained()->cascadeOnDelete(); // Besitzer der Partie
+            $table->string('client_id')->nullable()->after('user_id'); // gameId aus dem gameStore
+            $table->foreignId('white_player_id')->nullable()->after('client_id')->constrained('users')->nullOnDelete();
+            $table->foreignId('black_player_id')->nullable()->after('white_player_id')->constrained('users')->nullOnDelete();
+            $table->string('white_name')->default('Weiß')->after('black_player_id');
+            $table->string('black_name')->default('Schwarz')->after('white_name');
+            $table->string('mode')->default('local-pvp')->after('black_name'); // GAME_MODES
+            $table->string('player_color')->nullable()->after('mode'); // Farbe des Menschen im vs-ai Modus
+            $table->string('time_control')->default('-')->after('player_color'); // PGN-Format, z.B. '40/5400+30:1800+30'
+            $table->json('time_control_config')->nullable()->after('time_control');
+            $table->float('white_time_remaining')->nullable()->after('time_control_config');
+            $table->float('black_time_remaining')->nullable()->after('white_time_remaining');
+            $table->string('initial_fen', 100)->after('black_time_remaining');
+            $table->string('current_fen', 100)->after('initial_fen');
+            $table->string('status')->default('ACTIVE')->after('current_fen'); // GAME_STATUS
+            $table->string('result', 7)->default('*')->after('status'); // '1-0', '0-1', '1/2-1/2', '*'
+            $table->string('termination')->nullable()->after('result');
+            $table->longText('pgn')->nullable()->after('termination');
+            $table->unsignedInteger('move_count')->default(0)->after('pgn');
+            $table->timestamp('finished_at')->nullable()->after('move_count');
+
+            $table->index(['user_id', 'finished_at']);
+            $table->unique(['user_id', 'client_id']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('games', function (Blueprint $table) {
+            // Fremdschlüssel zuerst, MySQL braucht die Indizes sonst für user_id
+            $table->dropForeign(['user_id']);
+            $table->dropForeign(['white_player_id']);
+            $table->dropForeign(['black_player_id']);
+            $table->dropUnique(['user_id', 'client_id']);
+            $table->dropIndex(['user_id', 'finished_at']);
+            $table->dropColumn([
+                'user_id',
+                'client_id',
+                'white_player_id',
+                'black_player_id',
+                'white_name',
+                'black_name',
+                'mode',
+                'player_color',
+                'time_control',
+                'time_control_config',
+                'white_time_remaining',
+                'black_time_remaining',
+                'initial_fen',
+                'current_fen',
+                'status',
+                'result',
+                'termination',
+                'pgn',
+                'move_count',
+                'finished_at',
+            ]);
+        });
+    }
+};
@@ -0,0 +1,40 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    /**
+     * Run the migrations.
+     */
+    public function up(): void
+    {
+        Schema::table('moves', function (Blueprint $table) {
+            $table->foreignId('game_id')->after('id')->constrained()->cascadeOnDelete();
+            $table->unsignedInteger('ply')->after('game_id'); // Halbzug, beginnend bei 1
+            $table->string('san', 10)->after('ply');
+            $table->string('from_square', 2)->after('san');
+            $table->string('to_square', 2)->after('from_square');
+            $table->char('promotion', 1)->nullable()->after('to_square');
+            $table->string('fen_after', 100)->after('promotion');
+            $table->float('clock')->nullable()->after('fen_after'); // Restzeit nach dem Zug in Sekunden
+
+            $table->unique(['game_id', 'ply']);
+        });
+    }
+
+    /**
+     * Reverse the migrations.
+     */
+    public function down(): void
+    {
+        Schema::table('moves', function (Blueprint $table) {
+            // Fremdschlüssel zuerst, MySQL braucht den Index sonst für game_id
+            $table->dropForeign(['game_id']);
+            $table->dropUnique(['game_id', 'ply']);
+            $table->dropColumn(['game_id', 'ply', 'san', 'from_square', 'to_square', 'promotion', 'fen_after', 'clock']);
+        });
+    }
+};
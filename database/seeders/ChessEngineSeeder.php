@@ -0,0 +1,41 @@
+<?php
+
+namespace Database\Seeders;
+
+use App\Models\ChessEngine;
+use Illuminate\Database\Seeder;
+
+class ChessEngineSeeder extends Seeder
+{
+    /**
+     * Register the engines shipped with the frontend
+     * The path names a build of the engineStore ('stockfish', 'builtin') or the URL of a
+     * UCI engine worker script in public/, e.g. '/engines/my-engine.js'.
+     */
+    public function run(): void
+    {
+        ChessEngine::updateOrCreate(['path' => 'stockfish'], [
+            'name' => 'Stockfish',
+            'version' => '10.0.2',
+            'description' => 'Stärkste Engine, läuft als WebAssembly im Browser',
+            'is_active' => true,
+            'is_default' => true,
+            'skill_level_min' => 0,
+            'skill_level_max' => 20,
+            'default_skill_level' => 10,
+            'settings' => ['opening_book' => 'j-chess.bin'],
+        ]);
+
+        ChessEngine::updateOrCreate(['path' => 'builtin'], [
+            'name' => 'J-Chess Engine',
+            'version' => '1.0',
+            'description' => 'Eingebaut, läuft auch offline',
+            'is_active' => true,
+            'is_default' => false,
+            'skill_level_min' => 1,
+            'skill_level_max' => 5,
+            'default_skill_level' => 3,
+            'settings' => ['opening_book' => 'j-chess.bin'],
+        ]);
+    }
+}
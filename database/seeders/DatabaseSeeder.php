@@ -21,5 +21,7 @@ public function run(): void
                 'email' => 'test@example.com',
             ]);
         }
+
+        $this->call(ChessEngineSeeder::class);
     }
 }
@@ -5,7 +5,6 @@
 
 import { computed } from 'vue'
 import {
-    FILES,
     RANKS,
     PLAYER_COLORS,
     isWhitePiece,
@@ -14,6 +13,7 @@ import {
     getPieceColor,
     FIFTY_MOVE_RULE,
     THREEFOLD_REPETITION,
+    CASTLING_RIGHTS,
 } from '@/Utils/chessConstants.js'
 import {
     squareToIndices,
@@ -21,12 +21,18 @@ import {
     getSquareDistance,
     isOnSameDiagonal,
     isOnSameLine,
-    getSquaresBetween,
-    cloneBoard
+    getCastlingRookFile,
+    sortPocket
 } from '@/Utils/chessUtils.js'
+import { getVariantRules } from '@/Utils/chessVariants.js'
+import * as moveGenerator from '@/Utils/moveGenerator.js'
+import { useFenParser } from '@/Composables/useFenParser.js'
+import { useSanGenerator } from '@/Composables/useSANGenerator.js'
 
 
 export function useChessLogic() {
+    const { parseFen } = useFenParser()
+    const { generateSAN } = useSanGenerator()
 
     // ===== BASIC PIECE MOVEMENT =====
 
@@ -38,54 +44,65 @@ export function useChessLogic() {
      * @returns {Array} Array von legalen Zügen
      */
     const generateLegalMoves = (board, playerColor, gameState = {}) => {
-        const legalMoves = []
+        const position = createGeneratorPosition(board, playerColor, gameState)
+        const legalMoves = moveGenerator.generateLegalMoves(position).map(toBoardMove)
 
-        for (let rankIndex = 0; rankIndex < 8; rankIndex++) {
-            for (let fileIndex = 0; fileIndex < 8; fileIndex++) {
-                const piece = board[rankIndex][fileIndex]
-
-                if (isEmpty(piece) || getPieceColor(piece) !== playerColor) {
-                    continue
-                }
-
-                const fromSquare = indicesToSquare(fileIndex, rankIndex)
-                if (!fromSquare) continue
-
-                const possibleMoves = generatePossibleMoves(piece, fromSquare, board, gameState)
-
-                // Nur legale Züge hinzufügen (König nicht im Schach)
-                possibleMoves.forEach(move => {
-                    if (isMoveLegal(board, fromSquare, move.to, playerColor, gameState)) {
-                        legalMoves.push(move)
-                    }
-                })
-            }
-        }
-
-        return legalMoves
+        // Zugfilter der Variante (z.B. Schlagzwang)
+        const { filterMoves } = getVariantRules(gameState.variant)
+        return filterMoves ? filterMoves(legalMoves, legalMoves) : legalMoves
     }
 
     /**
-     * Generiert alle möglichen Züge für eine Figur (ohne Check-Validierung)
-     * @param {string} piece - FEN-Notation der Figur
-     * @param {string} square - Ausgangsfeld
+     * 0x88-Stellung für den Zuggenerator (Utils/moveGenerator.js)
      * @param {Array} board - 2D Brett-Array
-     * @param {object} gameState - Zusätzliche Spielinformationen
-     * @returns {Array} Array von möglichen Zügen
+     * @param {string} playerColor - Seite am Zug
+     * @param {object} gameState - Spielzustand
+     * @returns {object}
      */
-    const generatePossibleMoves = (piece, square, board, gameState = {}, context = {}) => {
-        if (isEmpty(piece) || !board.length) return []
+    const createGeneratorPosition = (board, playerColor, gameState = {}) => {
+        return moveGenerator.createPosition(board, { ...gameState, currentPlayer: playerColor })
+    }
 
-        const pieceType = piece.toLowerCase()
+    /**
+     * Zug des 0x88-Generators in das Zugformat der übrigen Logik übersetzen
+     * @param {object} move - Zug aus moveGenerator
+     * @returns {object} { from, to, type, piece, ... } im Brett-Format (Feldnamen, FEN-Symbole)
+     */
+    const toBoardMove = (move) => {
+        const piece = moveGenerator.toPieceSymbol(move.piece)
+        const to = moveGenerator.toSquareName(move.to)
 
-        switch (pieceType) {
-            case 'p': return generatePawnMoves(piece, square, board, gameState)
-            case 'r': return generateRookMoves(piece, square, board)
-            case 'n': return generateKnightMoves(piece, square, board)
-            case 'b': return generateBishopMoves(piece, square, board)
-            case 'q': return generateQueenMoves(piece, square, board)
-            case 'k': return generateKingMoves(piece, square, board, gameState, context)
-            default: return []
+        switch (move.type) {
+            case 'drop':
+                return { from: null, to, piece, type: 'drop' }
+            case 'castle':
+                return {
+                    from: moveGenerator.toSquareName(move.from),
+                    to,
+                    kingTo: moveGenerator.toSquareName(move.kingTo),
+                    type: 'castle',
+                    piece,
+                    castleType: move.castleType,
+                    rookMove: {
+                        from: moveGenerator.toSquareName(move.rookFrom),
+                        to: moveGenerator.toSquareName(move.rookTo)
+                    }
+                }
+            case 'enpassant':
+                return {
+                    from: moveGenerator.toSquareName(move.from),
+                    to,
+                    type: 'enpassant',
+                    piece,
+                    capturedPiece: move.capturedPiece,
+                    capturedSquare: moveGenerator.toSquareName(move.capturedSquare)
+                }
+            default: {
+                const boardMove = { from: moveGenerator.toSquareName(move.from), to, type: move.type, piece }
+                if (move.capturedPiece) boardMove.capturedPiece = move.capturedPiece
+                if (piece.toLowerCase() === 'p') boardMove.promotion = move.promotion
+                return boardMove
+            }
         }
     }
 
@@ -109,544 +126,111 @@ export function useChessLogic() {
             return []
         }
 
-        const possibleMoves = generatePossibleMoves(piece, square, board, gameState)
+        // Zugfilter der Variante sind in generateLegalMoves bereits angewendet (Schlagzwang)
+        const legalMoves = generateLegalMoves(board, playerColor, gameState)
+            .filter(move => move.from === square)
 
-        const legalMoves = possibleMoves.filter(move =>
-            isMoveLegal(board, square, move.to, playerColor, gameState)
-        )
+        // UI: Nur Ziel-Felder als Strings, Rochaden auch über Königsziel und eigenen Turm erreichbar
+        const targetSquares = legalMoves.flatMap(move => move.type === 'castle'
+            ? [move.to, move.kingTo, move.rookMove.from]
+            : [move.to])
 
-        // UI: Nur Ziel-Felder als Strings
-        return legalMoves.map(move => move.to)
+        return [...new Set(targetSquares)].filter(target => target !== square)
     }
 
     /**
-     * Bauern-Züge generieren
-     * @param {string} piece
-     * @param {string} square
-     * @param {Array} board
-     * @param {object} gameState
-     * @returns {Array}
+     * Taschen und umgewandelte Figuren nach einem Zug fortschreiben (Crazyhouse)
+     * Geschlagene Figuren wechseln die Farbe und kommen in die Tasche der schlagenden Seite,
+     * umgewandelte Figuren zählen dabei wieder als Bauer.
+     * @param {object} pocketState - { pockets, promotedSquares } vor dem Zug
+     * @param {object} move - { type, from, to, piece, capturedPiece, capturedSquare, promotionPiece }
+     * @returns {object} { pockets, promotedSquares } nach dem Zug
      */
-    const generatePawnMoves = (piece, square, board, gameState) => {
-        const moves = []
-        const isWhite = isWhitePiece(piece)
-        const indices = squareToIndices(square)
-        if (!indices) return moves
-
-        const { fileIndex, rankIndex } = indices
-        const direction = isWhite ? -1 : 1
-        const startRank = isWhite ? 6 : 1
-
-        // Ein Feld vorwärts
-        const oneForward = { fileIndex, rankIndex: rankIndex + direction }
-        if (isValidPosition(oneForward) && isEmpty(board[oneForward.rankIndex][oneForward.fileIndex])) {
-            const targetSquare = indicesToSquare(oneForward.fileIndex, oneForward.rankIndex)
-            if (targetSquare) {
-                moves.push({
-                    from: square,
-                    to: targetSquare,
-                    type: 'move',
-                    piece,
-                    promotion: isPromotionRank(oneForward.rankIndex, isWhite)
-                })
-            }
-
-            // Zwei Felder vorwärts (nur vom Startrang)
-            if (rankIndex === startRank) {
-                const twoForward = { fileIndex, rankIndex: rankIndex + (direction * 2) }
-                if (isValidPosition(twoForward) && isEmpty(board[twoForward.rankIndex][twoForward.fileIndex])) {
-                    const targetSquare = indicesToSquare(twoForward.fileIndex, twoForward.rankIndex)
-                    if (targetSquare) {
-                        moves.push({
-                            from: square,
-                            to: targetSquare,
-                            type: 'move',
-                            piece
-                        })
-                    }
-                }
-            }
+    const updatePocketState = (pocketState, move) => {
+        const color = getPieceColor(move.piece)
+        const pockets = {
+            [PLAYER_COLORS.WHITE]: [...(pocketState.pockets?.[PLAYER_COLORS.WHITE] || [])],
+            [PLAYER_COLORS.BLACK]: [...(pocketState.pockets?.[PLAYER_COLORS.BLACK] || [])]
         }
+        let promotedSquares = [...(pocketState.promotedSquares || [])]
 
-        // Diagonal capture
-        const captureOffsets = [-1, 1]
-        captureOffsets.forEach(fileOffset => {
-            const capturePos = {
-                fileIndex: fileIndex + fileOffset,
-                rankIndex: rankIndex + direction
-            }
-
-            if (isValidPosition(capturePos)) {
-                const targetPiece = board[capturePos.rankIndex][capturePos.fileIndex]
-
-                // Normale Eroberung
-                if (!isEmpty(targetPiece) && getPieceColor(targetPiece) !== getPieceColor(piece)) {
-                    const targetSquare = indicesToSquare(capturePos.fileIndex, capturePos.rankIndex)
-                    if (targetSquare) {
-                        moves.push({
-                            from: square,
-                            to: targetSquare,
-                            type: 'capture',
-                            piece,
-                            capturedPiece: targetPiece,
-                            promotion: isPromotionRank(capturePos.rankIndex, isWhite)
-                        })
-                    }
-                }
-            }
-        })
-
-        if (gameState.enPassantSquare) {
-            const enPassantIndices = squareToIndices(gameState.enPassantSquare)
-            if (!enPassantIndices) return moves
-
-            // Check, ob das En-Passant-Feld diagonal erreichbar ist
-            const fileDistance = Math.abs(enPassantIndices.fileIndex - fileIndex)
-            const rankDistance = enPassantIndices.rankIndex - rankIndex
-
-            if (fileDistance === 1 && rankDistance === direction) {
-                // FEN garantiert bereits dass En-Passant legal ist
-                // Nur noch die geschlagene Figur bestimmen
-                const capturedFileIndex = enPassantIndices.fileIndex
-                const capturedRankIndex = rankIndex
-                const capturedPiece = board[capturedRankIndex]?.[capturedFileIndex]
-
-                moves.push({
-                    from: square,
-                    to: gameState.enPassantSquare,
-                    type: 'enpassant',
-                    piece,
-                    capturedPiece, // Der geschlagene Bauer
-                    capturedSquare: indicesToSquare(capturedFileIndex, capturedRankIndex)
-                })
-            }
+        if (move.type === 'drop') {
+            pockets[color].splice(pockets[color].indexOf(move.piece), 1)
+            return { pockets, promotedSquares }
         }
 
-        return moves
-    }
-
-    /**
-     * Turm-Züge generieren
-     * @param {string} piece
-     * @param {string} square
-     * @param {Array} board
-     * @returns {Array}
-     */
-    const generateRookMoves = (piece, square, board) => {
-        const moves = []
-        const indices = squareToIndices(square)
-        if (!indices) return moves
-
-        // Horizontal und vertikal
-        const directions = [
-            { fileOffset: 0, rankOffset: 1 },   // Nach oben
-            { fileOffset: 0, rankOffset: -1 },  // Nach unten
-            { fileOffset: 1, rankOffset: 0 },   // Nach rechts
-            { fileOffset: -1, rankOffset: 0 }   // Nach links
-        ]
-
-        directions.forEach(direction => {
-            moves.push(...generateLinearMoves(piece, square, board, direction))
-        })
-
-        return moves
-    }
-
-    /**
-     * Springer-Züge generieren
-     * @param {string} piece
-     * @param {string} square
-     * @param {Array} board
-     * @returns {Array}
-     */
-    const generateKnightMoves = (piece, square, board) => {
-        const moves = []
-        const indices = squareToIndices(square)
-        if (!indices) return moves
-
-        const { fileIndex, rankIndex } = indices
-
-        // Alle 8 möglichen Springer-Züge
-        const knightMoves = [
-            { fileOffset: 2, rankOffset: 1 },
-            { fileOffset: 2, rankOffset: -1 },
-            { fileOffset: -2, rankOffset: 1 },
-            { fileOffset: -2, rankOffset: -1 },
-            { fileOffset: 1, rankOffset: 2 },
-            { fileOffset: 1, rankOffset: -2 },
-            { fileOffset: -1, rankOffset: 2 },
-            { fileOffset: -1, rankOffset: -2 }
-        ]
-
-        knightMoves.forEach(offset => {
-            const targetPos = {
-                fileIndex: fileIndex + offset.fileOffset,
-                rankIndex: rankIndex + offset.rankOffset
-            }
-
-            if (isValidPosition(targetPos)) {
-                const targetPiece = board[targetPos.rankIndex][targetPos.fileIndex]
-                const targetSquare = indicesToSquare(targetPos.fileIndex, targetPos.rankIndex)
-
-                if (targetSquare) {
-                    if (isEmpty(targetPiece)) {
-                        moves.push({
-                            from: square,
-                            to: targetSquare,
-                            type: 'move',
-                            piece
-                        })
-                    } else if (getPieceColor(targetPiece) !== getPieceColor(piece)) {
-                        moves.push({
-                            from: square,
-                            to: targetSquare,
-                            type: 'capture',
-                            piece,
-                            capturedPiece: targetPiece
-                        })
-                    }
-                }
-            }
-        })
-
-        return moves
-    }
-
-    /**
-     * Läufer-Züge generieren
-     * @param {string} piece
-     * @param {string} square
-     * @param {Array} board
-     * @returns {Array}
-     */
-    const generateBishopMoves = (piece, square, board) => {
-        const moves = []
-
-        // Diagonal in alle 4 Richtungen
-        const directions = [
-            { fileOffset: 1, rankOffset: 1 },   // Oben-rechts
-            { fileOffset: 1, rankOffset: -1 },  // Unten-rechts
-            { fileOffset: -1, rankOffset: 1 },  // Oben-links
-            { fileOffset: -1, rankOffset: -1 }  // Unten-links
-        ]
-
-        directions.forEach(direction => {
-            moves.push(...generateLinearMoves(piece, square, board, direction))
-        })
-
-        return moves
-    }
-
-    /**
-     * Dame-Züge generieren (Turm + Läufer)
-     * @param {string} piece
-     * @param {string} square
-     * @param {Array} board
-     * @returns {Array}
-     */
-    const generateQueenMoves = (piece, square, board) => {
-        return [
-            ...generateRookMoves(piece, square, board),
-            ...generateBishopMoves(piece, square, board)
-        ]
-    }
-
-    /**
-     * König-Züge generieren (KORRIGIERT mit gameState)
-     * @param {string} piece
-     * @param {string} square
-     * @param {Array} board
-     * @param {object} gameState
-     * @returns {Array}
-     */
-    const generateKingMoves = (piece, square, board, gameState = {}, context = {}) => {
-        const moves = []
-        const indices = squareToIndices(square)
-        if (!indices) return moves
-
-        const { fileIndex, rankIndex } = indices
-
-        // Alle 8 angrenzenden Felder
-        const kingMoves = [
-            { fileOffset: 0, rankOffset: 1 },   // Oben
-            { fileOffset: 0, rankOffset: -1 },  // Unten
-            { fileOffset: 1, rankOffset: 0 },   // Rechts
-            { fileOffset: -1, rankOffset: 0 },  // Links
-            { fileOffset: 1, rankOffset: 1 },   // Oben-rechts
-            { fileOffset: 1, rankOffset: -1 },  // Unten-rechts
-            { fileOffset: -1, rankOffset: 1 },  // Oben-links
-            { fileOffset: -1, rankOffset: -1 }  // Unten-links
-        ]
-
-        kingMoves.forEach(offset => {
-            const targetPos = {
-                fileIndex: fileIndex + offset.fileOffset,
-                rankIndex: rankIndex + offset.rankOffset
-            }
-
-            if (isValidPosition(targetPos)) {
-                const targetPiece = board[targetPos.rankIndex][targetPos.fileIndex]
-                const targetSquare = indicesToSquare(targetPos.fileIndex, targetPos.rankIndex)
-
-                if (targetSquare) {
-                    if (isEmpty(targetPiece)) {
-                        moves.push({
-                            from: square,
-                            to: targetSquare,
-                            type: 'move',
-                            piece
-                        })
-                    } else if (getPieceColor(targetPiece) !== getPieceColor(piece)) {
-                        moves.push({
-                            from: square,
-                            to: targetSquare,
-                            type: 'capture',
-                            piece,
-                            capturedPiece: targetPiece
-                        })
-                    }
-                }
-            }
-        })
+        if (!isEmpty(move.capturedPiece)) {
+            const capturedSquare = move.capturedSquare || move.to
+            const type = promotedSquares.includes(capturedSquare) ? 'p' : move.capturedPiece.toLowerCase()
 
-        if (!context.skipCastling && gameState.castlingRights && gameState.currentPlayer) {
-            moves.push(...generateCastlingMoves(
-                piece,
-                square,
-                board,
-                gameState.castlingRights,
-                gameState.currentPlayer,
-                gameState
-            ))
+            pockets[color] = sortPocket([...pockets[color], color === PLAYER_COLORS.WHITE ? type.toUpperCase() : type])
+            promotedSquares = promotedSquares.filter(square => square !== capturedSquare)
         }
 
-        return moves
-    }
-
+        // Die Markierung wandert mit der Figur, eine Umwandlung setzt sie neu
+        if (move.type !== 'castle') {
+            const wasPromoted = promotedSquares.includes(move.from)
+            promotedSquares = promotedSquares.filter(square => square !== move.from)
 
-    // ===== HELPER FUNCTIONS =====
-
-    /**
-     * Lineare Züge generieren (für Turm, Läufer, Dame)
-     * @param {string} piece
-     * @param {string} square
-     * @param {Array} board
-     * @param {object} direction
-     * @returns {Array}
-     */
-    const generateLinearMoves = (piece, square, board, direction) => {
-        const moves = []
-        const indices = squareToIndices(square)
-        if (!indices) return moves
-
-        let { fileIndex, rankIndex } = indices
-        const { fileOffset, rankOffset } = direction
-
-        // In die Richtung bewegen bis Hindernis oder Brett-Rand
-        while (true) {
-            fileIndex += fileOffset
-            rankIndex += rankOffset
-
-            const targetPos = { fileIndex, rankIndex }
-            if (!isValidPosition(targetPos)) break
-
-            const targetPiece = board[rankIndex][fileIndex]
-            const targetSquare = indicesToSquare(fileIndex, rankIndex)
-
-            if (!targetSquare) break
-
-            if (isEmpty(targetPiece)) {
-                // Freies Feld - Zug möglich
-                moves.push({
-                    from: square,
-                    to: targetSquare,
-                    type: 'move',
-                    piece
-                })
-            } else {
-                // Figur auf dem Feld
-                if (getPieceColor(targetPiece) !== getPieceColor(piece)) {
-                    // Gegnerische Figur - kann geschlagen werden
-                    moves.push({
-                        from: square,
-                        to: targetSquare,
-                        type: 'capture',
-                        piece,
-                        capturedPiece: targetPiece
-                    })
-                }
-                // Eigene oder gegnerische Figur blockiert weiteren Weg
-                break
+            if (wasPromoted || move.promotionPiece) {
+                promotedSquares.push(move.to)
             }
         }
 
-        return moves
+        return { pockets, promotedSquares }
     }
 
+    // ===== HELPER FUNCTIONS =====
 
     /**
-     * Rochade-Züge generieren
-     * @param {string} piece - König ('K' oder 'k')
-     * @param {string} square - Königsposition (z.B. 'e1' oder 'e8')
+     * Rochade auf einem Brett ausführen (verändert das übergebene Brett)
+     * König und Turm werden erst entfernt und dann gesetzt, da sich die Felder in Chess960 überschneiden können.
      * @param {Array} board - 2D Brett-Array
-     * @param {object} castlingRights - Rochade-Rechte als Objekt
-     * @param {string} currentPlayer - Aktueller Spieler ('white' oder 'black')
-     * @param {object} gameState - Vollständiger Spielzustand
-     * @returns {Array} Array von gültigen Rochade-Zügen
+     * @param {object} move - Rochade-Zug mit from, kingTo und rookMove
+     * @returns {Array} Das veränderte Brett
      */
-    const generateCastlingMoves = (piece, square, board, castlingRights, currentPlayer, gameState = {}) => {
-        const moves = []
-
-        if (!castlingRights) {
-            return moves
-        }
-
-        const isWhite = isWhitePiece(piece)
-        const pieceColor = isWhite ? 'white' : 'black'
-
-        // Validierung: König muss auf Startposition stehen
-        const expectedKingSquare = isWhite ? 'e1' : 'e8'
-        if (square !== expectedKingSquare) {
-            return moves
-        }
-
-        const oppositePlayer = pieceColor === 'white' ? 'black' : 'white'
-        const attackersOnKing = getAttackingPieces(square, oppositePlayer, board, gameState, { skipCastling: true })
-
-        if (attackersOnKing.length > 0) {
-            // console.log('🚫 Rochade nicht möglich: König steht im Schach')
-            return moves
-        }
-
-        // Kurze Rochade (Königsseite)
-        const canCastleKingside = isWhite ? castlingRights.whiteKingside : castlingRights.blackKingside
-        if (canCastleKingside) {
-            const kingsideTarget = isWhite ? 'g1' : 'g8'
-            const pathSquares = isWhite ? ['f1', 'g1'] : ['f8', 'g8'] // Alle Felder die der König durchläuft
-            const rookSquare = isWhite ? 'h1' : 'h8'
-            const expectedRook = isWhite ? 'R' : 'r'
-
-            if (isCastlingPathClear(pathSquares, board) &&
-                hasPieceOnSquare(board, rookSquare, expectedRook) &&
-                isCastlingPathSafe(pathSquares, board, oppositePlayer, gameState)) {
-
-                moves.push({
-                    from: square,
-                    to: kingsideTarget,
-                    type: 'castle',
-                    piece,
-                    castleType: 'kingside',
-                    rookMove: {
-                        from: rookSquare,
-                        to: isWhite ? 'f1' : 'f8'
-                    }
-                })
-            }
-        }
-
-        // Lange Rochade (Damenseite)
-        const canCastleQueenside = isWhite ? castlingRights.whiteQueenside : castlingRights.blackQueenside
-        if (canCastleQueenside) {
-            const queensideTarget = isWhite ? 'c1' : 'c8'
-            const pathSquares = isWhite ? ['d1', 'c1'] : ['d8', 'c8']
-            const rookSquare = isWhite ? 'a1' : 'a8'
-            const expectedRook = isWhite ? 'R' : 'r'
-
-            // Für Damenseite: b1/b8 muss auch frei sein (Turm-Weg), aber König geht nicht drüber
-            const fullPathSquares = isWhite ? ['d1', 'c1', 'b1'] : ['d8', 'c8', 'b8']
-
-            if (isCastlingPathClear(fullPathSquares, board) &&
-                hasPieceOnSquare(board, rookSquare, expectedRook) &&
-                isCastlingPathSafe(pathSquares, board, oppositePlayer, gameState)) {
-
-                moves.push({
-                    from: square,
-                    to: queensideTarget,
-                    type: 'castle',
-                    piece,
-                    castleType: 'queenside',
-                    rookMove: {
-                        from: rookSquare,
-                        to: isWhite ? 'd1' : 'd8'
-                    }
-                })
-            }
-        }
+    const applyCastlingMove = (board, move) => {
+        const kingFrom = squareToIndices(move.from)
+        const kingTo = squareToIndices(move.kingTo)
+        const rookFrom = squareToIndices(move.rookMove.from)
+        const rookTo = squareToIndices(move.rookMove.to)
+        if (!kingFrom || !kingTo || !rookFrom || !rookTo) return board
 
-        return moves
-    }
+        const king = board[kingFrom.rankIndex][kingFrom.fileIndex]
+        const rook = board[rookFrom.rankIndex][rookFrom.fileIndex]
 
-    /**
-     * Prüft, ob Rochade-Weg sicher ist
-     * @param {Array} pathSquares - Felder, die der König durchläuft/erreicht
-     * @param {Array} board - 2D Brett-Array
-     * @param {string} attackingPlayer - Angreifende Farbe ('white' oder 'black')
-     * @param {object} gameState - Spielzustand für getAttackingPieces
-     * @returns {boolean} True wenn Weg sicher ist
-     */
-    const isCastlingPathSafe = (pathSquares, board, attackingPlayer, gameState) => {
-        for (const square of pathSquares) {
-            const attackers = getAttackingPieces(square, attackingPlayer, board, gameState, { skipCastling: true })
-            if (attackers.length > 0) {
-                // console.log(`🚫 Rochade nicht möglich: Feld ${square} wird von ${attackers.join(', ')} angegriffen`)
-                return false
-            }
-        }
-        return true
-    }
+        board[kingFrom.rankIndex][kingFrom.fileIndex] = null
+        board[rookFrom.rankIndex][rookFrom.fileIndex] = null
+        board[kingTo.rankIndex][kingTo.fileIndex] = king
+        board[rookTo.rankIndex][rookTo.fileIndex] = rook
 
-    /**
-     * Prüft, ob Rochade-Weg frei ist (keine eigenen Figuren)
-     * @param {Array} pathSquares - Felder die frei sein müssen
-     * @param {Array} board - 2D Brett-Array
-     * @returns {boolean} True wenn Weg frei ist
-     */
-    const isCastlingPathClear = (pathSquares, board) => {
-        for (const square of pathSquares) {
-            const indices = squareToIndices(square)
-            if (!indices) return false
-
-            const piece = board[indices.rankIndex][indices.fileIndex]
-            if (!isEmpty(piece)) {
-                return false
-            }
-        }
-        return true
+        return board
     }
 
     /**
-     * Prüft, ob ein Feld unter Angriff steht
+     * Eingegebenes Zielfeld auf das gespeicherte Zielfeld abbilden
+     * Normale Königszüge haben Vorrang, alternative Rochade-Eingaben werden auf move.to umgelegt.
      * @param {Array} board - 2D Brett-Array
-     * @param {string} square - Zu prüfendes Feld (z.B. 'e1')
-     * @param {string} attackingPlayer - Angreifende Farbe ('white' oder 'black')
-     * @returns {boolean} True wenn Feld angegriffen wird
+     * @param {string} from
+     * @param {string} to
+     * @param {object} gameState
+     * @returns {string} Zielfeld für executeMove
      */
-    const isSquareUnderAttack = (board, square, attackingPlayer) => {
-        // Alle Figuren des angreifenden Spielers durchgehen
-        for (let rankIndex = 0; rankIndex < 8; rankIndex++) {
-            for (let fileIndex = 0; fileIndex < 8; fileIndex++) {
-                const piece = board[rankIndex][fileIndex]
-
-                if (isEmpty(piece)) continue
+    const resolveCastlingTarget = (board, from, to, gameState = {}) => {
+        const indices = squareToIndices(from)
+        if (!indices) return to
 
-                // Nur Figuren des angreifenden Spielers prüfen
-                const pieceColor = getPieceColor(piece)
-                if (pieceColor !== attackingPlayer) continue
-
-                const pieceSquare = indicesToSquare(fileIndex, rankIndex)
-                if (!pieceSquare) continue
+        const piece = board[indices.rankIndex][indices.fileIndex]
+        if (isEmpty(piece) || piece.toLowerCase() !== 'k') return to
 
-                // Einfache Angriffsprüfung für diese Figur
-                const attacks = generatePieceAttacks(piece, pieceSquare, board)
+        const kingMoves = generateLegalMoves(board, getPieceColor(piece), gameState).filter(move => move.from === from)
+        if (kingMoves.some(move => move.type !== 'castle' && move.to === to)) return to
 
-                if (attacks.includes(square)) {
-                    console.log(`🎯 Feld ${square} wird von ${piece} auf ${pieceSquare} angegriffen`)
-                    return true
-                }
-            }
-        }
+        const castlingMoves = kingMoves.filter(move => move.type === 'castle')
+        const castlingMove = castlingMoves.find(move => move.to === to) ||
+            castlingMoves.find(move => move.rookMove.from === to || move.kingTo === to)
 
-        return false
+        return castlingMove?.to ?? to
     }
 
     /**
@@ -683,41 +267,15 @@ export function useChessLogic() {
             }
         }
 
-        // Turm wurde bewegt - Rochade-Recht für diese Seite verloren
-        if (piece && piece.toLowerCase() === 'r') {
-            switch (fromSquare) {
-                case 'a1': // Weißer Damenturm bewegt
-                    newRights.whiteQueenside = false
-                    break
-                case 'h1': // Weißer Königsturm bewegt
-                    newRights.whiteKingside = false
-                    break
-                case 'a8': // Schwarzer Damenturm bewegt
-                    newRights.blackQueenside = false
-                    break
-                case 'h8': // Schwarzer Königsturm bewegt
-                    newRights.blackKingside = false
-                    break
-            }
-        }
+        // Rochadeturm bewegt oder auf seinem Startfeld geschlagen - Rochade-Recht für diese Seite verloren
+        Object.entries(CASTLING_RIGHTS).forEach(([right, { color }]) => {
+            const rookSquare = `${getCastlingRookFile(currentRights, right)}${color === 'white' ? '1' : '8'}`
+            const rook = color === 'white' ? 'R' : 'r'
 
-        // Turm auf Startfeld geschlagen - Rochade-Recht für diese Seite verloren
-        if (capturedPiece && capturedPiece.toLowerCase() === 'r') {
-            switch (toSquare) {
-                case 'a1': // Weißer Damenturm geschlagen
-                    newRights.whiteQueenside = false
-                    break
-                case 'h1': // Weißer Königsturm geschlagen
-                    newRights.whiteKingside = false
-                    break
-                case 'a8': // Schwarzer Damenturm geschlagen
-                    newRights.blackQueenside = false
-                    break
-                case 'h8': // Schwarzer Königsturm geschlagen
-                    newRights.blackKingside = false
-                    break
+            if ((piece === rook && fromSquare === rookSquare) || (capturedPiece === rook && toSquare === rookSquare)) {
+                newRights[right] = false
             }
-        }
+        })
 
         return newRights
     }
@@ -783,10 +341,11 @@ export function useChessLogic() {
     /**
      * returns valid promotion pieces
      * @param {string} playerColor - 'white' or 'black'
+     * @param {object} gameState - variant decides the pieces (e.g. king in antichess)
      * @returns {Array} Array of FEN-symbols ['Q', 'R', 'B', 'N']
      */
-    const getValidPromotionPieces = (playerColor) => {
-        const pieces = ['q', 'r', 'b', 'n']
+    const getValidPromotionPieces = (playerColor, gameState = {}) => {
+        const pieces = getVariantRules(gameState.variant).promotionPieces
         return playerColor === 'white'
             ? pieces.map(p => p.toUpperCase())
             : pieces
@@ -812,36 +371,7 @@ export function useChessLogic() {
         const piece = board[fromIndices.rankIndex][fromIndices.fileIndex]
         if (isEmpty(piece)) return false
 
-        // Grundlegende Zugvalidierung
-        const possibleMoves = generatePossibleMoves(piece, from, board, gameState)
-        const moveExists = possibleMoves.some(move => move.to === to)
-
-        if (!moveExists) return false
-
-        const playerColor = getPieceColor(piece)
-        const tempBoard = cloneBoard(board)
-
-        // Zug auf temporärem Brett ausführen
-        tempBoard[toIndices.rankIndex][toIndices.fileIndex] = piece
-        tempBoard[fromIndices.rankIndex][fromIndices.fileIndex] = null
-
-        // En-Passant Spezialfall
-        const moveDetails = possibleMoves.find(move => move.to === to)
-        if (moveDetails?.type === 'enpassant' && moveDetails.capturedSquare) {
-            const capturedIndices = squareToIndices(moveDetails.capturedSquare)
-            if (capturedIndices) {
-                tempBoard[capturedIndices.rankIndex][capturedIndices.fileIndex] = null
-            }
-        }
-
-        // König finden und Check prüfen
-        const kingSquare = findKing(tempBoard, playerColor)
-        if (!kingSquare) return false
-
-        const enemyColor = playerColor === 'white' ? 'black' : 'white'
-        const wouldBeInCheck = isSquareAttacked(tempBoard, kingSquare, enemyColor, gameState)
-
-        return !wouldBeInCheck
+        return isMoveLegal(board, from, to, getPieceColor(piece), gameState)
     }
 
     /**
@@ -852,114 +382,7 @@ export function useChessLogic() {
      * @returns {Array}
      */
     const getAllLegalMoves = (board, color, gameState = {}) => {
-        const allMoves = []
-
-        for (let rankIndex = 0; rankIndex < 8; rankIndex++) {
-            for (let fileIndex = 0; fileIndex < 8; fileIndex++) {
-                const piece = board[rankIndex][fileIndex]
-
-                if (!isEmpty(piece) && getPieceColor(piece) === color) {
-                    const square = indicesToSquare(fileIndex, rankIndex)
-                    if (square) {
-                        const pieceMoves = generatePossibleMoves(piece, square, board, gameState)
-
-                        // Nur legale Züge hinzufügen
-                        const legalMoves = pieceMoves.filter(move =>
-                            isLegalMove(move.from, move.to, board, gameState)
-                        )
-
-                        allMoves.push(...legalMoves)
-                    }
-                }
-            }
-        }
-
-        return allMoves
-    }
-
-    /**
-     * Mehrdeutigkeit bei gleichen Figuren auflösen
-     * @param {string} piece
-     * @param {string} from
-     * @param {string} to
-     * @param {Array} board
-     * @returns {string} Disambiguierung (leer, File, Rank oder beides)
-     */
-    const getDisambiguation = (piece, from, to, board) => {
-        const pieceType = piece.toLowerCase()
-        const pieceColor = getPieceColor(piece)
-
-        const samePieces = []
-        for (let rankIndex = 0; rankIndex < 8; rankIndex++) {
-            for (let fileIndex = 0; fileIndex < 8; fileIndex++) {
-                const boardPiece = board[rankIndex][fileIndex]
-                if (boardPiece &&
-                    boardPiece.toLowerCase() === pieceType &&
-                    getPieceColor(boardPiece) === pieceColor) {
-
-                    const square = indicesToSquare(fileIndex, rankIndex)
-                    if (square && square !== from) {
-                        samePieces.push({
-                            square,
-                            fileIndex,
-                            rankIndex
-                        })
-                    }
-                }
-            }
-        }
-
-        if (samePieces.length === 0) return ''
-
-        const conflictingPieces = samePieces.filter(pieceData => {
-            return couldPieceReachSquare(piece, pieceData.square, to, board)
-        })
-
-        if (conflictingPieces.length === 0) return ''
-
-        const fromIndices = squareToIndices(from)
-        if (!fromIndices) return ''
-
-        // File-Disambiguierung versuchen
-        const sameFile = conflictingPieces.some(p => p.fileIndex === fromIndices.fileIndex)
-        if (!sameFile) {
-            return from[0] // File (a-h)
-        }
-
-        // Rank-Disambiguierung versuchen
-        const sameRank = conflictingPieces.some(p => p.rankIndex === fromIndices.rankIndex)
-        if (!sameRank) {
-            return from[1] // Rank (1-8)
-        }
-
-        return from
-    }
-
-    /**
-     * Vereinfachte Prüfung ob eine Figur ein Feld erreichen könnte
-     * @param {string} piece
-     * @param {string} from
-     * @param {string} to
-     * @param {Array} board
-     * @returns {boolean}
-     */
-    const couldPieceReachSquare = (piece, from, to, board) => {
-        const pieceType = piece.toLowerCase()
-
-        switch (pieceType) {
-            case 'n': // Springer
-                return isKnightMove(from, to)
-            case 'r': // Turm
-                return isRookMove(from, to) && isPathClear(from, to, board)
-            case 'b': // Läufer
-                return isBishopMove(from, to) && isPathClear(from, to, board)
-            case 'q': // Dame
-                return (isRookMove(from, to) || isBishopMove(from, to)) && isPathClear(from, to, board)
-            case 'k': // König
-                return isKingMove(from, to)
-            default:
-                return false
-        }
+        return generateLegalMoves(board, color, gameState)
     }
 
     // ===== NEUE CHECK/MATE VALIDIERUNG =====
@@ -973,26 +396,10 @@ export function useChessLogic() {
      * @returns {boolean}
      */
     const isSquareAttacked = (board, square, attackingColor, gameState = {}) => {
-        for (let rankIndex = 0; rankIndex < 8; rankIndex++) {
-            for (let fileIndex = 0; fileIndex < 8; fileIndex++) {
-                const piece = board[rankIndex][fileIndex]
-
-                if (isEmpty(piece) || getPieceColor(piece) !== attackingColor) {
-                    continue
-                }
-
-                const fromSquare = indicesToSquare(fileIndex, rankIndex)
-                if (!fromSquare) continue
+        if (!squareToIndices(square)) return false
 
-                const possibleMoves = generatePossibleMoves(piece, fromSquare, board, gameState)
-
-                const canAttackSquare = possibleMoves.some(move => move.to === square)
-                if (canAttackSquare) {
-                    return true
-                }
-            }
-        }
-        return false
+        const position = moveGenerator.createPosition(board, gameState)
+        return moveGenerator.isSquareAttacked(position, moveGenerator.toSquareIndex(square), moveGenerator.toColorIndex(attackingColor))
     }
 
     /**
@@ -1022,11 +429,11 @@ export function useChessLogic() {
      * @returns {boolean}
      */
     const isInCheck = (board, playerColor, gameState = {}) => {
-        const kingSquare = findKing(board, playerColor)
-        if (!kingSquare) return false
+        // Ohne königlichen König (Antichess) gibt es kein Schach
+        if (!getVariantRules(gameState.variant).royalKing) return false
 
-        const enemyColor = playerColor === 'white' ? 'black' : 'white'
-        return isSquareAttacked(board, kingSquare, enemyColor, gameState)
+        const position = createGeneratorPosition(board, playerColor, gameState)
+        return moveGenerator.isInCheck(position)
     }
 
     /**
@@ -1040,19 +447,14 @@ export function useChessLogic() {
      */
     const isMoveLegal = (board, fromSquare, toSquare, playerColor, gameState = {}) => {
         try {
-            const testBoard = cloneBoard(board)
-            const fromIndices = squareToIndices(fromSquare)
-            const toIndices = squareToIndices(toSquare)
-
-            if (!fromIndices || !toIndices) return false
+            if (!squareToIndices(fromSquare) || !squareToIndices(toSquare)) return false
 
-            const piece = testBoard[fromIndices.rankIndex][fromIndices.fileIndex]
-            if (isEmpty(piece)) return false
+            // Rochaden zählen nur mit ihrem gespeicherten Zielfeld (move.to)
+            const from = moveGenerator.toSquareIndex(fromSquare)
+            const to = moveGenerator.toSquareIndex(toSquare)
+            const position = createGeneratorPosition(board, playerColor, gameState)
 
-            testBoard[toIndices.rankIndex][toIndices.fileIndex] = piece
-            testBoard[fromIndices.rankIndex][fromIndices.fileIndex] = null
-
-            return !isInCheck(testBoard, playerColor, gameState)
+            return moveGenerator.generateLegalMoves(position).some(move => move.from === from && move.to === to)
 
         } catch (error) {
             console.error('Fehler bei der Zug-Legalitätsprüfung:', error)
@@ -1092,115 +494,173 @@ export function useChessLogic() {
         return legalMoves.length === 0
     }
 
-    // Helper-Funktionen für Zug-Validierung
-    const isKnightMove = (from, to) => {
-        const fromIndices = squareToIndices(from)
-        const toIndices = squareToIndices(to)
-        if (!fromIndices || !toIndices) return false
-
-        const fileDistance = Math.abs(toIndices.fileIndex - fromIndices.fileIndex)
-        const rankDistance = Math.abs(toIndices.rankIndex - fromIndices.rankIndex)
-
-        return (fileDistance === 2 && rankDistance === 1) || (fileDistance === 1 && rankDistance === 2)
+    /**
+     * Siegbedingung der Variante nach einem Zug prüfen
+     * (drittes Schach, König im Zentrum, keine Figuren mehr ...)
+     * @param {Array} board - 2D Brett-Array
+     * @param {string} playerColor - Seite am Zug
+     * @param {object} gameState - Spielzustand inkl. variant und checkCounts
+     * @returns {string|null} GAME_STATUS oder null, wenn die Partie weiterläuft
+     */
+    const checkVariantGameEnd = (board, playerColor, gameState = {}) => {
+        const { checkGameEnd } = getVariantRules(gameState.variant)
+        if (!checkGameEnd) return null
+
+        return checkGameEnd({
+            board,
+            sideToMove: playerColor,
+            checkCounts: gameState.checkCounts,
+            getLegalMoves: () => generateLegalMoves(board, playerColor, gameState)
+        })
     }
 
-    const isRookMove = (from, to) => {
-        const fromIndices = squareToIndices(from)
-        const toIndices = squareToIndices(to)
-        if (!fromIndices || !toIndices) return false
+    /**
+     * Felder der Figuren, die ein Feld angreifen (z.B. die schachgebenden Figuren)
+     * @param {string} targetSquare - Angegriffenes Feld
+     * @param {string} attackingPlayer - 'white' oder 'black'
+     * @param {Array} board - 2D Brett-Array
+     * @param {object} gameState - Spielzustand
+     * @returns {string[]} Felder der Angreifer
+     */
+    const getAttackingPieces = (targetSquare, attackingPlayer, board, gameState = {}) => {
+        if (!squareToIndices(targetSquare)) return []
 
-        return fromIndices.fileIndex === toIndices.fileIndex || fromIndices.rankIndex === toIndices.rankIndex
+        const position = moveGenerator.createPosition(board, gameState)
+        return moveGenerator.getAttackers(position, moveGenerator.toSquareIndex(targetSquare), moveGenerator.toColorIndex(attackingPlayer))
+            .map(moveGenerator.toSquareName)
     }
 
-    const isBishopMove = (from, to) => {
-        const fromIndices = squareToIndices(from)
-        const toIndices = squareToIndices(to)
-        if (!fromIndices || !toIndices) return false
+    /**
+     * Berechnet sowohl Halfmove Clock als auch Fullmove Number
+     * @param {string} piece - Bewegte Figur
+     * @param {string|null} capturedPiece - Geschlagene Figur (null wenn keine)
+     * @param {number} currentHalfmoveClock - Aktueller Halfmove Clock
+     * @param {number} currentFullmoveNumber - Aktuelle Vollzug-Nummer
+     * @param {string} currentPlayer - Aktueller Spieler ('white' oder 'black')
+     * @returns {object} { halfmoveClock, fullmoveNumber }
+     */
+    const calculateMoveCounters = (piece, capturedPiece, currentHalfmoveClock, currentFullmoveNumber, currentPlayer) => {
+        const halfmoveClock = (piece.toLowerCase() === 'p' || capturedPiece) ? 0 : currentHalfmoveClock + 1
 
-        const fileDistance = Math.abs(toIndices.fileIndex - fromIndices.fileIndex)
-        const rankDistance = Math.abs(toIndices.rankIndex - fromIndices.rankIndex)
+        const fullmoveNumber = currentPlayer === 'black' ? currentFullmoveNumber + 1 : currentFullmoveNumber
 
-        return fileDistance === rankDistance
+        return { halfmoveClock, fullmoveNumber }
     }
 
-    const isKingMove = (from, to) => {
-        const fromIndices = squareToIndices(from)
-        const toIndices = squareToIndices(to)
-        if (!fromIndices || !toIndices) return false
+    /**
+     * Prüft ob die 50-Züge-Regel erfüllt ist
+     * @param {number} halfmoveClock - Aktueller Halfmove Clock
+     * @returns {boolean} True wenn 50-Züge-Regel erfüllt ist
+     */
+    const checkFiftyMoveRule = (halfmoveClock) => {
+        return halfmoveClock >= FIFTY_MOVE_RULE.MAX_HALFMOVES
+    }
 
-        const fileDistance = Math.abs(toIndices.fileIndex - fromIndices.fileIndex)
-        const rankDistance = Math.abs(toIndices.rankIndex - fromIndices.rankIndex)
+    /**
+     * Prüft ob die 75-Züge-Regel greift (automatisches Remis)
+     * @param {number} halfmoveClock - Aktueller Halfmove Clock
+     * @returns {boolean}
+     */
+    const checkSeventyFiveMoveRule = (halfmoveClock) => {
+        return halfmoveClock >= FIFTY_MOVE_RULE.AUTOMATIC_HALFMOVES
+    }
 
-        return fileDistance <= 1 && rankDistance <= 1
+    /**
+     * Prüft ob die aktuelle Stellung zum dritten Mal aufgetreten ist (reklamierbar)
+     * @param {string} positionKey - Key der aktuellen Stellung
+     * @param {Array} positionHistory - Array von Position-Keys (inkl. aktueller Stellung)
+     * @returns {boolean}
+     */
+    const canClaimThreefoldRepetition = (positionKey, positionHistory) => {
+        return getPositionRepetitionCount(positionKey, positionHistory) >= THREEFOLD_REPETITION.REPETITION_LIMIT
     }
 
-    const isPathClear = (from, to, board) => {
-        // Simplified implementation
-        const squares = getSquaresBetween(from, to)
-        return squares.every(square => {
-            const indices = squareToIndices(square)
-            return indices && isEmpty(board[indices.rankIndex][indices.fileIndex])
-        })
+    /**
+     * Prüft ob die aktuelle Stellung zum fünften Mal aufgetreten ist (automatisches Remis)
+     * @param {string} positionKey - Key der aktuellen Stellung
+     * @param {Array} positionHistory - Array von Position-Keys (inkl. aktueller Stellung)
+     * @returns {boolean}
+     */
+    const checkFivefoldRepetition = (positionKey, positionHistory) => {
+        return getPositionRepetitionCount(positionKey, positionHistory) >= THREEFOLD_REPETITION.FIVEFOLD_THRESHOLD
     }
 
-    const getAttackingPieces = (targetSquare, attackingPlayer, board, gameState = {}, context = {}) => {
-        const attackingPieces = []
+    /**
+     * Material einer Seite sammeln (ohne König)
+     * @param {Array} board - 2D Brett-Array
+     * @param {string} color - 'white' oder 'black'
+     * @returns {object} { pieces: ['n', 'b', ...], bishopSquareColors: Set(0|1) }
+     */
+    const collectMaterial = (board, color) => {
+        const pieces = []
+        const bishopSquareColors = new Set()
 
         for (let rankIndex = 0; rankIndex < 8; rankIndex++) {
             for (let fileIndex = 0; fileIndex < 8; fileIndex++) {
-                const piece = board[rankIndex][fileIndex]
-
-                if (isEmpty(piece) || getPieceColor(piece) !== attackingPlayer) continue
+                const piece = board[rankIndex]?.[fileIndex]
+                if (isEmpty(piece) || getPieceColor(piece) !== color) continue
 
-                const fromSquare = indicesToSquare(fileIndex, rankIndex)
-                if (!fromSquare) continue
+                const pieceType = piece.toLowerCase()
+                if (pieceType === 'k') continue
 
-                const possibleMoves = generatePossibleMoves(piece, fromSquare, board, gameState, context)
-
-                if (possibleMoves.some(move => move.to === targetSquare)) {
-                    attackingPieces.push(fromSquare)
+                pieces.push(pieceType)
+                if (pieceType === 'b') {
+                    bishopSquareColors.add((fileIndex + rankIndex) % 2)
                 }
             }
         }
 
-        return attackingPieces
-    }
-
-    const getCastlingRookMove = (kingFrom, kingTo) => {
-        const castlingMoves = {
-            'e1-g1': { from: 'h1', to: 'f1' }, // O-O
-            'e1-c1': { from: 'a1', to: 'd1' }, // O-O-O
-            'e8-g8': { from: 'h8', to: 'f8' }, // O-O
-            'e8-c8': { from: 'a8', to: 'd8' }  // O-O-O
-        }
-
-        return castlingMoves[`${kingFrom}-${kingTo}`] || null
+        return { pieces, bishopSquareColors }
     }
 
     /**
-     * Berechnet sowohl Halfmove Clock als auch Fullmove Number
-     * @param {string} piece - Bewegte Figur
-     * @param {string|null} capturedPiece - Geschlagene Figur (null wenn keine)
-     * @param {number} currentHalfmoveClock - Aktueller Halfmove Clock
-     * @param {number} currentFullmoveNumber - Aktuelle Vollzug-Nummer
-     * @param {string} currentPlayer - Aktueller Spieler ('white' oder 'black')
-     * @returns {object} { halfmoveClock, fullmoveNumber }
+     * Prüft ob eine Seite den Gegner durch keine Zugfolge mattsetzen kann
+     * (FIDE 6.9: Zeitüberschreitung gegen eine solche Seite ist Remis)
+     * @param {Array} board - 2D Brett-Array
+     * @param {string} color - Seite, deren Mattmaterial geprüft wird
+     * @param {object} gameState - Varianten bringen eigene Regeln mit
+     * @returns {boolean} True wenn kein Mattmaterial vorhanden ist
      */
-    const calculateMoveCounters = (piece, capturedPiece, currentHalfmoveClock, currentFullmoveNumber, currentPlayer) => {
-        const halfmoveClock = (piece.toLowerCase() === 'p' || capturedPiece) ? 0 : currentHalfmoveClock + 1
+    const hasInsufficientMatingMaterial = (board, color, gameState = {}) => {
+        const { hasInsufficientMaterial } = getVariantRules(gameState.variant)
+        if (hasInsufficientMaterial) return hasInsufficientMaterial(board, color)
 
-        const fullmoveNumber = currentPlayer === 'black' ? currentFullmoveNumber + 1 : currentFullmoveNumber
+        const opponentColor = color === PLAYER_COLORS.WHITE ? PLAYER_COLORS.BLACK : PLAYER_COLORS.WHITE
+        const own = collectMaterial(board, color)
+        const opponent = collectMaterial(board, opponentColor)
 
-        return { halfmoveClock, fullmoveNumber }
+        // Nur König
+        if (own.pieces.length === 0) return true
+
+        // Bauern, Türme oder Damen reichen immer
+        if (own.pieces.some(type => ['p', 'r', 'q'].includes(type))) return false
+
+        // Einzelner Springer: Matt nur möglich, wenn der Gegner eigene Steine als Blocker hat
+        if (own.pieces.length === 1 && own.pieces[0] === 'n') {
+            return opponent.pieces.length === 0
+        }
+
+        // Nur Läufer auf einer Feldfarbe: Matt nur mit gegnerischen Blockern,
+        // die nicht ebenfalls Läufer derselben Feldfarbe sind
+        if (own.pieces.every(type => type === 'b') && own.bishopSquareColors.size === 1) {
+            const [squareColor] = own.bishopSquareColors
+            return opponent.pieces.every(type => type === 'b') &&
+                [...opponent.bishopSquareColors].every(bishopColor => bishopColor === squareColor)
+        }
+
+        return false
     }
 
     /**
-     * Prüft ob die 50-Züge-Regel erfüllt ist
-     * @param {number} halfmoveClock - Aktueller Halfmove Clock
-     * @returns {boolean} True wenn 50-Züge-Regel erfüllt ist
+     * Tote Stellung durch ungenügendes Material
+     * (K gegen K, K+Leichtfigur gegen K, K+L gegen K+L mit gleichfarbigen Läufern)
+     * @param {Array} board - 2D Brett-Array
+     * @param {object} gameState - Spielzustand (Variante)
+     * @returns {boolean} True wenn keine Seite mehr mattsetzen kann
      */
-    const checkFiftyMoveRule = (halfmoveClock) => {
-        return halfmoveClock >= FIFTY_MOVE_RULE.MAX_HALFMOVES
+    const isInsufficientMaterial = (board, gameState = {}) => {
+        return hasInsufficientMatingMaterial(board, PLAYER_COLORS.WHITE, gameState) &&
+            hasInsufficientMatingMaterial(board, PLAYER_COLORS.BLACK, gameState)
     }
 
     /**
@@ -1288,10 +748,10 @@ export function useChessLogic() {
     }
 
     /**
-     * FEN-Position für Wiederholungs-Tracking erstellen
-     * Nur Brett + aktiver Spieler + Rochade + En-Passant (ohne Halbzug-Zähler)
+     * Zobrist-Schlüssel für Wiederholungs-Tracking erstellen
+     * Brett, aktiver Spieler, Rochade, schlagbares En-passant-Feld und Taschen (ohne Zugzähler)
      * @param {string} fullFen - Vollständiger FEN-String
-     * @returns {string} - Reduzierter FEN für Position-Tracking
+     * @returns {string|null} - 16 Hex-Zeichen
      */
     const createPositionKey = (fullFen) => {
         if (!fullFen || typeof fullFen !== 'string') {
@@ -1299,33 +759,213 @@ export function useChessLogic() {
         }
 
         try {
-            const fenParts = fullFen.split(' ')
-            if (fenParts.length < 4) {
+            const parsed = parseFen(fullFen)
+            if (!parsed) {
                 console.warn('Ungültiger FEN für Position-Key:', fullFen)
                 return null
             }
 
-            // Brett + Spieler + Rochade + En-Passant (ohne Halbzug-Counter und Vollzug-Nummer)
-            const positionKey = fenParts.slice(0, 4).join(' ')
+            const position = moveGenerator.createPosition(parsed.position, {
+                currentPlayer: parsed.activeColor,
+                castlingRights: parsed.castlingRights,
+                enPassantSquare: parsed.enPassantSquare,
+                pockets: parsed.pockets,
+                promotedSquares: parsed.promotedSquares
+            })
 
-            return positionKey
+            return moveGenerator.getPositionKey(position)
         } catch (error) {
             console.error('Fehler beim Erstellen des Position-Keys:', error)
             return null
         }
     }
 
+    /**
+     * Zobrist-Schlüssel der Stellung nach einem Zug, inkrementell über makeMove statt über eine neue FEN
+     * @param {Array} board - 2D Brett-Array
+     * @param {object} gameState - Spielzustand mit currentPlayer
+     * @param {object} move - Legaler Zug aus generateLegalMoves
+     * @param {string|null} promotionPiece - Umwandlungsfigur in FEN-Notation
+     * @returns {string|null}
+     */
+    const createPositionKeyAfterMove = (board, gameState, move, promotionPiece = null) => {
+        const position = moveGenerator.createPosition(board, gameState)
+        const from = move.from ? moveGenerator.toSquareIndex(move.from) : -1
+        const to = moveGenerator.toSquareIndex(move.to)
+
+        const generatorMove = moveGenerator.generateLegalMoves(position).find(candidate =>
+            candidate.from === from && candidate.to === to && moveGenerator.toPieceSymbol(candidate.piece) === move.piece
+        )
+        if (!generatorMove) return null
+
+        const promotionCode = promotionPiece
+            ? moveGenerator.getPromotionCodes(position).find(code => moveGenerator.toPieceSymbol(code) === promotionPiece) ?? 0
+            : 0
+
+        moveGenerator.makeMove(position, generatorMove, promotionCode)
+        return moveGenerator.getPositionKey(position)
+    }
+
+    // ===== PERFT =====
+
+    /**
+     * Blattknoten des Zugbaums bis zur Tiefe zählen (Make/Unmake auf der 0x88-Stellung)
+     * @param {object} position - 0x88-Stellung, wird unverändert zurückgegeben
+     * @param {number} depth
+     * @returns {number}
+     */
+    const countPerftNodes = (position, depth) => {
+        if (depth === 0) return 1
+
+        const { filterMoves } = position.rules
+        const legalMoves = moveGenerator.generateLegalMoves(position)
+        const moves = filterMoves ? filterMoves(legalMoves, legalMoves) : legalMoves
+        const promotionCodes = moveGenerator.getPromotionCodes(position)
+
+        // Letzte Ebene: Züge zählen statt ausführen, Umwandlungen zählen je Figur
+        if (depth === 1) {
+            return moves.reduce((nodes, move) => nodes + (move.promotion ? promotionCodes.length : 1), 0)
+        }
+
+        let nodes = 0
+        for (const move of moves) {
+            for (const promotionPiece of move.promotion ? promotionCodes : [0]) {
+                const undo = moveGenerator.makeMove(position, move, promotionPiece)
+                nodes += countPerftNodes(position, depth - 1)
+                moveGenerator.unmakeMove(position, move, undo)
+            }
+        }
+
+        return nodes
+    }
+
+    /**
+     * Stellung aus einer FEN für Zuggenerierung und Suche aufbauen (Perft, UCI, eingebaute Engine)
+     * @param {string} fen
+     * @param {string} variant - GAME_VARIANTS-Wert
+     * @returns {object|null} 0x88-Stellung oder null bei ungültiger FEN
+     */
+    const createPositionFromFen = (fen, variant) => {
+        const parsed = parseFen(fen)
+        if (!parsed) return null
+
+        return moveGenerator.createPosition(parsed.position, {
+            currentPlayer: parsed.activeColor,
+            castlingRights: parsed.castlingRights,
+            enPassantSquare: parsed.enPassantSquare,
+            variant,
+            pockets: parsed.pockets,
+            promotedSquares: parsed.promotedSquares,
+            halfmoveClock: parsed.halfmoveClock
+        })
+    }
+
+    /**
+     * Perft: Anzahl der Stellungen nach depth Halbzügen
+     * Prüft die Zuggenerierung gegen bekannte Knotenzahlen (Partieende der Varianten bleibt unberücksichtigt).
+     * @param {string} fen - Ausgangsstellung
+     * @param {number} depth - Tiefe in Halbzügen
+     * @param {object} options - { variant }
+     * @returns {number|null} Knotenzahl oder null bei ungültiger FEN
+     */
+    const perft = (fen, depth, options = {}) => {
+        const position = createPositionFromFen(fen, options.variant)
+        if (!position) return null
+
+        return countPerftNodes(position, depth)
+    }
+
+    /**
+     * Divide: Perft je Zug der Ausgangsstellung, zum Eingrenzen falscher Knotenzahlen
+     * Züge in UCI-Notation (Rochade in Chess960 als König auf Turm, Einsetzen als "N@f3").
+     * @param {string} fen - Ausgangsstellung
+     * @param {number} depth - Tiefe in Halbzügen (mindestens 1)
+     * @param {object} options - { variant }
+     * @returns {object|null} { moves: [{ move, nodes }], nodes } oder null bei ungültiger FEN
+     */
+    const divide = (fen, depth, options = {}) => {
+        const position = createPositionFromFen(fen, options.variant)
+        if (!position || depth < 1) return null
+
+        const { filterMoves } = position.rules
+        const legalMoves = moveGenerator.generateLegalMoves(position)
+        const moves = []
+
+        for (const move of filterMoves ? filterMoves(legalMoves, legalMoves) : legalMoves) {
+            const { from, to, piece } = toBoardMove(move)
+            const uci = move.type === 'drop' ? `${piece.toUpperCase()}@${to}` : `${from}${to}`
+
+            for (const promotionPiece of move.promotion ? moveGenerator.getPromotionCodes(position) : [0]) {
+                const undo = moveGenerator.makeMove(position, move, promotionPiece)
+                const suffix = promotionPiece ? moveGenerator.toPieceSymbol(promotionPiece).toLowerCase() : ''
+                moves.push({ move: `${uci}${suffix}`, nodes: countPerftNodes(position, depth - 1) })
+                moveGenerator.unmakeMove(position, move, undo)
+            }
+        }
+
+        moves.sort((a, b) => a.move.localeCompare(b.move))
+        return { moves, nodes: moves.reduce((sum, entry) => sum + entry.nodes, 0) }
+    }
+
+    // ===== UCI =====
+
+    /**
+     * UCI-Zugfolge (z.B. eine Hauptvariante der Engine) ab einer Stellung in SAN übersetzen
+     * Rochaden als Königsziel oder – in Chess960 – als König auf Turm. Bricht beim ersten unerlaubten Zug ab.
+     * @param {string} fen - Ausgangsstellung
+     * @param {string[]} uciMoves - z.B. ['e2e4', 'e7e5', 'g1f3']
+     * @param {object} options - { variant }
+     * @returns {Array} [{ uci, san, from, to, promotion }], promotion in FEN-Notation oder null
+     */
+    const convertUciLine = (fen, uciMoves, options = {}) => {
+        const position = createPositionFromFen(fen, options.variant)
+        if (!position) return []
+
+        const line = []
+
+        for (const uci of uciMoves) {
+            const match = /^([a-h][1-8])([a-h][1-8])([qrbnk])?$/.exec(uci)
+            if (!match) break
+
+            const from = moveGenerator.toSquareIndex(match[1])
+            const to = moveGenerator.toSquareIndex(match[2])
+            const legalMoves = moveGenerator.generateLegalMoves(position)
+            const move = legalMoves.find(candidate =>
+                candidate.from === from && (candidate.to === to || candidate.kingTo === to)
+            )
+            if (!move) break
+
+            const promotionCode = move.promotion
+                ? moveGenerator.getPromotionCodes(position).find(code => moveGenerator.toPieceSymbol(code).toLowerCase() === match[3]) ?? 0
+                : 0
+            if (move.promotion && !promotionCode) break
+
+            const boardMove = toBoardMove(move)
+            const promotion = promotionCode ? moveGenerator.toPieceSymbol(promotionCode) : null
+
+            moveGenerator.makeMove(position, move, promotionCode)
+            const isCheck = moveGenerator.isInCheck(position)
+            const isCheckmate = isCheck && moveGenerator.generateLegalMoves(position).length === 0
+
+            // Die 0x88-Felder ersetzen das 2D-Brett, SAN braucht für die Mehrdeutigkeit nur die legalen Züge
+            const san = generateSAN(
+                { ...boardMove, promotion, isCheck, isCheckmate, moveType: boardMove.type },
+                position.squares,
+                legalMoves.map(toBoardMove)
+            )
+
+            line.push({ uci, san, from: boardMove.from, to: boardMove.to, promotion })
+        }
+
+        return line
+    }
+
     // ===== PUBLIC API =====
     return {
         // Move Generation
-        generatePossibleMoves,
+        generateLegalMoves,
         generateLegalMovesForSquare,
-        generatePawnMoves,
-        generateRookMoves,
-        generateKnightMoves,
-        generateBishopMoves,
-        generateQueenMoves,
-        generateKingMoves,
+        updatePocketState,
 
         // Validation
         isLegalMove,
@@ -1336,25 +976,40 @@ export function useChessLogic() {
         isMoveLegal,
         isCheckmate,
         isStalemate,
+        checkVariantGameEnd,
 
         // Utilities
         isValidPosition,
         isPromotionRank,
-        isCastlingPathClear,
 
         requiresPromotion,
         getValidPromotionPieces,
         calculateMoveCounters,
         checkFiftyMoveRule,
+        checkSeventyFiveMoveRule,
         shouldWarnAboutFiftyMoveRule,
+        canClaimThreefoldRepetition,
+        checkFivefoldRepetition,
+        hasInsufficientMatingMaterial,
+        isInsufficientMaterial,
         checkThreefoldRepetition,
         getPositionRepetitionCount,
         shouldWarnThreefoldRepetition,
         createPositionKey,
+        createPositionKeyAfterMove,
 
         getAttackingPieces,
-        getCastlingRookMove,
+        applyCastlingMove,
+        resolveCastlingTarget,
         updateCastlingRights,
         hasPieceOnSquare,
+
+        // Perft
+        perft,
+        divide,
+
+        // UCI
+        convertUciLine,
+        createPositionFromFen,
     }
 }
@@ -102,7 +102,7 @@ export function useDragAndDrop() {
     const startDrag = (event, square, piece, element) => {
         // Validierung
         if (!square || !piece || !element) return false
-        if (!gameStore.isGameActive) return false
+        if (!gameStore.canPlayMove) return false
 
         // Event-Koordinaten extrahieren
         const coords = getEventCoordinates(event)
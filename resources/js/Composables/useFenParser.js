@@ -4,8 +4,15 @@
  */
 
 import { ref, computed } from 'vue'
-import { INITIAL_FEN, PLAYER_COLORS, isEmpty } from '@/Utils/chessConstants.js'
-import { cloneBoard } from '@/Utils/chessUtils.js'
+import { INITIAL_FEN, PLAYER_COLORS, FILES, RANKS, CASTLING_RIGHTS, isEmpty, isWhitePiece } from '@/Utils/chessConstants.js'
+import {
+    cloneBoard,
+    squareToIndices,
+    indicesToSquare,
+    getCastlingRookFile,
+    findCastlingRookFile,
+    sortPocket
+} from '@/Utils/chessUtils.js'
 
 export function useFenParser() {
     // Reactive state
@@ -49,13 +56,19 @@ export function useFenParser() {
                 throw new Error('Ungültiger Vollzug-Zähler')
             }
 
+            const { placement, pocket } = splitPocket(position)
+            const promotedSquares = []
+            const board = parsePosition(placement, promotedSquares)
+
             return {
-                position: parsePosition(position),
+                position: board,
                 activeColor: activeColor === 'w' ? PLAYER_COLORS.WHITE : PLAYER_COLORS.BLACK,
-                castlingRights: parseCastlingRights(castling),
+                castlingRights: parseCastlingRights(castling, board),
                 enPassantSquare: enPassant === '-' ? null : enPassant,
                 halfmoveClock: halfmoveInt,
                 fullmoveNumber: fullmoveInt,
+                pockets: pocket === null ? null : parsePocket(pocket),
+                promotedSquares,
                 originalFen: fenString
             }
         } catch (error) {
@@ -65,12 +78,50 @@ export function useFenParser() {
         }
     }
 
+    /**
+     * Taschen einer Crazyhouse-FEN vom Brett trennen
+     * Akzeptiert "…/RNBQKBNR[Qn]" und die Schreibweise als neunte Reihe "…/RNBQKBNR/Qn".
+     * @param {string} position - Erster Teil des FEN
+     * @returns {object} { placement, pocket } - pocket ist null ohne Taschen-Notation
+     */
+    const splitPocket = (position) => {
+        const bracketMatch = /^(.*)\[([^\]]*)\]$/.exec(position)
+        if (bracketMatch) {
+            return { placement: bracketMatch[1], pocket: bracketMatch[2] }
+        }
+
+        const ranks = position.split('/')
+        if (ranks.length === 9) {
+            return { placement: ranks.slice(0, 8).join('/'), pocket: ranks[8] }
+        }
+
+        return { placement: position, pocket: null }
+    }
+
+    /**
+     * Parst die Taschen (Großbuchstaben gehören Weiß, Kleinbuchstaben Schwarz)
+     * @param {string} pocketString - z.B. "QNpp"
+     * @returns {object} { white: ['Q', 'N'], black: ['p', 'p'] }
+     */
+    const parsePocket = (pocketString) => {
+        if (!/^[QRBNPqrbnp]*$/.test(pocketString)) {
+            throw new Error(`Ungültige Figur in der Tasche: ${pocketString}`)
+        }
+
+        const pieces = [...pocketString]
+        return {
+            [PLAYER_COLORS.WHITE]: sortPocket(pieces.filter(piece => isWhitePiece(piece))),
+            [PLAYER_COLORS.BLACK]: sortPocket(pieces.filter(piece => !isWhitePiece(piece)))
+        }
+    }
+
     /**
      * Parst die Brett-Position aus dem FEN-String
      * @param {string} positionString - Erster Teil des FEN (z.B. "rnbqkbnr/pppppppp/...")
+     * @param {string[]|null} promotedSquares - sammelt Felder umgewandelter Figuren ("Q~" in Crazyhouse)
      * @returns {Array} 2D Array des Bretts [rank][file]
      */
-    const parsePosition = (positionString) => {
+    const parsePosition = (positionString, promotedSquares = null) => {
         const ranks = positionString.split('/')
 
         if (ranks.length !== 8) {
@@ -95,6 +146,9 @@ export function useFenParser() {
                 } else if (/[rnbqkpRNBQKP]/.test(char)) {
                     // Gültige Figur
                     row.push(char)
+                } else if (char === '~' && /[rnbqRNBQ]/.test(rank[i - 1] ?? '')) {
+                    // Umgewandelte Figur (wird beim Schlagen wieder zum Bauern)
+                    promotedSquares?.push(indicesToSquare(row.length - 1, rankIndex))
                 } else {
                     throw new Error(`Ungültiges Zeichen in FEN: ${char}`)
                 }
@@ -116,30 +170,276 @@ export function useFenParser() {
     }
 
     /**
-     * Parst Rochade-Rechte
-     * @param {string} castlingString - z.B. "KQkq" oder "-"
-     * @returns {object} Castling rights object
+     * Parst Rochade-Rechte (KQkq, X-FEN und Shredder-FEN)
+     * KQkq stehen für den äußersten Turm auf der jeweiligen Seite des Königs,
+     * Linienbuchstaben (z.B. "HAha") benennen den Rochadeturm direkt.
+     * @param {string} castlingString - z.B. "KQkq", "HAha", "Bk" oder "-"
+     * @param {Array|null} board - Geparstes Brett zum Auflösen der Turmlinien
+     * @returns {object} Castling rights object inkl. rookFiles
      */
-    const parseCastlingRights = (castlingString) => {
+    const parseCastlingRights = (castlingString, board = null) => {
+        const rights = {
+            whiteKingside: false,
+            whiteQueenside: false,
+            blackKingside: false,
+            blackQueenside: false,
+            rookFiles: Object.fromEntries(
+                Object.entries(CASTLING_RIGHTS).map(([right, { rookFile }]) => [right, rookFile])
+            )
+        }
+
         if (castlingString === '-') {
-            return {
-                whiteKingside: false,
-                whiteQueenside: false,
-                blackKingside: false,
-                blackQueenside: false
-            }
+            return rights
         }
 
-        if (!/^[KQkq]*$/.test(castlingString)) {
+        if (!/^[KQkqA-Ha-h]+$/.test(castlingString)) {
             throw new Error(`Ungültige Rochade-Zeichen: ${castlingString}`)
         }
 
-        return {
-            whiteKingside: castlingString.includes('K'),
-            whiteQueenside: castlingString.includes('Q'),
-            blackKingside: castlingString.includes('k'),
-            blackQueenside: castlingString.includes('q')
+        for (const symbol of castlingString) {
+            const color = symbol === symbol.toUpperCase() ? PLAYER_COLORS.WHITE : PLAYER_COLORS.BLACK
+            const letter = symbol.toLowerCase()
+            let side = null
+            let rookFile = null
+
+            if (letter === 'k' || letter === 'q') {
+                side = letter === 'k' ? 'kingside' : 'queenside'
+            } else {
+                // Shredder-FEN: Seite ergibt sich aus der Lage zum König
+                const kingFile = board?.[color === PLAYER_COLORS.WHITE ? 7 : 0]
+                    .findIndex(piece => piece === (color === PLAYER_COLORS.WHITE ? 'K' : 'k'))
+                const kingFileIndex = kingFile === undefined || kingFile === -1 ? FILES.indexOf('e') : kingFile
+
+                side = FILES.indexOf(letter) > kingFileIndex ? 'kingside' : 'queenside'
+                rookFile = letter
+            }
+
+            const right = Object.keys(CASTLING_RIGHTS)
+                .find(key => CASTLING_RIGHTS[key].color === color && CASTLING_RIGHTS[key].side === side)
+
+            rights[right] = true
+            rights.rookFiles[right] = rookFile || (board && findCastlingRookFile(board, right)) || CASTLING_RIGHTS[right].rookFile
         }
+
+        return rights
+    }
+
+    /**
+     * Figur auf einem Feld des geparsten Bretts
+     * @param {Array} board
+     * @param {string} square
+     * @returns {string|null}
+     */
+    const pieceAt = (board, square) => {
+        const indices = squareToIndices(square)
+        if (!indices) return null
+
+        const piece = board[indices.rankIndex][indices.fileIndex]
+        return isEmpty(piece) ? null : piece
+    }
+
+    /**
+     * Felder der Figuren einer Farbe, die ein Feld angreifen (ohne König)
+     * Bewusst unabhängig von useChessLogic, damit ungültige Stellungen die Zuggenerierung nie erreichen.
+     * @param {Array} board
+     * @param {string} square
+     * @param {string} attackingColor
+     * @returns {string[]}
+     */
+    const getAttackers = (board, square, attackingColor) => {
+        const { fileIndex, rankIndex } = squareToIndices(square)
+        const isWhite = attackingColor === PLAYER_COLORS.WHITE
+        const own = (piece) => isWhite ? piece : piece.toLowerCase()
+        const attackers = []
+
+        const check = (fileOffset, rankOffset, pieces, sliding) => {
+            let file = fileIndex + fileOffset
+            let rank = rankIndex + rankOffset
+
+            while (file >= 0 && file < 8 && rank >= 0 && rank < 8) {
+                const piece = board[rank][file]
+                if (!isEmpty(piece)) {
+                    if (pieces.map(own).includes(piece)) {
+                        attackers.push(indicesToSquare(file, rank))
+                    }
+                    return
+                }
+                if (!sliding) return
+
+                file += fileOffset
+                rank += rankOffset
+            }
+        }
+
+        // Angreifende weiße Bauern stehen eine Reihe tiefer (größerer Rang-Index), schwarze eine höher
+        const pawnRankOffset = isWhite ? 1 : -1
+        check(-1, pawnRankOffset, ['P'], false)
+        check(1, pawnRankOffset, ['P'], false)
+
+        const knightJumps = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]]
+        knightJumps.forEach(([fileOffset, rankOffset]) => check(fileOffset, rankOffset, ['N'], false))
+
+        const diagonals = [[1, 1], [1, -1], [-1, 1], [-1, -1]]
+        diagonals.forEach(([fileOffset, rankOffset]) => check(fileOffset, rankOffset, ['B', 'Q'], true))
+
+        const lines = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+        lines.forEach(([fileOffset, rankOffset]) => check(fileOffset, rankOffset, ['R', 'Q'], true))
+
+        return attackers
+    }
+
+    /**
+     * Prüft, ob eine Stellung in einer Partie vorkommen kann
+     * parseFen prüft nur die Syntax; hier werden alle inhaltlichen Fehler gesammelt.
+     * @param {string} fenString - FEN-Notation
+     * @param {object} options - { royalKing: false } für Varianten ohne Königspflicht (Antichess),
+     *                            { pieceDrops: true } für Stellungen mit Taschen (Crazyhouse)
+     * @returns {object} { valid, errors }
+     */
+    const validatePosition = (fenString, options = {}) => {
+        const { royalKing = true, pieceDrops = false } = options
+
+        const parsed = parseFen(fenString)
+        if (!parsed) {
+            return { valid: false, errors: [parseError.value || 'Ungültige FEN'] }
+        }
+
+        const { position: board, activeColor, castlingRights: rights, enPassantSquare, pockets } = parsed
+        const errors = []
+        const colors = [
+            { color: PLAYER_COLORS.WHITE, name: 'Weiß', toPiece: (piece) => piece.toUpperCase() },
+            { color: PLAYER_COLORS.BLACK, name: 'Schwarz', toPiece: (piece) => piece.toLowerCase() }
+        ]
+
+        const pieces = board.flat()
+        const countPieces = (piece) => pieces.filter(value => value === piece).length
+        const kingSquares = {}
+
+        // Könige und Material
+        colors.forEach(({ color, name, toPiece }) => {
+            const kings = countPieces(toPiece('k'))
+            if (royalKing && kings === 0) {
+                errors.push(`${name} hat keinen König`)
+            } else if (royalKing && kings > 1) {
+                errors.push(`${name} hat ${kings} Könige`)
+            } else if (kings === 1) {
+                kingSquares[color] = FILES.flatMap(file => RANKS.map(rank => `${file}${rank}`))
+                    .find(square => pieceAt(board, square) === toPiece('k'))
+            }
+
+            // Mit Taschen wechseln geschlagene Figuren die Farbe, geprüft wird unten die Gesamtzahl
+            if (pockets) return
+
+            const pawns = countPieces(toPiece('p'))
+            const total = pieces.filter(piece => !isEmpty(piece) && toPiece(piece) === piece).length
+            const promoted = Math.max(0, countPieces(toPiece('q')) - 1) +
+                Math.max(0, countPieces(toPiece('r')) - 2) +
+                Math.max(0, countPieces(toPiece('b')) - 2) +
+                Math.max(0, countPieces(toPiece('n')) - 2) +
+                (royalKing ? 0 : Math.max(0, kings - 1)) // Antichess: Umwandlung in einen König
+
+            if (pawns > 8) {
+                errors.push(`${name} hat ${pawns} Bauern (höchstens 8)`)
+            }
+            if (total > 16) {
+                errors.push(`${name} hat ${total} Figuren (höchstens 16)`)
+            }
+            if (pawns <= 8 && pawns + promoted > 8) {
+                errors.push(`${name} hat mehr umgewandelte Figuren als fehlende Bauern`)
+            }
+        })
+
+        // Taschen: Brett und Taschen zusammen enthalten höchstens die Figuren der Grundstellung
+        if (pockets && !pieceDrops) {
+            errors.push('Figuren in der Tasche gibt es nur in Crazyhouse')
+        } else if (pockets) {
+            const material = [
+                ...pieces.filter(piece => !isEmpty(piece) && piece.toLowerCase() !== 'k'),
+                ...pockets[PLAYER_COLORS.WHITE],
+                ...pockets[PLAYER_COLORS.BLACK]
+            ]
+            const pawns = material.filter(piece => piece.toLowerCase() === 'p').length
+
+            if (material.length > 30) {
+                errors.push(`Brett und Taschen enthalten ${material.length} Figuren ohne Könige (höchstens 30)`)
+            }
+            if (pawns > 16) {
+                errors.push(`Brett und Taschen enthalten ${pawns} Bauern (höchstens 16)`)
+            }
+        }
+
+        // Bauern auf der Grundreihe
+        FILES.forEach(file => {
+            [1, 8].forEach(rank => {
+                const piece = pieceAt(board, `${file}${rank}`)
+                if (piece && piece.toLowerCase() === 'p') {
+                    errors.push(`Bauer auf der Grundreihe (${file}${rank})`)
+                }
+            })
+        })
+
+        // Rochaderechte brauchen König auf der Grundreihe und Turm auf seiner Seite
+        Object.entries(CASTLING_RIGHTS).forEach(([right, { color, side, symbol }]) => {
+            if (!rights[right]) return
+
+            const rank = color === PLAYER_COLORS.WHITE ? 1 : 8
+            const rook = color === PLAYER_COLORS.WHITE ? 'R' : 'r'
+            const rookSquare = `${getCastlingRookFile(rights, right)}${rank}`
+            const kingSquare = kingSquares[color]
+
+            if (!kingSquare || kingSquare[1] !== String(rank)) {
+                errors.push(`Rochaderecht ${symbol} ohne König auf der Grundreihe`)
+            } else if (pieceAt(board, rookSquare) !== rook) {
+                errors.push(`Rochaderecht ${symbol} ohne Turm auf ${rookSquare}`)
+            } else if ((rookSquare[0] > kingSquare[0]) !== (side === 'kingside')) {
+                errors.push(`Rochaderecht ${symbol}: Turm auf ${rookSquare} steht auf der falschen Seite des Königs`)
+            }
+        })
+
+        // En passant: Feld hinter einem gerade doppelt gezogenen Bauern der Gegenseite
+        if (enPassantSquare) {
+            const isWhiteToMove = activeColor === PLAYER_COLORS.WHITE
+            const file = enPassantSquare[0]
+            const [targetRank, pawnRank, originRank] = isWhiteToMove ? [6, 5, 7] : [3, 4, 2]
+
+            if (parseInt(enPassantSquare[1]) !== targetRank) {
+                errors.push(`En-passant-Feld ${enPassantSquare} passt nicht zur Seite am Zug`)
+            } else {
+                if (pieceAt(board, `${file}${pawnRank}`) !== (isWhiteToMove ? 'p' : 'P')) {
+                    errors.push(`En-passant-Feld ${enPassantSquare} ohne gegnerischen Bauern auf ${file}${pawnRank}`)
+                }
+                if (pieceAt(board, enPassantSquare) || pieceAt(board, `${file}${originRank}`)) {
+                    errors.push(`En-passant-Feld ${enPassantSquare} nach Doppelschritt nicht möglich (${file}${targetRank} oder ${file}${originRank} besetzt)`)
+                }
+            }
+        }
+
+        // Schachgebote
+        const whiteKing = kingSquares[PLAYER_COLORS.WHITE]
+        const blackKing = kingSquares[PLAYER_COLORS.BLACK]
+
+        if (royalKing && whiteKing && blackKing) {
+            const white = squareToIndices(whiteKing)
+            const black = squareToIndices(blackKing)
+
+            if (Math.abs(white.fileIndex - black.fileIndex) <= 1 && Math.abs(white.rankIndex - black.rankIndex) <= 1) {
+                errors.push('Die Könige stehen nebeneinander')
+            }
+
+            const waiting = colors.find(({ color }) => color !== activeColor)
+            const moving = colors.find(({ color }) => color === activeColor)
+
+            if (getAttackers(board, kingSquares[waiting.color], moving.color).length > 0) {
+                errors.push(`${waiting.name} ist nicht am Zug, steht aber im Schach`)
+            }
+
+            const checkers = getAttackers(board, kingSquares[moving.color], waiting.color).length
+            if (checkers > 2) {
+                errors.push(`${moving.name} steht von ${checkers} Figuren gleichzeitig im Schach`)
+            }
+        }
+
+        return { valid: errors.length === 0, errors }
     }
 
     /**
@@ -150,6 +450,7 @@ export function useFenParser() {
      * @param {string|null} enPassantSquare - En passant Feld
      * @param {number} halfmoveClock - Halbzug-Zähler
      * @param {number} fullmoveNumber - Vollzug-Nummer
+     * @param {object|null} pocketState - { pockets, promotedSquares } für Crazyhouse, sonst null
      * @returns {string} FEN-String
      */
     const generateFen = (
@@ -158,17 +459,21 @@ export function useFenParser() {
         castlingRights = null,
         enPassantSquare = null,
         halfmoveClock = 0,
-        fullmoveNumber = 1
+        fullmoveNumber = 1,
+        pocketState = null
     ) => {
         try {
-            // Position generieren
-            const positionPart = generatePositionString(board)
+            // Position generieren (Crazyhouse: umgewandelte Figuren mit "~", Taschen in Klammern)
+            let positionPart = generatePositionString(board, pocketState?.promotedSquares)
+            if (pocketState) {
+                positionPart += `[${generatePocketString(pocketState.pockets)}]`
+            }
 
             // Aktiver Spieler
             const activeColorPart = activeColor === PLAYER_COLORS.WHITE ? 'w' : 'b'
 
             // Rochade-Rechte
-            const castlingPart = generateCastlingString(castlingRights)
+            const castlingPart = generateCastlingString(castlingRights, board)
 
             // En passant
             const enPassantPart = enPassantSquare || '-'
@@ -185,9 +490,10 @@ export function useFenParser() {
     /**
      * Generiert Position-String aus 2D Board Array
      * @param {Array} board - 2D Array
+     * @param {string[]} promotedSquares - Felder umgewandelter Figuren (Crazyhouse)
      * @returns {string} Position part of FEN
      */
-    const generatePositionString = (board) => {
+    const generatePositionString = (board, promotedSquares = []) => {
         // Board-Struktur validieren
         if (!Array.isArray(board) || board.length !== 8) {
             throw new Error('Board muss ein 8x8 Array sein')
@@ -218,6 +524,9 @@ export function useFenParser() {
                         emptyCount = 0
                     }
                     rankString += piece
+                    if (promotedSquares.includes(indicesToSquare(fileIndex, rankIndex))) {
+                        rankString += '~'
+                    }
                 }
             }
 
@@ -233,18 +542,40 @@ export function useFenParser() {
     }
 
     /**
-     * Generiert Rochade-String
+     * Taschen-Notation: erst die weißen, dann die schwarzen Figuren
+     * @param {object|null} pockets - { white: [...], black: [...] }
+     * @returns {string} z.B. "QNpp"
+     */
+    const generatePocketString = (pockets) => {
+        if (!pockets) return ''
+
+        return [
+            ...sortPocket(pockets[PLAYER_COLORS.WHITE] || []),
+            ...sortPocket(pockets[PLAYER_COLORS.BLACK] || [])
+        ].join('')
+    }
+
+    /**
+     * Generiert Rochade-String (X-FEN)
+     * Der äußerste Turm einer Seite wird als K/Q geschrieben, jeder andere mit seiner Linie.
      * @param {object|null} castlingRights
+     * @param {Array|null} board - Brett zum Erkennen innerer Rochadetürme
      * @returns {string}
      */
-    const generateCastlingString = (castlingRights) => {
+    const generateCastlingString = (castlingRights, board = null) => {
         if (!castlingRights) return 'KQkq' // Default: alle Rochaden möglich
 
         let castling = ''
-        if (castlingRights.whiteKingside) castling += 'K'
-        if (castlingRights.whiteQueenside) castling += 'Q'
-        if (castlingRights.blackKingside) castling += 'k'
-        if (castlingRights.blackQueenside) castling += 'q'
+        Object.entries(CASTLING_RIGHTS).forEach(([right, { color, symbol }]) => {
+            if (!castlingRights[right]) return
+
+            const rookFile = getCastlingRookFile(castlingRights, right)
+            if (!board || findCastlingRookFile(board, right) === rookFile) {
+                castling += symbol
+            } else {
+                castling += color === PLAYER_COLORS.WHITE ? rookFile.toUpperCase() : rookFile
+            }
+        })
 
         return castling || '-'
     }
@@ -276,6 +607,14 @@ export function useFenParser() {
         return parsedFen.value?.fullmoveNumber ?? 1
     })
 
+    const pockets = computed(() => {
+        return parsedFen.value?.pockets ?? null
+    })
+
+    const promotedSquares = computed(() => {
+        return parsedFen.value?.promotedSquares ?? []
+    })
+
     // Public API
     return {
         // State
@@ -289,9 +628,12 @@ export function useFenParser() {
         enPassantTarget,
         halfmoveClock,
         fullmoveNumber,
+        pockets,
+        promotedSquares,
 
         // Methods
         parseFen,
+        validatePosition,
         generateFen,
         parsePosition,
         parseCastlingRights,
@@ -11,6 +11,7 @@ import { GAME_MODES, GAME_STATUS as GAME_STATUSES } from '@/Utils/chessConstants
  * @param {Function} showPromotionDialog - Function to show promotion dialog
  * @param {Function} performAutoReverse - Function to auto-reverse the board
  * @param handleGameStatusNotification
+ * @param {Object} [engineStore] - The engine store instance (VS_AI mode)
  * @returns {Object} Game event handlers
  */
 export function useGameEvents(
@@ -21,7 +22,8 @@ export function useGameEvents(
     playGameSound,
     showPromotionDialog,
     performAutoReverse,
-    handleGameStatusNotification
+    handleGameStatusNotification,
+    engineStore = null
 ) {
     /**
      * Handle square click events
@@ -45,6 +47,11 @@ export function useGameEvents(
         if (squareData.success) {
             playMoveSound(squareData)
         }
+
+        // A click that completed a move hands the turn to the engine
+        if (squareData.success && gameStore.lastMove?.to === squareData.square) {
+            triggerEngineMove()
+        }
     }
 
     /**
@@ -100,11 +107,22 @@ export function useGameEvents(
         }
 
         // Trigger engine response (if AI game)
-        if (shouldTriggerEngineMove()) {
-            setTimeout(() => {
-                // engineStore.makeMove() - Commented out as in original
-            }, 500)
-        }
+        triggerEngineMove()
+    }
+
+    /**
+     * Let the engine reply if it is its turn
+     */
+    const triggerEngineMove = () => {
+        if (!engineStore || !shouldTriggerEngineMove()) return
+
+        setTimeout(async () => {
+            const engineResult = await engineStore.makeMove()
+
+            if (engineResult?.success) {
+                handleMoveCompleted(engineResult)
+            }
+        }, 500)
     }
 
     /**
@@ -116,7 +134,8 @@ export function useGameEvents(
         return gameStore.gameMode === GAME_MODES.VS_AI &&
             gameStore.playerColor !== 'both' &&
             gameStore.currentPlayer !== gameStore.playerColor &&
-            gameStore.isGameActive
+            gameStore.isGameActive &&
+            gameStore.isAtLivePosition
     }
 
     /**
@@ -191,6 +210,7 @@ export function useGameEvents(
         handlePieceClick,
         handleMove,
         handleMoveCompleted,
+        triggerEngineMove,
         handleGameStateChange,
         handleCheck,
         handleCheckmate,
@@ -5,6 +5,10 @@
  * @param {Function} handlers.handlePromotionCancel - Function to cancel promotion
  * @param {Function} handlers.handleUndoMove - Function to undo a move
  * @param {Function} handlers.handleRedoMove - Function to redo a move
+ * @param {Function} handlers.handleStepBackward - Function to go to the previous move
+ * @param {Function} handlers.handleStepForward - Function to go to the next move
+ * @param {Function} handlers.handleEnterVariation - Function to enter the first variation of the next move
+ * @param {Function} handlers.handleExitVariation - Function to leave the current variation
  * @param {Function} handlers.clearSelection - Function to clear the current selection
  * @param {Function} handlers.toggleFullscreen - Function to toggle fullscreen mode
  * @param {Function} handlers.toggleSidebar - Function to toggle sidebar visibility
@@ -15,6 +19,10 @@ export function useKeyboardShortcuts({
     handlePromotionCancel,
     handleUndoMove,
     handleRedoMove,
+    handleStepBackward,
+    handleStepForward,
+    handleEnterVariation,
+    handleExitVariation,
     clearSelection,
     toggleFullscreen,
     toggleSidebar,
@@ -45,6 +53,22 @@ export function useKeyboardShortcuts({
             handleRedoMove()
         }
 
+        // Arrow keys: navigate moves and variations (not while typing or with modifiers)
+        const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target?.tagName) ||
+            event.target?.isContentEditable
+        const hasModifier = event.ctrlKey || event.metaKey || event.altKey || event.shiftKey
+        const navigationHandlers = {
+            ArrowLeft: handleStepBackward,
+            ArrowRight: handleStepForward,
+            ArrowDown: handleEnterVariation,
+            ArrowUp: handleExitVariation
+        }
+
+        if (navigationHandlers[event.key] && !isTyping && !hasModifier && !showPromotionModal.value) {
+            event.preventDefault()
+            navigationHandlers[event.key]()
+        }
+
         // Escape: Cancel selection
         if (event.key === 'Escape') {
             clearSelection()
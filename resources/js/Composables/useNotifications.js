@@ -82,8 +82,13 @@ export function useNotifications() {
             'STALEMATE': { type: 'info', message: 'Patt - Unentschieden!' },
             'DRAW_FIFTY_MOVE': { type: 'info', message: '50-Züge-Regel - Unentschieden!' },
             'DRAW_REPETITION': { type: 'info', message: 'Stellungswiederholung - Unentschieden!' },
+            'DRAW_SEVENTY_FIVE_MOVE': { type: 'info', message: '75-Züge-Regel - Unentschieden!' },
+            'DRAW_FIVEFOLD_REPETITION': { type: 'info', message: '5-fache Stellungswiederholung - Unentschieden!' },
             'DRAW_AGREEMENT': { type: 'info', message: 'Remis vereinbart!' },
             'DRAW_INSUFFICIENT': { type: 'info', message: 'Ungenügend Material - Unentschieden!' },
+            'THREE_CHECK': { type: 'error', message: 'Drittes Schachgebot!' },
+            'KING_OF_THE_HILL': { type: 'error', message: 'König im Zentrum!' },
+            'ANTICHESS_WIN': { type: 'error', message: 'Keine Figuren oder Züge mehr - Sieg!' },
             'WAITING': { type: 'info', message: 'Warten auf Spieler...' }
         }
 
@@ -92,7 +97,7 @@ export function useNotifications() {
             addNotification({
                 ...notification,
                 duration: isDrawStatus(status) || status === 'STALEMATE' ? 5000 : 3000,
-                persistent: ['CHECKMATE', 'STALEMATE'].includes(status) || isDrawStatus(status)
+                persistent: ['CHECKMATE', 'STALEMATE', 'THREE_CHECK', 'KING_OF_THE_HILL', 'ANTICHESS_WIN'].includes(status) || isDrawStatus(status)
             })
         }
     }
@@ -0,0 +1,640 @@
+/**
+ * PGN Composable
+ * Serialisiert Partien im PGN-Exportformat (Seven Tag Roster, FEN/SetUp, [%clk], [%csl]/[%cal], Kommentare, NAGs)
+ * und liest PGN-Dateien mit einer oder mehreren Partien ein
+ */
+
+import {
+    INITIAL_FEN,
+    GAME_STATUS,
+    PGN_RESULTS,
+    PLAYER_COLORS,
+    GAME_VARIANTS,
+    isDrawStatus
+} from '@/Utils/chessConstants.js'
+import { ANNOTATION_TYPES, PGN_ANNOTATION_COLORS } from '@/Utils/annotationConstants.js'
+import { VARIANT_RULES, getVariantRules } from '@/Utils/chessVariants.js'
+
+// Reihenfolge der Pflicht-Tags laut PGN-Standard
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result']
+
+// Maximale Zeilenlänge im Exportformat
+const PGN_LINE_LENGTH = 80
+
+// Suffix-Annotationen und ihre NAG-Entsprechung
+const SUFFIX_NAGS = {
+    '!': 1,
+    '?': 2,
+    '!!': 3,
+    '??': 4,
+    '!?': 5,
+    '?!': 6
+}
+
+const RESULT_TOKENS = Object.values(PGN_RESULTS)
+
+// Feld bzw. Pfeil in [%csl]/[%cal], z.B. "Rd5" oder "Ge2e4"
+const ANNOTATION_COMMAND_PATTERN = /\[%(csl|cal)\s+([^\]]*)\]/g
+const ANNOTATION_VALUE_PATTERN = /^([GRYB])([a-h][1-8])([a-h][1-8])?$/
+
+// Variant-Tag je Spielvariante (Standardpartien kommen ohne Tag aus)
+const VARIANT_TAGS = Object.fromEntries(
+    Object.values(VARIANT_RULES)
+        .filter(rules => rules.pgnName)
+        .map(rules => [rules.id, rules.pgnName])
+)
+
+// Gebräuchliche Schreibweisen des Variant-Tags (klein, ohne Leer- und Bindestriche)
+const VARIANT_TAG_ALIASES = Object.fromEntries(
+    Object.values(VARIANT_RULES).flatMap(rules => rules.pgnAliases.map(alias => [alias, rules.id]))
+)
+
+export function usePgn() {
+
+    /**
+     * Ergebnis-Token für einen Spielstatus ermitteln
+     * @param {string} status - GAME_STATUS Wert
+     * @param {object} context - { sideToMove, resignedBy }
+     * @returns {string} '1-0', '0-1', '1/2-1/2' oder '*'
+     */
+    const getResultToken = (status, context = {}) => {
+        const { sideToMove = PLAYER_COLORS.WHITE, resignedBy = null } = context
+
+        switch (status) {
+            case GAME_STATUS.CHECKMATE:
+            case GAME_STATUS.THREE_CHECK:
+            case GAME_STATUS.KING_OF_THE_HILL:
+                // Die Seite am Zug ist mattgesetzt bzw. hat die Siegbedingung des Gegners zugelassen
+                return sideToMove === PLAYER_COLORS.WHITE ? PGN_RESULTS.BLACK_WINS : PGN_RESULTS.WHITE_WINS
+            case GAME_STATUS.ANTICHESS_WIN:
+                // Antichess: Die Seite am Zug hat keine Figuren oder Züge mehr und gewinnt
+                return sideToMove === PLAYER_COLORS.WHITE ? PGN_RESULTS.WHITE_WINS : PGN_RESULTS.BLACK_WINS
+            case GAME_STATUS.RESIGNED:
+                if (!resignedBy) return PGN_RESULTS.ONGOING
+                return resignedBy === PLAYER_COLORS.WHITE ? PGN_RESULTS.BLACK_WINS : PGN_RESULTS.WHITE_WINS
+            case GAME_STATUS.WHITE_WINS_TIME:
+                return PGN_RESULTS.WHITE_WINS
+            case GAME_STATUS.BLACK_WINS_TIME:
+                return PGN_RESULTS.BLACK_WINS
+            case GAME_STATUS.STALEMATE:
+                return PGN_RESULTS.DRAW
+            default:
+                return isDrawStatus(status) ? PGN_RESULTS.DRAW : PGN_RESULTS.ONGOING
+        }
+    }
+
+    /**
+     * Datum im PGN-Format (YYYY.MM.DD)
+     * @param {Date|string|null} date
+     * @returns {string}
+     */
+    const formatPgnDate = (date) => {
+        const parsed = date ? new Date(date) : null
+        if (!parsed || isNaN(parsed.getTime())) return '????.??.??'
+
+        const month = String(parsed.getMonth() + 1).padStart(2, '0')
+        const day = String(parsed.getDate()).padStart(2, '0')
+        return `${parsed.getFullYear()}.${month}.${day}`
+    }
+
+    /**
+     * Restzeit für [%clk] formatieren (H:MM:SS)
+     * @param {number} seconds
+     * @returns {string}
+     */
+    const formatClock = (seconds) => {
+        const totalSeconds = Math.max(0, Math.floor(seconds))
+        const hours = Math.floor(totalSeconds / 3600)
+        const minutes = Math.floor((totalSeconds % 3600) / 60)
+        const remainingSeconds = totalSeconds % 60
+
+        return `${hours}:${String(minutes).padStart(2, '0')}:${String(remainingSeconds).padStart(2, '0')}`
+    }
+
+    /**
+     * Tag-Wert escapen (Backslash und Anführungszeichen)
+     * @param {*} value
+     * @returns {string}
+     */
+    const escapeTagValue = (value) => {
+        return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+    }
+
+    /**
+     * Header-Abschnitt erzeugen, Seven Tag Roster zuerst
+     * @param {object} tags - Tag-Name → Wert
+     * @returns {string}
+     */
+    const generateHeaders = (tags) => {
+        const rosterTags = SEVEN_TAG_ROSTER.map(name => [name, tags[name] ?? (name === 'Date' ? '????.??.??' : '?')])
+        const extraTags = Object.entries(tags)
+            .filter(([name, value]) => !SEVEN_TAG_ROSTER.includes(name) && value !== null && value !== undefined)
+
+        return [...rosterTags, ...extraTags]
+            .map(([name, value]) => `[${name} "${escapeTagValue(value)}"]`)
+            .join('\n')
+    }
+
+    /**
+     * Token-Liste auf die PGN-Zeilenlänge umbrechen
+     * @param {string[]} tokens
+     * @returns {string}
+     */
+    const wrapTokens = (tokens) => {
+        const lines = []
+        let line = ''
+
+        tokens.forEach(token => {
+            if (line && line.length + token.length + 1 > PGN_LINE_LENGTH) {
+                lines.push(line)
+                line = token
+            } else {
+                line = line ? `${line} ${token}` : token
+            }
+        })
+
+        if (line) lines.push(line)
+        return lines.join('\n')
+    }
+
+    /**
+     * Kommentar in Tokens zerlegen, damit lange Texte umbrochen werden können
+     * @param {string} text
+     * @returns {string[]}
+     */
+    const commentTokens = (text) => {
+        const words = String(text ?? '').replace(/[{}]/g, '').split(/\s+/).filter(Boolean)
+        if (words.length === 0) return []
+
+        words[0] = `{${words[0]}`
+        words[words.length - 1] += '}'
+        return words
+    }
+
+    /**
+     * Pfeile und Feldmarkierungen als [%csl]/[%cal]-Befehle
+     * @param {Array} annotations - { type, square | fromSquare, toSquare, color }
+     * @returns {string} z.B. "[%csl Rd5][%cal Ge2e4]", leer ohne Annotationen
+     */
+    const formatAnnotationCommands = (annotations = []) => {
+        const colorLetter = (color) => {
+            return Object.keys(PGN_ANNOTATION_COLORS).find(letter => PGN_ANNOTATION_COLORS[letter] === color) ?? 'G'
+        }
+
+        const fields = annotations
+            .filter(annotation => annotation.type === ANNOTATION_TYPES.FIELD)
+            .map(annotation => `${colorLetter(annotation.color)}${annotation.square}`)
+
+        const arrows = annotations
+            .filter(annotation => annotation.type === ANNOTATION_TYPES.ARROW)
+            .map(annotation => `${colorLetter(annotation.color)}${annotation.fromSquare}${annotation.toSquare}`)
+
+        return [
+            fields.length > 0 ? `[%csl ${fields.join(',')}]` : '',
+            arrows.length > 0 ? `[%cal ${arrows.join(',')}]` : ''
+        ].join('')
+    }
+
+    /**
+     * Tokens einer Zugfolge, Varianten in Klammern direkt hinter dem Zug, zu dem sie Alternativen sind
+     * @param {Array} moves - Zug-Records mit san, optional nags, clock, annotations, comment und variations
+     * @param {string} startColor - Farbe am Zug vor dem ersten Zug
+     * @param {number} startMoveNumber
+     * @returns {string[]}
+     */
+    const generateLineTokens = (moves, startColor, startMoveNumber) => {
+        let color = startColor
+        let moveNumber = startMoveNumber
+        let needsMoveNumber = true // Schwarz braucht "N..." am Anfang, nach einem Kommentar und nach einer Variante
+
+        const tokens = []
+
+        moves.forEach(move => {
+            if (color === PLAYER_COLORS.WHITE) {
+                tokens.push(`${moveNumber}.`)
+            } else if (needsMoveNumber) {
+                tokens.push(`${moveNumber}...`)
+            }
+
+            tokens.push(move.san || '?')
+
+            const nags = move.nags || []
+            nags.forEach(nag => tokens.push(`$${nag}`))
+
+            if (typeof move.clock === 'number') {
+                tokens.push(`{[%clk ${formatClock(move.clock)}]}`)
+            }
+
+            const annotationCommands = formatAnnotationCommands(move.annotations)
+            if (annotationCommands) {
+                tokens.push(`{${annotationCommands}}`)
+            }
+
+            if (move.drawOffered) {
+                tokens.push('{draw offered}')
+            }
+
+            const comment = commentTokens(move.comment)
+            tokens.push(...comment)
+            needsMoveNumber = comment.length > 0
+
+            const variations = move.variations || []
+            variations.forEach(variation => {
+                const variationTokens = generateLineTokens(variation, color, moveNumber)
+                if (variationTokens.length === 0) return
+
+                variationTokens[0] = `(${variationTokens[0]}`
+                variationTokens[variationTokens.length - 1] += ')'
+                tokens.push(...variationTokens)
+                needsMoveNumber = true
+            })
+
+            if (color === PLAYER_COLORS.BLACK) {
+                moveNumber++
+            }
+            color = color === PLAYER_COLORS.WHITE ? PLAYER_COLORS.BLACK : PLAYER_COLORS.WHITE
+        })
+
+        return tokens
+    }
+
+    /**
+     * Zugtext erzeugen
+     * @param {Array} moves - Zug-Records mit san, optional nags, clock, annotations, comment und variations
+     * @param {object} options - { startingFen, startAnnotations, result }
+     * @returns {string}
+     */
+    const generateMoveText = (moves, options = {}) => {
+        const { startingFen = INITIAL_FEN, startAnnotations = [], result = PGN_RESULTS.ONGOING } = options
+
+        const fenParts = startingFen.split(' ')
+        const color = fenParts[1] === 'b' ? PLAYER_COLORS.BLACK : PLAYER_COLORS.WHITE
+        const moveNumber = parseInt(fenParts[5]) || 1
+
+        const tokens = []
+
+        // Annotationen der Startstellung stehen im Kommentar vor dem ersten Zug
+        const startCommands = formatAnnotationCommands(startAnnotations)
+        if (startCommands) {
+            tokens.push(`{${startCommands}}`)
+        }
+
+        tokens.push(...generateLineTokens(moves, color, moveNumber))
+
+        tokens.push(result)
+        return wrapTokens(tokens)
+    }
+
+    /**
+     * Vollständiges PGN erzeugen
+     * @param {object} game - { moves, tags, startingFen, startAnnotations, result, variant }
+     * @returns {string}
+     */
+    const generatePgn = (game) => {
+        const {
+            moves = [],
+            tags = {},
+            startingFen = INITIAL_FEN,
+            startAnnotations = [],
+            result = PGN_RESULTS.ONGOING,
+            variant = GAME_VARIANTS.STANDARD
+        } = game
+
+        const allTags = { ...tags, Result: result }
+
+        if (VARIANT_TAGS[variant]) {
+            allTags.Variant = VARIANT_TAGS[variant]
+        }
+
+        // Partien aus einer eigenen Stellung brauchen SetUp/FEN, Chess960 nennt seine Startstellung immer
+        const { startFen, chess960Castling } = getVariantRules(variant)
+        if (startingFen !== startFen || chess960Castling) {
+            allTags.SetUp = '1'
+            allTags.FEN = startingFen
+        }
+
+        return `${generateHeaders(allTags)}\n\n${generateMoveText(moves, { startingFen, startAnnotations, result })}\n`
+    }
+
+    /**
+     * Spielvariante aus dem Variant-Tag
+     * @param {string|undefined} value - Wert des Tags
+     * @returns {string|null} GAME_VARIANTS-Wert oder null für nicht unterstützte Varianten
+     */
+    const parseVariantTag = (value) => {
+        if (!value) return GAME_VARIANTS.STANDARD
+
+        return VARIANT_TAG_ALIASES[value.toLowerCase().replace(/[\s-]/g, '')] ?? null
+    }
+
+    /**
+     * Freitext aus den Kommentaren eines Zuges (ohne [%...]-Befehle und Remisangebot)
+     * @param {string[]} comments
+     * @returns {string}
+     */
+    const parseCommentText = (comments) => {
+        return comments
+            .filter(comment => comment !== 'draw offered')
+            .map(comment => comment.replace(/\[%[^\]]*\]/g, ' ').replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join(' ')
+    }
+
+    /**
+     * Pfeile und Feldmarkierungen aus [%csl]/[%cal]-Befehlen lesen
+     * @param {string[]} comments
+     * @returns {Array} Annotationen im Format des annotationStore
+     */
+    const parseAnnotationCommands = (comments) => {
+        const annotations = []
+
+        comments.forEach(comment => {
+            for (const [, command, values] of comment.matchAll(ANNOTATION_COMMAND_PATTERN)) {
+                values.split(',').forEach(value => {
+                    const match = ANNOTATION_VALUE_PATTERN.exec(value.trim())
+                    if (!match) return
+
+                    const [, letter, fromSquare, toSquare] = match
+                    const color = PGN_ANNOTATION_COLORS[letter]
+
+                    if (command === 'csl' && !toSquare) {
+                        annotations.push({ id: `${fromSquare}-${letter}`, type: ANNOTATION_TYPES.FIELD, square: fromSquare, color })
+                    } else if (command === 'cal' && toSquare && toSquare !== fromSquare) {
+                        annotations.push({ id: `${fromSquare}${toSquare}-${letter}`, type: ANNOTATION_TYPES.ARROW, fromSquare, toSquare, color })
+                    }
+                })
+            }
+        })
+
+        return annotations
+    }
+
+    /**
+     * Restzeit aus einem [%clk H:MM:SS]-Kommentar lesen
+     * @param {string} comment
+     * @returns {number|null} Sekunden
+     */
+    const parseClock = (comment) => {
+        const match = /\[%clk\s+(\d+):(\d{1,2}):(\d{1,2}(?:\.\d+)?)\]/.exec(comment || '')
+        if (!match) return null
+
+        return parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3])
+    }
+
+    /**
+     * PGN-Text in Partien zerlegen
+     * Tags, Zugtext, Kommentare, NAGs und Varianten werden erfasst.
+     *
+     * @param {string} text - Inhalt einer PGN-Datei
+     * @returns {object} { success, games } oder { success: false, error, details }
+     */
+    const parsePgn = (text) => {
+        const games = []
+        const source = String(text ?? '')
+        let index = 0
+        let game = null
+        let variationStack = []
+        let currentLine = null
+        let pendingComments = []
+
+        const createGame = () => ({
+            tags: {},
+            moves: [],
+            comments: [],
+            result: PGN_RESULTS.ONGOING
+        })
+
+        const fail = (message, token) => ({
+            success: false,
+            error: `Partie ${games.length + 1}: ${message}${token ? ` ('${token}')` : ''}`,
+            details: {
+                gameNumber: games.length + 1,
+                ply: game ? game.moves.length : 0,
+                token: token ?? null,
+                offset: index
+            }
+        })
+
+        const startGameIfNeeded = () => {
+            if (!game) {
+                game = createGame()
+                currentLine = game.moves
+                variationStack = []
+                pendingComments = []
+            }
+        }
+
+        const finishGame = () => {
+            if (!game) return
+
+            if (pendingComments.length > 0) {
+                attachComments(pendingComments)
+            }
+
+            games.push(game)
+            game = null
+            currentLine = null
+            variationStack = []
+            pendingComments = []
+        }
+
+        const attachComments = (comments) => {
+            const lastMove = currentLine[currentLine.length - 1]
+            if (lastMove) {
+                lastMove.comments.push(...comments)
+            } else if (variationStack.length === 0) {
+                game.comments.push(...comments)
+            }
+        }
+
+        const hasMovetext = () => game && (game.moves.length > 0 || game.comments.length > 0)
+
+        while (index < source.length) {
+            const char = source[index]
+
+            // Whitespace
+            if (/\s/.test(char)) {
+                index++
+                continue
+            }
+
+            // Escape-Zeile ('%' am Zeilenanfang)
+            if (char === '%' && (index === 0 || source[index - 1] === '\n')) {
+                const lineEnd = source.indexOf('\n', index)
+                index = lineEnd === -1 ? source.length : lineEnd + 1
+                continue
+            }
+
+            // Tag-Paar
+            if (char === '[') {
+                if (hasMovetext()) {
+                    finishGame()
+                }
+                startGameIfNeeded()
+
+                const tagPattern = /\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]/y
+                tagPattern.lastIndex = index
+                const tagMatch = tagPattern.exec(source)
+
+                if (!tagMatch) {
+                    const lineEnd = source.indexOf('\n', index)
+                    return fail('Ungültiges Tag-Paar', source.substring(index, lineEnd === -1 ? source.length : lineEnd).trim())
+                }
+
+                game.tags[tagMatch[1]] = tagMatch[2].replace(/\\(["\\])/g, '$1')
+                index = tagPattern.lastIndex
+                continue
+            }
+
+            startGameIfNeeded()
+
+            // Kommentar { ... }
+            if (char === '{') {
+                const end = source.indexOf('}', index)
+                if (end === -1) {
+                    return fail('Nicht abgeschlossener Kommentar', source.substring(index, index + 20))
+                }
+
+                pendingComments.push(source.substring(index + 1, end).trim())
+                index = end + 1
+                continue
+            }
+
+            // Zeilenkommentar ; ...
+            if (char === ';') {
+                const lineEnd = source.indexOf('\n', index)
+                const end = lineEnd === -1 ? source.length : lineEnd
+                pendingComments.push(source.substring(index + 1, end).trim())
+                index = end
+                continue
+            }
+
+            // Kommentare gehören zum zuletzt gespielten Zug
+            if (pendingComments.length > 0) {
+                attachComments(pendingComments)
+                pendingComments = []
+            }
+
+            // Variante öffnen
+            if (char === '(') {
+                const parentMove = currentLine[currentLine.length - 1]
+                if (!parentMove) {
+                    return fail('Variante ohne vorherigen Zug', '(')
+                }
+
+                const variation = []
+                parentMove.variations.push(variation)
+                variationStack.push(currentLine)
+                currentLine = variation
+                index++
+                continue
+            }
+
+            // Variante schließen
+            if (char === ')') {
+                if (variationStack.length === 0) {
+                    return fail('Schließende Klammer ohne Variante', ')')
+                }
+
+                currentLine = variationStack.pop()
+                index++
+                continue
+            }
+
+            // Symbol-Token lesen
+            let end = index
+            while (end < source.length && !/[\s{}();\[\]]/.test(source[end])) {
+                end++
+            }
+            const token = source.substring(index, end)
+            index = end
+
+            // Numeric Annotation Glyph
+            if (/^\$\d+$/.test(token)) {
+                const lastMove = currentLine[currentLine.length - 1]
+                if (!lastMove) {
+                    return fail('NAG ohne vorherigen Zug', token)
+                }
+                lastMove.nags.push(parseInt(token.substring(1)))
+                continue
+            }
+
+            // Ergebnis beendet die Partie
+            if (RESULT_TOKENS.includes(token)) {
+                if (variationStack.length > 0) {
+                    return fail('Ergebnis innerhalb einer Variante', token)
+                }
+
+                game.result = token
+                finishGame()
+                continue
+            }
+
+            // Zugnummer (auch direkt am Zug, z.B. "1.e4")
+            if (/^\d+$/.test(token)) continue
+
+            const numberMatch = /^\d+\.+(.*)$/.exec(token)
+            let san = token
+            if (numberMatch) {
+                if (!numberMatch[1]) continue
+                san = numberMatch[1]
+            }
+
+            // Suffix-Annotation abtrennen (!, ?, !!, ??, !?, ?!)
+            const suffixMatch = /^(.*?)([!?]{1,2})$/.exec(san)
+            let suffixNag = null
+            if (suffixMatch) {
+                if (!(suffixMatch[2] in SUFFIX_NAGS)) {
+                    return fail('Ungültige Annotation', token)
+                }
+                san = suffixMatch[1]
+                suffixNag = SUFFIX_NAGS[suffixMatch[2]]
+            }
+
+            if (!/^[A-Za-z0-9@][A-Za-z0-9@=+#\-]*$/.test(san)) {
+                return fail('Unbekanntes Token', token)
+            }
+
+            currentLine.push({
+                san,
+                nags: suffixNag ? [suffixNag] : [],
+                comments: [],
+                variations: []
+            })
+        }
+
+        if (variationStack.length > 0) {
+            return fail('Nicht abgeschlossene Variante', '(')
+        }
+
+        // Letzte Partie ohne Ergebnis-Token
+        if (game && (hasMovetext() || Object.keys(game.tags).length > 0)) {
+            finishGame()
+        }
+
+        // Ergebnis aus dem Tag übernehmen, falls der Zugtext keins enthält
+        games.forEach(parsedGame => {
+            if (parsedGame.result === PGN_RESULTS.ONGOING && RESULT_TOKENS.includes(parsedGame.tags.Result)) {
+                parsedGame.result = parsedGame.tags.Result
+            }
+        })
+
+        return { success: true, games }
+    }
+
+    return {
+        getResultToken,
+        formatPgnDate,
+        formatClock,
+        escapeTagValue,
+        generateHeaders,
+        generateMoveText,
+        generatePgn,
+        formatAnnotationCommands,
+        parseClock,
+        parseCommentText,
+        parseAnnotationCommands,
+        parseVariantTag,
+        parsePgn
+    }
+}
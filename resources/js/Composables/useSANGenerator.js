@@ -19,21 +19,27 @@ export function useSanGenerator() {
      * @param {string|null} moveData.promotion - Umwandlungsfigur
      * @param {boolean} moveData.isCheck - Schach nach dem Zug
      * @param {boolean} moveData.isCheckmate - Schachmatt nach dem Zug
-     * @param {string} moveData.moveType - Art des Zuges ('normal', 'castle', 'enpassant', 'promotion')
+     * @param {string} moveData.moveType - Art des Zuges ('normal', 'castle', 'enpassant', 'promotion', 'drop')
      * @param {Array} board - Aktueller Brettstand (8x8 Array)
      * @param {Array} allLegalMoves - Alle legalen Züge für Mehrdeutigkeit
      *
-     * @returns {string} SAN-Notation (z.B. "Nf3", "exd5", "O-O", "Qh5#")
+     * @returns {string} SAN-Notation (z.B. "Nf3", "exd5", "O-O", "Qh5#", "P@e4")
      */
     const generateSAN = (moveData, board = null, allLegalMoves = []) => {
         try {
             const { from, to, piece, capturedPiece, promotion, isCheck, isCheckmate, moveType } = moveData
 
             if (moveType === 'castle') {
-                return generateCastlingSAN(from, to)
+                return `${generateCastlingSAN(from, to)}${isCheckmate ? '#' : isCheck ? '+' : ''}`
             }
 
             const pieceSymbol = getPieceSymbol(piece)
+
+            // Einsetzen aus der Tasche (Crazyhouse), auch Bauern mit Buchstaben
+            if (moveType === 'drop') {
+                return `${pieceSymbol || 'P'}@${to}${isCheckmate ? '#' : isCheck ? '+' : ''}`
+            }
+
             const isCapture = !!capturedPiece || moveType === 'enpassant'
 
             let san = ''
@@ -74,20 +80,15 @@ export function useSanGenerator() {
         }
     }
 
+    /**
+     * Rochade-SAN: Zielfeld rechts vom König ist die kurze Rochade
+     * (to ist das Königsziel oder – in Chess960 – das Feld des Rochadeturms)
+     * @param {string} from
+     * @param {string} to
+     * @returns {string}
+     */
     const generateCastlingSAN = (from, to) => {
-        const fromFile = from[0]
-        const toFile = to[0]
-
-        if ((fromFile === 'e' && toFile === 'g')) {
-            return 'O-O'
-        }
-
-        if ((fromFile === 'e' && toFile === 'c')) {
-            return 'O-O-O'
-        }
-
-        console.log('Warning: generated castling SAN Fallback')
-        return 'O-O'
+        return to[0] > from[0] ? 'O-O' : 'O-O-O'
     }
 
     const getPieceSymbol = (piece) => {
@@ -124,7 +125,8 @@ export function useSanGenerator() {
         const ambiguousMoves = allLegalMoves.filter(move =>
             move.piece === piece &&     // Same piece
             move.to === to &&           // same target
-            move.from !== from          // Unterschiedlicher Ursprung
+            move.from !== from &&       // Unterschiedlicher Ursprung
+            move.type !== 'drop'        // Einsetzen wird mit "@" geschrieben
         )
 
         if (ambiguousMoves.length === 0) {
@@ -212,11 +214,84 @@ export function useSanGenerator() {
         if (!san || typeof san !== 'string') return false
 
         // Basis-Regex für SAN-Notation
-        const sanRegex = /^([KQRBN])?([a-h]?[1-8]?)x?([a-h][1-8])(=[QRBN])?[\+#]?$|^O-O(-O)?[\+#]?$/
+        const sanRegex = /^([KQRBN])?([a-h]?[1-8]?)x?([a-h][1-8])(=[QRBNK])?[\+#]?$|^O-O(-O)?[\+#]?$|^[QRBNP]?@[a-h][1-8][\+#]?$/
 
         return sanRegex.test(san)
     }
 
+    /**
+     * SAN-Notation einem legalen Zug zuordnen
+     *
+     * @param {string} san - z.B. "Nbd7", "exd6", "e8=Q+", "O-O-O", "N@f3"
+     * @param {Array} legalMoves - Legale Züge der Seite am Zug ({ from, to, piece, type, castleType })
+     * @returns {Object} { move, promotion } oder { error, reason: 'invalid'|'illegal'|'ambiguous' }
+     */
+    const resolveSAN = (san, legalMoves = []) => {
+        const cleanSan = String(san || '').replace(/[+#!?]+$/, '')
+
+        // Rochade (auch mit Nullen geschrieben)
+        const castlingMatch = /^([O0])-\1(-\1)?$/.exec(cleanSan)
+        if (castlingMatch) {
+            const castleType = castlingMatch[2] ? 'queenside' : 'kingside'
+            const move = legalMoves.find(m => m.type === 'castle' && m.castleType === castleType)
+
+            return move
+                ? { move, promotion: null }
+                : { error: `Rochade nicht erlaubt: ${san}`, reason: 'illegal' }
+        }
+
+        // Einsetzen aus der Tasche (Bauern auch ohne "P")
+        const dropMatch = /^([QRBNP])?@([a-h][1-8])$/.exec(cleanSan)
+        if (dropMatch) {
+            const pieceType = (dropMatch[1] || 'P').toLowerCase()
+            const move = legalMoves.find(m => m.type === 'drop' && m.to === dropMatch[2] && m.piece.toLowerCase() === pieceType)
+
+            return move
+                ? { move, promotion: null }
+                : { error: `Einsetzen nicht erlaubt: ${san}`, reason: 'illegal' }
+        }
+
+        const match = /^([KQRBN])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([QRBNKqrbnk]))?$/.exec(cleanSan)
+        if (!match) {
+            return { error: `Ungültige SAN-Notation: ${san}`, reason: 'invalid' }
+        }
+
+        const [, pieceLetter, fromFile, fromRank, toSquare, promotionLetter] = match
+        const pieceType = (pieceLetter || 'P').toLowerCase()
+
+        const candidates = legalMoves.filter(move =>
+            move.to === toSquare &&
+            move.piece?.toLowerCase() === pieceType &&
+            move.type !== 'castle' &&
+            move.type !== 'drop' &&
+            (!fromFile || move.from[0] === fromFile) &&
+            (!fromRank || move.from[1] === fromRank)
+        )
+
+        if (candidates.length === 0) {
+            return { error: `Unerlaubter Zug: ${san}`, reason: 'illegal' }
+        }
+
+        if (candidates.length > 1) {
+            return { error: `Mehrdeutiger Zug: ${san}`, reason: 'ambiguous' }
+        }
+
+        const move = candidates[0]
+        const needsPromotion = pieceType === 'p' && ['1', '8'].includes(toSquare[1])
+
+        if (needsPromotion !== !!promotionLetter) {
+            return {
+                error: needsPromotion ? `Umwandlungsfigur fehlt: ${san}` : `Umwandlung nicht möglich: ${san}`,
+                reason: 'illegal'
+            }
+        }
+
+        return {
+            move,
+            promotion: promotionLetter ? promotionLetter.toUpperCase() : null
+        }
+    }
+
     return {
         generateSAN,
         generateSimpleSAN,
@@ -224,6 +299,7 @@ export function useSanGenerator() {
         getPieceSymbol,
         resolveAmbiguity,
         movesToPGN,
-        validateSAN
+        validateSAN,
+        resolveSAN
     }
 }
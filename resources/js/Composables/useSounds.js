@@ -50,6 +50,7 @@ export function useSounds() {
             'gameDraw': '/sounds/default/game-draw.mp3',
             'eventWarning': '/sounds/default/event-warning.mp3',
             'decline': '/sounds/default/decline.mp3',
+            'drawOffer': '/sounds/default/drawoffer.mp3',
             'illegal': '/sounds/default/illegal.mp3'
         }
 
@@ -144,6 +145,7 @@ export function useSounds() {
             'gameLose': () => playSound('gameLose'),
             'illegalMove': () => playSound('illegal'),
             'gameDeclined': () => playSound('decline'),
+            'drawOffer': () => playSound('drawOffer'),
             'eventWarning': () => playSound('eventWarning')
         }
 
@@ -196,6 +198,19 @@ export function useSounds() {
                 console.log('🎵 Playing DRAW (fifty move) sound')
                 playSound('gameDraw')
                 break
+            case 'DRAW_FIVEFOLD_REPETITION':
+            case 'DRAW_SEVENTY_FIVE_MOVE':
+                console.log('🎵 Playing DRAW (automatic) sound')
+                playSound('gameDraw')
+                break
+            case 'DRAW_AGREEMENT':
+                console.log('🎵 Playing DRAW (agreement) sound')
+                playSound('gameDraw')
+                break
+            case 'DRAW_INSUFFICIENT':
+                console.log('🎵 Playing DRAW (insufficient material) sound')
+                playSound('gameDraw')
+                break
             case 'WHITE_WINS_TIME':
             case 'BLACK_WINS_TIME':
                 console.log('🎵 Playing TIME OUT sound')
@@ -1,13 +1,21 @@
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
 import { ANNOTATION_TYPES, ANNOTATION_COLORS } from '@/Utils/annotationConstants'
+import { useGameStore } from '@/Stores/gameStore.js'
 
 /**
  * Store for managing board annotations (fields and arrows)
+ * Annotations belong to the displayed position and are stored on its move record,
+ * so they reappear when the move is revisited and are exported with the PGN.
  */
 export const useAnnotationStore = defineStore('annotation', () => {
+    const gameStore = useGameStore()
+
     // State
-    const annotations = ref([])
+    const annotations = computed({
+        get: () => gameStore.getPositionAnnotations(gameStore.currentNodeId),
+        set: (value) => gameStore.setPositionAnnotations(gameStore.currentNodeId, value)
+    })
     const isDrawing = ref(false)
     const drawStart = ref(null)
     const drawEnd = ref(null)
@@ -36,17 +44,17 @@ export const useAnnotationStore = defineStore('annotation', () => {
 
         // If it exists, remove it (toggle behavior)
         if (existingIndex !== -1) {
-            annotations.value.splice(existingIndex, 1)
+            annotations.value = annotations.value.filter((_, index) => index !== existingIndex)
             return
         }
 
         // Otherwise add new annotation
-        annotations.value.push({
+        annotations.value = [...annotations.value, {
             id: Date.now().toString(),
             type: ANNOTATION_TYPES.FIELD,
             square,
             color
-        })
+        }]
     }
 
     /**
@@ -69,22 +77,22 @@ export const useAnnotationStore = defineStore('annotation', () => {
 
         // If it exists, remove it (toggle behavior)
         if (existingIndex !== -1) {
-            annotations.value.splice(existingIndex, 1)
+            annotations.value = annotations.value.filter((_, index) => index !== existingIndex)
             return
         }
 
         // Otherwise add new annotation
-        annotations.value.push({
+        annotations.value = [...annotations.value, {
             id: Date.now().toString(),
             type: ANNOTATION_TYPES.ARROW,
             fromSquare,
             toSquare,
             color
-        })
+        }]
     }
 
     /**
-     * Remove all annotations
+     * Remove all annotations of the displayed position
      */
     function clearAnnotations() {
         annotations.value = []
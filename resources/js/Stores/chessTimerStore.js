@@ -1,6 +1,6 @@
 /**
  * Chess Timer Store: Vollständige Zeitkontrolle für Schachspiele
- * Verwaltet Timer für beide Spieler, verschiedene Zeitkontroll-Modi und Increment-Funktionen
+ * Verwaltet Timer für beide Spieler, verschiedene Zeitkontroll-Modi, Increment und Delay (einfach/Bronstein)
  */
 
 import { defineStore } from 'pinia'
@@ -12,10 +12,17 @@ export const TIME_CONTROL_TYPES = {
     BLITZ: 'blitz',
     RAPID: 'rapid',
     CLASSICAL: 'classical',
+    TOURNAMENT: 'tournament',
     BULLET: 'bullet',
     CUSTOM: 'custom'
 }
 
+export const DELAY_MODES = {
+    NONE: 'none',
+    SIMPLE: 'simple',       // US-Delay: Uhr läuft erst nach Ablauf des Delays
+    BRONSTEIN: 'bronstein'  // Verbrauchte Zeit wird bis zur Höhe des Delays gutgeschrieben
+}
+
 export const TIME_CONTROL_PRESETS = {
     [TIME_CONTROL_TYPES.UNLIMITED]: {
         name: 'Unbegrenzt',
@@ -23,6 +30,7 @@ export const TIME_CONTROL_PRESETS = {
         initialTime: null,
         increment: 0,
         delay: 0,
+        delayMode: DELAY_MODES.NONE,
         icon: '∞'
     },
     [TIME_CONTROL_TYPES.BULLET]: {
@@ -31,6 +39,7 @@ export const TIME_CONTROL_PRESETS = {
         initialTime: 60, // 1 Minute
         increment: 0,
         delay: 0,
+        delayMode: DELAY_MODES.NONE,
         icon: '🎯'
     },
     [TIME_CONTROL_TYPES.BLITZ]: {
@@ -39,6 +48,7 @@ export const TIME_CONTROL_PRESETS = {
         initialTime: 180, // 3 Minuten
         increment: 2,
         delay: 0,
+        delayMode: DELAY_MODES.NONE,
         icon: '⚡'
     },
     [TIME_CONTROL_TYPES.RAPID]: {
@@ -47,6 +57,7 @@ export const TIME_CONTROL_PRESETS = {
         initialTime: 600, // 10 Minuten
         increment: 0,
         delay: 0,
+        delayMode: DELAY_MODES.NONE,
         icon: '⏱️'
     },
     [TIME_CONTROL_TYPES.CLASSICAL]: {
@@ -55,7 +66,22 @@ export const TIME_CONTROL_PRESETS = {
         initialTime: 1800, // 30 Minuten
         increment: 30,
         delay: 0,
+        delayMode: DELAY_MODES.NONE,
         icon: '⏰'
+    },
+    [TIME_CONTROL_TYPES.TOURNAMENT]: {
+        name: 'Turnier',
+        description: '90 Min./40 Züge + 30 Minuten, +30 Sekunden pro Zug',
+        initialTime: 5400, // 90 Minuten
+        increment: 30,
+        delay: 0,
+        delayMode: DELAY_MODES.NONE,
+        icon: '🏆',
+        // Perioden: moves = Züge bis zur nächsten Zeitkontrolle (null = Rest der Partie)
+        periods: [
+            { moves: 40, time: 5400, increment: 30, delay: 0 },
+            { moves: null, time: 1800, increment: 30, delay: 0 }
+        ]
     }
 }
 
@@ -76,6 +102,7 @@ export const TIMER_EVENTS = {
     SWITCH: 'switch',
     EXPIRED: 'expired',
     LOW_TIME: 'low_time',
+    PERIOD_CHANGE: 'period_change',
     CRITICAL_TIME: 'critical_time'
 }
 
@@ -94,7 +121,8 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
         description: 'Benutzerdefinierte Zeit',
         initialTime: 300, // 5 Minuten Standard
         increment: 0,
-        delay: 0
+        delay: 0,
+        delayMode: DELAY_MODES.NONE
     })
 
     // Timer-Zustand
@@ -105,6 +133,14 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
     const whiteTime = ref(0)
     const blackTime = ref(0)
 
+    // Zeitperioden je Spieler (Index in periods) und ausgeführte Züge
+    const periodIndex = ref({ white: 0, black: 0 })
+    const playerMoveCount = ref({ white: 0, black: 0 })
+
+    // Delay des laufenden Zuges (in Sekunden)
+    const delayRemaining = ref(0)
+    const currentMoveElapsed = ref(0)
+
     // Original-Zeit für Reset
     const originalWhiteTime = ref(0)
     const originalBlackTime = ref(0)
@@ -144,6 +180,73 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
         return currentPreset.value
     })
 
+    /**
+     * Zeitperioden der aktuellen Zeitkontrolle
+     * Ohne explizite Perioden ergibt sich eine einzige Periode für die ganze Partie
+     */
+    const timePeriods = computed(() => {
+        const config = effectiveTimeControl.value
+
+        if (Array.isArray(config.periods) && config.periods.length > 0) {
+            return config.periods.map(period => ({
+                moves: period.moves || null,
+                time: period.time || 0,
+                increment: period.increment ?? config.increment ?? 0,
+                delay: period.delay ?? config.delay ?? 0
+            }))
+        }
+
+        return [{
+            moves: null,
+            time: config.initialTime || 0,
+            increment: config.increment || 0,
+            delay: config.delay || 0
+        }]
+    })
+
+    const hasMultiplePeriods = computed(() => {
+        return timePeriods.value.length > 1
+    })
+
+    /**
+     * Aktuelle Periode eines Spielers
+     * @param {string} player - 'white' oder 'black'
+     * @returns {object}
+     */
+    const getPlayerPeriod = (player) => {
+        const periods = timePeriods.value
+        return periods[Math.min(periodIndex.value[player] || 0, periods.length - 1)]
+    }
+
+    /**
+     * Züge bis zur nächsten Zeitkontrolle (null in der letzten Periode)
+     * @param {string} player - 'white' oder 'black'
+     * @returns {number|null}
+     */
+    const getMovesUntilTimeControl = (player) => {
+        const index = periodIndex.value[player] || 0
+        if (!timePeriods.value[index]?.moves) return null
+
+        const boundary = timePeriods.value
+            .slice(0, index + 1)
+            .reduce((sum, period) => sum + period.moves, 0)
+
+        return boundary - playerMoveCount.value[player]
+    }
+
+    /**
+     * Aktiver Delay-Modus (ohne Delay-Sekunden immer NONE)
+     */
+    const delayMode = computed(() => {
+        const config = effectiveTimeControl.value
+        if (!timePeriods.value.some(period => period.delay > 0)) return DELAY_MODES.NONE
+        return config.delayMode || DELAY_MODES.NONE
+    })
+
+    const hasDelay = computed(() => {
+        return delayMode.value !== DELAY_MODES.NONE
+    })
+
     /**
      * Ist der Timer aktiv?
      */
@@ -269,7 +372,11 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
                 description: customConfig.description || 'Benutzerdefinierte Zeit',
                 initialTime: customConfig.initialTime || 300,
                 increment: customConfig.increment || 0,
-                delay: customConfig.delay || 0
+                delay: customConfig.delay || 0,
+                periods: Array.isArray(customConfig.periods) ? customConfig.periods : null,
+                delayMode: Object.values(DELAY_MODES).includes(customConfig.delayMode)
+                    ? customConfig.delayMode
+                    : (customConfig.delay > 0 ? DELAY_MODES.SIMPLE : DELAY_MODES.NONE)
             }
         }
 
@@ -284,12 +391,16 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
      */
     const initializeTimer = () => {
         const config = effectiveTimeControl.value
+        const initialTime = timePeriods.value[0].time
 
-        if (config.initialTime) {
-            whiteTime.value = config.initialTime
-            blackTime.value = config.initialTime
-            originalWhiteTime.value = config.initialTime
-            originalBlackTime.value = config.initialTime
+        periodIndex.value = { white: 0, black: 0 }
+        playerMoveCount.value = { white: 0, black: 0 }
+
+        if (initialTime) {
+            whiteTime.value = initialTime
+            blackTime.value = initialTime
+            originalWhiteTime.value = initialTime
+            originalBlackTime.value = initialTime
         } else {
             // Unlimited time
             whiteTime.value = 0
@@ -303,10 +414,19 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
         moveTimings.value = []
         gameStartTime.value = null
         totalGameTime.value = 0
+        resetMoveDelay()
 
         console.log('Timer initialisiert:', config)
     }
 
+    /**
+     * Delay für den nächsten Zug zurücksetzen
+     */
+    const resetMoveDelay = () => {
+        delayRemaining.value = hasDelay.value ? getPlayerPeriod(activePlayer.value).delay : 0
+        currentMoveElapsed.value = 0
+    }
+
     const isTimerWaiting = computed(() => {
         return timerState.value === TIMER_STATES.WAITING
     })
@@ -424,14 +544,32 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
         if (isUnlimitedTime.value) return
 
         const previousPlayer = activePlayer.value
+        const period = getPlayerPeriod(previousPlayer)
+        const currentPeriodIndex = periodIndex.value[previousPlayer]
+        const delay = period.delay
+
+        // Delay auswerten: Einfach = bereits im Tick verbraucht, Bronstein = Gutschrift
+        let delayUsed = 0
+        if (delayMode.value === DELAY_MODES.SIMPLE) {
+            delayUsed = delay - delayRemaining.value
+        } else if (delayMode.value === DELAY_MODES.BRONSTEIN) {
+            delayUsed = Math.min(delay, currentMoveElapsed.value)
+        }
+
+        // Increment (und Bronstein-Gutschrift) hinzufügen
+        const increment = period.increment
+        let bonus = increment + (delayMode.value === DELAY_MODES.BRONSTEIN ? delayUsed : 0)
 
-        // Increment hinzufügen
-        const increment = effectiveTimeControl.value.increment || 0
-        if (increment > 0) {
+        // Zeitkontrolle erreicht: Zeit der nächsten Periode gutschreiben
+        playerMoveCount.value[previousPlayer]++
+        const periodTimeAdded = advancePeriodIfReached(previousPlayer)
+        bonus += periodTimeAdded
+
+        if (bonus > 0) {
             if (previousPlayer === 'white') {
-                whiteTime.value += increment
+                whiteTime.value += bonus
             } else {
-                blackTime.value += increment
+                blackTime.value += bonus
             }
         }
 
@@ -443,23 +581,213 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
             player: previousPlayer,
             moveNumber: Math.ceil(moveTimings.value.length / 2) + 1,
             timeRemaining: timeUsedForMove,
+            timeUsed: currentMoveElapsed.value,
             increment: increment,
+            delay: delay,
+            delayMode: delayMode.value,
+            delayUsed: delayUsed,
+            period: currentPeriodIndex,
+            periodTimeAdded: periodTimeAdded,
             timestamp: new Date()
         })
 
         // Tick-Zeit setzen und Spieler wechseln
         lastTickTime.value = performance.now()
         activePlayer.value = nextPlayer // ← Parameter verwenden!
+        resetMoveDelay()
 
         emitEvent(TIMER_EVENTS.SWITCH, {
             fromPlayer: previousPlayer,
             toPlayer: nextPlayer,
-            increment: increment
+            increment: increment,
+            delayUsed: delayUsed
         })
 
         console.log(`Spieler gewechselt: ${previousPlayer} -> ${nextPlayer}`)
     }
 
+    /**
+     * Periodenwechsel nach einem Zug prüfen
+     * @param {string} player - Spieler, der gerade gezogen hat
+     * @returns {number} Gutgeschriebene Zeit der neuen Periode (0 ohne Wechsel)
+     */
+    const advancePeriodIfReached = (player) => {
+        if (getMovesUntilTimeControl(player) !== 0) return 0
+
+        const nextIndex = periodIndex.value[player] + 1
+        const nextPeriod = timePeriods.value[nextIndex]
+        if (!nextPeriod) return 0
+
+        periodIndex.value[player] = nextIndex
+
+        if (player === 'white') {
+            originalWhiteTime.value += nextPeriod.time
+        } else {
+            originalBlackTime.value += nextPeriod.time
+        }
+
+        emitEvent(TIMER_EVENTS.PERIOD_CHANGE, {
+            player,
+            period: nextIndex,
+            timeAdded: nextPeriod.time
+        })
+
+        console.log(`Zeitkontrolle erreicht: ${player} erhält ${nextPeriod.time}s (Periode ${nextIndex + 1})`)
+        return nextPeriod.time
+    }
+
+    /**
+     * Letzten Uhrwechsel zurücknehmen (Zug wurde zurückgenommen)
+     * Zugzähler, Periode und gutgeschriebene Zeit (Increment, Bronstein, neue Periode) gehen zurück,
+     * die verbrauchte Bedenkzeit bleibt verbraucht.
+     * @returns {boolean} false ohne erfassten Uhrwechsel
+     */
+    const undoLastSwitch = () => {
+        const timing = moveTimings.value.pop()
+        if (!timing) return false
+
+        const { player } = timing
+        const bonus = timing.increment +
+            (timing.delayMode === DELAY_MODES.BRONSTEIN ? timing.delayUsed : 0) +
+            timing.periodTimeAdded
+
+        playerMoveCount.value[player] = Math.max(0, playerMoveCount.value[player] - 1)
+        periodIndex.value[player] = timing.period
+
+        if (player === 'white') {
+            whiteTime.value = Math.max(0, whiteTime.value - bonus)
+            originalWhiteTime.value -= timing.periodTimeAdded
+        } else {
+            blackTime.value = Math.max(0, blackTime.value - bonus)
+            originalBlackTime.value -= timing.periodTimeAdded
+        }
+
+        lastTickTime.value = performance.now()
+        activePlayer.value = player
+        resetMoveDelay()
+
+        console.log(`Uhrwechsel zurückgenommen: ${player} wieder am Zug`)
+        return true
+    }
+
+    /**
+     * Uhrzustand einer gespeicherten Partie übernehmen
+     * @param {object} clock - { whiteTime, blackTime, activePlayer, moveCounts: { white, black } }
+     */
+    const restoreClock = ({ whiteTime: savedWhiteTime, blackTime: savedBlackTime, activePlayer: savedActivePlayer, moveCounts = {} }) => {
+        if (isUnlimitedTime.value) return
+
+        for (const player of ['white', 'black']) {
+            playerMoveCount.value[player] = moveCounts[player] || 0
+
+            // Bereits erreichte Zeitkontrollen nachvollziehen
+            while (getMovesUntilTimeControl(player) !== null &&
+                getMovesUntilTimeControl(player) <= 0 &&
+                periodIndex.value[player] < timePeriods.value.length - 1) {
+                periodIndex.value[player]++
+                const addedTime = timePeriods.value[periodIndex.value[player]].time
+                if (player === 'white') {
+                    originalWhiteTime.value += addedTime
+                } else {
+                    originalBlackTime.value += addedTime
+                }
+            }
+        }
+
+        if (savedWhiteTime !== null && savedWhiteTime !== undefined) {
+            whiteTime.value = savedWhiteTime
+        }
+        if (savedBlackTime !== null && savedBlackTime !== undefined) {
+            blackTime.value = savedBlackTime
+        }
+
+        activePlayer.value = savedActivePlayer || 'white'
+        timerState.value = TIMER_STATES.WAITING
+        resetMoveDelay()
+
+        console.log('Uhr wiederhergestellt:', { white: whiteTime.value, black: blackTime.value })
+    }
+
+    /**
+     * Uhrzustand für die lokale Sicherung erfassen
+     * @returns {object}
+     */
+    const createSnapshot = () => {
+        return JSON.parse(JSON.stringify({
+            currentTimeControl: currentTimeControl.value,
+            customTimeControl: customTimeControl.value,
+            timerState: timerState.value,
+            activePlayer: activePlayer.value,
+            whiteTime: whiteTime.value,
+            blackTime: blackTime.value,
+            originalWhiteTime: originalWhiteTime.value,
+            originalBlackTime: originalBlackTime.value,
+            periodIndex: periodIndex.value,
+            playerMoveCount: playerMoveCount.value,
+            delayRemaining: delayRemaining.value,
+            currentMoveElapsed: currentMoveElapsed.value,
+            moveTimings: moveTimings.value,
+            totalGameTime: totalGameTime.value
+        }))
+    }
+
+    /**
+     * Uhrzustand aus einer Sicherung übernehmen
+     * Eine beim Speichern laufende Uhr wird pausiert wiederhergestellt.
+     * @param {object} snapshot - Ergebnis von createSnapshot
+     */
+    const restoreSnapshot = (snapshot) => {
+        if (!snapshot) return
+
+        stopTimer()
+
+        currentTimeControl.value = snapshot.currentTimeControl || TIME_CONTROL_TYPES.UNLIMITED
+        if (snapshot.customTimeControl) {
+            customTimeControl.value = snapshot.customTimeControl
+        }
+
+        activePlayer.value = snapshot.activePlayer || 'white'
+        whiteTime.value = snapshot.whiteTime
+        blackTime.value = snapshot.blackTime
+        originalWhiteTime.value = snapshot.originalWhiteTime
+        originalBlackTime.value = snapshot.originalBlackTime
+        periodIndex.value = snapshot.periodIndex || { white: 0, black: 0 }
+        playerMoveCount.value = snapshot.playerMoveCount || { white: 0, black: 0 }
+        delayRemaining.value = snapshot.delayRemaining || 0
+        currentMoveElapsed.value = snapshot.currentMoveElapsed || 0
+        moveTimings.value = (snapshot.moveTimings || []).map(timing => ({ ...timing, timestamp: new Date(timing.timestamp) }))
+        totalGameTime.value = snapshot.totalGameTime || 0
+
+        timerState.value = snapshot.timerState === TIMER_STATES.RUNNING
+            ? TIMER_STATES.PAUSED
+            : snapshot.timerState
+
+        console.log('Uhr aus Sicherung wiederhergestellt:', timerState.value)
+    }
+
+    /**
+     * Zeitkontrolle im PGN-TimeControl-Format (z.B. "40/5400+30:1800+30")
+     * Das Format kennt kein Delay, dafür gibt es pgnTimeDelay.
+     */
+    const pgnTimeControl = computed(() => {
+        if (isUnlimitedTime.value) return '-'
+
+        return timePeriods.value.map(period => {
+            const base = period.moves ? `${period.moves}/${period.time}` : `${period.time}`
+            return period.increment > 0 ? `${base}+${period.increment}` : base
+        }).join(':')
+    })
+
+    /**
+     * Delay für den eigenen PGN-Tag TimeDelay: Modus und Sekunden je Periode wie in TimeControl
+     * (z.B. "simple 5" oder "bronstein 5:5"), null ohne Delay
+     */
+    const pgnTimeDelay = computed(() => {
+        if (isUnlimitedTime.value || !hasDelay.value) return null
+
+        return `${delayMode.value} ${timePeriods.value.map(period => period.delay).join(':')}`
+    })
+
     /**
      * Timer Tick - wird alle 100ms aufgerufen
      */
@@ -470,11 +798,23 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
         const deltaTime = (now - lastTickTime.value) / 1000 // in Sekunden
         lastTickTime.value = now
 
+        currentMoveElapsed.value += deltaTime
+
+        // Einfaches Delay wird zuerst verbraucht, erst danach läuft die Uhr
+        let clockTime = deltaTime
+        if (delayMode.value === DELAY_MODES.SIMPLE) {
+            const consumed = Math.min(delayRemaining.value, deltaTime)
+            delayRemaining.value -= consumed
+            clockTime = deltaTime - consumed
+        } else if (delayMode.value === DELAY_MODES.BRONSTEIN) {
+            delayRemaining.value = Math.max(0, delayRemaining.value - deltaTime)
+        }
+
         // Zeit vom aktuellen Spieler abziehen
         if (activePlayer.value === 'white') {
-            whiteTime.value = Math.max(0, whiteTime.value - deltaTime)
+            whiteTime.value = Math.max(0, whiteTime.value - clockTime)
         } else {
-            blackTime.value = Math.max(0, blackTime.value - deltaTime)
+            blackTime.value = Math.max(0, blackTime.value - clockTime)
         }
 
         totalGameTime.value += deltaTime
@@ -504,6 +844,7 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
             activePlayer: activePlayer.value,
             whiteTime: whiteTime.value,
             blackTime: blackTime.value,
+            delayRemaining: delayRemaining.value,
             totalGameTime: totalGameTime.value
         })
     }
@@ -676,6 +1017,10 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
         blackTime,
         originalWhiteTime,
         originalBlackTime,
+        delayRemaining,
+        currentMoveElapsed,
+        periodIndex,
+        playerMoveCount,
         isIncludePreMove,
         showTenths,
         moveTimings,
@@ -685,6 +1030,12 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
         // Computed
         currentPreset,
         effectiveTimeControl,
+        timePeriods,
+        hasMultiplePeriods,
+        pgnTimeControl,
+        pgnTimeDelay,
+        delayMode,
+        hasDelay,
         isTimerActive,
         isTimerWaiting,
         isTimerPaused,
@@ -709,6 +1060,12 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
         stopTimer,
         resetTimer,
         switchPlayer,
+        undoLastSwitch,
+        getPlayerPeriod,
+        getMovesUntilTimeControl,
+        restoreClock,
+        createSnapshot,
+        restoreSnapshot,
         addTime,
         on,
         off,
@@ -720,6 +1077,7 @@ export const useChessTimerStore = defineStore('chessTimer', () => {
         // Constants (for external use)
         TIME_CONTROL_TYPES,
         TIME_CONTROL_PRESETS,
+        DELAY_MODES,
         TIMER_STATES,
         TIMER_EVENTS,
         WARNING_THRESHOLDS
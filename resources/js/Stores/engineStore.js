@@ -0,0 +1,919 @@
+/**
+ * Engine Store - Gegner im VS_AI-Modus und Analyse im ANALYSIS-Modus
+ * Startet die Engine, auf die der gewählte Eintrag aus chess_engines zeigt (gebündelte
+ * stockfish.js, eingebaute Engine oder ein UCI-Worker-Skript aus public/) in einem Web Worker,
+ * spricht UCI und spielt die Antwort der Engine über gameStore.attemptMove bzw.
+ * rechnet endlos (MultiPV, immer Stockfish) auf der angezeigten Stellung.
+ * Steht die Stellung im Eröffnungsbuch der Engine, wird ohne Suche ein Buchzug gespielt.
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed, watch } from 'vue'
+import axios from 'axios'
+import stockfishUrl from 'stockfish.js/stockfish.js?url'
+import BuiltinEngineWorker from '@/Workers/builtinEngine.worker.js?worker'
+import { useGameStore } from '@/Stores/gameStore.js'
+import { useOpeningBookStore } from '@/Stores/openingBookStore.js'
+import { useChessLogic } from '@/Composables/useChessLogic.js'
+import { GAME_MODES, PLAYER_COLORS } from '@/Utils/chessConstants.js'
+import { DEFAULT_SEARCH_LEVEL, SEARCH_LEVELS } from '@/Utils/searchEngine.js'
+
+export const ENGINE_STATES = {
+    IDLE: 'idle',
+    LOADING: 'loading',
+    READY: 'ready',
+    THINKING: 'thinking',
+    ANALYZING: 'analyzing',
+    ERROR: 'error'
+}
+
+export const ENGINE_DEFAULTS = {
+    SKILL_LEVEL: 10,
+    SKILL_LEVEL_MIN: 0,
+    SKILL_LEVEL_MAX: 20,
+    MOVE_TIME: 1000,       // Millisekunden pro Zug
+    MOVE_TIME_MIN: 100,
+    MOVE_TIME_MAX: 10000,
+    READY_TIMEOUT: 10000,  // Millisekunden bis 'uciok'/'readyok'
+    MULTI_PV: 3,           // Angezeigte Varianten in der Analyse
+    MULTI_PV_MIN: 1,
+    MULTI_PV_MAX: 5,
+    PV_MAX_MOVES: 12       // Halbzüge je Variante in SAN
+}
+
+export const ENGINE_ENDPOINT = '/engines'
+
+export const ENGINE_TYPES = {
+    STOCKFISH: 'stockfish',
+    BUILTIN: 'builtin'
+}
+
+/**
+ * Mitgelieferte Engines: Worker und Bereich der UCI-Option "Skill Level"
+ * skillLevels = benannte Stufen (null = Zahlenbereich). Zeilen aus chess_engines verweisen
+ * über path auf diese Einträge; ohne Server sind sie die wählbaren Gegner.
+ */
+export const ENGINES = {
+    [ENGINE_TYPES.STOCKFISH]: {
+        id: ENGINE_TYPES.STOCKFISH,
+        name: 'Stockfish',
+        icon: '🐟',
+        description: 'Stockfish 10 als WebAssembly',
+        skillLevel: ENGINE_DEFAULTS.SKILL_LEVEL,
+        skillLevelMin: ENGINE_DEFAULTS.SKILL_LEVEL_MIN,
+        skillLevelMax: ENGINE_DEFAULTS.SKILL_LEVEL_MAX,
+        skillLevels: null,
+        createWorker: () => new Worker(stockfishUrl)
+    },
+    [ENGINE_TYPES.BUILTIN]: {
+        id: ENGINE_TYPES.BUILTIN,
+        name: 'J-Chess Engine',
+        icon: '⚙️',
+        description: 'Eingebaut, läuft auch offline',
+        skillLevel: DEFAULT_SEARCH_LEVEL,
+        skillLevelMin: SEARCH_LEVELS[0].level,
+        skillLevelMax: SEARCH_LEVELS[SEARCH_LEVELS.length - 1].level,
+        skillLevels: SEARCH_LEVELS,
+        createWorker: () => new BuiltinEngineWorker()
+    }
+}
+
+/**
+ * Gegner aus einer Zeile der Tabelle chess_engines
+ * path ist eine der ENGINES oder die URL eines UCI-Worker-Skripts in public/.
+ * @param {object} row - Eintrag aus GET /engines
+ * @returns {object} Eintrag wie in ENGINES, zusätzlich serverId, version und isDefault
+ */
+const createEngineFromRow = (row) => {
+    const build = ENGINES[row.path]
+    const skillLevelMin = row.skill_level_min
+    const skillLevelMax = row.skill_level_max
+
+    return {
+        id: row.path,
+        serverId: row.id,
+        name: row.name,
+        icon: build?.icon ?? '♟️',
+        description: row.description || build?.description || '',
+        version: row.version,
+        isDefault: row.is_default,
+        skillLevel: row.default_skill_level,
+        skillLevelMin,
+        skillLevelMax,
+        skillLevels: build?.skillLevels?.filter(({ level }) => level >= skillLevelMin && level <= skillLevelMax) ?? null,
+        createWorker: build?.createWorker ?? (() => new Worker(row.path))
+    }
+}
+
+export const useEngineStore = defineStore('engine', () => {
+    const gameStore = useGameStore()
+    const openingBookStore = useOpeningBookStore()
+    const chessLogic = useChessLogic()
+
+    // ===== STATE =====
+    const engineState = ref(ENGINE_STATES.IDLE)
+    const engineName = ref(null)
+    const engineError = ref(null)
+    const engineType = ref(ENGINE_TYPES.STOCKFISH)
+    const engines = ref({ ...ENGINES }) // Wählbare Gegner, nach loadEngines aus chess_engines
+    const enginesLoaded = ref(false)
+    const canSavePreference = ref(false)
+    const fallbackEngine = ref(null) // Engine-ID, die für den gewählten Gegner eingesprungen ist
+    const skillLevel = ref(ENGINE_DEFAULTS.SKILL_LEVEL)
+    const moveTime = ref(ENGINE_DEFAULTS.MOVE_TIME)
+    const lastBestMove = ref(null)
+    const analysisEnabled = ref(true)
+    const multiPv = ref(ENGINE_DEFAULTS.MULTI_PV)
+    const analysisLines = ref([])  // Varianten nach multipv, Bewertung aus Sicht von Weiß
+    const analysisFen = ref(null)
+
+    // Worker und laufende Suche (nicht reaktiv nötig, aber im Store gehalten)
+    let worker = null
+    let workerType = null  // Engine-ID des laufenden Workers
+    let initPromise = null
+    let pendingReady = null
+    let activeSearch = null
+    let isProbingBook = false
+    let activeAnalysis = null
+    let staleBestMoves = 0 // Mit 'stop' beendete Analysen, deren 'bestmove' noch aussteht
+    let searchCounter = 0
+
+    // ===== COMPUTED =====
+
+    const isReady = computed(() => {
+        return [ENGINE_STATES.READY, ENGINE_STATES.THINKING, ENGINE_STATES.ANALYZING].includes(engineState.value)
+    })
+
+    const isThinking = computed(() => {
+        return engineState.value === ENGINE_STATES.THINKING
+    })
+
+    const availableEngines = computed(() => Object.values(engines.value))
+
+    const engineInfo = computed(() => getEngine(engineType.value))
+
+    /**
+     * Farbe der Engine: immer die Gegenfarbe des menschlichen Spielers
+     */
+    const engineColor = computed(() => {
+        return gameStore.playerColor === PLAYER_COLORS.WHITE ? PLAYER_COLORS.BLACK : PLAYER_COLORS.WHITE
+    })
+
+    const isAnalyzing = computed(() => {
+        return engineState.value === ENGINE_STATES.ANALYZING
+    })
+
+    /**
+     * Analyse läuft im ANALYSIS-Modus auf jeder angezeigten Stellung, solange sie eingeschaltet ist
+     */
+    const shouldAnalyze = computed(() => {
+        return gameStore.gameMode === GAME_MODES.ANALYSIS &&
+            gameStore.variantRules.engineSupported &&
+            analysisEnabled.value
+    })
+
+    /**
+     * Bewertung der besten Variante aus Sicht von Weiß
+     */
+    const evaluation = computed(() => {
+        return analysisLines.value[0]?.score ?? null
+    })
+
+    const isEngineTurn = computed(() => {
+        return gameStore.gameMode === GAME_MODES.VS_AI &&
+            gameStore.variantRules.engineSupported &&
+            gameStore.isGameActive &&
+            gameStore.isAtLivePosition &&
+            gameStore.currentPlayer === engineColor.value
+    })
+
+    // ===== ENGINE-REGISTRY =====
+
+    /**
+     * Gegner nach ID, die mitgelieferten Engines bleiben auch ohne Datenbankeintrag
+     * erreichbar (Analyse mit Stockfish, eingebaute Engine als Ersatz)
+     * @param {string} type - ENGINE_TYPES-Wert bzw. path aus chess_engines
+     * @returns {object|undefined}
+     */
+    const getEngine = (type) => engines.value[type] ?? ENGINES[type]
+
+    /**
+     * Aktive Engines aus chess_engines laden und die zuletzt gewählte Engine des Benutzers übernehmen
+     * Ohne Server (z.B. offline) bleiben die mitgelieferten Engines wählbar.
+     * @returns {Promise<object>} { success, error? }
+     */
+    const loadEngines = async () => {
+        try {
+            const response = await axios.get(ENGINE_ENDPOINT)
+            const { engines: rows, preference } = response.data
+
+            if (rows.length > 0) {
+                engines.value = Object.fromEntries(rows.map(row => [row.path, createEngineFromRow(row)]))
+            }
+            canSavePreference.value = response.data.can_save_preference
+            enginesLoaded.value = true
+
+            const preferredEngine = preference
+                ? availableEngines.value.find(engine => engine.serverId === preference.engine_id)
+                : null
+
+            if (preferredEngine) {
+                setEngineType(preferredEngine.id)
+                setSkillLevel(preference.skill_level)
+            } else {
+                // Ohne gespeicherte Auswahl: Standard-Engine mit der Standard-Spielstärke ihrer Zeile
+                const defaultEngine = availableEngines.value.find(engine => engine.isDefault) ?? availableEngines.value[0]
+                setEngineType(defaultEngine.id)
+                setSkillLevel(defaultEngine.skillLevel)
+            }
+
+            return { success: true }
+        } catch (error) {
+            const message = error.response?.data?.message || error.message
+            console.error('Fehler beim Laden der Engines:', message)
+            return { success: false, error: message }
+        }
+    }
+
+    /**
+     * Gewählte Engine und Spielstärke für den angemeldeten Benutzer speichern
+     * @returns {Promise<object>} { success, error? }
+     */
+    const saveEnginePreference = async () => {
+        const serverId = engineInfo.value?.serverId
+        if (!canSavePreference.value || !serverId) {
+            return { success: false, error: 'Auswahl kann nicht gespeichert werden' }
+        }
+
+        try {
+            await axios.put(`${ENGINE_ENDPOINT}/preference`, {
+                engine_id: serverId,
+                skill_level: skillLevel.value
+            })
+            return { success: true }
+        } catch (error) {
+            const message = error.response?.data?.message || error.message
+            console.error('Fehler beim Speichern der Engine-Auswahl:', message)
+            return { success: false, error: message }
+        }
+    }
+
+    // ===== WORKER / UCI =====
+
+    /**
+     * UCI-Kommando an den Worker senden
+     * @param {string} command
+     */
+    const sendCommand = (command) => {
+        if (!worker) {
+            console.warn('Engine nicht gestartet, Kommando verworfen:', command)
+            return
+        }
+        worker.postMessage(command)
+    }
+
+    /**
+     * Ausgabe der Engine verarbeiten
+     * @param {MessageEvent|string} event
+     */
+    const handleEngineMessage = (event) => {
+        const line = typeof event === 'string' ? event : event?.data
+        if (typeof line !== 'string') return
+
+        if (line.startsWith('id name ')) {
+            engineName.value = line.substring('id name '.length).trim()
+            return
+        }
+
+        if (line === 'uciok' || line === 'readyok') {
+            if (pendingReady) {
+                pendingReady.resolve()
+                pendingReady = null
+            }
+            return
+        }
+
+        if (line.startsWith('info ')) {
+            handleAnalysisInfo(line)
+            return
+        }
+
+        if (line.startsWith('bestmove')) {
+            handleBestMove(line)
+        }
+    }
+
+    /**
+     * Auf 'uciok' bzw. 'readyok' warten
+     * @param {string} command - 'uci' oder 'isready'
+     * @returns {Promise<void>}
+     */
+    const waitForReady = (command) => {
+        return new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                pendingReady = null
+                reject(new Error(`Engine antwortet nicht auf '${command}'`))
+            }, ENGINE_DEFAULTS.READY_TIMEOUT)
+
+            pendingReady = {
+                resolve: () => {
+                    clearTimeout(timeoutId)
+                    resolve()
+                },
+                reject: (error) => {
+                    clearTimeout(timeoutId)
+                    reject(error)
+                }
+            }
+
+            sendCommand(command)
+        })
+    }
+
+    /**
+     * Engine starten (idempotent), ein Worker der anderen Engine wird beendet
+     * @param {string} type - Engine-ID (ENGINE_TYPES-Wert bzw. path), Standard ist der gewählte Gegner
+     * @returns {Promise<void>}
+     */
+    const initEngine = (type = engineType.value) => {
+        if (initPromise && workerType === type) return initPromise
+        if (initPromise) terminateEngine()
+
+        if (typeof Worker === 'undefined') {
+            engineState.value = ENGINE_STATES.ERROR
+            engineError.value = 'Web Worker werden nicht unterstützt'
+            return Promise.reject(new Error(engineError.value))
+        }
+
+        engineState.value = ENGINE_STATES.LOADING
+        engineError.value = null
+
+        initPromise = (async () => {
+            let startedWorker = null
+
+            try {
+                startedWorker = worker = getEngine(type).createWorker()
+                workerType = type
+                worker.onmessage = handleEngineMessage
+                worker.onerror = (error) => {
+                    console.error('Engine-Worker Fehler:', error)
+                    engineState.value = ENGINE_STATES.ERROR
+                    engineError.value = error.message || 'Engine-Worker Fehler'
+
+                    // Worker lädt nicht (z.B. WASM fehlt): nicht erst auf den Timeout warten
+                    pendingReady?.reject(new Error(engineError.value))
+                    pendingReady = null
+                }
+
+                await waitForReady('uci')
+                applySkillLevel()
+                await waitForReady('isready')
+
+                engineState.value = ENGINE_STATES.READY
+                console.log('🤖 Engine bereit:', engineName.value)
+            } catch (error) {
+                // Während des Ladens durch die andere Engine abgelöst
+                if (worker !== startedWorker) throw error
+
+                console.error('Fehler beim Starten der Engine:', error)
+                engineState.value = ENGINE_STATES.ERROR
+                engineError.value = error.message
+                terminateEngine()
+                throw error
+            }
+        })()
+
+        return initPromise
+    }
+
+    /**
+     * Worker beenden und Zustand zurücksetzen
+     */
+    const terminateEngine = () => {
+        cancelSearch()
+
+        if (worker) {
+            worker.terminate()
+            worker = null
+        }
+
+        // Das 'bestmove' auf das 'stop' kommt vom beendeten Worker nicht mehr
+        activeSearch?.resolve(null)
+        activeSearch = null
+        isProbingBook = false
+
+        workerType = null
+        initPromise = null
+        pendingReady?.reject(new Error('Engine wurde beendet'))
+        pendingReady = null
+        activeAnalysis = null
+        staleBestMoves = 0
+
+        if (engineState.value !== ENGINE_STATES.ERROR) {
+            engineState.value = ENGINE_STATES.IDLE
+        }
+    }
+
+    // ===== EINSTELLUNGEN =====
+
+    const applySkillLevel = () => {
+        // Die Spielstärke gehört zum gewählten Gegner, nicht zum Analyse-Worker
+        if (workerType === engineType.value) {
+            sendCommand(`setoption name Skill Level value ${skillLevel.value}`)
+        } else if (workerType === fallbackEngine.value) {
+            // Eingesprungene Engine spielt mit ihrer Standardstärke
+            sendCommand(`setoption name Skill Level value ${getEngine(workerType).skillLevel}`)
+        }
+    }
+
+    /**
+     * Gegner wählen, die Spielstärke springt auf dessen Standard
+     * Der Worker wird beim nächsten Engine-Zug gewechselt.
+     * @param {string} type - Engine-ID (ENGINE_TYPES-Wert bzw. path)
+     */
+    const setEngineType = (type) => {
+        if (!getEngine(type)) {
+            console.warn('Unbekannte Engine:', type)
+            return
+        }
+
+        if (type === engineType.value) return
+
+        engineType.value = type
+        fallbackEngine.value = null
+        skillLevel.value = getEngine(type).skillLevel
+    }
+
+    /**
+     * Spielstärke im Bereich des gewählten Gegners setzen (Bereich aus chess_engines, mitgeliefert: Stockfish 0-20, eingebaut 1-5)
+     * @param {number} level
+     */
+    const setSkillLevel = (level) => {
+        const parsed = parseInt(level)
+        if (isNaN(parsed)) {
+            console.warn('Ungültige Spielstärke:', level)
+            return
+        }
+
+        const { skillLevelMin, skillLevelMax } = engineInfo.value
+        skillLevel.value = Math.min(skillLevelMax, Math.max(skillLevelMin, parsed))
+
+        if (worker) {
+            applySkillLevel()
+        }
+    }
+
+    /**
+     * Bedenkzeit pro Zug setzen
+     * @param {number} milliseconds
+     */
+    const setMoveTime = (milliseconds) => {
+        const parsed = parseInt(milliseconds)
+        if (isNaN(parsed)) {
+            console.warn('Ungültige Bedenkzeit:', milliseconds)
+            return
+        }
+
+        moveTime.value = Math.min(ENGINE_DEFAULTS.MOVE_TIME_MAX, Math.max(ENGINE_DEFAULTS.MOVE_TIME_MIN, parsed))
+    }
+
+    // ===== SUCHE =====
+
+    /**
+     * UCI-Zug (z.B. "e7e8q") in Felder zerlegen
+     * @param {string} uciMove
+     * @returns {object|null} { from, to, promotion }
+     */
+    const parseUciMove = (uciMove) => {
+        if (!/^[a-h][1-8][a-h][1-8][qrbn]?$/.test(uciMove || '')) {
+            return null
+        }
+
+        return {
+            from: uciMove.substring(0, 2),
+            to: uciMove.substring(2, 4),
+            promotion: uciMove[4] || null
+        }
+    }
+
+    /**
+     * 'bestmove'-Zeile der Engine auswerten und Zug ausführen
+     * @param {string} line
+     */
+    const handleBestMove = (line) => {
+        // Antwort auf das 'stop' einer abgelösten Analyse
+        if (staleBestMoves > 0) {
+            staleBestMoves--
+            return
+        }
+
+        // Analyse ohne 'stop' beendet (z.B. keine legalen Züge)
+        if (activeAnalysis) {
+            activeAnalysis = null
+            engineState.value = ENGINE_STATES.READY
+            return
+        }
+
+        const search = activeSearch
+        activeSearch = null
+
+        if (engineState.value === ENGINE_STATES.THINKING) {
+            engineState.value = ENGINE_STATES.READY
+        }
+
+        if (!search) return
+
+        // Abgebrochen oder Stellung hat sich inzwischen geändert
+        if (search.cancelled || search.fen !== gameStore.currentFEN) {
+            search.resolve(null)
+            return
+        }
+
+        // "bestmove (none)" = kein legaler Zug (Matt/Patt)
+        search.resolve(playUciMove(line.split(' ')[1], search.color))
+    }
+
+    /**
+     * UCI-Zug der Engine bzw. des Eröffnungsbuchs ausführen
+     * @param {string} uciMove
+     * @param {string} color - Farbe der Engine
+     * @returns {object|null} Ergebnis von gameStore.attemptMove oder null bei ungültigem Zug
+     */
+    const playUciMove = (uciMove, color) => {
+        const move = parseUciMove(uciMove)
+        if (!move) return null
+
+        lastBestMove.value = uciMove
+
+        const options = {}
+        if (move.promotion) {
+            options.promotion = color === PLAYER_COLORS.WHITE
+                ? move.promotion.toUpperCase()
+                : move.promotion
+        }
+
+        const moveResult = gameStore.attemptMove(move.from, move.to, options)
+
+        if (!moveResult.success) {
+            console.error('Engine-Zug abgelehnt:', uciMove, moveResult.error)
+        }
+
+        return moveResult
+    }
+
+    /**
+     * Buchzug aus dem Eröffnungsbuch der gewählten Engine spielen
+     * @returns {Promise<object|null>} { result } mit dem Ergebnis von gameStore.attemptMove
+     *                                 (null = Stellung inzwischen geändert) oder null, wenn nicht im Buch
+     */
+    const playBookMove = async () => {
+        const fen = gameStore.currentFEN
+        const color = gameStore.currentPlayer
+
+        isProbingBook = true
+        let bookMove
+        try {
+            bookMove = await openingBookStore.probe(engineType.value, fen, gameStore.gameVariant)
+        } finally {
+            isProbingBook = false
+        }
+
+        if (!bookMove) return null
+
+        // Stellung hat sich während des Ladens geändert
+        if (fen !== gameStore.currentFEN || !isEngineTurn.value) {
+            return { result: null }
+        }
+
+        const moveResult = playUciMove(bookMove.uci, color)
+        if (moveResult?.success) {
+            gameStore.setMoveBook(moveResult.move.id, {
+                name: bookMove.book,
+                weight: bookMove.weight,
+                share: bookMove.share
+            })
+            console.log('🤖 Buchzug:', bookMove.uci, bookMove.book)
+        }
+
+        return { result: moveResult }
+    }
+
+    /**
+     * Engine für die aktuelle Stellung rechnen lassen und den besten Zug spielen
+     * @returns {Promise<object|null>} Ergebnis von gameStore.attemptMove oder null
+     */
+    const makeMove = async () => {
+        if (!isEngineTurn.value) {
+            return null
+        }
+
+        if (activeSearch || isProbingBook) {
+            console.warn('Engine rechnet bereits')
+            return null
+        }
+
+        const bookMove = await playBookMove()
+        if (bookMove) {
+            return bookMove.result
+        }
+
+        try {
+            await initEngine()
+            fallbackEngine.value = null
+        } catch (error) {
+            if (engineType.value === ENGINE_TYPES.BUILTIN) return null
+
+            // Gewählte Engine lädt nicht (z.B. Stockfish ohne WebAssembly): die eingebaute Engine
+            // spielt diesen Zug, die Auswahl des Spielers bleibt erhalten
+            console.warn('🤖', engineInfo.value.name, 'nicht verfügbar, eingebaute Engine übernimmt diesen Zug')
+            fallbackEngine.value = ENGINE_TYPES.BUILTIN
+
+            try {
+                await initEngine(ENGINE_TYPES.BUILTIN)
+            } catch (fallbackError) {
+                fallbackEngine.value = null
+                return null
+            }
+        }
+
+        const fen = gameStore.currentFEN
+        const searchId = ++searchCounter
+
+        return new Promise((resolve) => {
+            activeSearch = {
+                id: searchId,
+                fen,
+                color: gameStore.currentPlayer,
+                cancelled: false,
+                resolve
+            }
+
+            engineState.value = ENGINE_STATES.THINKING
+
+            // Analyse läuft mit voller Stärke und mehreren Varianten
+            applySkillLevel()
+            sendCommand('setoption name MultiPV value 1')
+
+            // Chess960: X-FEN-Rochaderechte, Rochaden kommen als "König schlägt Turm" zurück
+            sendCommand(`setoption name UCI_Chess960 value ${gameStore.variantRules.chess960Castling}`)
+            sendCommand(`position fen ${fen}`)
+            sendCommand(`go movetime ${moveTime.value}`)
+        })
+    }
+
+    /**
+     * Laufende Suche abbrechen, das Ergebnis wird verworfen
+     */
+    const cancelSearch = () => {
+        if (!activeSearch) return
+
+        activeSearch.cancelled = true
+        sendCommand('stop')
+
+        console.log('🤖 Engine-Suche abgebrochen')
+    }
+
+    // ===== ANALYSE =====
+
+    /**
+     * 'info'-Zeile der Engine zerlegen
+     * @param {string} line - z.B. "info depth 12 multipv 1 score cp 35 nodes 1200 nps 80000 pv e2e4 e7e5"
+     * @returns {object} { depth, seldepth, multipv, score: { type, value, bound }, nodes, nps, time, pv }
+     */
+    const parseUciInfo = (line) => {
+        const tokens = line.trim().split(/\s+/)
+        const info = { multipv: 1 }
+
+        for (let i = 1; i < tokens.length; i++) {
+            const token = tokens[i]
+
+            if (token === 'pv') {
+                info.pv = tokens.slice(i + 1)
+                break
+            }
+
+            if (token === 'score') {
+                info.score = { type: tokens[i + 1], value: parseInt(tokens[i + 2]), bound: null }
+                i += 2
+
+                if (['lowerbound', 'upperbound'].includes(tokens[i + 1])) {
+                    info.score.bound = tokens[++i]
+                }
+                continue
+            }
+
+            if (['depth', 'seldepth', 'multipv', 'nodes', 'nps', 'time'].includes(token)) {
+                info[token] = parseInt(tokens[++i])
+            }
+        }
+
+        return info
+    }
+
+    /**
+     * Variante der laufenden Analyse übernehmen (Bewertung aus Sicht von Weiß, Züge in SAN)
+     * @param {string} line
+     */
+    const handleAnalysisInfo = (line) => {
+        if (!activeAnalysis || staleBestMoves > 0) return
+
+        const info = parseUciInfo(line)
+        if (!info.pv?.length || !info.score || info.multipv > multiPv.value) return
+
+        // "mate 0": die Seite am Zug ist matt
+        const { type, value, bound } = info.score
+        const moverValue = type === 'mate' && value === 0 ? -0 : value
+        const whiteValue = activeAnalysis.color === PLAYER_COLORS.WHITE ? moverValue : -moverValue
+
+        const lines = analysisLines.value.slice(0, multiPv.value)
+        lines[info.multipv - 1] = {
+            multipv: info.multipv,
+            depth: info.depth ?? 0,
+            seldepth: info.seldepth ?? null,
+            nodes: info.nodes ?? 0,
+            nps: info.nps ?? 0,
+            score: { type, value: whiteValue, bound },
+            moves: chessLogic.convertUciLine(
+                activeAnalysis.fen,
+                info.pv.slice(0, ENGINE_DEFAULTS.PV_MAX_MOVES),
+                { variant: gameStore.gameVariant }
+            )
+        }
+
+        analysisLines.value = lines
+    }
+
+    /**
+     * Endlose Analyse der angezeigten Stellung starten (eine laufende Analyse wird abgelöst)
+     * @returns {Promise<boolean>} Analyse gestartet?
+     */
+    const startAnalysis = async () => {
+        if (!shouldAnalyze.value) return false
+
+        try {
+            await initEngine(ENGINE_TYPES.STOCKFISH)
+        } catch (error) {
+            return false
+        }
+
+        // Während des Ladens umgeschaltet oder Engine rechnet einen Partiezug
+        if (!shouldAnalyze.value || activeSearch) return false
+
+        stopAnalysis()
+
+        const fen = gameStore.currentFEN
+        activeAnalysis = { fen, color: gameStore.currentPlayer }
+        analysisFen.value = fen
+        analysisLines.value = []
+        engineState.value = ENGINE_STATES.ANALYZING
+
+        sendCommand(`setoption name Skill Level value ${ENGINE_DEFAULTS.SKILL_LEVEL_MAX}`)
+        sendCommand(`setoption name UCI_Chess960 value ${gameStore.variantRules.chess960Castling}`)
+        sendCommand(`setoption name MultiPV value ${multiPv.value}`)
+        sendCommand(`position fen ${fen}`)
+        sendCommand('go infinite')
+
+        return true
+    }
+
+    /**
+     * Analyse anhalten, die zuletzt gezeigten Varianten bleiben stehen
+     */
+    const stopAnalysis = () => {
+        if (!activeAnalysis) return
+
+        activeAnalysis = null
+        staleBestMoves++
+        sendCommand('stop')
+
+        if (engineState.value === ENGINE_STATES.ANALYZING) {
+            engineState.value = ENGINE_STATES.READY
+        }
+    }
+
+    /**
+     * Analyse ein- oder ausschalten
+     * @param {boolean} enabled
+     */
+    const setAnalysisEnabled = (enabled) => {
+        analysisEnabled.value = !!enabled
+    }
+
+    /**
+     * Anzahl der Varianten setzen (1-5), eine laufende Analyse beginnt neu
+     * @param {number} count
+     */
+    const setMultiPv = (count) => {
+        const parsed = parseInt(count)
+        if (isNaN(parsed)) {
+            console.warn('Ungültige Variantenzahl:', count)
+            return
+        }
+
+        multiPv.value = Math.min(ENGINE_DEFAULTS.MULTI_PV_MAX, Math.max(ENGINE_DEFAULTS.MULTI_PV_MIN, parsed))
+
+        if (activeAnalysis) {
+            startAnalysis()
+        }
+    }
+
+    /**
+     * Neue Partie: Engine-internen Zustand (Hash) zurücksetzen
+     */
+    const newGame = () => {
+        cancelSearch()
+        stopAnalysis()
+
+        if (worker) {
+            sendCommand('ucinewgame')
+        }
+
+        if (shouldAnalyze.value) {
+            startAnalysis()
+        }
+    }
+
+    // Neue Partie oder Zugrücknahme bricht die Suche ab
+    watch(() => gameStore.gameId, () => newGame())
+
+    watch(() => gameStore.moveHistory.length, (newLength, oldLength) => {
+        if (newLength < oldLength) {
+            cancelSearch()
+        }
+    })
+
+    // Beim Blättern in früheren Stellungen oder Varianten nicht weiterrechnen
+    watch(() => gameStore.isAtLivePosition, (isAtLivePosition) => {
+        if (!isAtLivePosition) {
+            cancelSearch()
+        }
+    })
+
+    // Analyse folgt der angezeigten Stellung (goToMove, Varianten, neue Züge)
+    watch([() => gameStore.currentFEN, shouldAnalyze], ([fen, analyze]) => {
+        if (analyze) {
+            startAnalysis()
+            return
+        }
+
+        stopAnalysis()
+        if (fen !== analysisFen.value) {
+            analysisLines.value = []
+            analysisFen.value = null
+        }
+    })
+
+    return {
+        // State
+        engineState,
+        engineName,
+        engineError,
+        engineType,
+        engines,
+        enginesLoaded,
+        canSavePreference,
+        fallbackEngine,
+        skillLevel,
+        moveTime,
+        lastBestMove,
+        analysisEnabled,
+        multiPv,
+        analysisLines,
+        analysisFen,
+
+        // Computed
+        isReady,
+        isThinking,
+        availableEngines,
+        engineInfo,
+        isAnalyzing,
+        shouldAnalyze,
+        evaluation,
+        engineColor,
+        isEngineTurn,
+
+        // Actions
+        loadEngines,
+        saveEnginePreference,
+        initEngine,
+        terminateEngine,
+        sendCommand,
+        setEngineType,
+        setSkillLevel,
+        setMoveTime,
+        parseUciMove,
+        makeMove,
+        cancelSearch,
+        newGame,
+        parseUciInfo,
+        startAnalysis,
+        stopAnalysis,
+        setAnalysisEnabled,
+        setMultiPv,
+
+        // Constants
+        ENGINE_STATES,
+        ENGINE_DEFAULTS,
+        ENGINE_TYPES
+    }
+})
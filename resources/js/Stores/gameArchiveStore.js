@@ -0,0 +1,224 @@
+/**
+ * Game Archive Store - Partien angemeldeter Spieler auf dem Server speichern
+ * Speichert nach jedem Zug über die /games-Routen und setzt beim Laden von
+ * /chess die zuletzt offene Partie fort
+ */
+
+import { defineStore } from 'pinia'
+import { ref, watch, nextTick } from 'vue'
+import axios from 'axios'
+import { useGameStore } from '@/Stores/gameStore.js'
+
+export const ARCHIVE_ENDPOINT = '/games'
+
+export const useGameArchiveStore = defineStore('gameArchive', () => {
+    const gameStore = useGameStore()
+
+    // ===== STATE =====
+    const isEnabled = ref(false)
+    const serverGameId = ref(null)
+    const isSaving = ref(false)
+    const lastSavedAt = ref(null)
+    const saveError = ref(null)
+    const games = ref([])
+    const pagination = ref(null)
+
+    // Speichern während des Wiederherstellens unterdrücken und parallele Saves bündeln
+    let isRestoring = false
+    let savePending = false
+
+    // ===== ACTIONS =====
+
+    /**
+     * Speichern aktivieren (nur für angemeldete Benutzer)
+     */
+    const enable = () => {
+        isEnabled.value = true
+    }
+
+    const disable = () => {
+        isEnabled.value = false
+        serverGameId.value = null
+    }
+
+    /**
+     * Aktuelle Partie speichern (POST beim ersten Mal, danach PUT)
+     * @returns {Promise<boolean>}
+     */
+    const saveGame = async () => {
+        if (!isEnabled.value || isRestoring) return false
+
+        // Laufender Save: danach noch einmal mit dem neuesten Stand speichern
+        if (isSaving.value) {
+            savePending = true
+            return false
+        }
+
+        isSaving.value = true
+        saveError.value = null
+
+        try {
+            const payload = gameStore.serializeGame()
+            const response = serverGameId.value
+                ? await axios.put(`${ARCHIVE_ENDPOINT}/${serverGameId.value}`, payload)
+                : await axios.post(ARCHIVE_ENDPOINT, payload)
+
+            serverGameId.value = response.data.game.id
+            lastSavedAt.value = new Date()
+            return true
+        } catch (error) {
+            saveError.value = error.response?.data?.message || error.message
+            console.error('Fehler beim Speichern der Partie:', saveError.value)
+            return false
+        } finally {
+            isSaving.value = false
+
+            if (savePending) {
+                savePending = false
+                saveGame()
+            }
+        }
+    }
+
+    /**
+     * Partie in den gameStore laden
+     * @param {object} game - Partie inkl. moves
+     * @returns {Promise<object>} { success, error? }
+     */
+    const applyGame = async (game) => {
+        isRestoring = true
+
+        try {
+            const result = await gameStore.restoreGame(game)
+            if (result.success) {
+                serverGameId.value = game.id
+            }
+            return result
+        } finally {
+            // Watcher aus dem Nachspielen laufen noch vor dem Zurücksetzen
+            await nextTick()
+            isRestoring = false
+        }
+    }
+
+    /**
+     * Zuletzt offene Partie fortsetzen
+     * @returns {Promise<boolean>} True wenn eine Partie fortgesetzt wurde
+     */
+    const resumeActiveGame = async () => {
+        if (!isEnabled.value) return false
+
+        try {
+            const response = await axios.get(`${ARCHIVE_ENDPOINT}/active`)
+            const game = response.data.game
+
+            if (!game || game.moves.length === 0) return false
+
+            const result = await applyGame(game)
+            return result.success
+        } catch (error) {
+            console.error('Fehler beim Laden der offenen Partie:', error.message)
+            return false
+        }
+    }
+
+    /**
+     * Gespeicherte Partien abrufen
+     * @param {number} page
+     * @returns {Promise<Array>}
+     */
+    const fetchGames = async (page = 1) => {
+        try {
+            const response = await axios.get(ARCHIVE_ENDPOINT, { params: { page } })
+            const { data, ...meta } = response.data
+
+            games.value = data
+            pagination.value = meta
+            return data
+        } catch (error) {
+            console.error('Fehler beim Laden der Partien:', error.message)
+            return []
+        }
+    }
+
+    /**
+     * Einzelne Partie laden und fortsetzen
+     * @param {number} id
+     * @returns {Promise<object>} { success, error? }
+     */
+    const loadGame = async (id) => {
+        try {
+            const response = await axios.get(`${ARCHIVE_ENDPOINT}/${id}`)
+            return await applyGame(response.data.game)
+        } catch (error) {
+            const message = error.response?.data?.message || error.message
+            console.error('Fehler beim Laden der Partie:', message)
+            return { success: false, error: message }
+        }
+    }
+
+    /**
+     * Partie löschen
+     * @param {number} id
+     * @returns {Promise<boolean>}
+     */
+    const deleteGame = async (id) => {
+        try {
+            await axios.delete(`${ARCHIVE_ENDPOINT}/${id}`)
+
+            games.value = games.value.filter(game => game.id !== id)
+            if (serverGameId.value === id) {
+                serverGameId.value = null
+            }
+            return true
+        } catch (error) {
+            console.error('Fehler beim Löschen der Partie:', error.message)
+            return false
+        }
+    }
+
+    // ===== WATCHERS =====
+
+    // Neue Partie: beim nächsten Save neu anlegen
+    watch(() => gameStore.gameId, () => {
+        if (!isRestoring) {
+            serverGameId.value = null
+        }
+    })
+
+    // Nach jedem Zug, jeder Rücknahme, Änderungen an Varianten, Kommentaren und Annotationen (PGN) und bei Spielende speichern
+    watch(
+        () => [
+            gameStore.moveHistory,
+            gameStore.moveHistory.length,
+            Object.keys(gameStore.moveNodes).length,
+            gameStore.currentPGN,
+            gameStore.gameStatus
+        ],
+        () => {
+            if (gameStore.moveHistory.length > 0 || serverGameId.value) {
+                saveGame()
+            }
+        }
+    )
+
+    return {
+        // State
+        isEnabled,
+        serverGameId,
+        isSaving,
+        lastSavedAt,
+        saveError,
+        games,
+        pagination,
+
+        // Actions
+        enable,
+        disable,
+        saveGame,
+        resumeActiveGame,
+        fetchGames,
+        loadGame,
+        deleteGame
+    }
+})
@@ -0,0 +1,204 @@
+/**
+ * Game Autosave Store - Lokale Sicherung der laufenden Partie für Gäste
+ * Schreibt Spielzustand, Uhren und Annotationen nach jedem Zug in den localStorage
+ * und bietet nach einem Neuladen die Fortsetzung der unterbrochenen Partie an
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed, watch } from 'vue'
+import { useGameStore } from '@/Stores/gameStore.js'
+import { useChessTimerStore } from '@/Stores/chessTimerStore.js'
+import { useAnnotationStore } from '@/Stores/annotationStore.js'
+import { GAME_STATUS } from '@/Utils/chessConstants.js'
+
+export const AUTOSAVE_STORAGE_KEY = 'chess-autosave'
+export const AUTOSAVE_VERSION = 1
+
+export const useGameAutosaveStore = defineStore('gameAutosave', () => {
+    const gameStore = useGameStore()
+    const timerStore = useChessTimerStore()
+    const annotationStore = useAnnotationStore()
+
+    // ===== STATE =====
+    const isEnabled = ref(false)
+    const pendingSnapshot = ref(null) // Gefundene Sicherung, die noch nicht fortgesetzt wurde
+    const lastSavedAt = ref(null)
+
+    // ===== COMPUTED =====
+
+    /**
+     * Gibt es eine unterbrochene Partie zum Fortsetzen?
+     */
+    const hasResumableGame = computed(() => pendingSnapshot.value !== null)
+
+    /**
+     * Kurzinfo zur gefundenen Sicherung für die Anzeige
+     */
+    const resumableGameInfo = computed(() => {
+        const snapshot = pendingSnapshot.value
+        if (!snapshot) return null
+
+        return {
+            whitePlayer: snapshot.game.whitePlayer,
+            blackPlayer: snapshot.game.blackPlayer,
+            moveCount: snapshot.game.moveHistory.length,
+            savedAt: new Date(snapshot.savedAt)
+        }
+    })
+
+    // ===== ACTIONS =====
+
+    /**
+     * Sicherung aus dem localStorage lesen
+     * @returns {object|null}
+     */
+    const readSnapshot = () => {
+        try {
+            const saved = localStorage.getItem(AUTOSAVE_STORAGE_KEY)
+            if (!saved) return null
+
+            const snapshot = JSON.parse(saved)
+            if (snapshot?.version !== AUTOSAVE_VERSION || !snapshot.game) return null
+
+            return snapshot
+        } catch (error) {
+            console.error('Fehler beim Lesen der lokalen Sicherung:', error)
+            return null
+        }
+    }
+
+    /**
+     * Autosave aktivieren und nach einer unterbrochenen Partie suchen
+     * @returns {boolean} True wenn eine Partie fortgesetzt werden kann
+     */
+    const enable = () => {
+        isEnabled.value = true
+
+        const snapshot = readSnapshot()
+        const isUnfinished = snapshot &&
+            snapshot.game.moveHistory.length > 0 &&
+            [GAME_STATUS.ACTIVE, GAME_STATUS.CHECK].includes(snapshot.game.gameStatus)
+
+        pendingSnapshot.value = isUnfinished ? snapshot : null
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('beforeunload', handleBeforeUnload)
+        }
+
+        return hasResumableGame.value
+    }
+
+    const disable = () => {
+        isEnabled.value = false
+        pendingSnapshot.value = null
+
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('beforeunload', handleBeforeUnload)
+        }
+    }
+
+    /**
+     * Aktuellen Zustand sichern
+     * Eine gefundene Sicherung wird erst überschrieben, wenn in der neuen Partie gezogen wurde.
+     */
+    const saveSnapshot = () => {
+        if (!isEnabled.value) return
+
+        if (hasResumableGame.value) {
+            if (gameStore.moveHistory.length === 0) return
+            pendingSnapshot.value = null
+        }
+
+        try {
+            const snapshot = {
+                version: AUTOSAVE_VERSION,
+                savedAt: new Date().toISOString(),
+                game: gameStore.createSnapshot(),
+                timer: timerStore.createSnapshot()
+            }
+
+            localStorage.setItem(AUTOSAVE_STORAGE_KEY, JSON.stringify(snapshot))
+            lastSavedAt.value = new Date()
+        } catch (error) {
+            console.error('Fehler beim Speichern der lokalen Sicherung:', error)
+        }
+    }
+
+    /**
+     * Unterbrochene Partie fortsetzen (Uhren bleiben pausiert)
+     * @returns {boolean}
+     */
+    const resumeGame = () => {
+        const snapshot = pendingSnapshot.value
+        if (!snapshot) return false
+
+        pendingSnapshot.value = null
+
+        if (!gameStore.restoreSnapshot(snapshot.game)) {
+            clearSnapshot()
+            return false
+        }
+
+        timerStore.restoreSnapshot(snapshot.timer)
+
+        // Ältere Sicherungen führen die Annotationen getrennt von den Zügen
+        if (snapshot.annotations?.length) {
+            annotationStore.annotations = snapshot.annotations
+        }
+
+        return true
+    }
+
+    /**
+     * Gefundene Sicherung verwerfen
+     */
+    const discardGame = () => {
+        pendingSnapshot.value = null
+        clearSnapshot()
+    }
+
+    const clearSnapshot = () => {
+        localStorage.removeItem(AUTOSAVE_STORAGE_KEY)
+    }
+
+    /**
+     * Beim Neuladen die aktuellen Restzeiten sichern
+     */
+    const handleBeforeUnload = () => {
+        saveSnapshot()
+    }
+
+    // ===== WATCHERS =====
+
+    // Nach jedem Zug, jeder Rücknahme, Änderungen an Varianten, Kommentaren und Annotationen (PGN) und bei Spielende sichern
+    watch(
+        () => [
+            gameStore.gameId,
+            gameStore.moveHistory,
+            gameStore.moveHistory.length,
+            Object.keys(gameStore.moveNodes).length,
+            gameStore.currentPGN,
+            gameStore.gameStatus
+        ],
+        () => saveSnapshot()
+    )
+
+    return {
+        // State
+        isEnabled,
+        pendingSnapshot,
+        lastSavedAt,
+
+        // Computed
+        hasResumableGame,
+        resumableGameInfo,
+
+        // Actions
+        enable,
+        disable,
+        saveSnapshot,
+        resumeGame,
+        discardGame,
+        clearSnapshot
+    }
+})
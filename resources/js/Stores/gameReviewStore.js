@@ -0,0 +1,356 @@
+/**
+ * Game Review Store - Auswertung einer beendeten Partie
+ * Rechnet jede Stellung der Hauptvariante in einem eigenen stockfish.js-Worker
+ * (neben der Analyse bzw. dem Gegner im engineStore), stuft die Züge ein und
+ * hängt Einstufung, NAG und Verbesserungsvorschlag an die Zug-Records
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed, watch } from 'vue'
+import stockfishUrl from 'stockfish.js/stockfish.js?url'
+import { useGameStore } from '@/Stores/gameStore.js'
+import { useEngineStore } from '@/Stores/engineStore.js'
+import { useChessLogic } from '@/Composables/useChessLogic.js'
+import { PLAYER_COLORS } from '@/Utils/chessConstants.js'
+import {
+    CLASSIFICATION_INFO,
+    classifyMove,
+    getMoveAccuracy,
+    getWinChance,
+    summarizeReviews,
+    toCentipawns
+} from '@/Utils/gameReview.js'
+
+export const REVIEW_STATES = {
+    IDLE: 'idle',
+    RUNNING: 'running',
+    DONE: 'done',
+    ERROR: 'error'
+}
+
+export const REVIEW_DEFAULTS = {
+    DEPTH: 12,             // Suchtiefe je Stellung
+    BEST_LINE_MOVES: 6,    // Halbzüge der vorgeschlagenen Fortsetzung
+    READY_TIMEOUT: 10000   // Millisekunden bis 'uciok'
+}
+
+export const useGameReviewStore = defineStore('gameReview', () => {
+    const gameStore = useGameStore()
+    const engineStore = useEngineStore()
+    const chessLogic = useChessLogic()
+
+    // ===== STATE =====
+    const reviewState = ref(REVIEW_STATES.IDLE)
+    const reviewError = ref(null)
+    const progress = ref({ current: 0, total: 0 })
+    const evaluations = ref([])    // Je Stellung (0 = vor dem ersten Zug): { score, bestMove } aus Sicht von Weiß
+
+    // Worker und laufende Stellung (nicht reaktiv nötig)
+    let worker = null
+    let pendingPosition = null
+    let reviewRun = 0
+
+    // ===== COMPUTED =====
+
+    const isRunning = computed(() => reviewState.value === REVIEW_STATES.RUNNING)
+
+    const moveReviews = computed(() => {
+        return gameStore.moveHistory.map(move => move.review ?? null)
+    })
+
+    /**
+     * Auswertung hängt an den Zug-Records und übersteht so auch Sicherung und Wiederherstellung
+     */
+    const hasReview = computed(() => {
+        return moveReviews.value.length > 0 && moveReviews.value.every(Boolean)
+    })
+
+    /**
+     * Ausgewertet wird nach Partieende, sofern die Engine die Variante kennt
+     */
+    const canReview = computed(() => {
+        return !gameStore.isGameActive &&
+            gameStore.moveHistory.length > 0 &&
+            gameStore.variantRules.engineSupported &&
+            !isRunning.value
+    })
+
+    const summary = computed(() => summarizeReviews(moveReviews.value))
+
+    /**
+     * Bewertung je Stellung aus Sicht von Weiß (0 = vor dem ersten Zug), während der Auswertung wachsend
+     */
+    const evaluationCurve = computed(() => {
+        if (isRunning.value || !hasReview.value) {
+            return evaluations.value.map(evaluation => evaluation.score)
+        }
+
+        const reviews = moveReviews.value
+        return [reviews[0].evaluationBefore, ...reviews.map(review => review.evaluationAfter)]
+    })
+
+    // ===== WORKER / UCI =====
+
+    const sendCommand = (command) => {
+        worker?.postMessage(command)
+    }
+
+    /**
+     * Ausgabe der Engine: beste und zweitbeste Variante sammeln, 'bestmove' schließt die Stellung ab
+     * @param {MessageEvent} event
+     */
+    const handleEngineMessage = (event) => {
+        const line = event?.data
+        if (typeof line !== 'string' || !pendingPosition) return
+
+        if (line === 'uciok') {
+            pendingPosition.resolve()
+            return
+        }
+
+        if (line.startsWith('info ')) {
+            const info = engineStore.parseUciInfo(line)
+            if (info.score && !info.score.bound && info.multipv <= 2) {
+                pendingPosition.lines[info.multipv - 1] = info
+            }
+            return
+        }
+
+        if (line.startsWith('bestmove')) {
+            pendingPosition.resolve(line.split(' ')[1])
+        }
+    }
+
+    /**
+     * Auf eine Antwort der Engine warten
+     * @param {Function} send - Schickt die Kommandos ab
+     * @param {number|null} timeout - Millisekunden oder null
+     * @returns {Promise<object>} { result, lines }
+     */
+    const request = (send, timeout = null) => {
+        return new Promise((resolve, reject) => {
+            const timeoutId = timeout && setTimeout(() => {
+                pendingPosition = null
+                reject(new Error('Engine antwortet nicht'))
+            }, timeout)
+
+            const lines = []
+            pendingPosition = {
+                lines,
+                resolve: (result) => {
+                    clearTimeout(timeoutId)
+                    pendingPosition = null
+                    resolve({ result, lines })
+                },
+                reject: (error) => {
+                    clearTimeout(timeoutId)
+                    pendingPosition = null
+                    reject(error)
+                }
+            }
+
+            send()
+        })
+    }
+
+    const startWorker = async () => {
+        if (typeof Worker === 'undefined') {
+            throw new Error('Web Worker werden nicht unterstützt')
+        }
+
+        worker = new Worker(stockfishUrl)
+        worker.onmessage = handleEngineMessage
+        worker.onerror = (error) => {
+            console.error('Auswertungs-Worker Fehler:', error)
+            pendingPosition?.reject(new Error(error.message || 'Engine-Worker Fehler'))
+        }
+
+        await request(() => sendCommand('uci'), REVIEW_DEFAULTS.READY_TIMEOUT)
+
+        sendCommand(`setoption name UCI_Chess960 value ${gameStore.variantRules.chess960Castling}`)
+        sendCommand('setoption name MultiPV value 2')
+        sendCommand('ucinewgame')
+    }
+
+    const stopWorker = () => {
+        if (worker) {
+            worker.terminate()
+            worker = null
+        }
+        pendingPosition = null
+    }
+
+    /**
+     * Eine Stellung bis REVIEW_DEFAULTS.DEPTH rechnen
+     * @param {string} fen
+     * @returns {Promise<object>} { score, secondScore, bestMove, pv } – Bewertungen aus Sicht von Weiß
+     */
+    const evaluatePosition = async (fen) => {
+        const { result, lines } = await request(() => {
+            sendCommand(`position fen ${fen}`)
+            sendCommand(`go depth ${REVIEW_DEFAULTS.DEPTH}`)
+        })
+
+        // "mate 0": die Seite am Zug ist matt
+        const isWhiteToMove = fen.split(' ')[1] !== 'b'
+        const toWhitePerspective = (score) => {
+            if (!score) return null
+            const moverValue = score.type === 'mate' && score.value === 0 ? -0 : score.value
+            return { type: score.type, value: isWhiteToMove ? moverValue : -moverValue }
+        }
+
+        return {
+            score: toWhitePerspective(lines[0]?.score) ?? { type: 'cp', value: 0 },
+            secondScore: toWhitePerspective(lines[1]?.score),
+            bestMove: engineStore.parseUciMove(result) ? result : null,
+            pv: lines[0]?.pv ?? []
+        }
+    }
+
+    // ===== AUSWERTUNG =====
+
+    /**
+     * Auswertung eines Zuges aus den Bewertungen davor und danach
+     * @param {object} move - Zug-Record der Hauptvariante
+     * @param {object} before - Bewertung der Stellung vor dem Zug
+     * @param {object} after - Bewertung der Stellung nach dem Zug
+     * @returns {object}
+     */
+    const createMoveReview = (move, before, after) => {
+        const color = move.fenBefore.split(' ')[1] === 'b' ? PLAYER_COLORS.BLACK : PLAYER_COLORS.WHITE
+        const sign = color === PLAYER_COLORS.WHITE ? 1 : -1
+
+        const bestLine = before.bestMove
+            ? chessLogic.convertUciLine(move.fenBefore, before.pv.slice(0, REVIEW_DEFAULTS.BEST_LINE_MOVES), { variant: gameStore.gameVariant })
+            : []
+        const bestMove = bestLine[0] ?? null
+        const stripCheck = (san) => (san || '').replace(/[+#]$/, '')
+        const isBestMove = !!bestMove && stripCheck(bestMove.san) === stripCheck(move.san)
+
+        const winBefore = getWinChance(before.score, color)
+        const winAfter = getWinChance(after.score, color)
+        const winDrop = Math.max(0, winBefore - winAfter)
+        const cpLoss = Math.max(0, sign * (toCentipawns(before.score) - toCentipawns(after.score)))
+
+        const classification = classifyMove({
+            isBestMove,
+            winDrop,
+            winBefore,
+            secondBestWin: before.secondScore ? getWinChance(before.secondScore, color) : null
+        })
+
+        return {
+            color,
+            classification,
+            nag: CLASSIFICATION_INFO[classification].nag,
+            cpLoss: isBestMove ? 0 : cpLoss,
+            winDrop: isBestMove ? 0 : winDrop,
+            accuracy: getMoveAccuracy(isBestMove ? 0 : winDrop),
+            evaluationBefore: before.score,
+            evaluationAfter: after.score,
+            bestMove: bestMove ? { uci: before.bestMove, san: bestMove.san } : null,
+            bestLine: bestLine.map(entry => entry.san)
+        }
+    }
+
+    /**
+     * Alle Stellungen der Hauptvariante rechnen und die Züge einstufen
+     * @returns {Promise<object>} { success, error? }
+     */
+    const startReview = async () => {
+        if (!canReview.value) {
+            return { success: false, error: 'Auswertung erst nach Partieende möglich' }
+        }
+
+        const run = ++reviewRun
+        const moves = [...gameStore.moveHistory]
+        const fens = [moves[0].fenBefore, ...moves.map(move => move.fenAfter)]
+
+        reviewState.value = REVIEW_STATES.RUNNING
+        reviewError.value = null
+        evaluations.value = []
+        progress.value = { current: 0, total: fens.length }
+
+        try {
+            await startWorker()
+
+            for (const fen of fens) {
+                const evaluation = await evaluatePosition(fen)
+                if (run !== reviewRun) return { success: false, error: 'Auswertung abgebrochen' }
+
+                evaluations.value = [...evaluations.value, evaluation]
+                progress.value = { current: evaluations.value.length, total: fens.length }
+            }
+
+            moves.forEach((move, index) => {
+                gameStore.setMoveReview(move.id, createMoveReview(move, evaluations.value[index], evaluations.value[index + 1]))
+            })
+
+            reviewState.value = REVIEW_STATES.DONE
+            console.log('📈 Partieauswertung abgeschlossen:', summary.value)
+            return { success: true }
+        } catch (error) {
+            if (run !== reviewRun) return { success: false, error: 'Auswertung abgebrochen' }
+
+            console.error('Fehler bei der Partieauswertung:', error)
+            reviewState.value = REVIEW_STATES.ERROR
+            reviewError.value = error.message
+            return { success: false, error: error.message }
+        } finally {
+            if (run === reviewRun) {
+                stopWorker()
+            }
+        }
+    }
+
+    /**
+     * Laufende Auswertung abbrechen, bereits angehängte Einstufungen bleiben
+     */
+    const cancelReview = () => {
+        if (!isRunning.value) return
+
+        reviewRun++
+        stopWorker()
+        reviewState.value = REVIEW_STATES.IDLE
+        progress.value = { current: 0, total: 0 }
+        console.log('📈 Partieauswertung abgebrochen')
+    }
+
+    /**
+     * Auswertung verwerfen (neue Partie)
+     */
+    const resetReview = () => {
+        cancelReview()
+        reviewState.value = REVIEW_STATES.IDLE
+        reviewError.value = null
+        evaluations.value = []
+    }
+
+    // Neue oder geladene Partie: Auswertung gehört zur alten
+    watch(() => gameStore.gameId, () => resetReview())
+
+    return {
+        // State
+        reviewState,
+        reviewError,
+        progress,
+        evaluations,
+
+        // Computed
+        isRunning,
+        hasReview,
+        canReview,
+        moveReviews,
+        summary,
+        evaluationCurve,
+
+        // Actions
+        startReview,
+        cancelReview,
+        resetReview,
+
+        // Constants
+        REVIEW_STATES,
+        REVIEW_DEFAULTS
+    }
+})
@@ -13,18 +13,56 @@ import {
     GAME_STATUS,
     GAME_MODES,
     GAME_MODE_SETTINGS,
+    GAME_VARIANTS,
     FIFTY_MOVE_RULE,
     THREEFOLD_REPETITION,
+    DRAW_CLAIM_TYPES,
+    MOVE_NAGS,
+    POSITION_NAGS,
+    PGN_RESULTS,
+    GAME_RESULT_REASONS,
     isPieceOwnedByPlayer,
     isEmpty,
     isWhitePiece, PLAYER_COLORS as PLAYER_COLOR
 } from '@/Utils/chessConstants.js'
-import {cloneBoard, getPieceColor, indicesToSquare, squareToIndices} from '@/Utils/chessUtils.js'
+import {
+    cloneBoard,
+    getPieceColor,
+    indicesToSquare,
+    squareToIndices
+} from '@/Utils/chessUtils.js'
+import { getVariantRules } from '@/Utils/chessVariants.js'
 import { useSanGenerator } from "@/Composables/useSANGenerator.js"
+import { usePgn } from '@/Composables/usePgn.js'
 import { useGameConfigStore } from '@/Stores/gameConfigStore.js'
-import { useChessTimerStore } from "@/Stores/chessTimerStore.js"
+import { useChessTimerStore, TIME_CONTROL_TYPES } from "@/Stores/chessTimerStore.js"
 import { useSounds } from '@/Composables/useSounds.js'
 
+// Schlüssel der Startstellung im Variantenbaum
+export const ROOT_NODE_KEY = 'root'
+
+// Spielenden, die sich allein aus der Stellung ergeben (bei Rücknahme/Variantenwechsel neu bewerten)
+const POSITIONAL_ENDINGS = [
+    GAME_STATUS.CHECKMATE,
+    GAME_STATUS.STALEMATE,
+    GAME_STATUS.DRAW_FIFTY_MOVE,
+    GAME_STATUS.DRAW_SEVENTY_FIVE_MOVE,
+    GAME_STATUS.DRAW_REPETITION,
+    GAME_STATUS.DRAW_FIVEFOLD_REPETITION,
+    GAME_STATUS.DRAW_INSUFFICIENT,
+    GAME_STATUS.THREE_CHECK,
+    GAME_STATUS.KING_OF_THE_HILL,
+    GAME_STATUS.ANTICHESS_WIN
+]
+
+// Spielenden, die loadGameFromPgn nur aus dem Ergebnis-Token ableitet
+const PGN_RESULT_ENDINGS = [
+    GAME_STATUS.RESIGNED,
+    GAME_STATUS.DRAW_AGREEMENT,
+    GAME_STATUS.WHITE_WINS_TIME,
+    GAME_STATUS.BLACK_WINS_TIME
+]
+
 export const useGameStore = defineStore('game', () => {
     const chessLogic = useChessLogic()
     const configStore = useGameConfigStore()
@@ -35,8 +73,15 @@ export const useGameStore = defineStore('game', () => {
     const gameId = ref(null)
     const gameStatus = ref(GAME_STATUS.WAITING)
     const gameMode = ref(GAME_MODES.LOCAL_PVP)
+    const gameVariant = ref(GAME_VARIANTS.STANDARD)
     const whitePlayer = ref(null)
     const blackPlayer = ref(null)
+    const playerColor = ref(PLAYER_COLORS.WHITE) // Farbe des menschlichen Spielers (VS_AI)
+    const startingFen = ref(INITIAL_FEN) // Startstellung (für PGN SetUp/FEN)
+    const resignedBy = ref(null)
+    const pgnTags = ref({}) // Übernommene Tags einer importierten Partie
+    const drawOffer = ref(null) // { by, moveIndex, timestamp }
+    const pendingDrawClaim = ref(null) // Farbe, die mit ihrem nächsten Zug reklamiert
 
     // FEN Parser Integration
     const {
@@ -47,22 +92,42 @@ export const useGameStore = defineStore('game', () => {
         enPassantTarget,
         halfmoveClock,
         fullmoveNumber,
+        pockets,
+        promotedSquares,
         parseFen,
         generateFen,
         setFen,
-        resetToInitial
+        validatePosition
     } = useFenParser()
 
-    const { generateSAN, generateSimpleSAN, movesToPGN } = useSanGenerator()
+    const { generateSAN, generateSimpleSAN, movesToPGN, resolveSAN } = useSanGenerator()
+    const {
+        getResultToken,
+        formatPgnDate,
+        generatePgn,
+        parsePgn,
+        parseClock,
+        parseCommentText,
+        parseAnnotationCommands,
+        parseVariantTag
+    } = usePgn()
 
     // Move-related state
     const selectedSquare = ref(null)
+    const selectedDropPiece = ref(null) // Gewählte Taschenfigur (Crazyhouse)
     const legalMoves = ref([])
     const moveHistory = ref([])
     const lastMove = ref(null)
     const currentMoveIndex = ref(-1)
     const positionHistory = ref([]) // for repetition
 
+    // Variantenbaum: moveHistory ist die Hauptvariante, Seitenzweige hängen an ihrer Ausgangsstellung
+    const moveNodes = ref({}) // id → Zug-Record
+    const variationChildren = ref({ [ROOT_NODE_KEY]: [] }) // id → Folgezüge, Hauptfortsetzung zuerst
+    const currentNodeId = ref(null) // Angezeigte Stellung, null = Startstellung
+    let nodeCounter = 0
+    const startAnnotations = ref([]) // Pfeile und Markierungen der Startstellung
+
     // Drag & Drop state
     const draggedPiece = ref(null)
     const draggedFrom = ref(null)
@@ -96,6 +161,63 @@ export const useGameStore = defineStore('game', () => {
         return [GAME_STATUS.ACTIVE, GAME_STATUS.CHECK].includes(gameStatus.value)
     })
 
+    /**
+     * Regeln der laufenden Spielvariante
+     */
+    const variantRules = computed(() => getVariantRules(gameVariant.value))
+
+    /**
+     * Letzter Zug der Hauptvariante (= Stellung der laufenden Partie)
+     */
+    const liveNodeId = computed(() => {
+        return moveHistory.value[moveHistory.value.length - 1]?.id ?? null
+    })
+
+    const isAtLivePosition = computed(() => {
+        return currentNodeId.value === liveNodeId.value
+    })
+
+    /**
+     * Seite am Zug in der laufenden Partie, unabhängig von der angezeigten Stellung
+     */
+    const liveSideToMove = computed(() => {
+        const liveFen = moveHistory.value[moveHistory.value.length - 1]?.fenAfter ?? startingFen.value
+        return liveFen.split(' ')[1] === 'b' ? PLAYER_COLORS.BLACK : PLAYER_COLORS.WHITE
+    })
+
+    /**
+     * Zobrist-Schlüssel der Startstellung, alle weiteren Stellungen tragen ihren Schlüssel im Zug-Record
+     */
+    const startPositionKey = computed(() => chessLogic.createPositionKey(startingFen.value))
+
+    /**
+     * Zobrist-Schlüssel der angezeigten Stellung
+     */
+    const currentPositionKey = computed(() => {
+        const record = moveNodes.value[currentNodeId.value]
+        return record ? getRecordPositionKey(record) : startPositionKey.value
+    })
+
+    /**
+     * Züge sind in der laufenden Partie und in früheren Stellungen (als Variante) möglich
+     */
+    const canPlayMove = computed(() => {
+        return isGameActive.value || !isAtLivePosition.value
+    })
+
+    /**
+     * Hauptvariante nur bei stehender Uhr austauschen
+     */
+    const canEditVariations = computed(() => {
+        return !timerStore.isTimerActive
+    })
+
+    const canOfferDraw = computed(() => {
+        return isGameActive.value &&
+            !drawOffer.value &&
+            !!GAME_MODE_SETTINGS[gameMode.value]?.allowOfferDraw
+    })
+
     const canCurrentPlayerMove = computed(() => {
         return isGameActive.value && legalMoves.value.length > 0
     })
@@ -117,11 +239,42 @@ export const useGameStore = defineStore('game', () => {
         return selectedPiece.value && isPieceOwnedByPlayer(selectedPiece.value, currentPlayer.value)
     })
 
+    /**
+     * Taschen mit einsetzbaren Figuren (Crazyhouse), in anderen Varianten null
+     * Eine FEN ohne Taschen-Notation beginnt mit leeren Taschen.
+     */
+    const pocketPieces = computed(() => {
+        if (!variantRules.value.pieceDrops) return null
+
+        return pockets.value ?? { [PLAYER_COLORS.WHITE]: [], [PLAYER_COLORS.BLACK]: [] }
+    })
+
+    /**
+     * Schachgebote je Seite bis zur angezeigten Stellung (Three-check)
+     */
+    const checkCounts = computed(() => {
+        const counts = { [PLAYER_COLORS.WHITE]: 0, [PLAYER_COLORS.BLACK]: 0 }
+
+        let node = moveNodes.value[currentNodeId.value]
+        while (node) {
+            if (node.isCheck) {
+                counts[getPieceColor(node.piece)]++
+            }
+            node = moveNodes.value[node.parentId]
+        }
+
+        return counts
+    })
+
     const gameState = computed(() => ({
         // Core game data
         currentPlayer: activePlayer.value,
         enPassantSquare: enPassantTarget.value,
         castlingRights: castlingRights.value,
+        variant: gameVariant.value,
+        checkCounts: checkCounts.value,
+        pockets: pocketPieces.value,
+        promotedSquares: promotedSquares.value,
         board: currentBoard.value,
         halfmoveClock: halfmoveClock.value,
         fullmoveNumber: fullmoveNumber.value,
@@ -191,7 +344,7 @@ export const useGameStore = defineStore('game', () => {
 
     /**
      * Spiel initialisieren
-     * @param {object} options - Spieloptionen
+     * @param {object} options - Spieloptionen (mode, playerColor, variant, chess960Position, initialPosition, ...)
      */
     const initializeGame = async (options = {}) => {
         try {
@@ -199,14 +352,28 @@ export const useGameStore = defineStore('game', () => {
                 setGameMode(options.mode)
             }
 
+            if (options.playerColor) {
+                playerColor.value = options.playerColor
+            }
+
             await startNewGame({
                 gameId: options.gameId || `game_${Date.now()}`,
                 whitePlayer: options.whitePlayer || 'Weiß',
-                blackPlayer: options.blackPlayer || 'Schwarz'
+                blackPlayer: options.blackPlayer || 'Schwarz',
+                variant: options.variant
             })
 
-            if (options.initialPosition) {
-                loadGameFromFen(options.initialPosition)
+            // Ohne eigene Stellung bestimmt die Variante die Startstellung (z.B. Chess960-Nummer)
+            const initialPosition = options.initialPosition || variantRules.value.createStartFen(options)
+            if (!initialPosition) {
+                throw new Error(`Keine Startstellung für ${variantRules.value.name}: ${JSON.stringify(options.chess960Position)}`)
+            }
+
+            if (initialPosition !== startingFen.value) {
+                const loaded = loadGameFromFen(initialPosition)
+                if (!loaded.success) {
+                    throw new Error(`Ungültige Ausgangsstellung: ${loaded.error}`)
+                }
             }
 
             console.log('Spiel initialisiert:', options)
@@ -226,18 +393,29 @@ export const useGameStore = defineStore('game', () => {
             // State zurücksetzen
             gameId.value = options.gameId || `game_${Date.now()}`
             gameStatus.value = GAME_STATUS.ACTIVE
+            gameVariant.value = options.variant || GAME_VARIANTS.STANDARD
             whitePlayer.value = options.whitePlayer || 'Weiß'
             blackPlayer.value = options.blackPlayer || 'Schwarz'
+            resignedBy.value = null
+            pgnTags.value = {}
+            drawOffer.value = null
+            pendingDrawClaim.value = null
 
-            // Brett-Position zurücksetzen
-            resetToInitial()
+            // Brett-Position zurücksetzen (Grundstellung der Variante)
+            const startFen = variantRules.value.startFen
+            setFen(startFen)
+            startingFen.value = startFen
 
             // Move-State zurücksetzen
             clearSelection()
             moveHistory.value = []
             lastMove.value = null
+            currentMoveIndex.value = -1
+            redoStack.value = []
+            resetVariationTree()
+            startAnnotations.value = []
             positionHistory.value = []
-            addPositionToHistory(INITIAL_FEN)
+            addPositionToHistory(startPositionKey.value)
 
             // Game mechanics zurücksetzen
             isInCheck.value = false
@@ -264,22 +442,42 @@ export const useGameStore = defineStore('game', () => {
      * Spiel aus FEN-String laden
      * @param {string} fenString
      * @param {object} gameInfo
+     * @returns {object} { success, error?, errors? }
      */
     const loadGameFromFen = (fenString, gameInfo = {}) => {
+        // Unmögliche Stellungen gar nicht erst an die Zuglogik weitergeben
+        const { royalKing, pieceDrops } = variantRules.value
+        const { valid, errors } = validatePosition(fenString, { royalKing, pieceDrops })
+        if (!valid) {
+            console.error('Ungültige Stellung:', errors)
+            return { success: false, error: errors.join('; '), errors }
+        }
+
         try {
             setFen(fenString)
+            startingFen.value = currentFen.value
 
             gameId.value = gameInfo.gameId || gameId.value
             gameStatus.value = gameInfo.status || GAME_STATUS.ACTIVE
 
             positionHistory.value = []
-            addPositionToHistory(fenString)
+            addPositionToHistory(startPositionKey.value)
 
             clearSelection()
 
+            // Aufgebaute Stellungen können bereits Schach, Matt, Patt oder ohne Mattmaterial sein
+            if (updateCheckHighlight() !== null && !checkForCheckmate()) {
+                checkForStalemate()
+            }
+            if (isGameActive.value) {
+                checkForInsufficientMaterial()
+            }
+
             console.log('Spiel aus FEN geladen:', fenString)
+            return { success: true }
         } catch (error) {
             console.error('Fehler beim Laden des FEN-Strings:', error)
+            return { success: false, error: error.message }
         }
     }
 
@@ -288,6 +486,7 @@ export const useGameStore = defineStore('game', () => {
      */
     const clearSelection = () => {
         selectedSquare.value = null
+        selectedDropPiece.value = null
         legalMoves.value = []
     }
 
@@ -296,7 +495,7 @@ export const useGameStore = defineStore('game', () => {
      * @param {string} square - z.B. "e4"
      */
     const selectSquare = (square) => {
-        if (!isGameActive.value) return false
+        if (!canPlayMove.value) return false
 
         try {
             const indices = squareToIndices(square)
@@ -304,6 +503,19 @@ export const useGameStore = defineStore('game', () => {
 
             const piece = currentBoard.value[indices.rankIndex][indices.fileIndex]
 
+            // Fall 0: Taschenfigur gewählt – einsetzen oder Auswahl aufheben
+            if (selectedDropPiece.value) {
+                if (legalMoves.value.includes(square)) {
+                    const dropResult = attemptDrop(selectedDropPiece.value, square)
+                    if (dropResult.success) {
+                        clearSelection()
+                    }
+                    return dropResult.success
+                }
+
+                clearSelection()
+            }
+
             // Fall 1: Kein Feld ausgewählt
             if (!hasSelection.value) {
                 if (isEmpty(piece)) return false
@@ -328,8 +540,8 @@ export const useGameStore = defineStore('game', () => {
                 return true
             }
 
-            // Fall 3: Andere eigene Figur angeklickt
-            if (!isEmpty(piece) && isPieceOwnedByPlayer(piece, currentPlayer.value)) {
+            // Fall 3: Andere eigene Figur angeklickt (außer Rochadeturm bei gewähltem König)
+            if (!isEmpty(piece) && isPieceOwnedByPlayer(piece, currentPlayer.value) && !legalMoves.value.includes(square)) {
                 selectedSquare.value = square
                 legalMoves.value = chessLogic.generateLegalMovesForSquare(
                     square,
@@ -353,21 +565,53 @@ export const useGameStore = defineStore('game', () => {
         }
     }
 
-    const addPositionToHistory = (fen) => {
-        try {
-            const positionKey = chessLogic.createPositionKey(fen)
-            if (!positionKey) {
-                console.warn('Kein gültiger Position-Key erstellt für FEN:', fen)
-                return
-            }
+    /**
+     * Figur aus der eigenen Tasche wählen (Crazyhouse)
+     * Markiert alle Felder, auf denen sie eingesetzt werden darf; erneute Wahl hebt die Auswahl auf.
+     * @param {string} piece - FEN-Zeichen, z.B. "N" oder "p"
+     * @returns {boolean}
+     */
+    const selectPocketPiece = (piece) => {
+        if (!canPlayMove.value || !pocketPieces.value) return false
+
+        if (selectedDropPiece.value === piece) {
+            clearSelection()
+            return true
+        }
+
+        if (!isPieceOwnedByPlayer(piece, currentPlayer.value) || !pocketPieces.value[currentPlayer.value].includes(piece)) {
+            return false
+        }
 
-            positionHistory.value.push(positionKey)
+        selectedSquare.value = null
+        selectedDropPiece.value = piece
+        legalMoves.value = chessLogic.generateLegalMoves(currentBoard.value, currentPlayer.value, gameState.value)
+            .filter(move => move.type === 'drop' && move.piece === piece)
+            .map(move => move.to)
 
-            if (positionHistory.value.length > THREEFOLD_REPETITION.POSITIONS_TO_TRACK) {
-                positionHistory.value.shift()
-            }
-        } catch (error) {
-            console.error('Fehler beim Hinzufügen zur Position-History:', error)
+        return true
+    }
+
+    /**
+     * Zobrist-Schlüssel der Stellung nach einem Zug
+     * Züge tragen ihn seit executeMove/executeDrop, ältere Sicherungen nur die FEN.
+     * @param {object} record - Zug-Record
+     * @returns {string|null}
+     */
+    const getRecordPositionKey = (record) => {
+        return record.positionKey ?? chessLogic.createPositionKey(record.fenAfter)
+    }
+
+    const addPositionToHistory = (positionKey) => {
+        if (!positionKey) {
+            console.warn('Kein gültiger Position-Key für die Position-History')
+            return
+        }
+
+        positionHistory.value.push(positionKey)
+
+        if (positionHistory.value.length > THREEFOLD_REPETITION.POSITIONS_TO_TRACK) {
+            positionHistory.value.shift()
         }
     }
 
@@ -377,11 +621,11 @@ export const useGameStore = defineStore('game', () => {
      */
     const checkForThreefoldRepetition = () => {
         try {
-            const isThreefold = chessLogic.checkThreefoldRepetition(positionHistory.value)
+            const isThreefold = chessLogic.canClaimThreefoldRepetition(currentPositionKey.value, positionHistory.value)
 
             if (isThreefold) {
                 gameStatus.value = GAME_STATUS.DRAW_REPETITION
-                console.log('🔄 3-FACHE STELLUNGSWIEDERHOLUNG: Das Spiel endet unentschieden')
+                console.log('🔄 3-FACHE STELLUNGSWIEDERHOLUNG reklamiert: Das Spiel endet unentschieden')
                 return true
             }
 
@@ -392,6 +636,20 @@ export const useGameStore = defineStore('game', () => {
         }
     }
 
+    /**
+     * 5-fache Stellungswiederholung prüfen (automatisches Remis)
+     * @returns {boolean} - True wenn Remis durch Wiederholung
+     */
+    const checkForFivefoldRepetition = () => {
+        if (chessLogic.checkFivefoldRepetition(currentPositionKey.value, positionHistory.value)) {
+            gameStatus.value = GAME_STATUS.DRAW_FIVEFOLD_REPETITION
+            console.log('🔄 5-FACHE STELLUNGSWIEDERHOLUNG: Das Spiel endet automatisch unentschieden')
+            return true
+        }
+
+        return false
+    }
+
     /**
      * Warnung für nahende Stellungswiederholung
      * @returns {object|null} - Warninginformationen
@@ -411,19 +669,22 @@ export const useGameStore = defineStore('game', () => {
      */
     const getCurrentPositionRepetitionCount = () => {
         try {
-            const currentKey = chessLogic.createPositionKey(currentFen.value)
-            if (!currentKey) return 0
+            if (!currentPositionKey.value) return 0
 
-            return chessLogic.getPositionRepetitionCount(currentKey, positionHistory.value)
+            return chessLogic.getPositionRepetitionCount(currentPositionKey.value, positionHistory.value)
         } catch (error) {
             console.error('Fehler bei Position-Wiederholung-Count:', error)
             return 0
         }
     }
 
-    const checkForCheck = () => {
+    /**
+     * Schach-Markierung der angezeigten Stellung aktualisieren, ohne den Spielstatus zu ändern
+     * @returns {boolean|null} null wenn kein König gefunden wurde
+     */
+    const updateCheckHighlight = () => {
         const kingSquare = chessLogic.findKing(currentBoard.value, currentPlayer.value)
-        if (!kingSquare) return false
+        if (!kingSquare) return null
 
         const gameState = getCurrentGameState()
 
@@ -442,12 +703,21 @@ export const useGameStore = defineStore('game', () => {
                 currentBoard.value,
                 gameState
             )
-            gameStatus.value = GAME_STATUS.CHECK
         } else {
             checkingPieces.value = []
-            if (gameStatus.value === GAME_STATUS.CHECK) {
-                gameStatus.value = GAME_STATUS.ACTIVE
-            }
+        }
+
+        return isUnderAttack
+    }
+
+    const checkForCheck = () => {
+        const isUnderAttack = updateCheckHighlight()
+        if (isUnderAttack === null) return false
+
+        if (isUnderAttack) {
+            gameStatus.value = GAME_STATUS.CHECK
+        } else if (gameStatus.value === GAME_STATUS.CHECK) {
+            gameStatus.value = GAME_STATUS.ACTIVE
         }
 
         return isUnderAttack
@@ -499,18 +769,183 @@ export const useGameStore = defineStore('game', () => {
         return isStalemate
     }
 
+    /**
+     * Siegbedingung der Spielvariante prüfen (Three-check, King of the Hill, Antichess)
+     * @returns {boolean} True wenn die Partie beendet ist
+     */
+    const checkForVariantEnd = () => {
+        const status = chessLogic.checkVariantGameEnd(currentBoard.value, currentPlayer.value, gameState.value)
+        if (!status) return false
+
+        gameStatus.value = status
+        console.log(`🏁 ${variantRules.value.name}: ${GAME_RESULT_REASONS[status]}`)
+        return true
+    }
+
+    /**
+     * Tote Stellung durch ungenügendes Material prüfen
+     * @returns {boolean} True wenn das Spiel remis ist
+     */
+    const checkForInsufficientMaterial = () => {
+        if (chessLogic.isInsufficientMaterial(currentBoard.value, gameState.value)) {
+            gameStatus.value = GAME_STATUS.DRAW_INSUFFICIENT
+            console.log('🔄 UNGENÜGENDES MATERIAL: Das Spiel endet unentschieden')
+            return true
+        }
+
+        return false
+    }
+
+    /**
+     * Ergebnis bei Zeitüberschreitung bestimmen
+     * Hat der Gegner kein Mattmaterial, endet die Partie remis (FIDE 6.9)
+     * @param {string} expiredPlayer - Spieler, dessen Zeit abgelaufen ist
+     * @returns {string} GAME_STATUS
+     */
+    const getTimeForfeitStatus = (expiredPlayer) => {
+        const winner = expiredPlayer === PLAYER_COLORS.WHITE ? PLAYER_COLORS.BLACK : PLAYER_COLORS.WHITE
+
+        if (chessLogic.hasInsufficientMatingMaterial(currentBoard.value, winner, gameState.value)) {
+            return GAME_STATUS.DRAW_INSUFFICIENT
+        }
+
+        return winner === PLAYER_COLORS.WHITE ? GAME_STATUS.WHITE_WINS_TIME : GAME_STATUS.BLACK_WINS_TIME
+    }
+
     const checkForFiftyMoveRule = () => {
         const currentHalfmoves = halfmoveClock.value
 
         if (chessLogic.checkFiftyMoveRule(currentHalfmoves)) {
             gameStatus.value = GAME_STATUS.DRAW_FIFTY_MOVE
-            console.log('🔄 50-ZÜGE-REGEL: Das Spiel endet unentschieden (Halfmoves:', currentHalfmoves, ')')
+            console.log('🔄 50-ZÜGE-REGEL reklamiert: Das Spiel endet unentschieden (Halfmoves:', currentHalfmoves, ')')
+            return true
+        }
+
+        return false
+    }
+
+    /**
+     * 75-Züge-Regel prüfen (automatisches Remis)
+     * @returns {boolean}
+     */
+    const checkForSeventyFiveMoveRule = () => {
+        if (chessLogic.checkSeventyFiveMoveRule(halfmoveClock.value)) {
+            gameStatus.value = GAME_STATUS.DRAW_SEVENTY_FIVE_MOVE
+            console.log('🔄 75-ZÜGE-REGEL: Das Spiel endet automatisch unentschieden')
             return true
         }
 
         return false
     }
 
+    /**
+     * Position-Key nach einem ruhigen Figurenzug (kein Bauernzug, kein Schlagzug)
+     * Nur solche Züge können eine frühere Stellung wiederherstellen.
+     * @param {object} move - Legaler Zug aus chessLogic
+     * @returns {string|null}
+     */
+    const getPositionKeyAfterQuietMove = (move) => {
+        return chessLogic.createPositionKeyAfterMove(currentBoard.value, gameState.value, move)
+    }
+
+    /**
+     * Aktuell mögliche Remisreklamation
+     * @returns {object|null} { type, onNextMove, moves }
+     */
+    const availableDrawClaim = computed(() => {
+        if (!isGameActive.value) return null
+
+        // Reklamation in der aktuellen Stellung
+        if (chessLogic.canClaimThreefoldRepetition(currentPositionKey.value, positionHistory.value)) {
+            return { type: DRAW_CLAIM_TYPES.REPETITION, onNextMove: false, moves: [] }
+        }
+
+        if (chessLogic.checkFiftyMoveRule(halfmoveClock.value)) {
+            return { type: DRAW_CLAIM_TYPES.FIFTY_MOVE, onNextMove: false, moves: [] }
+        }
+
+        // Reklamation mit dem nächsten Zug (Zug wird angesagt und dann ausgeführt)
+        const quietMoves = chessLogic.getAllLegalMoves(currentBoard.value, currentPlayer.value, gameState.value)
+            .filter(move => move.piece?.toLowerCase() !== 'p' && isEmpty(move.capturedPiece) && move.type !== 'capture')
+
+        const repetitionMoves = quietMoves.filter(move => {
+            const key = getPositionKeyAfterQuietMove(move)
+            return chessLogic.getPositionRepetitionCount(key, positionHistory.value) >= THREEFOLD_REPETITION.REPETITION_LIMIT - 1
+        })
+
+        if (repetitionMoves.length > 0) {
+            return { type: DRAW_CLAIM_TYPES.REPETITION, onNextMove: true, moves: repetitionMoves }
+        }
+
+        if (halfmoveClock.value + 1 >= FIFTY_MOVE_RULE.MAX_HALFMOVES && quietMoves.length > 0) {
+            return { type: DRAW_CLAIM_TYPES.FIFTY_MOVE, onNextMove: true, moves: quietMoves }
+        }
+
+        return null
+    })
+
+    const canClaimDraw = computed(() => availableDrawClaim.value !== null)
+
+    /**
+     * Remis reklamieren (3-fache Wiederholung oder 50-Züge-Regel)
+     * Ohne Zug wird in der aktuellen Stellung reklamiert; ist die Reklamation erst
+     * mit dem nächsten Zug berechtigt, wird dieser angesagt und ausgeführt.
+     * @param {object|null} intendedMove - { from, to, promotion } für die Reklamation mit dem nächsten Zug
+     * @returns {object} { success, status?, pending?, error?, move? }
+     */
+    const claimDraw = (intendedMove = null) => {
+        if (!isGameActive.value) {
+            return { success: false, error: 'Spiel nicht aktiv' }
+        }
+
+        const claim = availableDrawClaim.value
+
+        if (claim && !claim.onNextMove) {
+            resolveDrawClaim()
+            return { success: true, status: gameStatus.value }
+        }
+
+        if (!claim) {
+            return { success: false, error: 'Keine berechtigte Remisreklamation' }
+        }
+
+        // Reklamation gilt für den nächsten eigenen Zug
+        pendingDrawClaim.value = currentPlayer.value
+
+        if (!intendedMove) {
+            console.log('🤝 Remisreklamation angesagt, wird mit dem nächsten Zug geprüft')
+            return { success: true, pending: true }
+        }
+
+        const options = intendedMove.promotion ? { promotion: intendedMove.promotion } : {}
+        const moveResult = attemptMove(intendedMove.from, intendedMove.to, options)
+
+        if (!moveResult.success) {
+            pendingDrawClaim.value = null
+            return moveResult
+        }
+
+        return isGameActive.value
+            ? { success: false, error: 'Remisreklamation unberechtigt, der Zug bleibt bestehen', move: moveResult.move }
+            : { success: true, status: gameStatus.value, move: moveResult.move }
+    }
+
+    /**
+     * Berechtigte Reklamation in der aktuellen Stellung ausführen
+     * @returns {boolean} True wenn die Partie remis ist
+     */
+    const resolveDrawClaim = () => {
+        pendingDrawClaim.value = null
+
+        const isDraw = checkForThreefoldRepetition() || checkForFiftyMoveRule()
+        if (isDraw) {
+            timerStore.stopTimer()
+            sounds.playGameOverSound(gameStatus.value, currentPlayer.value)
+        }
+
+        return isDraw
+    }
+
     /**
      * Warnung für nahende 50-Züge-Regel
      * @returns {boolean} True wenn Warnung ausgegeben werden sollte
@@ -538,7 +973,7 @@ export const useGameStore = defineStore('game', () => {
     const attemptMove = (fromSquare, toSquare, options = {}) => {
         try {
             // Validierung
-            if (!isGameActive.value) {
+            if (!canPlayMove.value) {
                 return { success: false, error: 'Spiel nicht aktiv' }
             }
 
@@ -560,6 +995,13 @@ export const useGameStore = defineStore('game', () => {
                 return { success: false, error: 'Nicht Ihre Figur' }
             }
 
+            // Rochade-Eingaben (Königsziel oder König auf eigenen Turm) auf den gespeicherten Zug abbilden
+            toSquare = chessLogic.resolveCastlingTarget(currentBoard.value, fromSquare, toSquare, gameState.value)
+
+            if (options.promotion && !variantRules.value.promotionPieces.includes(options.promotion.toLowerCase())) {
+                return { success: false, error: `Umwandlung in ${options.promotion} nicht erlaubt` }
+            }
+
             if (!options.promotion && chessLogic.requiresPromotion(fromSquare, toSquare, piece)) {
                 console.log('🎯 attemptMove: Promotion erkannt!', { fromSquare, toSquare, piece })
 
@@ -585,6 +1027,15 @@ export const useGameStore = defineStore('game', () => {
                 return { success: false, error: 'Unerlaubter Zug' }
             }
 
+            // Bereits gespielte Fortsetzung aus einer früheren Stellung: nur hinspringen
+            if (!isAtLivePosition.value) {
+                const existingMove = findChildMove(currentNodeId.value, fromSquare, toSquare, options.promotion)
+                if (existingMove) {
+                    goToNode(existingMove.id)
+                    return { success: true, move: existingMove }
+                }
+            }
+
             if (options.promotion) {
                 const moveResult = executePromotionMove(fromSquare, toSquare, options.promotion)
 
@@ -612,13 +1063,20 @@ export const useGameStore = defineStore('game', () => {
     /**
      * checks:
      * check
+     * variant win conditions
      * checkmate
      * stalemate
      * threefold-repetition
      * fifty-moves-rule
      */
     const performPostMoveChecks = () => {
-        addPositionToHistory(currentFen.value)
+        // Varianten ändern weder Stellungsverlauf noch Spielstatus
+        if (!isAtLivePosition.value) {
+            updateCheckHighlight()
+            return
+        }
+
+        addPositionToHistory(currentPositionKey.value)
 
         // Check > Mate > Stalemate > Fifty-Move
         checkForCheck()
@@ -628,9 +1086,17 @@ export const useGameStore = defineStore('game', () => {
         // Timer-Ablauf prüfen
         if (timerStore.timerState === 'expired') {
             const expiredPlayer = timerStore.activePlayer
-            gameStatus.value = expiredPlayer === 'white' ? GAME_STATUS.BLACK_WINS_TIME : GAME_STATUS.WHITE_WINS_TIME
+            gameStatus.value = getTimeForfeitStatus(expiredPlayer)
             sounds.playGameOverSound(gameStatus.value, currentPlayer.value)
-            console.log(`🕐 Zeit abgelaufen! ${expiredPlayer === 'white' ? 'Schwarz' : 'Weiß'} gewinnt`)
+            console.log(`🕐 Zeit abgelaufen (${expiredPlayer}):`, gameStatus.value)
+            return
+        }
+
+        const variantResult = checkForVariantEnd()
+        if (variantResult) {
+            timerStore.stopTimer()
+            sounds.playGameOverSound(gameStatus.value, currentPlayer.value)
+            console.log('🎯 Siegbedingung der Variante erfüllt, Spiel beendet')
             return
         }
 
@@ -650,29 +1116,107 @@ export const useGameStore = defineStore('game', () => {
             return
         }
 
-        const repetitionResult = checkForThreefoldRepetition()
-        if (repetitionResult) {
-            console.log('🎯 3-fache Stellungswiederholung erkannt, Spiel beendet')
+        const insufficientMaterialResult = checkForInsufficientMaterial()
+        if (insufficientMaterialResult) {
+            timerStore.stopTimer()
+            sounds.playGameOverSound('DRAW_INSUFFICIENT', currentPlayer.value)
+            console.log('🎯 Ungenügendes Material, Spiel beendet')
+            return
+        }
+
+        const fivefoldResult = checkForFivefoldRepetition()
+        if (fivefoldResult) {
+            console.log('🎯 5-fache Stellungswiederholung erkannt, Spiel beendet')
             timerStore.stopTimer()
-            sounds.playGameOverSound('DRAW_REPETITION', currentPlayer.value)
+            sounds.playGameOverSound('DRAW_FIVEFOLD_REPETITION', currentPlayer.value)
             return
         }
 
-        const fiftyMoveResult = checkForFiftyMoveRule()
-        if (fiftyMoveResult) {
+        const seventyFiveMoveResult = checkForSeventyFiveMoveRule()
+        if (seventyFiveMoveResult) {
             timerStore.stopTimer()
-            console.log('🎯 50-Züge-Regel erfüllt, Spiel beendet')
-            sounds.playGameOverSound('DRAW_FIFTY_MOVE', currentPlayer.value)
+            console.log('🎯 75-Züge-Regel erfüllt, Spiel beendet')
+            sounds.playGameOverSound('DRAW_SEVENTY_FIVE_MOVE', currentPlayer.value)
             return
         }
+
+        // Angesagte Reklamation des Spielers, der gerade gezogen hat
+        if (pendingDrawClaim.value) {
+            const claimant = pendingDrawClaim.value
+            const mover = currentPlayer.value === PLAYER_COLORS.WHITE ? PLAYER_COLORS.BLACK : PLAYER_COLORS.WHITE
+
+            if (claimant === mover) {
+                const claimResult = resolveDrawClaim()
+                console.log(claimResult ? '🎯 Remisreklamation berechtigt, Spiel beendet' : '⚠️ Remisreklamation unberechtigt')
+            } else {
+                pendingDrawClaim.value = null
+            }
+        }
     }
 
     const attemptMoveWithPromotion = (fromSquare, toSquare, promotionPiece) => {
         return attemptMove(fromSquare, toSquare, { promotion: promotionPiece })
     }
 
+    /**
+     * Figur aus der Tasche einsetzen (Crazyhouse)
+     * @param {string} piece - FEN-Zeichen der Taschenfigur
+     * @param {string} toSquare
+     * @returns {object} { success, move?, error? }
+     */
+    const attemptDrop = (piece, toSquare) => {
+        try {
+            if (!canPlayMove.value) {
+                return { success: false, error: 'Spiel nicht aktiv' }
+            }
+
+            if (!variantRules.value.pieceDrops) {
+                return { success: false, error: `Einsetzen ist in ${variantRules.value.name} nicht erlaubt` }
+            }
+
+            if (!isPieceOwnedByPlayer(piece, currentPlayer.value)) {
+                return { success: false, error: 'Nicht Ihre Figur' }
+            }
+
+            if (!pocketPieces.value[currentPlayer.value].includes(piece)) {
+                return { success: false, error: 'Figur nicht in der Tasche' }
+            }
+
+            const isLegal = chessLogic.generateLegalMoves(currentBoard.value, currentPlayer.value, gameState.value)
+                .some(move => move.type === 'drop' && move.piece === piece && move.to === toSquare)
+
+            if (!isLegal) {
+                return { success: false, error: 'Unerlaubtes Einsetzen' }
+            }
+
+            // Bereits gespielte Fortsetzung aus einer früheren Stellung: nur hinspringen
+            if (!isAtLivePosition.value) {
+                const existingMove = findChildMove(currentNodeId.value, null, toSquare, null, piece)
+                if (existingMove) {
+                    goToNode(existingMove.id)
+                    return { success: true, move: existingMove }
+                }
+            }
+
+            const moveResult = executeDrop(piece, toSquare)
+
+            if (moveResult.success) {
+                performPostMoveChecks()
+            }
+
+            return moveResult
+        } catch (error) {
+            console.error('Fehler bei attemptDrop:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
     const executeMove = (fromSquare, toSquare, promotionPiece = null) => {
         try {
+            // Züge aus früheren Stellungen lassen geschlagene Figuren und Uhr der Partie unberührt
+            const isVariationMove = !isAtLivePosition.value
+            const liveCapturedPieces = isVariationMove ? JSON.parse(JSON.stringify(capturedPieces.value)) : null
+
             const validationResult = validateMoveCoordinates(fromSquare, toSquare)
             if (!validationResult.success) {
                 return validationResult
@@ -685,10 +1229,12 @@ export const useGameStore = defineStore('game', () => {
                 throw new Error('Kein Piece auf Startfeld')
             }
 
-            const targetPiece = currentBoard.value[toIndices.rankIndex][toIndices.fileIndex]
+            let targetPiece = currentBoard.value[toIndices.rankIndex][toIndices.fileIndex]
             const gameState = getCurrentGameState()
             const tempBoard = cloneBoard(currentBoard.value)
 
+            // Auch für die SAN-Mehrdeutigkeit (z.B. Nbd2), daher vor dem Setzen der neuen Stellung
+            const legalMovesBefore = chessLogic.getAllLegalMoves(currentBoard.value, currentPlayer.value, gameState)
             let targetMove = null
 
             // Promotion-Logik
@@ -714,17 +1260,23 @@ export const useGameStore = defineStore('game', () => {
                     capturedPiece: targetPiece
                 }
             } else {
-                const possibleMoves = chessLogic.generatePossibleMoves(piece, fromSquare, currentBoard.value, gameState)
-                targetMove = possibleMoves.find(move => move.to === toSquare)
+                targetMove = legalMovesBefore.find(move => move.from === fromSquare && move.to === toSquare)
 
                 if (!targetMove) {
                     throw new Error('Illegaler Zug')
                 }
 
+                // Chess960: Der König "schlägt" beim Rochieren den eigenen Turm
+                if (targetMove.type === 'castle') {
+                    targetPiece = null
+                }
+
                 handleSpecialMoves(targetMove, tempBoard, targetPiece)
 
-                tempBoard[toIndices.rankIndex][toIndices.fileIndex] = piece
-                tempBoard[fromIndices.rankIndex][fromIndices.fileIndex] = null
+                if (targetMove.type !== 'castle') {
+                    tempBoard[toIndices.rankIndex][toIndices.fileIndex] = piece
+                    tempBoard[fromIndices.rankIndex][fromIndices.fileIndex] = null
+                }
             }
 
             if (!chessLogic.isMoveLegal(currentBoard.value, fromSquare, toSquare, currentPlayer.value, gameState)) {
@@ -736,19 +1288,35 @@ export const useGameStore = defineStore('game', () => {
             const newCastlingRights = chessLogic.updateCastlingRights(castlingRights.value, fromSquare, toSquare, piece, targetPiece)
             const moveCounters = chessLogic.calculateMoveCounters(piece, targetPiece, halfmoveClock.value, fullmoveNumber.value, currentPlayer.value)
 
-            const newFen = generateFen(tempBoard, nextPlayer, newCastlingRights, newEnPassantSquare, moveCounters.halfmoveClock, moveCounters.fullmoveNumber)
+            // Crazyhouse: geschlagene Figur wandert in die Tasche des Ziehenden
+            const nextPocketState = variantRules.value.pieceDrops
+                ? chessLogic.updatePocketState(getPocketState(), {
+                    type: targetMove.type,
+                    from: fromSquare,
+                    to: toSquare,
+                    piece,
+                    capturedPiece: targetMove.type === 'enpassant' ? (isWhitePiece(piece) ? 'p' : 'P') : targetPiece,
+                    capturedSquare: targetMove.capturedSquare,
+                    promotionPiece
+                })
+                : null
+
+            // Schlüssel für die Wiederholungsprüfung inkrementell über makeMove statt aus der neuen FEN
+            const positionKey = chessLogic.createPositionKeyAfterMove(currentBoard.value, gameState, { from: fromSquare, to: toSquare, piece }, promotionPiece)
+
+            const newFen = generateFen(tempBoard, nextPlayer, newCastlingRights, newEnPassantSquare, moveCounters.halfmoveClock, moveCounters.fullmoveNumber, nextPocketState)
             console.log('🎯 Neue FEN:', newFen)
             setFen(newFen)
 
-            // Timer-Update (für Promotion-Züge)
-            if (promotionPiece) {
-                timerStore.switchPlayer(nextPlayer)
-            }
-
             const moveType = targetMove.type
-            const moveRecord = createMoveRecord(fromSquare, toSquare, piece, targetPiece, promotionPiece, moveType, moveCounters, newEnPassantSquare, newFen)
+            const moveRecord = createMoveRecord(fromSquare, toSquare, piece, targetPiece, promotionPiece, moveType, moveCounters, newEnPassantSquare, newFen, legalMovesBefore)
+            moveRecord.positionKey = positionKey
             finalizeMove(moveRecord)
 
+            if (isVariationMove) {
+                capturedPieces.value = liveCapturedPieces
+            }
+
             if (promotionPiece) {
                 console.log('✅ Promotion-Zug erfolgreich ausgeführt:', moveRecord)
             }
@@ -764,6 +1332,46 @@ export const useGameStore = defineStore('game', () => {
         return executeMove(fromSquare, toSquare, promotionPiece)
     }
 
+    /**
+     * Einsetzen ausführen: Figur verlässt die Tasche, Rochaderechte bleiben unverändert
+     * @param {string} piece
+     * @param {string} toSquare
+     * @returns {object} { success, move?, error? }
+     */
+    const executeDrop = (piece, toSquare) => {
+        try {
+            const toIndices = squareToIndices(toSquare)
+            const tempBoard = cloneBoard(currentBoard.value)
+            tempBoard[toIndices.rankIndex][toIndices.fileIndex] = piece
+
+            const nextPlayer = currentPlayer.value === 'white' ? 'black' : 'white'
+            const moveCounters = chessLogic.calculateMoveCounters(piece, null, halfmoveClock.value, fullmoveNumber.value, currentPlayer.value)
+            const nextPocketState = chessLogic.updatePocketState(getPocketState(), { type: 'drop', piece, to: toSquare })
+            const positionKey = chessLogic.createPositionKeyAfterMove(currentBoard.value, gameState.value, { from: null, to: toSquare, piece })
+
+            const newFen = generateFen(tempBoard, nextPlayer, castlingRights.value, null, moveCounters.halfmoveClock, moveCounters.fullmoveNumber, nextPocketState)
+            setFen(newFen)
+
+            const moveRecord = createMoveRecord(null, toSquare, piece, null, null, 'drop', moveCounters, null, newFen)
+            moveRecord.drop = piece
+            moveRecord.positionKey = positionKey
+            finalizeMove(moveRecord)
+
+            return { success: true, move: moveRecord }
+        } catch (error) {
+            console.error('Fehler beim Einsetzen:', error)
+            return { success: false, error: error.message }
+        }
+    }
+
+    /**
+     * Taschen und umgewandelte Figuren der angezeigten Stellung
+     * @returns {object} { pockets, promotedSquares }
+     */
+    const getPocketState = () => {
+        return { pockets: pocketPieces.value, promotedSquares: promotedSquares.value }
+    }
+
     const validateMoveCoordinates = (fromSquare, toSquare) => {
         const fromIndices = squareToIndices(fromSquare)
         const toIndices = squareToIndices(toSquare)
@@ -796,17 +1404,9 @@ export const useGameStore = defineStore('game', () => {
                 addCapturedPiece(targetPiece)
                 break
             case 'castle':
-                const rookMove = targetMove.rookMove
-                if (rookMove) {
-                    const rookFromIndices = squareToIndices(rookMove.from)
-                    const rookToIndices = squareToIndices(rookMove.to)
-                    if (rookFromIndices && rookToIndices) {
-                        const rook = tempBoard[rookFromIndices.rankIndex][rookFromIndices.fileIndex]
-                        tempBoard[rookToIndices.rankIndex][rookToIndices.fileIndex] = rook
-                        tempBoard[rookFromIndices.rankIndex][rookFromIndices.fileIndex] = null
-                        console.log('🎯 Rochade: Bewege Turm von', rookMove.from, 'nach', rookMove.to)
-                    }
-                }
+                // König und Turm gemeinsam setzen, in Chess960 können sich ihre Felder überschneiden
+                chessLogic.applyCastlingMove(tempBoard, targetMove)
+                console.log('🎯 Rochade: Bewege Turm von', targetMove.rookMove.from, 'nach', targetMove.rookMove.to)
                 break
         }
     }
@@ -827,7 +1427,12 @@ export const useGameStore = defineStore('game', () => {
         return null
     }
 
-    const createMoveRecord = (fromSquare, toSquare, piece, targetPiece, promotionPiece, moveType, moveCounters, enPassantSquare, newFen) => {
+    const createMoveRecord = (fromSquare, toSquare, piece, targetPiece, promotionPiece, moveType, moveCounters, enPassantSquare, newFen, legalMovesBefore = []) => {
+        // Die Stellung ist bereits gesetzt: Schach und Matt gelten für den Gegner, der jetzt am Zug ist
+        const gameStateAfter = getCurrentGameState()
+        const isCheck = chessLogic.isInCheck(currentBoard.value, currentPlayer.value, gameStateAfter)
+        const isCheckmate = isCheck && chessLogic.getAllLegalMoves(currentBoard.value, currentPlayer.value, gameStateAfter).length === 0
+
         const moveRecord = {
             moveIndex: lastMove.value ? lastMove.value.moveIndex + 1 : 0,
             fullmoveNumber: moveCounters.fullmoveNumber,
@@ -841,8 +1446,8 @@ export const useGameStore = defineStore('game', () => {
             currentBoard: currentBoard.value,
             capturedPiece: targetPiece,
             promotion: promotionPiece,
-            isCheck: false,
-            isCheckmate: false,
+            isCheck,
+            isCheckmate,
             enPassantSquare,
             moveType,
             san: generateSAN(
@@ -852,15 +1457,18 @@ export const useGameStore = defineStore('game', () => {
                     piece,
                     capturedPiece: targetPiece,
                     promotion: promotionPiece,
-                    isCheck: false,
-                    isCheckmate: false,
+                    isCheck,
+                    isCheckmate,
                     moveType
                 },
                 currentBoard.value,
-                chessLogic.getAllLegalMoves(currentBoard.value, currentPlayer.value, getCurrentGameState())
+                legalMovesBefore
             ),
-            fenBefore: moveHistory.value.length > 0 ? moveHistory.value[moveHistory.value.length - 1].fenAfter : INITIAL_FEN,
+            fenBefore: lastMove.value ? lastMove.value.fenAfter : startingFen.value,
             fenAfter: newFen,
+            nags: [],
+            comment: '',
+            annotations: [],
             timestamp: new Date(),
             capturedPieces
         }
@@ -874,9 +1482,17 @@ export const useGameStore = defineStore('game', () => {
     }
 
     const finalizeMove = (moveRecord) => {
-        moveHistory.value.push(moveRecord)
+        // Zug aus einer früheren Stellung: neuer Seitenzweig, die Partie läuft unverändert weiter
+        if (!isAtLivePosition.value) {
+            addMoveNode(moveRecord, currentNodeId.value, false)
+            setCurrentNode(moveRecord)
+            return
+        }
 
-        if (moveHistory.value.length === 1) {
+        const timingsBefore = timerStore.moveTimings.length
+
+        // Erster Zug der Partie oder erster Zug nach dem Wiederherstellen startet die Uhr
+        if (moveHistory.value.length === 0 || timerStore.isTimerWaiting) {
             if (!timerStore.isUnlimitedTime) {
                 timerStore.switchPlayer(currentPlayer.value)
                 timerStore.startTimer()
@@ -885,22 +1501,64 @@ export const useGameStore = defineStore('game', () => {
             timerStore.switchPlayer(currentPlayer.value)
         }
 
-        lastMove.value = moveRecord
-        currentMoveIndex.value = lastMove.value.moveIndex
+        // Restzeit nach dem Zug für [%clk] übernehmen
+        if (timerStore.moveTimings.length > timingsBefore) {
+            moveRecord.clock = timerStore.currentMoveStats.timeRemaining
+        }
+
+        // Remisangebot: mit dem eigenen Zug verknüpfen, mit dem Gegenzug verfällt es
+        if (drawOffer.value) {
+            if (getPieceColor(moveRecord.piece) === drawOffer.value.by) {
+                moveRecord.drawOffered = true
+                drawOffer.value.moveIndex = moveRecord.moveIndex
+            } else {
+                console.log('🤝 Remisangebot verfallen')
+                drawOffer.value = null
+            }
+        }
+
+        // Zurückgenommene Züge aus dieser Stellung bleiben als Variante erhalten,
+        // derselbe Zug übernimmt ihre Fortsetzungen
+        const parentId = liveNodeId.value
+        const undoneMove = findChildMove(parentId, moveRecord.from, moveRecord.to, moveRecord.promotion, moveRecord.drop)
+
+        addMoveNode(moveRecord, parentId, true)
+        redoStack.value = []
+
+        if (undoneMove) {
+            // Kommentar, NAGs und Annotationen des zurückgenommenen Zuges bleiben erhalten
+            moveRecord.nags = undoneMove.nags || []
+            moveRecord.comment = undoneMove.comment || ''
+            moveRecord.annotations = undoneMove.annotations || []
+
+            variationChildren.value[moveRecord.id] = getChildIds(undoneMove.id)
+            getChildIds(undoneMove.id).forEach(childId => {
+                moveNodes.value[childId].parentId = moveRecord.id
+            })
+            variationChildren.value[undoneMove.id] = []
+            removeMoveNode(undoneMove.id)
+        }
+
+        moveHistory.value.push(moveRecord)
+        setCurrentNode(moveRecord)
+
+        if (undoneMove) {
+            updateVariationFlags()
+        }
     }
 
     const handleTimerExpired = (data) => {
         try {
             const expiredPlayer = data.player
 
-            if (expiredPlayer === 'white') {
-                gameStatus.value = GAME_STATUS.BLACK_WINS_TIME
+            gameStatus.value = getTimeForfeitStatus(expiredPlayer)
+
+            if (gameStatus.value === GAME_STATUS.DRAW_INSUFFICIENT) {
+                console.log('⏰ ZEIT ABGELAUFEN! Remis, da der Gegner kein Mattmaterial hat')
             } else {
-                gameStatus.value = GAME_STATUS.WHITE_WINS_TIME
+                console.log(`⏰ ZEIT ABGELAUFEN! ${expiredPlayer === 'white' ? 'Schwarz' : 'Weiß'} gewinnt durch Zeitüberschreitung`)
             }
 
-            console.log(`⏰ ZEIT ABGELAUFEN! ${expiredPlayer === 'white' ? 'Schwarz' : 'Weiß'} gewinnt durch Zeitüberschreitung`)
-
             timerStore.stopTimer()
             sounds.playGameOverSound(gameStatus.value, currentPlayer.value)
 
@@ -959,6 +1617,437 @@ export const useGameStore = defineStore('game', () => {
         console.log('Spielstatus geprüft')
     }
 
+    // ===== VARIANTENBAUM =====
+
+    /**
+     * Folgezüge einer Stellung (Hauptfortsetzung zuerst)
+     * @param {string|null} nodeId - null für die Startstellung
+     * @returns {string[]}
+     */
+    const getChildIds = (nodeId) => {
+        return variationChildren.value[nodeId ?? ROOT_NODE_KEY] || []
+    }
+
+    /**
+     * Alternativen zu einem Zug (andere Folgezüge derselben Ausgangsstellung)
+     * @param {string} nodeId
+     * @returns {string[]}
+     */
+    const getAlternativeIds = (nodeId) => {
+        const node = moveNodes.value[nodeId]
+        if (!node) return []
+
+        return getChildIds(node.parentId).filter(id => id !== nodeId)
+    }
+
+    /**
+     * Bereits gespielten Folgezug einer Stellung suchen
+     * @returns {object|undefined}
+     */
+    const findChildMove = (nodeId, fromSquare, toSquare, promotionPiece = null, dropPiece = null) => {
+        return getChildIds(nodeId)
+            .map(id => moveNodes.value[id])
+            .find(node => node.from === fromSquare &&
+                node.to === toSquare &&
+                (node.promotion || null) === (promotionPiece || null) &&
+                (node.drop || null) === (dropPiece || null))
+    }
+
+    const resetVariationTree = () => {
+        moveNodes.value = {}
+        variationChildren.value = { [ROOT_NODE_KEY]: [] }
+        currentNodeId.value = null
+        nodeCounter = 0
+    }
+
+    /**
+     * Zug in den Baum einhängen
+     * @param {object} moveRecord
+     * @param {string|null} parentId - Zug, nach dem gespielt wurde
+     * @param {boolean} isMainLine - Hauptfortsetzung (wird vorne eingereiht)
+     */
+    const addMoveNode = (moveRecord, parentId, isMainLine) => {
+        const parent = parentId ? moveNodes.value[parentId] : null
+        const siblings = getChildIds(parentId)
+
+        moveRecord.id = `move_${++nodeCounter}`
+        moveRecord.parentId = parentId
+        moveRecord.parentMoveIndex = parent ? parent.moveIndex : null
+        moveRecord.isMainLine = isMainLine
+
+        if (isMainLine) {
+            moveRecord.variantDepth = 0
+        } else if (!parent || parent.isMainLine) {
+            moveRecord.variantDepth = 1
+        } else {
+            // Fortsetzung bleibt auf der Ebene der Variante, weitere Alternativen gehen eine tiefer
+            moveRecord.variantDepth = parent.variantDepth + (siblings.length > 0 ? 1 : 0)
+        }
+
+        moveNodes.value[moveRecord.id] = moveRecord
+        variationChildren.value[moveRecord.id] = []
+        variationChildren.value[parentId ?? ROOT_NODE_KEY] = isMainLine
+            ? [moveRecord.id, ...siblings]
+            : [...siblings, moveRecord.id]
+    }
+
+    /**
+     * Zug samt allen Fortsetzungen aus dem Baum entfernen
+     * @param {string} nodeId
+     */
+    const removeMoveNode = (nodeId) => {
+        const node = moveNodes.value[nodeId]
+        if (!node) return
+
+        variationChildren.value[node.parentId ?? ROOT_NODE_KEY] = getChildIds(node.parentId).filter(id => id !== nodeId)
+
+        const removeSubtree = (id) => {
+            getChildIds(id).forEach(removeSubtree)
+            delete moveNodes.value[id]
+            delete variationChildren.value[id]
+        }
+        removeSubtree(nodeId)
+    }
+
+    /**
+     * isMainLine und variantDepth nach Änderungen an der Hauptvariante neu setzen
+     */
+    const updateVariationFlags = () => {
+        const mainLineIds = new Set(moveHistory.value.map(move => move.id))
+
+        const updateChildren = (parent) => {
+            getChildIds(parent?.id ?? null).forEach((childId, index) => {
+                const node = moveNodes.value[childId]
+                node.isMainLine = mainLineIds.has(childId)
+
+                if (node.isMainLine) {
+                    node.variantDepth = 0
+                } else if (!parent || parent.isMainLine) {
+                    node.variantDepth = 1
+                } else {
+                    node.variantDepth = parent.variantDepth + (index > 0 ? 1 : 0)
+                }
+
+                updateChildren(node)
+            })
+        }
+
+        updateChildren(null)
+    }
+
+    /**
+     * Baum aus einer Hauptvariante ohne Knoten-IDs aufbauen (ältere Sicherungen)
+     */
+    const buildVariationTree = () => {
+        resetVariationTree()
+
+        let parentId = null
+        moveHistory.value.forEach(moveRecord => {
+            addMoveNode(moveRecord, parentId, true)
+            parentId = moveRecord.id
+        })
+    }
+
+    /**
+     * Liegt ein Zug innerhalb des Zweigs ab rootId?
+     */
+    const isInBranch = (nodeId, rootId) => {
+        let node = moveNodes.value[nodeId]
+        while (node) {
+            if (node.id === rootId) return true
+            node = moveNodes.value[node.parentId]
+        }
+        return false
+    }
+
+    /**
+     * Angezeigte Stellung auf einen Zug setzen (lastMove folgt der Anzeige)
+     * @param {object|null} moveRecord
+     */
+    const setCurrentNode = (moveRecord) => {
+        lastMove.value = moveRecord
+        currentNodeId.value = moveRecord?.id ?? null
+        currentMoveIndex.value = moveRecord?.moveIndex ?? -1
+    }
+
+    /**
+     * Zu einem beliebigen Zug im Baum springen
+     * @param {string|null} nodeId - null für die Startstellung
+     * @returns {boolean}
+     */
+    const goToNode = (nodeId) => {
+        const targetMove = nodeId === null ? null : moveNodes.value[nodeId]
+        if (nodeId !== null && !targetMove) {
+            console.warn('goToNode: Zug nicht gefunden:', nodeId)
+            return false
+        }
+
+        setFen(targetMove ? targetMove.fenAfter : startingFen.value)
+        setCurrentNode(targetMove)
+        clearSelection()
+
+        // Nur die Anzeige bewerten, der Status gehört zur laufenden Partie
+        updateCheckHighlight()
+
+        return true
+    }
+
+    /**
+     * In die erste (oder n-te) Variante zum nächsten Zug wechseln
+     * @param {number} variationIndex
+     * @returns {boolean}
+     */
+    const enterVariation = (variationIndex = 0) => {
+        const [, ...variationIds] = getChildIds(currentNodeId.value)
+        const targetId = variationIds[variationIndex]
+        if (!targetId) return false
+
+        return goToNode(targetId)
+    }
+
+    /**
+     * Variante verlassen: zurück zur Stellung, in der sie abzweigt
+     * @returns {boolean}
+     */
+    const exitVariation = () => {
+        let node = moveNodes.value[currentNodeId.value]
+        if (!node || node.isMainLine) return false
+
+        // Bis zum ersten Zug der Variante zurückgehen
+        let parent = moveNodes.value[node.parentId]
+        while (parent && !parent.isMainLine && getChildIds(parent.id)[0] === node.id) {
+            node = parent
+            parent = moveNodes.value[node.parentId]
+        }
+
+        return goToNode(node.parentId)
+    }
+
+    /**
+     * Variante zur Hauptvariante machen
+     * Die bisherige Hauptvariante bleibt als Seitenzweig erhalten.
+     * @param {string} nodeId - beliebiger Zug der Variante
+     * @returns {object} { success, error? }
+     */
+    const promoteVariation = (nodeId) => {
+        const node = moveNodes.value[nodeId]
+        if (!node || node.isMainLine) {
+            return { success: false, error: 'Zug gehört zu keiner Variante' }
+        }
+
+        if (!canEditVariations.value) {
+            return { success: false, error: 'Hauptvariante kann bei laufender Uhr nicht geändert werden' }
+        }
+
+        // Jeden Zug auf dem Weg zur Startstellung an die erste Stelle rücken
+        let current = node
+        while (current) {
+            const siblings = getChildIds(current.parentId).filter(id => id !== current.id)
+            variationChildren.value[current.parentId ?? ROOT_NODE_KEY] = [current.id, ...siblings]
+            current = moveNodes.value[current.parentId]
+        }
+
+        // Neue Hauptvariante: jeweils erste Fortsetzung ab der Startstellung
+        const mainLine = []
+        let nextId = getChildIds(null)[0]
+        while (nextId) {
+            mainLine.push(moveNodes.value[nextId])
+            nextId = getChildIds(nextId)[0]
+        }
+
+        moveHistory.value = mainLine
+        updateVariationFlags()
+        rebuildMainLineState()
+
+        console.log('⬆️ Variante zur Hauptvariante:', node.san)
+        return { success: true }
+    }
+
+    /**
+     * Variante ab einem Zug löschen
+     * @param {string} nodeId
+     * @returns {boolean}
+     */
+    const deleteVariation = (nodeId) => {
+        const node = moveNodes.value[nodeId]
+        if (!node || node.isMainLine) return false
+
+        if (isInBranch(currentNodeId.value, nodeId)) {
+            goToNode(node.parentId)
+        }
+
+        removeMoveNode(nodeId)
+        redoStack.value = redoStack.value.filter(entry => moveNodes.value[entry.moveRecord?.id])
+
+        console.log('🗑️ Variante gelöscht ab:', node.san)
+        return true
+    }
+
+    /**
+     * Kommentar eines Zuges setzen (leerer Text entfernt ihn)
+     * @param {string} nodeId
+     * @param {string} comment
+     * @returns {boolean}
+     */
+    const setMoveComment = (nodeId, comment) => {
+        const move = moveNodes.value[nodeId]
+        if (!move) return false
+
+        move.comment = (comment || '').trim()
+        return true
+    }
+
+    /**
+     * NAG eines Zuges an- oder abschalten
+     * Zug- und Stellungsbewertungen ersetzen jeweils die bisherige aus ihrer Gruppe.
+     * @param {string} nodeId
+     * @param {number} nag
+     * @returns {boolean}
+     */
+    const toggleMoveNag = (nodeId, nag) => {
+        const move = moveNodes.value[nodeId]
+        if (!move) return false
+
+        const nags = move.nags || []
+        if (nags.includes(nag)) {
+            move.nags = nags.filter(value => value !== nag)
+            return true
+        }
+
+        const group = [MOVE_NAGS, POSITION_NAGS].find(values => values.includes(nag)) || []
+        move.nags = [...nags.filter(value => !group.includes(value)), nag].sort((a, b) => a - b)
+        return true
+    }
+
+    /**
+     * Ergebnis der Partieauswertung an einen Zug hängen
+     * Der NAG der Einstufung ersetzt die bisherige Zugbewertung, eine frühere Auswertung wird überschrieben.
+     * @param {string} nodeId
+     * @param {object|null} review - { classification, nag, bestMove, ... }, null entfernt die Auswertung
+     * @returns {boolean}
+     */
+    const setMoveReview = (nodeId, review) => {
+        const move = moveNodes.value[nodeId]
+        if (!move) return false
+
+        const previousNag = move.review?.nag
+        let nags = (move.nags || []).filter(value => value !== previousNag)
+
+        if (review?.nag) {
+            nags = [...nags.filter(value => !MOVE_NAGS.includes(value)), review.nag].sort((a, b) => a - b)
+        }
+
+        move.nags = nags
+        move.review = review
+        return true
+    }
+
+    /**
+     * Zug als Buchzug der Engine markieren
+     * @param {string} nodeId
+     * @param {object|null} book - { name, weight, share }, null entfernt die Markierung
+     * @returns {boolean}
+     */
+    const setMoveBook = (nodeId, book) => {
+        const move = moveNodes.value[nodeId]
+        if (!move) return false
+
+        move.book = book
+        return true
+    }
+
+    /**
+     * Pfeile und Feldmarkierungen einer Stellung
+     * @param {string|null} nodeId - Stellung nach diesem Zug, null = Startstellung
+     * @returns {Array}
+     */
+    const getPositionAnnotations = (nodeId) => {
+        if (!nodeId) return startAnnotations.value
+
+        return moveNodes.value[nodeId]?.annotations || []
+    }
+
+    /**
+     * Pfeile und Feldmarkierungen einer Stellung ersetzen
+     * @param {string|null} nodeId - Stellung nach diesem Zug, null = Startstellung
+     * @param {Array} annotations
+     * @returns {boolean}
+     */
+    const setPositionAnnotations = (nodeId, annotations) => {
+        if (!nodeId) {
+            startAnnotations.value = annotations
+            return true
+        }
+
+        const move = moveNodes.value[nodeId]
+        if (!move) return false
+
+        move.annotations = annotations
+        return true
+    }
+
+    /**
+     * Stellungsverlauf, geschlagene Figuren und Status nach einem Wechsel der Hauptvariante neu aufbauen
+     */
+    const rebuildMainLineState = () => {
+        const viewedNodeId = currentNodeId.value
+
+        redoStack.value = []
+        drawOffer.value = null
+        pendingDrawClaim.value = null
+
+        capturedPieces.value = { white: [], black: [] }
+        positionHistory.value = []
+        addPositionToHistory(startPositionKey.value)
+
+        moveHistory.value.forEach(move => {
+            const capturedPiece = move.moveType === 'enpassant'
+                ? (isWhitePiece(move.piece) ? 'p' : 'P')
+                : move.capturedPiece
+
+            if (capturedPiece) {
+                addCapturedPiece(capturedPiece)
+            }
+            addPositionToHistory(getRecordPositionKey(move))
+        })
+
+        // Aus der Stellung folgende Enden für das neue Partieende neu bewerten
+        if (isGameActive.value || POSITIONAL_ENDINGS.includes(gameStatus.value)) {
+            positionHistory.value.pop()
+            goToNode(liveNodeId.value)
+            gameStatus.value = GAME_STATUS.ACTIVE
+            performPostMoveChecks()
+        }
+
+        goToNode(viewedNodeId)
+    }
+
+    /**
+     * Hauptvariante mit Seitenzweigen für den PGN-Export
+     * Jeder Zug trägt die Alternativen zu ihm als variations (Aufbau wie bei parsePgn).
+     * @returns {Array}
+     */
+    const getPgnMoves = () => {
+        const collectLine = (firstId) => {
+            const line = []
+            let nodeId = firstId
+
+            while (nodeId) {
+                const move = moveNodes.value[nodeId]
+                // Alternativen zum ersten Zug stehen bereits in der übergeordneten Zeile
+                line.push({ ...move, variations: line.length === 0 ? [] : getAlternativeIds(nodeId).map(collectLine) })
+                nodeId = getChildIds(nodeId)[0]
+            }
+
+            return line
+        }
+
+        return moveHistory.value.map(move => ({
+            ...move,
+            variations: getAlternativeIds(move.id).map(collectLine)
+        }))
+    }
+
     /**
      * Letzten Zug rückgängig machen
      * @returns {boolean} Success status
@@ -984,10 +2073,16 @@ export const useGameStore = defineStore('game', () => {
 
             console.log('🔍 LastMoveRecord:', lastMoveRecord)
 
-            // Redo-Stack speichern
+            // Remisangebot dieses Zuges zurücknehmen
+            if (lastMoveRecord.drawOffered && drawOffer.value?.moveIndex === lastMoveRecord.moveIndex) {
+                drawOffer.value = null
+            }
+
+            // Redo-Stack speichern, die Uhr nimmt Zugzähler, Periode und Gutschrift des Zuges zurück
             redoStack.value.push({
                 moveRecord: lastMoveRecord,
-                gameStatus: gameStatus.value
+                gameStatus: gameStatus.value,
+                clockUndone: lastMoveRecord.clock !== undefined && timerStore.undoLastSwitch()
             })
 
             // Position vor dem Zug wiederherstellen
@@ -1037,9 +2132,9 @@ export const useGameStore = defineStore('game', () => {
                 }
             }
 
-            lastMove.value = moveHistory.value.length > 0
-                ? moveHistory.value[moveHistory.value.length - 1]
-                : null
+            // Der zurückgenommene Zug bleibt als Variante im Baum
+            setCurrentNode(moveHistory.value[moveHistory.value.length - 1] || null)
+            updateVariationFlags()
 
             // Position History bereinigen
             if (positionHistory.value.length > 0) {
@@ -1057,7 +2152,9 @@ export const useGameStore = defineStore('game', () => {
                 checkingPieces.value = []
             }
 
-            if ([GAME_STATUS.CHECKMATE, GAME_STATUS.STALEMATE, GAME_STATUS.DRAW_FIFTY_MOVE, GAME_STATUS.DRAW_REPETITION].includes(gameStatus.value)) {
+            pendingDrawClaim.value = null
+
+            if (POSITIONAL_ENDINGS.includes(gameStatus.value)) {
                 gameStatus.value = isInCheck.value ? GAME_STATUS.CHECK : GAME_STATUS.ACTIVE
             }
 
@@ -1091,13 +2188,23 @@ export const useGameStore = defineStore('game', () => {
                 return false
             }
 
-            const redoMoveRecord = redoState.moveRecord
+            // Zurückgenommener Zug ist noch im Baum: wieder als Hauptfortsetzung einreihen
+            const redoMoveRecord = moveNodes.value[redoState.moveRecord.id] || redoState.moveRecord
             console.log('🔄 Redo moveRecord:', redoMoveRecord)
 
+            const parentId = liveNodeId.value
+            if (moveNodes.value[redoMoveRecord.id]) {
+                const siblings = getChildIds(parentId).filter(id => id !== redoMoveRecord.id)
+                variationChildren.value[parentId ?? ROOT_NODE_KEY] = [redoMoveRecord.id, ...siblings]
+            } else {
+                addMoveNode(redoMoveRecord, parentId, true)
+            }
+
             setFen(redoMoveRecord.fenAfter)
 
             moveHistory.value.push(redoMoveRecord)
-            lastMove.value = redoMoveRecord
+            setCurrentNode(redoMoveRecord)
+            updateVariationFlags()
 
             if (redoMoveRecord.capturedPieces) {
                 capturedPieces.value = { ...redoMoveRecord.capturedPieces }
@@ -1112,9 +2219,12 @@ export const useGameStore = defineStore('game', () => {
             isInCheck.value = redoMoveRecord.isCheck || false
             checkingPieces.value = redoMoveRecord.checkingPieces || []
 
-            const positionKey = chessLogic.createPositionKey(redoMoveRecord.fenAfter)
-            if (positionKey) {
-                positionHistory.value.push(positionKey)
+            addPositionToHistory(getRecordPositionKey(redoMoveRecord))
+
+            // Zurückgenommenen Uhrwechsel wiederholen
+            if (redoState.clockUndone) {
+                timerStore.switchPlayer(currentPlayer.value)
+                redoMoveRecord.clock = timerStore.currentMoveStats.timeRemaining
             }
 
             clearSelection()
@@ -1128,72 +2238,37 @@ export const useGameStore = defineStore('game', () => {
     }
 
     /**
-     * Zu bestimmtem Zug springen (Navigation)
+     * Zu bestimmtem Zug der Hauptvariante springen (Navigation)
      * @param {number} targetMoveIndex - Ziel-moveIndex (-1 für Startposition)
      * @returns {boolean} Success status
      */
     const goToMove = (targetMoveIndex) => {
-        try {
-            console.log('🎯 goToMove aufgerufen:', targetMoveIndex)
-
-            // Startposition
-            if (targetMoveIndex < 0) {
-                setFen(INITIAL_FEN)
-                lastMove.value = null
-                clearSelection()
-
-                // Game State zurücksetzen
-                gameStatus.value = GAME_STATUS.ACTIVE
-                isInCheck.value = false
-                checkingPieces.value = []
-
-                console.log('✅ Zur Startposition gesprungen')
-                return true
-            }
-
-            // Validierung
-            if (targetMoveIndex >= moveHistory.value.length) {
-                console.warn('goToMove: Ungültiger moveIndex:', targetMoveIndex)
-                return false
-            }
-
-            // Ziel-Zug finden
-            const targetMove = moveHistory.value.find(moveRecord => moveRecord.moveIndex === targetMoveIndex)
-            if (!targetMove) {
-                console.warn('goToMove: Zug mit moveIndex nicht gefunden:', targetMoveIndex)
-                return false
-            }
+        console.log('🎯 goToMove aufgerufen:', targetMoveIndex)
 
-            // Position setzen
-            setFen(targetMove.fenAfter)
-            lastMove.value = targetMove
-            clearSelection()
-
-            // Spielzustand neu bewerten (ohne Post-Move-Checks)
-            checkForCheck()
-
-            console.log('✅ Zu Zug gesprungen:', {
-                targetIndex: targetMoveIndex,
-                move: targetMove.san,
-                fullmove: targetMove.fullmoveNumber,
-                position: targetMove.fenAfter
-            })
-
-            return true
+        // Startposition
+        if (targetMoveIndex < 0) {
+            return goToNode(null)
+        }
 
-        } catch (error) {
-            console.error('❌ Fehler bei goToMove:', error)
+        // Ziel-Zug finden
+        const targetMove = moveHistory.value.find(moveRecord => moveRecord.moveIndex === targetMoveIndex)
+        if (!targetMove) {
+            console.warn('goToMove: Zug mit moveIndex nicht gefunden:', targetMoveIndex)
             return false
         }
+
+        return goToNode(targetMove.id)
     }
 
     /**
-     * Einen Zug vor
+     * Einen Zug vor (innerhalb der aktuellen Variante)
      * @returns {boolean}
      */
     const stepForward = () => {
-        const currentIndex = lastMove.value?.moveIndex ?? -1
-        return goToMove(currentIndex + 1)
+        const [nextId] = getChildIds(currentNodeId.value)
+        if (!nextId) return false
+
+        return goToNode(nextId)
     }
 
     /**
@@ -1201,18 +2276,19 @@ export const useGameStore = defineStore('game', () => {
      * @returns {boolean}
      */
     const stepBackward = () => {
-        const currentIndex = lastMove.value?.moveIndex ?? 0
-        return goToMove(currentIndex - 1)
+        const node = moveNodes.value[currentNodeId.value]
+        if (!node) return false
+
+        return goToNode(node.parentId)
     }
 
     /**
-     * Zum Spielende springen
+     * Zur Stellung der laufenden Partie springen
      * @returns {boolean}
      */
     const goToEnd = () => {
         if (moveHistory.value.length === 0) return false
-        const lastMoveIndex = moveHistory.value[moveHistory.value.length - 1].moveIndex
-        return goToMove(lastMoveIndex)
+        return goToNode(liveNodeId.value)
     }
 
     /**
@@ -1220,7 +2296,7 @@ export const useGameStore = defineStore('game', () => {
      * @returns {boolean}
      */
     const goToStart = () => {
-        return goToMove(-1)
+        return goToNode(null)
     }
 
     /**
@@ -1262,31 +2338,603 @@ export const useGameStore = defineStore('game', () => {
      * Navigation - computed properties
      */
     const canStepForward = computed(() => {
-        return isGameActive.value && redoStack.value.length > 0
+        return getChildIds(currentNodeId.value).length > 0
     })
 
     const canStepBackward = computed(() => {
-        return isGameActive && currentMoveIndex.value >= 0
+        return currentNodeId.value !== null
     })
 
     const canGoToStart = computed(() => {
-        return currentMoveIndex.value !== -1
+        return currentNodeId.value !== null
     })
 
     const canGoToEnd = computed(() => {
-        const currentIndex = currentMoveIndex.value
-        const lastIndex = moveHistory.value.length > 0
-            ? moveHistory.value[moveHistory.value.length - 1].moveIndex
-            : -1
-        return currentIndex !== lastIndex
+        return !isAtLivePosition.value
     })
 
     /**
      * Spiel aufgeben
      */
-    const resignGame = () => {
-        gameStatus.value = GAME_STATUS.FINISHED
-        console.log('Spiel aufgegeben')
+    const resignGame = (player = currentPlayer.value) => {
+        if (!isGameActive.value) return
+
+        resignedBy.value = player
+        gameStatus.value = GAME_STATUS.RESIGNED
+        timerStore.stopTimer()
+        console.log('Spiel aufgegeben:', player)
+    }
+
+    /**
+     * Remis anbieten
+     * Das Angebot wird am letzten eigenen Zug vermerkt, bzw. am nächsten,
+     * falls der Spieler gerade am Zug ist.
+     * @param {string} player - Anbietende Farbe (Standard: Spieler am Zug)
+     * @returns {boolean} Success status
+     */
+    const offerDraw = (player = currentPlayer.value) => {
+        if (!canOfferDraw.value) {
+            console.warn('⚠️ Remisangebot nicht möglich')
+            return false
+        }
+
+        const ownLastMove = [...moveHistory.value].reverse().find(move => getPieceColor(move.piece) === player)
+        const isAfterOwnMove = player !== currentPlayer.value && ownLastMove
+
+        drawOffer.value = {
+            by: player,
+            moveIndex: isAfterOwnMove ? ownLastMove.moveIndex : null,
+            timestamp: new Date()
+        }
+
+        if (isAfterOwnMove) {
+            ownLastMove.drawOffered = true
+        }
+
+        sounds.playSound('drawOffer')
+        console.log('🤝 Remis angeboten von:', player)
+        return true
+    }
+
+    /**
+     * Remisangebot annehmen - Partie endet als DRAW_AGREEMENT
+     * @returns {boolean} Success status
+     */
+    const acceptDraw = () => {
+        if (!drawOffer.value || !isGameActive.value) return false
+
+        drawOffer.value = null
+        gameStatus.value = GAME_STATUS.DRAW_AGREEMENT
+        timerStore.stopTimer()
+        sounds.playGameOverSound(GAME_STATUS.DRAW_AGREEMENT, currentPlayer.value)
+
+        console.log('🤝 Remis vereinbart')
+        return true
+    }
+
+    /**
+     * Remisangebot ablehnen
+     * @returns {boolean} Success status
+     */
+    const declineDraw = () => {
+        if (!drawOffer.value) return false
+
+        drawOffer.value = null
+        sounds.playSound('decline')
+
+        console.log('🤝 Remisangebot abgelehnt')
+        return true
+    }
+
+    /**
+     * Eigenes Remisangebot zurückziehen
+     * @returns {boolean} Success status
+     */
+    const withdrawDraw = () => {
+        if (!drawOffer.value) return false
+
+        const offeredMove = moveHistory.value.find(move => move.moveIndex === drawOffer.value.moveIndex)
+        if (offeredMove) {
+            delete offeredMove.drawOffered
+        }
+
+        drawOffer.value = null
+        console.log('🤝 Remisangebot zurückgezogen')
+        return true
+    }
+
+    /**
+     * Ergebnis der beendeten Partie oder null, solange sie läuft
+     * @returns {object|null} { status, result, reason }
+     */
+    const gameResult = computed(() => {
+        // Sieger aus der Endstellung, nicht aus der gerade angezeigten Stellung
+        const result = getResultToken(gameStatus.value, {
+            sideToMove: liveSideToMove.value,
+            resignedBy: resignedBy.value
+        })
+
+        if (result === PGN_RESULTS.ONGOING) return null
+
+        return {
+            status: gameStatus.value,
+            result,
+            reason: GAME_RESULT_REASONS[gameStatus.value] || ''
+        }
+    })
+
+    /**
+     * Partie als PGN exportieren
+     * @param {object} tags - Zusätzliche oder überschriebene PGN-Tags
+     * @returns {string}
+     */
+    const toPGN = (tags = {}) => {
+        const timeControl = timerStore.pgnTimeControl
+        const termination = getTermination()
+
+        return generatePgn({
+            moves: getPgnMoves(),
+            startAnnotations: startAnnotations.value,
+            startingFen: startingFen.value,
+            result: gameResult.value?.result ?? PGN_RESULTS.ONGOING,
+            variant: gameVariant.value,
+            tags: {
+                Event: 'Casual Game',
+                Site: 'J-Chess',
+                Date: formatPgnDate(moveHistory.value[0]?.timestamp ?? new Date()),
+                Round: '-',
+                White: whitePlayer.value || 'Weiß',
+                Black: blackPlayer.value || 'Schwarz',
+                TimeControl: timeControl,
+                TimeDelay: timerStore.pgnTimeDelay,
+                Termination: termination,
+                ...pgnTags.value,
+                ...tags
+            }
+        })
+    }
+
+    const currentPGN = computed(() => toPGN())
+
+    /**
+     * PGN-Termination der beendeten Partie
+     * @returns {string|null}
+     */
+    const getTermination = () => {
+        if (!gameResult.value) return null
+
+        const isTimeForfeit = [GAME_STATUS.WHITE_WINS_TIME, GAME_STATUS.BLACK_WINS_TIME].includes(gameStatus.value)
+        return isTimeForfeit ? 'time forfeit' : 'normal'
+    }
+
+    /**
+     * Partie aus PGN laden, Hauptvariante und Varianten nachspielen
+     * @param {string} pgnText - PGN mit einer oder mehreren Partien
+     * @param {object} options - { gameIndex, gameId }
+     * @returns {Promise<object>} { success, games } oder { success: false, error, details }
+     */
+    const loadGameFromPgn = async (pgnText, options = {}) => {
+        const { gameIndex = 0 } = options
+        const gameNumber = gameIndex + 1
+
+        const parsed = parsePgn(pgnText)
+        if (!parsed.success) {
+            console.error('PGN-Fehler:', parsed.error, parsed.details)
+            return parsed
+        }
+
+        const pgnGame = parsed.games[gameIndex]
+        if (!pgnGame) {
+            return {
+                success: false,
+                error: `Partie ${gameNumber} nicht gefunden (${parsed.games.length} Partien in der Datei)`,
+                details: { gameNumber, ply: 0, token: null }
+            }
+        }
+
+        const fail = (message, ply, token) => {
+            const error = `Partie ${gameNumber}, Halbzug ${ply}: ${message}`
+            console.error('PGN-Fehler:', error)
+            return { success: false, error, details: { gameNumber, ply, token } }
+        }
+
+        const { tags } = pgnGame
+
+        const variant = parseVariantTag(tags.Variant)
+        if (!variant) {
+            return fail(`Variante "${tags.Variant}" wird nicht unterstützt`, 0, tags.Variant)
+        }
+
+        if (tags.FEN) {
+            const { royalKing, pieceDrops } = getVariantRules(variant)
+            const { valid, errors } = validatePosition(tags.FEN, { royalKing, pieceDrops })
+            if (!valid) {
+                return fail(`Ungültiger FEN-Tag (${errors.join('; ')})`, 0, tags.FEN)
+            }
+        }
+
+        // Importierte Partien laufen ohne Uhr
+        timerStore.setTimeControl(TIME_CONTROL_TYPES.UNLIMITED)
+        timerStore.initializeTimer()
+
+        await startNewGame({
+            gameId: options.gameId,
+            whitePlayer: tags.White && tags.White !== '?' ? tags.White : undefined,
+            blackPlayer: tags.Black && tags.Black !== '?' ? tags.Black : undefined,
+            variant
+        })
+        redoStack.value = []
+
+        if (tags.FEN) {
+            loadGameFromFen(tags.FEN)
+        }
+
+        startAnnotations.value = parseAnnotationCommands(pgnGame.comments)
+
+        /**
+         * PGN-Zug in der angezeigten Stellung ausführen
+         * @returns {object|null} Fehlerergebnis oder null
+         */
+        const playPgnMove = (node, ply) => {
+            const legalMoves = chessLogic.generateLegalMoves(currentBoard.value, currentPlayer.value, gameState.value)
+            const resolved = resolveSAN(node.san, legalMoves)
+
+            if (resolved.error) {
+                return fail(resolved.error, ply, node.san)
+            }
+
+            const promotion = resolved.promotion && currentPlayer.value === PLAYER_COLORS.BLACK
+                ? resolved.promotion.toLowerCase()
+                : resolved.promotion
+
+            const moveResult = resolved.move.type === 'drop'
+                ? attemptDrop(resolved.move.piece, resolved.move.to)
+                : attemptMove(resolved.move.from, resolved.move.to, promotion ? { promotion } : {})
+            if (!moveResult.success) {
+                return fail(moveResult.error || 'Zug konnte nicht ausgeführt werden', ply, node.san)
+            }
+
+            const clock = node.comments.map(parseClock).find(value => value !== null)
+            if (clock !== undefined) {
+                lastMove.value.clock = clock
+            }
+
+            if (node.comments.includes('draw offered')) {
+                lastMove.value.drawOffered = true
+            }
+
+            lastMove.value.nags = [...node.nags]
+            lastMove.value.comment = parseCommentText(node.comments)
+            lastMove.value.annotations = parseAnnotationCommands(node.comments)
+
+            return null
+        }
+
+        /**
+         * Varianten einer Zugfolge als Seitenzweige einspielen
+         * @param {Array} pgnLine - Züge aus parsePgn
+         * @param {string[]} nodeIds - zugehörige Knoten im Baum
+         * @param {string|null} startNodeId - Stellung vor dem ersten Zug
+         * @returns {object|null} Fehlerergebnis oder null
+         */
+        const playPgnVariations = (pgnLine, nodeIds, startNodeId) => {
+            for (let index = 0; index < pgnLine.length; index++) {
+                const parentId = index === 0 ? startNodeId : nodeIds[index - 1]
+
+                for (const variation of pgnLine[index].variations) {
+                    goToNode(parentId)
+
+                    const startPly = (moveNodes.value[parentId]?.moveIndex ?? -1) + 2
+                    const variationIds = []
+
+                    for (let moveIndex = 0; moveIndex < variation.length; moveIndex++) {
+                        const error = playPgnMove(variation[moveIndex], startPly + moveIndex)
+                        if (error) return error
+
+                        variationIds.push(currentNodeId.value)
+                    }
+
+                    const error = playPgnVariations(variation, variationIds, parentId)
+                    if (error) return error
+                }
+            }
+
+            return null
+        }
+
+        for (let index = 0; index < pgnGame.moves.length; index++) {
+            const error = playPgnMove(pgnGame.moves[index], index + 1)
+            if (error) return error
+        }
+
+        const variationError = playPgnVariations(pgnGame.moves, moveHistory.value.map(move => move.id), null)
+        if (variationError) return variationError
+
+        goToEnd()
+
+        // Ergebnis übernehmen, wenn die Stellung es nicht selbst beendet
+        if (isGameActive.value && pgnGame.result !== PGN_RESULTS.ONGOING) {
+            const isTimeForfeit = tags.Termination === 'time forfeit'
+
+            if (pgnGame.result === PGN_RESULTS.DRAW) {
+                gameStatus.value = GAME_STATUS.DRAW_AGREEMENT
+            } else if (isTimeForfeit) {
+                gameStatus.value = pgnGame.result === PGN_RESULTS.WHITE_WINS
+                    ? GAME_STATUS.WHITE_WINS_TIME
+                    : GAME_STATUS.BLACK_WINS_TIME
+            } else {
+                resignedBy.value = pgnGame.result === PGN_RESULTS.WHITE_WINS ? PLAYER_COLORS.BLACK : PLAYER_COLORS.WHITE
+                gameStatus.value = GAME_STATUS.RESIGNED
+            }
+        }
+
+        // Tags für den späteren Export übernehmen
+        const { Result, SetUp, FEN, Variant, ...otherTags } = tags
+        pgnTags.value = otherTags
+
+        console.log(`PGN geladen: Partie ${gameNumber}, ${moveHistory.value.length} Halbzüge`)
+        return { success: true, games: parsed.games }
+    }
+
+    /**
+     * Partie für das Speichern serialisieren (Format der /games-Routen)
+     * @returns {object}
+     */
+    const serializeGame = () => {
+        const timeControlConfig = timerStore.currentTimeControl === TIME_CONTROL_TYPES.CUSTOM
+            ? { type: timerStore.currentTimeControl, ...timerStore.customTimeControl }
+            : { type: timerStore.currentTimeControl }
+
+        return {
+            client_id: gameId.value,
+            white_name: whitePlayer.value,
+            black_name: blackPlayer.value,
+            mode: gameMode.value,
+            variant: gameVariant.value,
+            player_color: gameMode.value === GAME_MODES.VS_AI ? playerColor.value : null,
+            time_control: timerStore.pgnTimeControl,
+            time_control_config: timeControlConfig,
+            white_time_remaining: timerStore.isUnlimitedTime ? null : timerStore.whiteTime,
+            black_time_remaining: timerStore.isUnlimitedTime ? null : timerStore.blackTime,
+            initial_fen: startingFen.value,
+            current_fen: currentFen.value,
+            status: gameStatus.value,
+            result: gameResult.value?.result ?? PGN_RESULTS.ONGOING,
+            termination: getTermination(),
+            pgn: toPGN(),
+            moves: moveHistory.value.map(move => ({
+                san: move.san,
+                // Einsetzen wie in UCI als "N@" (Figur statt Ausgangsfeld)
+                from: move.drop ? `${move.drop.toUpperCase()}@` : move.from,
+                to: move.to,
+                promotion: move.promotionPiece ? move.promotionPiece.toLowerCase() : null,
+                fen_after: move.fenAfter,
+                clock: move.clock ?? null
+            }))
+        }
+    }
+
+    /**
+     * Vollständigen Spielzustand für die lokale Sicherung erfassen
+     * Anders als serializeGame wird nichts nachgespielt, sondern der Zustand 1:1 übernommen.
+     * @returns {object}
+     */
+    const createSnapshot = () => {
+        return JSON.parse(JSON.stringify({
+            gameId: gameId.value,
+            gameStatus: gameStatus.value,
+            gameMode: gameMode.value,
+            gameVariant: gameVariant.value,
+            whitePlayer: whitePlayer.value,
+            blackPlayer: blackPlayer.value,
+            playerColor: playerColor.value,
+            startingFen: startingFen.value,
+            currentFen: currentFen.value,
+            resignedBy: resignedBy.value,
+            pgnTags: pgnTags.value,
+            drawOffer: drawOffer.value,
+            moveHistory: moveHistory.value,
+            moveNodes: moveNodes.value,
+            variationChildren: variationChildren.value,
+            currentNodeId: currentNodeId.value,
+            startAnnotations: startAnnotations.value,
+            redoStack: redoStack.value,
+            positionHistory: positionHistory.value,
+            currentMoveIndex: currentMoveIndex.value,
+            capturedPieces: capturedPieces.value,
+            isInCheck: isInCheck.value,
+            checkingPieces: checkingPieces.value
+        }))
+    }
+
+    /**
+     * Spielzustand aus einer lokalen Sicherung übernehmen
+     * @param {object} snapshot - Ergebnis von createSnapshot
+     * @returns {boolean}
+     */
+    const restoreSnapshot = (snapshot) => {
+        if (!snapshot?.currentFen || !parseFen(snapshot.currentFen)) {
+            console.error('Ungültige Sicherung:', snapshot)
+            return false
+        }
+
+        // Zeitstempel kommen als Strings aus JSON zurück
+        const reviveRecord = (record) => ({ ...record, timestamp: new Date(record.timestamp) })
+
+        gameId.value = snapshot.gameId
+        gameMode.value = snapshot.gameMode || GAME_MODES.LOCAL_PVP
+        gameVariant.value = snapshot.gameVariant || GAME_VARIANTS.STANDARD
+        whitePlayer.value = snapshot.whitePlayer
+        blackPlayer.value = snapshot.blackPlayer
+        playerColor.value = snapshot.playerColor || PLAYER_COLORS.WHITE
+        startingFen.value = snapshot.startingFen || INITIAL_FEN
+        resignedBy.value = snapshot.resignedBy
+        pgnTags.value = snapshot.pgnTags || {}
+        drawOffer.value = snapshot.drawOffer
+        pendingDrawClaim.value = null
+
+        setFen(snapshot.currentFen)
+
+        if (snapshot.moveNodes) {
+            // Hauptvariante und Baum müssen dieselben Records teilen
+            moveNodes.value = Object.fromEntries(
+                Object.entries(snapshot.moveNodes).map(([id, record]) => [id, reviveRecord(record)])
+            )
+            variationChildren.value = snapshot.variationChildren || { [ROOT_NODE_KEY]: [] }
+            moveHistory.value = (snapshot.moveHistory || []).map(record => moveNodes.value[record.id] || reviveRecord(record))
+            nodeCounter = Math.max(0, ...Object.keys(moveNodes.value).map(id => parseInt(id.split('_')[1]) || 0))
+        } else {
+            moveHistory.value = (snapshot.moveHistory || []).map(reviveRecord)
+            buildVariationTree()
+        }
+
+        startAnnotations.value = snapshot.startAnnotations || []
+        redoStack.value = (snapshot.redoStack || []).map(reviveRecord)
+        setCurrentNode(moveNodes.value[snapshot.currentNodeId] || moveHistory.value[moveHistory.value.length - 1] || null)
+        positionHistory.value = snapshot.positionHistory || []
+        capturedPieces.value = snapshot.capturedPieces || { white: [], black: [] }
+        isInCheck.value = !!snapshot.isInCheck
+        checkingPieces.value = snapshot.checkingPieces || []
+        gameStatus.value = snapshot.gameStatus
+
+        clearSelection()
+
+        console.log(`Sicherung wiederhergestellt: ${gameId.value}, ${moveHistory.value.length} Halbzüge`)
+        return true
+    }
+
+    /**
+     * Gespeicherte Partie wiederherstellen (Gegenstück zu serializeGame)
+     * Die PGN bringt Varianten, Kommentare, NAGs und Annotationen mit, ohne PGN werden
+     * nur die Züge der Hauptvariante nachgespielt. Danach werden Zeitkontrolle und Restzeiten gesetzt.
+     * @param {object} data - Partie aus GET /games/{id} inkl. moves
+     * @returns {Promise<object>} { success, error? }
+     */
+    const restoreGame = async (data) => {
+        if (!data || !Array.isArray(data.moves)) {
+            return { success: false, error: 'Keine Partiedaten' }
+        }
+
+        setGameMode(data.mode || GAME_MODES.LOCAL_PVP)
+        if (data.player_color) {
+            playerColor.value = data.player_color
+        }
+
+        const gameOptions = {
+            gameId: data.client_id || `game_${data.id}`,
+            whitePlayer: data.white_name,
+            blackPlayer: data.black_name,
+            variant: data.variant
+        }
+
+        const restored = data.pgn
+            ? await restoreFromPgn(data, gameOptions)
+            : await replayMoves(data, gameOptions)
+        if (!restored.success) {
+            return restored
+        }
+
+        // Gespeicherte Restzeiten je Halbzug der Hauptvariante
+        data.moves.forEach((move, index) => {
+            const record = moveHistory.value[index]
+            if (record && move.clock !== null && move.clock !== undefined) {
+                record.clock = move.clock
+            }
+        })
+
+        // Nicht aus der Stellung ableitbares Ende übernehmen (Aufgabe, Remis, Zeit),
+        // die PGN kennt dafür nur das Ergebnis
+        const isEndedByResult = isGameActive.value || PGN_RESULT_ENDINGS.includes(gameStatus.value)
+        if (isEndedByResult && data.result && data.result !== PGN_RESULTS.ONGOING) {
+            gameStatus.value = data.status
+            resignedBy.value = data.status === GAME_STATUS.RESIGNED
+                ? (data.result === PGN_RESULTS.WHITE_WINS ? PLAYER_COLORS.BLACK : PLAYER_COLORS.WHITE)
+                : null
+        }
+
+        const config = data.time_control_config
+        if (config?.type && config.type !== TIME_CONTROL_TYPES.UNLIMITED) {
+            timerStore.setTimeControl(config.type, config)
+            timerStore.restoreClock({
+                whiteTime: data.white_time_remaining,
+                blackTime: data.black_time_remaining,
+                activePlayer: currentPlayer.value,
+                moveCounts: {
+                    white: moveHistory.value.filter(move => isWhitePiece(move.piece)).length,
+                    black: moveHistory.value.filter(move => !isWhitePiece(move.piece)).length
+                }
+            })
+        }
+
+        console.log(`Partie wiederhergestellt: ${gameId.value}, ${moveHistory.value.length} Halbzüge`)
+        return { success: true }
+    }
+
+    /**
+     * Gespeicherte Partie über ihre PGN laden, bei unlesbarer PGN nur die Züge nachspielen
+     * @param {object} data - Partie aus GET /games/{id}
+     * @param {object} gameOptions - Optionen für startNewGame
+     * @returns {Promise<object>} { success, error? }
+     */
+    const restoreFromPgn = async (data, gameOptions) => {
+        const loaded = await loadGameFromPgn(data.pgn, { gameId: gameOptions.gameId })
+        if (!loaded.success) {
+            console.warn('PGN der Partie nicht lesbar, Züge werden nachgespielt:', loaded.error)
+            return replayMoves(data, gameOptions)
+        }
+
+        whitePlayer.value = gameOptions.whitePlayer
+        blackPlayer.value = gameOptions.blackPlayer
+
+        // Zeitkontrolle und Abbruchgrund ergeben sich aus der laufenden Partie
+        const { TimeControl, TimeDelay, Termination, ...tags } = pgnTags.value
+        pgnTags.value = tags
+
+        return { success: true }
+    }
+
+    /**
+     * Hauptvariante einer gespeicherten Partie Zug für Zug nachspielen
+     * @param {object} data - Partie aus GET /games/{id} inkl. moves
+     * @param {object} gameOptions - Optionen für startNewGame
+     * @returns {Promise<object>} { success, error? }
+     */
+    const replayMoves = async (data, gameOptions) => {
+        // Beim Nachspielen läuft keine Uhr
+        timerStore.setTimeControl(TIME_CONTROL_TYPES.UNLIMITED)
+        timerStore.initializeTimer()
+
+        await startNewGame(gameOptions)
+        redoStack.value = []
+
+        if (data.initial_fen && data.initial_fen !== INITIAL_FEN) {
+            const loaded = loadGameFromFen(data.initial_fen)
+            if (!loaded.success) {
+                return { success: false, error: `Ungültige Ausgangsstellung: ${loaded.error}` }
+            }
+        }
+
+        for (const move of data.moves) {
+            const promotion = move.promotion && currentPlayer.value === PLAYER_COLORS.WHITE
+                ? move.promotion.toUpperCase()
+                : move.promotion
+
+            const dropMatch = /^([PNBRQ])@$/.exec(move.from_square)
+            const dropPiece = dropMatch && currentPlayer.value === PLAYER_COLORS.BLACK
+                ? dropMatch[1].toLowerCase()
+                : dropMatch?.[1]
+
+            const moveResult = dropPiece
+                ? attemptDrop(dropPiece, move.to_square)
+                : attemptMove(move.from_square, move.to_square, promotion ? { promotion } : {})
+            if (!moveResult.success) {
+                const error = `Halbzug ${move.ply}: ${moveResult.error || 'Zug konnte nicht ausgeführt werden'}`
+                console.error('Fehler beim Wiederherstellen:', error)
+                return { success: false, error }
+            }
+        }
+
+        return { success: true }
     }
 
     /**
@@ -1294,8 +2942,7 @@ export const useGameStore = defineStore('game', () => {
      * @param {number} moveIndex
      */
     const gotoMove = (moveIndex) => {
-        // TODO: Implementierung
-        console.log('Zu Zug gesprungen:', moveIndex)
+        return goToMove(moveIndex)
     }
 
     return {
@@ -1303,13 +2950,25 @@ export const useGameStore = defineStore('game', () => {
         gameId,
         gameStatus,
         gameMode,
+        gameVariant,
         gameState,
         whitePlayer,
         blackPlayer,
+        playerColor,
+        startingFen,
+        resignedBy,
+        pgnTags,
+        drawOffer,
+        pendingDrawClaim,
         selectedSquare,
+        selectedDropPiece,
         legalMoves,
         moveHistory,
         lastMove,
+        moveNodes,
+        variationChildren,
+        currentNodeId,
+        startAnnotations,
         draggedPiece,
         draggedFrom,
         isDragging,
@@ -1322,8 +2981,19 @@ export const useGameStore = defineStore('game', () => {
         currentPlayer,
         currentFEN: currentFen,
         isGameActive,
+        variantRules,
+        checkCounts,
+        pocketPieces,
+        gameResult,
+        currentPGN,
         currentMoveIndex,
+        isAtLivePosition,
+        canPlayMove,
+        canEditVariations,
         canCurrentPlayerMove,
+        canOfferDraw,
+        availableDrawClaim,
+        canClaimDraw,
         hasSelection,
         selectedPiece,
         isSelectedPieceOwnedByCurrentPlayer,
@@ -1336,13 +3006,44 @@ export const useGameStore = defineStore('game', () => {
         loadGameFromFen,
         clearSelection,
         selectSquare,
+        selectPocketPiece,
         attemptMove,
         attemptMoveWithPromotion,
+        attemptDrop,
         executeMove,
         executePromotionMove,
         checkGameStatus,
         resignGame,
+        offerDraw,
+        acceptDraw,
+        declineDraw,
+        withdrawDraw,
+        claimDraw,
+        toPGN,
+        loadGameFromPgn,
+        serializeGame,
+        restoreGame,
+        createSnapshot,
+        restoreSnapshot,
         gotoMove,
+        goToNode,
+        goToMove,
+        stepForward,
+        stepBackward,
+        goToStart,
+        goToEnd,
+        enterVariation,
+        exitVariation,
+        promoteVariation,
+        deleteVariation,
+        setMoveComment,
+        toggleMoveNag,
+        setMoveReview,
+        setMoveBook,
+        getPositionAnnotations,
+        setPositionAnnotations,
+        getChildIds,
+        getAlternativeIds,
         undoLastMove,
         redoMove,
         redoStack: computed(() => redoStack.value),
@@ -1360,6 +3061,9 @@ export const useGameStore = defineStore('game', () => {
         checkForCheckmate,
         checkForStalemate,
         checkForFiftyMoveRule,
+        checkForSeventyFiveMoveRule,
+        checkForFivefoldRepetition,
+        checkForInsufficientMaterial,
         shouldWarnFiftyMoveRule,
         getMovesUntilFiftyMoveRule,
         halfmoveClock,
@@ -0,0 +1,158 @@
+/**
+ * Opening Book Store - Polyglot-Eröffnungsbücher für den KI-Gegner
+ * Lädt die Bücher aus public/books, merkt sich das Buch je Engine
+ * (chess_engines.settings.opening_book) und lost in Buchstellungen einen
+ * gewichteten Buchzug aus, bevor die Engine rechnen muss
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import axios from 'axios'
+import { GAME_VARIANTS } from '@/Utils/chessConstants.js'
+import { getBookMoves, parsePolyglotBook, pickBookMove } from '@/Utils/polyglot.js'
+
+export const BOOK_ENDPOINT = '/engines'
+export const DEFAULT_OPENING_BOOK = 'j-chess.bin'
+
+export const useOpeningBookStore = defineStore('openingBook', () => {
+    // ===== STATE =====
+    const books = ref([DEFAULT_OPENING_BOOK])
+    const bookDirectory = ref('/books')
+    const engineBooks = ref({}) // Engine-Pfad (z.B. 'stockfish') -> { id, openingBook }
+    const canSaveBooks = ref(false) // Nur Engine-Admins speichern das Buch für alle Spieler
+    const isLoaded = ref(false)
+    const loadError = ref(null)
+
+    // Geladene Bücher je Datei (Promise, damit parallele Abfragen nur einmal laden)
+    const bookCache = new Map()
+
+    // ===== COMPUTED =====
+
+    const hasBooks = computed(() => books.value.length > 0)
+
+    // ===== ACTIONS =====
+
+    /**
+     * Verfügbare Bücher und die Auswahl je Engine vom Server holen
+     * Ohne Server (z.B. offline) bleibt das mitgelieferte Buch für alle Engines aktiv.
+     * @returns {Promise<object>} { success, error? }
+     */
+    const loadBooks = async () => {
+        try {
+            const response = await axios.get(`${BOOK_ENDPOINT}/books`)
+
+            books.value = response.data.books
+            bookDirectory.value = response.data.directory
+            engineBooks.value = Object.fromEntries(response.data.engines.map(engine => [
+                engine.path,
+                { id: engine.id, openingBook: engine.opening_book }
+            ]))
+            canSaveBooks.value = response.data.can_save_books
+            isLoaded.value = true
+            loadError.value = null
+            return { success: true }
+        } catch (error) {
+            loadError.value = error.response?.data?.message || error.message
+            console.error('Fehler beim Laden der Eröffnungsbücher:', loadError.value)
+            return { success: false, error: loadError.value }
+        }
+    }
+
+    /**
+     * Buch einer Engine
+     * @param {string} engineType - Engine-Pfad, z.B. 'stockfish'
+     * @returns {string|null} Dateiname oder null (ohne Buch)
+     */
+    const getEngineBook = (engineType) => {
+        const engine = engineBooks.value[engineType]
+        return engine ? engine.openingBook : DEFAULT_OPENING_BOOK
+    }
+
+    /**
+     * Buch einer Engine wählen und (als Engine-Admin) auf dem Server speichern
+     * @param {string} engineType - Engine-Pfad, z.B. 'stockfish'
+     * @param {string|null} file - Dateiname oder null (ohne Buch)
+     * @returns {Promise<object>} { success, error? }
+     */
+    const setEngineBook = async (engineType, file) => {
+        if (file !== null && !books.value.includes(file)) {
+            return { success: false, error: `Unbekanntes Eröffnungsbuch: ${file}` }
+        }
+
+        const engine = engineBooks.value[engineType]
+        engineBooks.value = {
+            ...engineBooks.value,
+            [engineType]: { id: engine?.id ?? null, openingBook: file }
+        }
+
+        // Kein Engine-Admin oder Engine ohne Datenbankeintrag: Auswahl gilt nur bis zum Neuladen
+        if (!canSaveBooks.value || !engine?.id) return { success: true }
+
+        try {
+            await axios.patch(`${BOOK_ENDPOINT}/${engine.id}/book`, { opening_book: file })
+            return { success: true }
+        } catch (error) {
+            const message = error.response?.data?.message || error.message
+            console.error('Fehler beim Speichern des Eröffnungsbuchs:', message)
+            return { success: false, error: message }
+        }
+    }
+
+    /**
+     * Buchdatei laden und einlesen
+     * @param {string} file
+     * @returns {Promise<object>} Rückgabe von parsePolyglotBook
+     */
+    const loadBook = (file) => {
+        if (!bookCache.has(file)) {
+            const request = axios.get(`${bookDirectory.value}/${file}`, { responseType: 'arraybuffer' })
+                .then(response => parsePolyglotBook(response.data))
+
+            // Fehlgeschlagene Ladeversuche nicht zwischenspeichern
+            request.catch(() => bookCache.delete(file))
+            bookCache.set(file, request)
+        }
+
+        return bookCache.get(file)
+    }
+
+    /**
+     * Buchzug für eine Stellung auslosen (nur Standardschach)
+     * @param {string} engineType - Engine-Pfad, z.B. 'stockfish'
+     * @param {string} fen
+     * @param {string} variant
+     * @returns {Promise<object|null>} { uci, weight, share, book } oder null (nicht im Buch)
+     */
+    const probe = async (engineType, fen, variant = GAME_VARIANTS.STANDARD) => {
+        const file = getEngineBook(engineType)
+        if (!file || variant !== GAME_VARIANTS.STANDARD) return null
+
+        try {
+            const book = await loadBook(file)
+            const move = pickBookMove(getBookMoves(book, fen))
+            return move ? { ...move, book: file } : null
+        } catch (error) {
+            console.warn('Eröffnungsbuch nicht verfügbar:', file, error.message)
+            return null
+        }
+    }
+
+    return {
+        // State
+        books,
+        engineBooks,
+        canSaveBooks,
+        isLoaded,
+        loadError,
+
+        // Computed
+        hasBooks,
+
+        // Actions
+        loadBooks,
+        getEngineBook,
+        setEngineBook,
+        loadBook,
+        probe
+    }
+})
@@ -0,0 +1,261 @@
+/**
+ * Position Editor Store - Stellungen frei aufbauen
+ * Hält das bearbeitete Brett mit Zugrecht, Rochaderechten und En-passant-Feld
+ * und erzeugt daraus laufend die FEN für gameStore.loadGameFromFen
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import { useFenParser } from '@/Composables/useFenParser.js'
+import { INITIAL_FEN, PLAYER_COLORS, CASTLING_RIGHTS, isEmpty } from '@/Utils/chessConstants.js'
+import { squareToIndices, findCastlingRookFile } from '@/Utils/chessUtils.js'
+
+export const EMPTY_BOARD_FEN = '8/8/8/8/8/8/8/8 w - - 0 1'
+
+// Werkzeug der Palette zum Entfernen von Figuren
+export const ERASER_TOOL = 'eraser'
+
+// Datentyp für Drag & Drop zwischen Palette und Brett
+export const EDITOR_DRAG_TYPE = 'application/x-chess-editor-piece'
+
+const NO_CASTLING = {
+    whiteKingside: false,
+    whiteQueenside: false,
+    blackKingside: false,
+    blackQueenside: false
+}
+
+export const usePositionEditorStore = defineStore('positionEditor', () => {
+    const { parseFen, generateFen, parseError, validatePosition } = useFenParser()
+
+    // ===== STATE =====
+    const isActive = ref(false)
+    const board = ref(Array.from({ length: 8 }, () => Array(8).fill(null)))
+    const activeColor = ref(PLAYER_COLORS.WHITE)
+    const castlingRights = ref({ ...NO_CASTLING })
+    const enPassantSquare = ref(null)
+    const halfmoveClock = ref(0)
+    const fullmoveNumber = ref(1)
+    const selectedPiece = ref(null) // Figur oder ERASER_TOOL für Klicks aufs Brett
+
+    // ===== COMPUTED =====
+
+    /**
+     * Figur auf einem Feld
+     * @param {string} square
+     * @returns {string|null}
+     */
+    const getPiece = (square) => {
+        const indices = squareToIndices(square)
+        if (!indices) return null
+
+        const piece = board.value[indices.rankIndex][indices.fileIndex]
+        return isEmpty(piece) ? null : piece
+    }
+
+    /**
+     * Turmlinie je Rochaderecht: äußerster Turm auf der Seite des Königs (null = keine Rochade möglich)
+     */
+    const castlingRookFiles = computed(() => {
+        return Object.fromEntries(
+            Object.keys(CASTLING_RIGHTS).map(right => [right, findCastlingRookFile(board.value, right)])
+        )
+    })
+
+    /**
+     * Welche Rochaden sind laut Figurenstellung überhaupt möglich?
+     */
+    const castlingAvailability = computed(() => {
+        return Object.fromEntries(
+            Object.entries(castlingRookFiles.value).map(([right, rookFile]) => [right, rookFile !== null])
+        )
+    })
+
+    /**
+     * Felder, die als En-passant-Ziel in Frage kommen
+     * (gegnerischer Bauer nach Doppelschritt, Durchgangs- und Ausgangsfeld frei)
+     */
+    const enPassantCandidates = computed(() => {
+        const isWhiteToMove = activeColor.value === PLAYER_COLORS.WHITE
+        const [targetRank, pawnRank, originRank] = isWhiteToMove ? [6, 5, 7] : [3, 4, 2]
+        const pawn = isWhiteToMove ? 'p' : 'P'
+
+        return ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
+            .filter(file => getPiece(`${file}${pawnRank}`) === pawn &&
+                !getPiece(`${file}${targetRank}`) &&
+                !getPiece(`${file}${originRank}`))
+            .map(file => `${file}${targetRank}`)
+    })
+
+    /**
+     * FEN der aufgebauten Stellung (nicht mögliche Rochaden und En-passant-Felder entfallen)
+     */
+    const fen = computed(() => {
+        const rights = Object.fromEntries(
+            Object.keys(CASTLING_RIGHTS).map(right => [right, !!castlingRights.value[right] && castlingAvailability.value[right]])
+        )
+        rights.rookFiles = castlingRookFiles.value
+        const enPassant = enPassantCandidates.value.includes(enPassantSquare.value) ? enPassantSquare.value : null
+
+        return generateFen(board.value, activeColor.value, rights, enPassant, halfmoveClock.value, fullmoveNumber.value)
+    })
+
+    /**
+     * Gründe, warum aus der Stellung keine Partie gestartet werden kann
+     */
+    const validationErrors = computed(() => validatePosition(fen.value).errors)
+
+    const isValid = computed(() => validationErrors.value.length === 0)
+
+    // ===== ACTIONS =====
+
+    /**
+     * Editor mit einer Stellung öffnen
+     * @param {string} startFen
+     */
+    const open = (startFen = INITIAL_FEN) => {
+        if (!loadFen(startFen).success) {
+            loadFen(INITIAL_FEN)
+        }
+
+        selectedPiece.value = null
+        isActive.value = true
+    }
+
+    const close = () => {
+        isActive.value = false
+        selectedPiece.value = null
+    }
+
+    /**
+     * Stellung aus einem FEN-String übernehmen
+     * @param {string} fenString
+     * @returns {object} { success, error? }
+     */
+    const loadFen = (fenString) => {
+        const parsed = parseFen(fenString)
+        if (!parsed) {
+            return { success: false, error: parseError.value || 'Ungültige FEN' }
+        }
+
+        board.value = parsed.position
+        activeColor.value = parsed.activeColor
+        castlingRights.value = parsed.castlingRights
+        enPassantSquare.value = parsed.enPassantSquare
+        halfmoveClock.value = parsed.halfmoveClock
+        fullmoveNumber.value = parsed.fullmoveNumber
+
+        return { success: true }
+    }
+
+    /**
+     * Figur auf ein Feld setzen (null entfernt sie)
+     * @param {string} square
+     * @param {string|null} piece
+     */
+    const setPiece = (square, piece) => {
+        const indices = squareToIndices(square)
+        if (!indices) return
+
+        board.value[indices.rankIndex][indices.fileIndex] = piece || null
+    }
+
+    const removePiece = (square) => {
+        setPiece(square, null)
+    }
+
+    /**
+     * Figur auf dem Brett versetzen (schlägt eine Figur auf dem Zielfeld)
+     * @param {string} from
+     * @param {string} to
+     */
+    const movePiece = (from, to) => {
+        const piece = getPiece(from)
+        if (!piece || from === to) return
+
+        removePiece(from)
+        setPiece(to, piece)
+    }
+
+    /**
+     * Klick aufs Brett mit der gewählten Palettenfigur
+     * Dieselbe Figur noch einmal gesetzt entfernt sie wieder.
+     * @param {string} square
+     */
+    const applySelectedPiece = (square) => {
+        if (!selectedPiece.value) return
+
+        if (selectedPiece.value === ERASER_TOOL || getPiece(square) === selectedPiece.value) {
+            removePiece(square)
+        } else {
+            setPiece(square, selectedPiece.value)
+        }
+    }
+
+    /**
+     * Palettenfigur oder Radierer wählen (erneuter Klick hebt die Auswahl auf)
+     * @param {string} piece
+     */
+    const selectPiece = (piece) => {
+        selectedPiece.value = selectedPiece.value === piece ? null : piece
+    }
+
+    const clearBoard = () => {
+        loadFen(EMPTY_BOARD_FEN)
+    }
+
+    const setStartPosition = () => {
+        loadFen(INITIAL_FEN)
+    }
+
+    const setActiveColor = (color) => {
+        activeColor.value = color
+    }
+
+    /**
+     * @param {string} right - Schlüssel aus CASTLING_RIGHTS
+     * @param {boolean} enabled
+     */
+    const setCastlingRight = (right, enabled) => {
+        castlingRights.value = { ...castlingRights.value, [right]: enabled }
+    }
+
+    const setEnPassantSquare = (square) => {
+        enPassantSquare.value = square || null
+    }
+
+    return {
+        // State
+        isActive,
+        board,
+        activeColor,
+        castlingRights,
+        enPassantSquare,
+        halfmoveClock,
+        fullmoveNumber,
+        selectedPiece,
+
+        // Computed
+        castlingAvailability,
+        enPassantCandidates,
+        fen,
+        validationErrors,
+        isValid,
+
+        // Actions
+        getPiece,
+        open,
+        close,
+        loadFen,
+        setPiece,
+        removePiece,
+        movePiece,
+        applySelectedPiece,
+        selectPiece,
+        clearBoard,
+        setStartPosition,
+        setActiveColor,
+        setCastlingRight,
+        setEnPassantSquare
+    }
+})
@@ -16,7 +16,18 @@ export const ANNOTATION_TYPES = {
 export const ANNOTATION_COLORS = {
     GREEN: '#4CAF50',
     YELLOW: '#FFC107',
-    RED: '#F44336'
+    RED: '#F44336',
+    BLUE: '#2196F3'
+}
+
+/**
+ * Color letters used by the PGN [%csl] and [%cal] commands
+ */
+export const PGN_ANNOTATION_COLORS = {
+    G: ANNOTATION_COLORS.GREEN,
+    R: ANNOTATION_COLORS.RED,
+    Y: ANNOTATION_COLORS.YELLOW,
+    B: ANNOTATION_COLORS.BLUE
 }
 
 /**
@@ -44,13 +44,44 @@ export const GAME_STATUS = {
     CHECK: 'CHECK',
     CHECKMATE: 'CHECKMATE',
     STALEMATE: 'STALEMATE',
-    DRAW_FIFTY_MOVE: 'DRAW_FIFTY_MOVE',
-    DRAW_REPETITION: 'DRAW_REPETITION',
+    DRAW_FIFTY_MOVE: 'DRAW_FIFTY_MOVE',                   // reklamiert
+    DRAW_SEVENTY_FIVE_MOVE: 'DRAW_SEVENTY_FIVE_MOVE',     // automatisch
+    DRAW_REPETITION: 'DRAW_REPETITION',                   // reklamiert (3-fach)
+    DRAW_FIVEFOLD_REPETITION: 'DRAW_FIVEFOLD_REPETITION', // automatisch (5-fach)
     DRAW_AGREEMENT: 'DRAW_AGREEMENT',
     DRAW_INSUFFICIENT: 'DRAW_INSUFFICIENT',
     RESIGNED: 'RESIGNED',
     WHITE_WINS_TIME: 'white_wins_time',
-    BLACK_WINS_TIME: 'black_wins_time'
+    BLACK_WINS_TIME: 'black_wins_time',
+    THREE_CHECK: 'THREE_CHECK',                           // Variante: drittes Schachgebot
+    KING_OF_THE_HILL: 'KING_OF_THE_HILL',                 // Variante: König im Zentrum
+    ANTICHESS_WIN: 'ANTICHESS_WIN'                        // Variante: Seite am Zug ohne Figuren oder Züge
+}
+
+// PGN Ergebnis-Tokens
+export const PGN_RESULTS = {
+    WHITE_WINS: '1-0',
+    BLACK_WINS: '0-1',
+    DRAW: '1/2-1/2',
+    ONGOING: '*'
+}
+
+// Begründung des Spielendes (Anzeige)
+export const GAME_RESULT_REASONS = {
+    [GAME_STATUS.CHECKMATE]: 'Schachmatt',
+    [GAME_STATUS.STALEMATE]: 'Patt',
+    [GAME_STATUS.DRAW_FIFTY_MOVE]: '50-Züge-Regel',
+    [GAME_STATUS.DRAW_SEVENTY_FIVE_MOVE]: '75-Züge-Regel',
+    [GAME_STATUS.DRAW_REPETITION]: 'Stellungswiederholung',
+    [GAME_STATUS.DRAW_FIVEFOLD_REPETITION]: '5-fache Stellungswiederholung',
+    [GAME_STATUS.DRAW_AGREEMENT]: 'Remis vereinbart',
+    [GAME_STATUS.DRAW_INSUFFICIENT]: 'Ungenügendes Material',
+    [GAME_STATUS.RESIGNED]: 'Aufgabe',
+    [GAME_STATUS.WHITE_WINS_TIME]: 'Zeitüberschreitung',
+    [GAME_STATUS.BLACK_WINS_TIME]: 'Zeitüberschreitung',
+    [GAME_STATUS.THREE_CHECK]: 'Drittes Schachgebot',
+    [GAME_STATUS.KING_OF_THE_HILL]: 'König im Zentrum',
+    [GAME_STATUS.ANTICHESS_WIN]: 'Keine Figuren oder Züge mehr'
 }
 
 // Game Modes Definition
@@ -100,7 +131,7 @@ export const GAME_MODE_SETTINGS = {
         icon: '🤖',
         isOnline: false,
         hasTimer: false,
-        disabled: true // Noch nicht implementiert
+        disabled: false
     },
     [GAME_MODES.ANALYSIS]: {
         id: GAME_MODES.ANALYSIS,
@@ -144,6 +175,36 @@ export const RANKS = [8, 7, 6, 5, 4, 3, 2, 1]
 export const FILE_TO_INDEX = Object.fromEntries(FILES.map((file, index) => [file, index]))
 export const RANK_TO_INDEX = Object.fromEntries(RANKS.map((rank, index) => [rank, index]))
 
+// Rochaderechte: Farbe, Seite, FEN-Zeichen und Turmlinie der Grundstellung
+export const CASTLING_RIGHTS = {
+    whiteKingside: { color: 'white', side: 'kingside', symbol: 'K', rookFile: 'h' },
+    whiteQueenside: { color: 'white', side: 'queenside', symbol: 'Q', rookFile: 'a' },
+    blackKingside: { color: 'black', side: 'kingside', symbol: 'k', rookFile: 'h' },
+    blackQueenside: { color: 'black', side: 'queenside', symbol: 'q', rookFile: 'a' }
+}
+
+// Zielfelder (Linien) von König und Turm nach der Rochade, auch in Chess960
+export const CASTLING_TARGET_FILES = {
+    kingside: { king: 'g', rook: 'f' },
+    queenside: { king: 'c', rook: 'd' }
+}
+
+// Spielvarianten
+export const GAME_VARIANTS = {
+    STANDARD: 'standard',
+    CHESS960: 'chess960',
+    THREE_CHECK: 'threecheck',
+    KING_OF_THE_HILL: 'kingofthehill',
+    ANTICHESS: 'antichess',
+    CRAZYHOUSE: 'crazyhouse'
+}
+
+// Einsetzbare Figuren in der Reihenfolge der Taschen-Notation (Crazyhouse-FEN "[QRBNPqrbnp]")
+export const POCKET_PIECES = ['q', 'r', 'b', 'n', 'p']
+
+// Nummer der klassischen Grundstellung unter den 960 Startstellungen
+export const CHESS960_STANDARD_POSITION = 518
+
 // Drag & Drop Events
 export const DRAG_EVENTS = {
     START: 'dragstart',
@@ -212,6 +273,48 @@ export const coordsToSquare = (file, rank) => {
 }
 
 export const FIFTY_MOVE_RULE = {
-    MAX_HALFMOVES: 100,
-    WARNING_THRESHOLD: 90
+    MAX_HALFMOVES: 100,       // ab hier reklamierbar
+    WARNING_THRESHOLD: 90,
+    AUTOMATIC_HALFMOVES: 150  // 75-Züge-Regel: automatisches Remis
+}
+
+export const DRAW_CLAIM_TYPES = {
+    REPETITION: 'repetition',
+    FIFTY_MOVE: 'fifty-move'
+}
+
+// Numeric Annotation Glyphs ($n) und ihre Anzeige
+export const NAG_SYMBOLS = {
+    1: '!',
+    2: '?',
+    3: '!!',
+    4: '??',
+    5: '!?',
+    6: '?!',
+    7: '□',
+    10: '=',
+    13: '∞',
+    14: '⩲',
+    15: '⩱',
+    16: '±',
+    17: '∓',
+    18: '+−',
+    19: '−+',
+    22: '⨀',
+    23: '⨀',
+    32: '⟳',
+    33: '⟳',
+    36: '↑',
+    37: '↑',
+    40: '→',
+    41: '→',
+    132: '⇆',
+    133: '⇆',
+    146: 'N'
 }
+
+// Gruppen, aus denen pro Zug höchstens ein NAG gesetzt wird
+export const MOVE_NAGS = [1, 2, 3, 4, 5, 6, 7]
+export const POSITION_NAGS = [10, 13, 14, 15, 16, 17, 18, 19]
+
+export const getNagSymbol = (nag) => NAG_SYMBOLS[nag] ?? `$${nag}`
@@ -11,7 +11,9 @@ import {
     isWhitePiece,
     isBlackPiece,
     isEmpty,
-    PLAYER_COLORS
+    PLAYER_COLORS,
+    CASTLING_RIGHTS,
+    POCKET_PIECES
 } from './chessConstants.js'
 
 /**
@@ -222,3 +224,145 @@ export const squareToCoordinates = (square, orientation = 'white') => {
         }
     }
 }
+
+// ===== ROCHADE & CHESS960 =====
+
+/**
+ * Linie des Rochadeturms für ein Rochaderecht (ohne Angabe die der Grundstellung)
+ * @param {object|null} castlingRights - Rochade-Rechte inkl. optionalem rookFiles
+ * @param {string} right - Schlüssel aus CASTLING_RIGHTS, z.B. 'whiteKingside'
+ * @returns {string} Linie a-h
+ */
+export const getCastlingRookFile = (castlingRights, right) => {
+    return castlingRights?.rookFiles?.[right] ?? CASTLING_RIGHTS[right].rookFile
+}
+
+/**
+ * Äußerster Turm auf der Seite des Königs, mit dem rochiert werden könnte (X-FEN "K"/"Q")
+ * @param {Array} board - 2D Brett-Array
+ * @param {string} right - Schlüssel aus CASTLING_RIGHTS
+ * @returns {string|null} Linie des Turms oder null, wenn König oder Turm fehlen
+ */
+export const findCastlingRookFile = (board, right) => {
+    const { color, side } = CASTLING_RIGHTS[right]
+    const rankIndex = color === PLAYER_COLORS.WHITE ? 7 : 0
+    const [king, rook] = color === PLAYER_COLORS.WHITE ? ['K', 'R'] : ['k', 'r']
+    const backRank = board[rankIndex]
+
+    const kingFileIndex = backRank.indexOf(king)
+    if (kingFileIndex === -1) return null
+
+    const fileIndices = side === 'kingside'
+        ? [7, 6, 5, 4, 3, 2, 1].filter(index => index > kingFileIndex)
+        : [0, 1, 2, 3, 4, 5, 6].filter(index => index < kingFileIndex)
+
+    const rookFileIndex = fileIndices.find(index => backRank[index] === rook)
+    return rookFileIndex === undefined ? null : FILES[rookFileIndex]
+}
+
+// Springerpaare auf den fünf freien Feldern (Scharnagl-Nummerierung)
+const CHESS960_KNIGHT_PLACEMENTS = [
+    [0, 1], [0, 2], [0, 3], [0, 4], [1, 2],
+    [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]
+]
+
+/**
+ * Grundreihe einer Chess960-Startstellung nach Scharnagl (518 = klassische Grundstellung)
+ * @param {number} number - 0-959
+ * @returns {string|null} Figuren von a bis h, z.B. "RNBQKBNR"
+ */
+export const getChess960BackRank = (number) => {
+    if (!Number.isInteger(number) || number < 0 || number > 959) return null
+
+    const pieces = Array(8).fill(null)
+    const placeOnFreeSquare = (piece, freeIndex) => {
+        const fileIndex = pieces.map((value, index) => value ? null : index).filter(index => index !== null)[freeIndex]
+        pieces[fileIndex] = piece
+    }
+
+    let rest = number
+
+    // Läufer auf ungleichfarbigen Feldern
+    pieces[(rest % 4) * 2 + 1] = 'B'
+    rest = Math.floor(rest / 4)
+    pieces[(rest % 4) * 2] = 'B'
+    rest = Math.floor(rest / 4)
+
+    placeOnFreeSquare('Q', rest % 6)
+    rest = Math.floor(rest / 6)
+
+    // Zweiter Springer zuerst, damit sich die Indizes der freien Felder nicht verschieben
+    const [firstKnight, secondKnight] = CHESS960_KNIGHT_PLACEMENTS[rest]
+    placeOnFreeSquare('N', secondKnight)
+    placeOnFreeSquare('N', firstKnight)
+
+    // Auf den letzten drei Feldern steht der König zwischen den Türmen
+    placeOnFreeSquare('R', 0)
+    placeOnFreeSquare('K', 0)
+    placeOnFreeSquare('R', 0)
+
+    return pieces.join('')
+}
+
+/**
+ * FEN einer Chess960-Startstellung
+ * @param {number} number - 0-959
+ * @returns {string|null}
+ */
+export const getChess960Fen = (number) => {
+    const backRank = getChess960BackRank(number)
+    if (!backRank) return null
+
+    return `${backRank.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${backRank} w KQkq - 0 1`
+}
+
+/**
+ * Zufällige Chess960-Startnummer
+ * @returns {number}
+ */
+export const getRandomChess960Number = () => Math.floor(Math.random() * 960)
+
+// ===== CRAZYHOUSE =====
+
+/**
+ * Figuren einer Tasche in Notationsreihenfolge (Dame vor Turm, Läufer, Springer, Bauer)
+ * @param {string[]} pieces - FEN-Zeichen
+ * @returns {string[]}
+ */
+export const sortPocket = (pieces) => {
+    return [...pieces].sort((a, b) => POCKET_PIECES.indexOf(a.toLowerCase()) - POCKET_PIECES.indexOf(b.toLowerCase()))
+}
+
+// ===== ENGINE-BEWERTUNG =====
+
+/**
+ * Engine-Bewertung als Text, z.B. "+0.35", "-1.20", "#3" oder "#-2"
+ * @param {object|null} score - { type: 'cp'|'mate', value } aus Sicht von Weiß
+ * @returns {string}
+ */
+export const formatEvaluation = (score) => {
+    if (!score) return '–'
+
+    if (score.type === 'mate') {
+        return `#${score.value}`
+    }
+
+    const pawns = score.value / 100
+    return `${pawns > 0 ? '+' : ''}${pawns.toFixed(2)}`
+}
+
+/**
+ * Anteil von Weiß am Bewertungsbalken (Gewinnwahrscheinlichkeit wie bei Lichess)
+ * @param {object|null} score - { type: 'cp'|'mate', value } aus Sicht von Weiß
+ * @returns {number} 0-100, 50 = ausgeglichen
+ */
+export const getEvaluationShare = (score) => {
+    if (!score) return 50
+
+    if (score.type === 'mate') {
+        // Matt in 0 (Stellung ist bereits matt): die Verliererseite steckt im Vorzeichen von 0/-0
+        return score.value > 0 || Object.is(score.value, 0) ? 100 : 0
+    }
+
+    return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * score.value)) - 1)
+}
@@ -0,0 +1,185 @@
+/**
+ * Spielvarianten - Regeldefinitionen
+ * Jede Variante beschreibt Startstellung, Zugfilter und Spielende. useChessLogic,
+ * gameStore und PGN fragen nur diese Definitionen ab; eine neue Variante braucht
+ * einen Eintrag in GAME_VARIANTS und hier.
+ */
+
+import {
+    INITIAL_FEN,
+    GAME_STATUS,
+    GAME_VARIANTS,
+    PLAYER_COLORS,
+    isEmpty,
+    getPieceColor
+} from './chessConstants.js'
+import { squareToIndices, getChess960Fen, getRandomChess960Number } from './chessUtils.js'
+
+// Zentrumsfelder, auf denen der König in King of the Hill gewinnt
+export const HILL_SQUARES = ['d4', 'e4', 'd5', 'e5']
+
+// Schachgebote, mit denen Three-check gewonnen ist
+export const THREE_CHECK_LIMIT = 3
+
+const opponentOf = (color) => color === PLAYER_COLORS.WHITE ? PLAYER_COLORS.BLACK : PLAYER_COLORS.WHITE
+
+const isCapture = (move) => !isEmpty(move.capturedPiece)
+
+const hasPieces = (board, color, predicate = () => true) => {
+    return board.some(rank => rank.some(piece =>
+        !isEmpty(piece) && getPieceColor(piece) === color && predicate(piece)
+    ))
+}
+
+/**
+ * Standardregeln, die jede Variante überschreiben kann
+ *
+ * royalKing          - König darf nicht im Schach stehen, Matt beendet die Partie
+ * chess960Castling   - Rochaden als "König schlägt eigenen Turm" (UCI_Chess960)
+ * engineSupported    - Die gebündelte Engine kennt die Regeln (vs KI)
+ * countsChecks       - Schachgebote werden je Seite gezählt
+ * pieceDrops         - Geschlagene Figuren wechseln in die Tasche und können eingesetzt werden
+ * promotionPieces    - Erlaubte Umwandlungsfiguren
+ * startFen           - Grundstellung (ohne FEN-Tag im PGN)
+ * createStartFen     - (options) => FEN der Startstellung einer neuen Partie oder null
+ * filterMoves        - (moves, allMoves) => erlaubte Züge; allMoves sind alle legalen Züge der Seite
+ * checkGameEnd       - ({ board, sideToMove, checkCounts, getLegalMoves }) => GAME_STATUS oder null,
+ *                      wird nach jedem Zug vor Matt und Patt geprüft
+ * hasInsufficientMaterial - (board, color) => kann color nicht mehr gewinnen? null = FIDE-Regel
+ */
+const DEFAULT_RULES = {
+    royalKing: true,
+    chess960Castling: false,
+    engineSupported: true,
+    countsChecks: false,
+    pieceDrops: false,
+    promotionPieces: ['q', 'r', 'b', 'n'],
+    startFen: INITIAL_FEN,
+    createStartFen: null,
+    filterMoves: null,
+    checkGameEnd: null,
+    hasInsufficientMaterial: null
+}
+
+const defineVariant = (definition) => {
+    const rules = { ...DEFAULT_RULES, ...definition }
+    return { ...rules, createStartFen: rules.createStartFen ?? (() => rules.startFen) }
+}
+
+export const VARIANT_RULES = {
+    [GAME_VARIANTS.STANDARD]: defineVariant({
+        id: GAME_VARIANTS.STANDARD,
+        name: 'Standard',
+        icon: '♟️',
+        description: 'Klassische Grundstellung',
+        pgnName: null,
+        pgnAliases: ['standard', 'chess']
+    }),
+
+    [GAME_VARIANTS.CHESS960]: defineVariant({
+        id: GAME_VARIANTS.CHESS960,
+        name: 'Chess960',
+        icon: '🎲',
+        description: 'Fischer Random: eine von 960 Startstellungen',
+        pgnName: 'Chess960',
+        pgnAliases: ['chess960', 'fischerandom', 'fischerrandom'],
+        chess960Castling: true,
+
+        // Startnummer vorgegeben oder zufällig
+        createStartFen: (options = {}) => {
+            const number = Number.isInteger(options.chess960Position) ? options.chess960Position : getRandomChess960Number()
+            return getChess960Fen(number)
+        }
+    }),
+
+    [GAME_VARIANTS.THREE_CHECK]: defineVariant({
+        id: GAME_VARIANTS.THREE_CHECK,
+        name: 'Three-check',
+        icon: '➕',
+        description: 'Wer dreimal Schach bietet, gewinnt',
+        pgnName: 'Three-check',
+        pgnAliases: ['threecheck', '3check'],
+        engineSupported: false,
+        countsChecks: true,
+
+        checkGameEnd: ({ sideToMove, checkCounts }) => {
+            const mover = opponentOf(sideToMove)
+            return (checkCounts?.[mover] ?? 0) >= THREE_CHECK_LIMIT ? GAME_STATUS.THREE_CHECK : null
+        },
+
+        // Ohne eigene Figuren kann der König kein Schach bieten
+        hasInsufficientMaterial: (board, color) => !hasPieces(board, color, piece => piece.toLowerCase() !== 'k')
+    }),
+
+    [GAME_VARIANTS.KING_OF_THE_HILL]: defineVariant({
+        id: GAME_VARIANTS.KING_OF_THE_HILL,
+        name: 'King of the Hill',
+        icon: '⛰️',
+        description: 'Der König im Zentrum gewinnt',
+        pgnName: 'King of the Hill',
+        pgnAliases: ['kingofthehill', 'koth'],
+        engineSupported: false,
+
+        // Der König der Seite, die gerade gezogen hat, steht auf d4, e4, d5 oder e5
+        checkGameEnd: ({ board, sideToMove }) => {
+            const king = sideToMove === PLAYER_COLORS.WHITE ? 'k' : 'K'
+            const onHill = HILL_SQUARES.some(square => {
+                const { rankIndex, fileIndex } = squareToIndices(square)
+                return board[rankIndex][fileIndex] === king
+            })
+
+            return onHill ? GAME_STATUS.KING_OF_THE_HILL : null
+        },
+
+        // Der König allein kann immer noch ins Zentrum laufen
+        hasInsufficientMaterial: () => false
+    }),
+
+    [GAME_VARIANTS.ANTICHESS]: defineVariant({
+        id: GAME_VARIANTS.ANTICHESS,
+        name: 'Antichess',
+        icon: '🔄',
+        description: 'Schlagzwang, wer alle Figuren verliert, gewinnt',
+        pgnName: 'Antichess',
+        pgnAliases: ['antichess'],
+        royalKing: false,
+        engineSupported: false,
+        promotionPieces: ['q', 'r', 'b', 'n', 'k'],
+        startFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w - - 0 1',
+
+        // Schlagzwang: gibt es einen Schlagzug, sind nur Schlagzüge erlaubt
+        filterMoves: (moves, allMoves) => allMoves.some(isCapture) ? moves.filter(isCapture) : moves,
+
+        // Die Seite am Zug gewinnt ohne Figuren oder ohne legalen Zug
+        checkGameEnd: ({ board, sideToMove, getLegalMoves }) => {
+            const isFinished = !hasPieces(board, sideToMove) || getLegalMoves().length === 0
+            return isFinished ? GAME_STATUS.ANTICHESS_WIN : null
+        },
+
+        hasInsufficientMaterial: () => false
+    }),
+
+    [GAME_VARIANTS.CRAZYHOUSE]: defineVariant({
+        id: GAME_VARIANTS.CRAZYHOUSE,
+        name: 'Crazyhouse',
+        icon: '🏠',
+        description: 'Geschlagene Figuren wechseln die Seite und werden wieder eingesetzt',
+        pgnName: 'Crazyhouse',
+        pgnAliases: ['crazyhouse', 'zh'],
+        engineSupported: false,
+        pieceDrops: true,
+        startFen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR[] w KQkq - 0 1',
+
+        // Keine Figur verlässt das Spiel, jede kann wieder eingesetzt werden
+        hasInsufficientMaterial: () => false
+    })
+}
+
+/**
+ * Regeln einer Variante (unbekannte Varianten spielen nach Standardregeln)
+ * @param {string} variant - GAME_VARIANTS-Wert
+ * @returns {object}
+ */
+export const getVariantRules = (variant) => {
+    return VARIANT_RULES[variant] ?? VARIANT_RULES[GAME_VARIANTS.STANDARD]
+}
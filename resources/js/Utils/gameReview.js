@@ -0,0 +1,121 @@
+/**
+ * Partieauswertung - Einstufung und Genauigkeit aus Engine-Bewertungen
+ * Bewertungen kommen als { type: 'cp'|'mate', value } aus Sicht von Weiß; Gewinnchancen
+ * und Genauigkeit folgen den Formeln von Lichess.
+ */
+
+import { PLAYER_COLORS } from './chessConstants.js'
+import { getEvaluationShare } from './chessUtils.js'
+
+// Bauerneinheiten-Verlust wird wie bei Lichess auf ±1000 begrenzt (auch Mattbewertungen)
+export const REVIEW_CP_CAP = 1000
+
+export const MOVE_CLASSIFICATIONS = {
+    BRILLIANT: 'brilliant',
+    BEST: 'best',
+    GOOD: 'good',
+    INACCURACY: 'inaccuracy',
+    MISTAKE: 'mistake',
+    BLUNDER: 'blunder'
+}
+
+/**
+ * Anzeige und NAG je Einstufung; minWinDrop = Verlust an Gewinnchance in Prozentpunkten
+ */
+export const CLASSIFICATION_INFO = {
+    [MOVE_CLASSIFICATIONS.BRILLIANT]: { name: 'Brillant', symbol: '!!', nag: 3 },
+    [MOVE_CLASSIFICATIONS.BEST]: { name: 'Bester Zug', symbol: '★', nag: null },
+    [MOVE_CLASSIFICATIONS.GOOD]: { name: 'Gut', symbol: '', nag: null },
+    [MOVE_CLASSIFICATIONS.INACCURACY]: { name: 'Ungenauigkeit', symbol: '?!', nag: 6, minWinDrop: 5 },
+    [MOVE_CLASSIFICATIONS.MISTAKE]: { name: 'Fehler', symbol: '?', nag: 2, minWinDrop: 10 },
+    [MOVE_CLASSIFICATIONS.BLUNDER]: { name: 'Grober Fehler', symbol: '??', nag: 4, minWinDrop: 15 }
+}
+
+/**
+ * Bewertung in Centipawns, Matt zählt als ±REVIEW_CP_CAP
+ * @param {object} score
+ * @returns {number}
+ */
+export const toCentipawns = (score) => {
+    if (score.type === 'mate') {
+        return score.value > 0 || Object.is(score.value, 0) ? REVIEW_CP_CAP : -REVIEW_CP_CAP
+    }
+
+    return Math.max(-REVIEW_CP_CAP, Math.min(REVIEW_CP_CAP, score.value))
+}
+
+/**
+ * Gewinnchance einer Seite in Prozent
+ * @param {object} score - Bewertung aus Sicht von Weiß
+ * @param {string} color
+ * @returns {number} 0-100
+ */
+export const getWinChance = (score, color) => {
+    const whiteShare = getEvaluationShare(score)
+    return color === PLAYER_COLORS.WHITE ? whiteShare : 100 - whiteShare
+}
+
+/**
+ * Genauigkeit eines Zuges aus dem Verlust an Gewinnchance
+ * @param {number} winDrop - Prozentpunkte
+ * @returns {number} 0-100
+ */
+export const getMoveAccuracy = (winDrop) => {
+    const accuracy = 103.1668 * Math.exp(-0.04354 * Math.max(0, winDrop)) - 3.1669
+    return Math.max(0, Math.min(100, accuracy))
+}
+
+/**
+ * Zug einstufen
+ * Brillant ist der beste Zug, wenn jede Alternative ein grober Fehler wäre und die Partie noch offen ist.
+ * @param {object} params
+ * @param {boolean} params.isBestMove - Zug entspricht dem Vorschlag der Engine
+ * @param {number} params.winDrop - Verlust an Gewinnchance (Prozentpunkte)
+ * @param {number} params.winBefore - Gewinnchance vor dem Zug
+ * @param {number|null} params.secondBestWin - Gewinnchance nach dem zweitbesten Zug (null = einziger Zug)
+ * @returns {string} MOVE_CLASSIFICATIONS-Wert
+ */
+export const classifyMove = ({ isBestMove, winDrop, winBefore, secondBestWin }) => {
+    const { BLUNDER, MISTAKE, INACCURACY } = MOVE_CLASSIFICATIONS
+
+    if (isBestMove) {
+        const isOnlyMove = secondBestWin !== null &&
+            winBefore - secondBestWin >= CLASSIFICATION_INFO[BLUNDER].minWinDrop
+        const isUndecided = winBefore > 10 && winBefore < 90
+
+        return isOnlyMove && isUndecided ? MOVE_CLASSIFICATIONS.BRILLIANT : MOVE_CLASSIFICATIONS.BEST
+    }
+
+    return [BLUNDER, MISTAKE, INACCURACY].find(classification =>
+        winDrop >= CLASSIFICATION_INFO[classification].minWinDrop
+    ) ?? MOVE_CLASSIFICATIONS.GOOD
+}
+
+/**
+ * Zusammenfassung je Spieler
+ * @param {Array} reviews - Auswertungen der Züge (mit color, accuracy, cpLoss, classification)
+ * @returns {object} { white: { accuracy, averageCpLoss, moves, counts }, black: {...} }
+ */
+export const summarizeReviews = (reviews) => {
+    const summarize = (color) => {
+        const own = reviews.filter(review => review?.color === color)
+        const counts = Object.fromEntries(Object.values(MOVE_CLASSIFICATIONS).map(value => [value, 0]))
+        own.forEach(review => counts[review.classification]++)
+
+        const average = (key) => own.length
+            ? own.reduce((sum, review) => sum + review[key], 0) / own.length
+            : null
+
+        return {
+            moves: own.length,
+            accuracy: average('accuracy'),
+            averageCpLoss: average('cpLoss'),
+            counts
+        }
+    }
+
+    return {
+        [PLAYER_COLORS.WHITE]: summarize(PLAYER_COLORS.WHITE),
+        [PLAYER_COLORS.BLACK]: summarize(PLAYER_COLORS.BLACK)
+    }
+}
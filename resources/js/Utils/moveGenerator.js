@@ -0,0 +1,729 @@
+/**
+ * Zuggenerator auf einem 0x88-Brett
+ * Stellung als Int8Array(128) mit Make/Unmake statt Brettkopien und inkrementellem
+ * Zobrist-Schlüssel. useChessLogic übersetzt zwischen 2D-Brett und diesem Format.
+ *
+ * Feldindex = rankIndex * 16 + fileIndex (rankIndex 0 = 8. Reihe wie im 2D-Brett),
+ * Felder außerhalb des Bretts erfüllen (index & 0x88) !== 0.
+ */
+
+import { FILES, PLAYER_COLORS, CASTLING_RIGHTS, CASTLING_TARGET_FILES, POCKET_PIECES } from './chessConstants.js'
+import { getCastlingRookFile } from './chessUtils.js'
+import { getVariantRules } from './chessVariants.js'
+
+// ===== FIGUREN UND FELDER =====
+
+export const WHITE = 0
+export const BLACK = 1
+
+const PAWN = 1
+const KNIGHT = 2
+const BISHOP = 3
+const ROOK = 4
+const QUEEN = 5
+const KING = 6
+
+// Figurencode = Typ, schwarze Figuren zusätzlich mit Bit 3
+const PIECE_CODES = { P: 1, N: 2, B: 3, R: 4, Q: 5, K: 6, p: 9, n: 10, b: 11, r: 12, q: 13, k: 14 }
+const PIECE_SYMBOLS = []
+Object.entries(PIECE_CODES).forEach(([symbol, code]) => { PIECE_SYMBOLS[code] = symbol })
+
+const colorOf = (code) => code >> 3
+const typeOf = (code) => code & 7
+const pieceCode = (color, type) => type | (color << 3)
+
+const KNIGHT_OFFSETS = [-33, -31, -18, -14, 14, 18, 31, 33]
+const BISHOP_OFFSETS = [-17, -15, 15, 17]
+const ROOK_OFFSETS = [-16, -1, 1, 16]
+const KING_OFFSETS = [...BISHOP_OFFSETS, ...ROOK_OFFSETS]
+
+// Von hier aus greift ein Bauer das Feld an: weiße Bauern schlagen nach oben, stehen also darunter
+const PAWN_ATTACKER_OFFSETS = [[15, 17], [-15, -17]]
+
+// Reihenfolge der Rochaderechte = Bit im Rochade-Bitfeld
+const CASTLING_ORDER = Object.keys(CASTLING_RIGHTS)
+
+/**
+ * @param {string} square - z.B. 'e4'
+ * @returns {number} 0x88-Index
+ */
+export const toSquareIndex = (square) => (8 - Number(square[1])) * 16 + FILES.indexOf(square[0])
+
+/**
+ * @param {number} index - 0x88-Index
+ * @returns {string} z.B. 'e4'
+ */
+export const toSquareName = (index) => `${FILES[index & 7]}${8 - (index >> 4)}`
+
+/**
+ * @param {number} code - Figurencode
+ * @returns {string} FEN-Symbol
+ */
+export const toPieceSymbol = (code) => PIECE_SYMBOLS[code]
+
+export const toColorIndex = (color) => color === PLAYER_COLORS.WHITE ? WHITE : BLACK
+
+// ===== ZOBRIST =====
+
+// Feste Zufallszahlen (xorshift32), damit Schlüssel in jeder Sitzung gleich sind
+let randomState = 0x9e3779b9
+const nextRandom = () => {
+    randomState ^= randomState << 13
+    randomState ^= randomState >>> 17
+    randomState ^= randomState << 5
+    return randomState >>> 0
+}
+
+// Je Eintrag zwei 32-Bit-Hälften (lo, hi)
+const randomKeys = (count) => Uint32Array.from({ length: count * 2 }, nextRandom)
+
+const MAX_POCKET_COUNT = 16
+
+const PIECE_KEYS = randomKeys(16 * 128)
+const CASTLING_KEYS = randomKeys(16)
+const EN_PASSANT_KEYS = randomKeys(8)
+const SIDE_KEYS = randomKeys(1)
+const POCKET_KEYS = randomKeys(2 * 8 * (MAX_POCKET_COUNT + 1))
+const PROMOTED_KEYS = randomKeys(128)
+
+const toggleKey = (position, keys, index) => {
+    position.hashLo ^= keys[index * 2]
+    position.hashHi ^= keys[index * 2 + 1]
+}
+
+const togglePiece = (position, code, square) => toggleKey(position, PIECE_KEYS, code * 128 + square)
+
+const pocketKeyIndex = (color, type, count) => (color * 8 + type) * (MAX_POCKET_COUNT + 1) + Math.min(count, MAX_POCKET_COUNT)
+
+const changePocket = (position, color, type, delta) => {
+    const count = position.pockets[color][type]
+    toggleKey(position, POCKET_KEYS, pocketKeyIndex(color, type, count))
+    position.pockets[color][type] = count + delta
+    toggleKey(position, POCKET_KEYS, pocketKeyIndex(color, type, count + delta))
+}
+
+const setPromoted = (position, square, isPromoted) => {
+    if (!!position.promoted[square] === isPromoted) return
+
+    position.promoted[square] = isPromoted ? 1 : 0
+    toggleKey(position, PROMOTED_KEYS, square)
+}
+
+/**
+ * En-passant-Feld zählt nur zum Schlüssel, wenn ein Bauer der Seite am Zug dorthin schlagen kann
+ * @param {object} position
+ * @returns {boolean}
+ */
+const isEnPassantRelevant = (position) => {
+    const { epSquare, side, squares } = position
+    if (epSquare < 0) return false
+
+    const pawn = pieceCode(side, PAWN)
+    return PAWN_ATTACKER_OFFSETS[side].some(offset => {
+        const square = epSquare + offset
+        return !(square & 0x88) && squares[square] === pawn
+    })
+}
+
+const toggleEnPassant = (position) => {
+    if (isEnPassantRelevant(position)) {
+        toggleKey(position, EN_PASSANT_KEYS, position.epSquare & 7)
+    }
+}
+
+/**
+ * Zobrist-Schlüssel komplett neu berechnen (Figuren, Zugrecht, Rochade, En passant, Taschen)
+ * @param {object} position
+ */
+export const computeHash = (position) => {
+    position.hashLo = 0
+    position.hashHi = 0
+
+    for (let square = 0; square < 128; square++) {
+        if (square & 0x88) continue
+
+        if (position.squares[square]) togglePiece(position, position.squares[square], square)
+        if (position.promoted[square]) toggleKey(position, PROMOTED_KEYS, square)
+    }
+
+    for (let color = WHITE; color <= BLACK; color++) {
+        for (let type = PAWN; type <= QUEEN; type++) {
+            toggleKey(position, POCKET_KEYS, pocketKeyIndex(color, type, position.pockets[color][type]))
+        }
+    }
+
+    toggleKey(position, CASTLING_KEYS, position.castling)
+    toggleEnPassant(position)
+    if (position.side === BLACK) toggleKey(position, SIDE_KEYS, 0)
+}
+
+/**
+ * Schlüssel als Hex-String für Wiederholungsvergleiche
+ * @param {object} position
+ * @returns {string} 16 Hex-Zeichen
+ */
+export const getPositionKey = (position) => {
+    const hex = (value) => (value >>> 0).toString(16).padStart(8, '0')
+    return `${hex(position.hashHi)}${hex(position.hashLo)}`
+}
+
+// ===== STELLUNG =====
+
+/**
+ * Stellung aus 2D-Brett und Spielzustand aufbauen
+ * @param {Array} board - 2D Brett-Array
+ * @param {object} gameState - currentPlayer, castlingRights, enPassantSquare, variant, pockets, promotedSquares, halfmoveClock
+ * @returns {object} 0x88-Stellung
+ */
+export const createPosition = (board, gameState = {}) => {
+    const position = {
+        squares: new Int8Array(128),
+        side: toColorIndex(gameState.currentPlayer ?? PLAYER_COLORS.WHITE),
+        castling: 0,
+        castlingRooks: new Int16Array(CASTLING_ORDER.length),
+        epSquare: gameState.enPassantSquare ? toSquareIndex(gameState.enPassantSquare) : -1,
+        kings: [-1, -1],
+        pockets: [new Int8Array(8), new Int8Array(8)],
+        promoted: new Uint8Array(128),
+        halfmoveClock: gameState.halfmoveClock ?? 0,
+        rules: getVariantRules(gameState.variant),
+        hashLo: 0,
+        hashHi: 0
+    }
+
+    for (let rankIndex = 0; rankIndex < 8; rankIndex++) {
+        for (let fileIndex = 0; fileIndex < 8; fileIndex++) {
+            const code = PIECE_CODES[board[rankIndex][fileIndex]]
+            if (!code) continue
+
+            const square = rankIndex * 16 + fileIndex
+            position.squares[square] = code
+
+            // Wie findKing: der erste König je Farbe zählt
+            if (typeOf(code) === KING && position.kings[colorOf(code)] < 0) {
+                position.kings[colorOf(code)] = square
+            }
+        }
+    }
+
+    CASTLING_ORDER.forEach((right, bit) => {
+        const backRank = CASTLING_RIGHTS[right].color === PLAYER_COLORS.WHITE ? '1' : '8'
+        position.castlingRooks[bit] = toSquareIndex(`${getCastlingRookFile(gameState.castlingRights, right)}${backRank}`)
+
+        if (gameState.castlingRights?.[right]) {
+            position.castling |= 1 << bit
+        }
+    })
+
+    Object.values(PLAYER_COLORS).forEach(color => {
+        (gameState.pockets?.[color] || []).forEach(piece => {
+            position.pockets[toColorIndex(color)][typeOf(PIECE_CODES[piece])]++
+        })
+    })
+
+    ;(gameState.promotedSquares || []).forEach(square => {
+        position.promoted[toSquareIndex(square)] = 1
+    })
+
+    computeHash(position)
+    return position
+}
+
+// ===== ANGRIFFE =====
+
+/**
+ * Wird ein Feld von einer Farbe angegriffen?
+ * @param {object} position
+ * @param {number} square - 0x88-Index
+ * @param {number} byColor - WHITE oder BLACK
+ * @returns {boolean}
+ */
+export const isSquareAttacked = (position, square, byColor) => {
+    const { squares } = position
+
+    const pawn = pieceCode(byColor, PAWN)
+    for (const offset of PAWN_ATTACKER_OFFSETS[byColor]) {
+        const from = square + offset
+        if (!(from & 0x88) && squares[from] === pawn) return true
+    }
+
+    const knight = pieceCode(byColor, KNIGHT)
+    for (const offset of KNIGHT_OFFSETS) {
+        const from = square + offset
+        if (!(from & 0x88) && squares[from] === knight) return true
+    }
+
+    const king = pieceCode(byColor, KING)
+    for (const offset of KING_OFFSETS) {
+        const from = square + offset
+        if (!(from & 0x88) && squares[from] === king) return true
+    }
+
+    const bishop = pieceCode(byColor, BISHOP)
+    const rook = pieceCode(byColor, ROOK)
+    const queen = pieceCode(byColor, QUEEN)
+
+    for (const offset of BISHOP_OFFSETS) {
+        for (let from = square + offset; !(from & 0x88); from += offset) {
+            const piece = squares[from]
+            if (!piece) continue
+            if (piece === bishop || piece === queen) return true
+            break
+        }
+    }
+
+    for (const offset of ROOK_OFFSETS) {
+        for (let from = square + offset; !(from & 0x88); from += offset) {
+            const piece = squares[from]
+            if (!piece) continue
+            if (piece === rook || piece === queen) return true
+            break
+        }
+    }
+
+    return false
+}
+
+/**
+ * Alle Figuren einer Farbe, die ein Feld angreifen (z.B. schachgebende Figuren)
+ * Gleiche Reihenfolge der Prüfungen wie isSquareAttacked, aber ohne vorzeitigen Abbruch.
+ * @param {object} position
+ * @param {number} square - 0x88-Index
+ * @param {number} byColor - WHITE oder BLACK
+ * @returns {number[]} 0x88-Indizes der Angreifer
+ */
+export const getAttackers = (position, square, byColor) => {
+    const { squares } = position
+    const attackers = []
+
+    const addLeapers = (offsets, piece) => {
+        for (const offset of offsets) {
+            const from = square + offset
+            if (!(from & 0x88) && squares[from] === piece) attackers.push(from)
+        }
+    }
+
+    const addSliders = (offsets, piece) => {
+        const queen = pieceCode(byColor, QUEEN)
+        for (const offset of offsets) {
+            for (let from = square + offset; !(from & 0x88); from += offset) {
+                if (!squares[from]) continue
+                if (squares[from] === piece || squares[from] === queen) attackers.push(from)
+                break
+            }
+        }
+    }
+
+    addLeapers(PAWN_ATTACKER_OFFSETS[byColor], pieceCode(byColor, PAWN))
+    addLeapers(KNIGHT_OFFSETS, pieceCode(byColor, KNIGHT))
+    addLeapers(KING_OFFSETS, pieceCode(byColor, KING))
+    addSliders(BISHOP_OFFSETS, pieceCode(byColor, BISHOP))
+    addSliders(ROOK_OFFSETS, pieceCode(byColor, ROOK))
+
+    return attackers
+}
+
+/**
+ * Steht der König einer Farbe im Schach? (ohne königlichen König nie)
+ * @param {object} position
+ * @param {number} color - WHITE oder BLACK
+ * @returns {boolean}
+ */
+export const isInCheck = (position, color = position.side) => {
+    if (!position.rules.royalKing || position.kings[color] < 0) return false
+    return isSquareAttacked(position, position.kings[color], color ^ 1)
+}
+
+// ===== ZUGGENERIERUNG =====
+
+const createMove = (from, to, piece, captured, type, promotion = false) => ({
+    from,
+    to,
+    piece,
+    captured,
+    capturedPiece: captured ? PIECE_SYMBOLS[captured] : null,
+    capturedSquare: to,
+    type,
+    promotion,
+    kingTo: -1,
+    rookFrom: -1,
+    rookTo: -1,
+    castleType: null
+})
+
+const addPawnMoves = (position, from, moves) => {
+    const { squares, side } = position
+    const piece = squares[from]
+    const direction = side === WHITE ? -16 : 16
+    const startRank = side === WHITE ? 6 : 1
+    const promotionRank = side === WHITE ? 0 : 7
+
+    const oneForward = from + direction
+    if (!(oneForward & 0x88) && !squares[oneForward]) {
+        moves.push(createMove(from, oneForward, piece, 0, 'move', (oneForward >> 4) === promotionRank))
+
+        const twoForward = oneForward + direction
+        if ((from >> 4) === startRank && !squares[twoForward]) {
+            moves.push(createMove(from, twoForward, piece, 0, 'move'))
+        }
+    }
+
+    for (const offset of [direction - 1, direction + 1]) {
+        const to = from + offset
+        if (to & 0x88) continue
+
+        const target = squares[to]
+        if (target && colorOf(target) !== side) {
+            moves.push(createMove(from, to, piece, target, 'capture', (to >> 4) === promotionRank))
+        } else if (to === position.epSquare) {
+            const capturedSquare = to - direction
+            if (squares[capturedSquare] === pieceCode(side ^ 1, PAWN)) {
+                const move = createMove(from, to, piece, squares[capturedSquare], 'enpassant')
+                move.capturedSquare = capturedSquare
+                moves.push(move)
+            }
+        }
+    }
+}
+
+const addLeaperMoves = (position, from, offsets, moves) => {
+    const { squares, side } = position
+    const piece = squares[from]
+
+    for (const offset of offsets) {
+        const to = from + offset
+        if (to & 0x88) continue
+
+        const target = squares[to]
+        if (!target) {
+            moves.push(createMove(from, to, piece, 0, 'move'))
+        } else if (colorOf(target) !== side) {
+            moves.push(createMove(from, to, piece, target, 'capture'))
+        }
+    }
+}
+
+const addSliderMoves = (position, from, offsets, moves) => {
+    const { squares, side } = position
+    const piece = squares[from]
+
+    for (const offset of offsets) {
+        for (let to = from + offset; !(to & 0x88); to += offset) {
+            const target = squares[to]
+            if (!target) {
+                moves.push(createMove(from, to, piece, 0, 'move'))
+                continue
+            }
+
+            if (colorOf(target) !== side) {
+                moves.push(createMove(from, to, piece, target, 'capture'))
+            }
+            break
+        }
+    }
+}
+
+/**
+ * Sind alle Felder zwischen zwei Feldern einer Reihe (einschließlich) frei, abgesehen von König und Turm?
+ */
+const isRankSegmentEmpty = (squares, a, b, kingSquare, rookSquare) => {
+    for (let square = Math.min(a, b); square <= Math.max(a, b); square++) {
+        if (square !== kingSquare && square !== rookSquare && squares[square]) return false
+    }
+    return true
+}
+
+/**
+ * Rochaden (klassisch und Chess960), König und Turm landen auf g/f bzw. c/d
+ * "to" zeigt in Chess960 oder bei König außerhalb der e-Linie auf den Rochadeturm.
+ */
+const addCastlingMoves = (position, from, moves) => {
+    const { squares, side } = position
+    const backRank = side === WHITE ? 7 : 0
+    const enemy = side ^ 1
+
+    if ((from >> 4) !== backRank || !position.castling || isSquareAttacked(position, from, enemy)) return
+
+    CASTLING_ORDER.forEach((right, bit) => {
+        const { color, side: castleType } = CASTLING_RIGHTS[right]
+        if (toColorIndex(color) !== side || !(position.castling & (1 << bit))) return
+
+        const rookFrom = position.castlingRooks[bit]
+        if (squares[rookFrom] !== pieceCode(side, ROOK) || (rookFrom > from) !== (castleType === 'kingside')) return
+
+        const kingTo = backRank * 16 + FILES.indexOf(CASTLING_TARGET_FILES[castleType].king)
+        const rookTo = backRank * 16 + FILES.indexOf(CASTLING_TARGET_FILES[castleType].rook)
+
+        if (!isRankSegmentEmpty(squares, from, kingTo, from, rookFrom) ||
+            !isRankSegmentEmpty(squares, rookFrom, rookTo, from, rookFrom)) return
+
+        // Der König zieht über kein angegriffenes Feld (sein Zielfeld prüft der Legalitätstest)
+        const step = kingTo > from ? 1 : -1
+        for (let square = from + step; square !== kingTo + step && from !== kingTo; square += step) {
+            if (isSquareAttacked(position, square, enemy)) return
+        }
+
+        const usesRookSquare = position.rules.chess960Castling || Math.abs((from & 7) - (kingTo & 7)) !== 2
+        const move = createMove(from, usesRookSquare ? rookFrom : kingTo, squares[from], 0, 'castle')
+        move.kingTo = kingTo
+        move.rookFrom = rookFrom
+        move.rookTo = rookTo
+        move.castleType = castleType
+        moves.push(move)
+    })
+}
+
+/**
+ * Einsetzzüge aus der Tasche: jedes leere Feld, Bauern nicht auf die Grundreihen
+ */
+const addDropMoves = (position, moves) => {
+    const { squares, side } = position
+
+    POCKET_PIECES.forEach(symbol => {
+        const type = typeOf(PIECE_CODES[symbol])
+        if (!position.pockets[side][type]) return
+
+        const piece = pieceCode(side, type)
+        for (let to = 0; to < 128; to++) {
+            if ((to & 0x88) || squares[to]) continue
+            if (type === PAWN && ((to >> 4) === 0 || (to >> 4) === 7)) continue
+
+            moves.push(createMove(-1, to, piece, 0, 'drop'))
+        }
+    })
+}
+
+/**
+ * Pseudolegale Züge der Seite am Zug (ohne Königssicherheit)
+ * @param {object} position
+ * @returns {Array} Züge im 0x88-Format
+ */
+export const generatePseudoLegalMoves = (position) => {
+    const moves = []
+    const { squares, side } = position
+
+    for (let from = 0; from < 128; from++) {
+        if (from & 0x88) {
+            from += 7
+            continue
+        }
+
+        const piece = squares[from]
+        if (!piece || colorOf(piece) !== side) continue
+
+        switch (typeOf(piece)) {
+            case PAWN: addPawnMoves(position, from, moves); break
+            case KNIGHT: addLeaperMoves(position, from, KNIGHT_OFFSETS, moves); break
+            case BISHOP: addSliderMoves(position, from, BISHOP_OFFSETS, moves); break
+            case ROOK: addSliderMoves(position, from, ROOK_OFFSETS, moves); break
+            case QUEEN: addSliderMoves(position, from, KING_OFFSETS, moves); break
+            case KING:
+                addLeaperMoves(position, from, KING_OFFSETS, moves)
+                addCastlingMoves(position, from, moves)
+                break
+        }
+    }
+
+    if (position.rules.pieceDrops) {
+        addDropMoves(position, moves)
+    }
+
+    return moves
+}
+
+/**
+ * Legale Züge der Seite am Zug (ohne Zugfilter der Variante)
+ * Jeder Zug wird ausgeführt, auf Schach geprüft und zurückgenommen.
+ * @param {object} position
+ * @returns {Array} Züge im 0x88-Format
+ */
+export const generateLegalMoves = (position) => {
+    const moves = generatePseudoLegalMoves(position)
+    if (!position.rules.royalKing) return moves
+
+    const side = position.side
+    return moves.filter(move => {
+        const undo = makeMove(position, move)
+        const isLegal = !isInCheck(position, side)
+        unmakeMove(position, move, undo)
+        return isLegal
+    })
+}
+
+// ===== MAKE / UNMAKE =====
+
+/**
+ * Rochaderechte nach einem Zug: Königszug nimmt beide, Turmzug oder geschlagener Turm auf seinem Feld eines
+ */
+const updateCastling = (position, move, captured) => {
+    const side = position.side
+
+    if (typeOf(move.piece) === KING) {
+        position.castling &= side === WHITE ? ~0b0011 : ~0b1100
+    }
+
+    CASTLING_ORDER.forEach((right, bit) => {
+        if (!(position.castling & (1 << bit))) return
+
+        const rook = pieceCode(toColorIndex(CASTLING_RIGHTS[right].color), ROOK)
+        const rookSquare = position.castlingRooks[bit]
+
+        if ((move.piece === rook && move.from === rookSquare) || (captured === rook && move.to === rookSquare)) {
+            position.castling &= ~(1 << bit)
+        }
+    })
+}
+
+/**
+ * Zug ausführen (verändert die Stellung)
+ * @param {object} position
+ * @param {object} move - Zug aus generateLegalMoves
+ * @param {number} promotionPiece - Figurencode der Umwandlungsfigur (0 = Bauer bleibt für Legalitätstests)
+ * @returns {object} Informationen für unmakeMove
+ */
+export const makeMove = (position, move, promotionPiece = 0) => {
+    const { squares, side } = position
+    const tracksPockets = position.rules.pieceDrops
+
+    const undo = {
+        captured: 0,
+        pocketType: 0,
+        wasPromoted: 0,
+        capturedWasPromoted: 0,
+        castling: position.castling,
+        epSquare: position.epSquare,
+        halfmoveClock: position.halfmoveClock,
+        kings: [position.kings[0], position.kings[1]],
+        hashLo: position.hashLo,
+        hashHi: position.hashHi
+    }
+
+    toggleEnPassant(position)
+    toggleKey(position, CASTLING_KEYS, position.castling)
+    position.epSquare = -1
+
+    if (move.type === 'drop') {
+        squares[move.to] = move.piece
+        togglePiece(position, move.piece, move.to)
+        changePocket(position, side, typeOf(move.piece), -1)
+        position.halfmoveClock = typeOf(move.piece) === PAWN ? 0 : position.halfmoveClock + 1
+    } else if (move.type === 'castle') {
+        const rook = squares[move.rookFrom]
+
+        togglePiece(position, move.piece, move.from)
+        togglePiece(position, rook, move.rookFrom)
+        squares[move.from] = 0
+        squares[move.rookFrom] = 0
+        squares[move.kingTo] = move.piece
+        squares[move.rookTo] = rook
+        togglePiece(position, move.piece, move.kingTo)
+        togglePiece(position, rook, move.rookTo)
+
+        position.kings[side] = move.kingTo
+        position.halfmoveClock++
+        updateCastling(position, move, 0)
+    } else {
+        const captured = squares[move.capturedSquare]
+
+        if (captured) {
+            undo.captured = captured
+            togglePiece(position, captured, move.capturedSquare)
+            squares[move.capturedSquare] = 0
+
+            // Crazyhouse: geschlagene Figur wechselt in die Tasche, umgewandelte als Bauer
+            if (tracksPockets) {
+                undo.capturedWasPromoted = position.promoted[move.capturedSquare]
+                undo.pocketType = undo.capturedWasPromoted ? PAWN : typeOf(captured)
+                changePocket(position, side, undo.pocketType, 1)
+                setPromoted(position, move.capturedSquare, false)
+            }
+        }
+
+        const placed = promotionPiece || move.piece
+        togglePiece(position, move.piece, move.from)
+        squares[move.from] = 0
+        squares[move.to] = placed
+        togglePiece(position, placed, move.to)
+
+        if (tracksPockets) {
+            undo.wasPromoted = position.promoted[move.from]
+            setPromoted(position, move.from, false)
+            setPromoted(position, move.to, !!undo.wasPromoted || !!promotionPiece)
+        }
+
+        if (typeOf(move.piece) === KING) {
+            position.kings[side] = move.to
+        }
+
+        const isPawnMove = typeOf(move.piece) === PAWN
+        if (isPawnMove && Math.abs(move.to - move.from) === 32) {
+            position.epSquare = (move.from + move.to) / 2
+        }
+
+        position.halfmoveClock = isPawnMove || captured ? 0 : position.halfmoveClock + 1
+        updateCastling(position, move, captured)
+    }
+
+    position.side = side ^ 1
+    toggleKey(position, SIDE_KEYS, 0)
+    toggleKey(position, CASTLING_KEYS, position.castling)
+    toggleEnPassant(position)
+
+    return undo
+}
+
+/**
+ * Zug zurücknehmen
+ * @param {object} position
+ * @param {object} move - mit makeMove ausgeführter Zug
+ * @param {object} undo - Rückgabe von makeMove
+ */
+export const unmakeMove = (position, move, undo) => {
+    const { squares } = position
+    const side = position.side ^ 1
+    position.side = side
+
+    if (move.type === 'drop') {
+        squares[move.to] = 0
+        position.pockets[side][typeOf(move.piece)]++
+    } else if (move.type === 'castle') {
+        const rook = squares[move.rookTo]
+        squares[move.kingTo] = 0
+        squares[move.rookTo] = 0
+        squares[move.from] = move.piece
+        squares[move.rookFrom] = rook
+    } else {
+        squares[move.to] = 0
+        squares[move.from] = move.piece
+
+        if (undo.captured) {
+            squares[move.capturedSquare] = undo.captured
+        }
+
+        if (position.rules.pieceDrops) {
+            position.promoted[move.to] = 0
+            position.promoted[move.from] = undo.wasPromoted
+            if (undo.pocketType) {
+                position.pockets[side][undo.pocketType]--
+                position.promoted[move.capturedSquare] = undo.capturedWasPromoted
+            }
+        }
+    }
+
+    position.castling = undo.castling
+    position.epSquare = undo.epSquare
+    position.halfmoveClock = undo.halfmoveClock
+    position.kings[0] = undo.kings[0]
+    position.kings[1] = undo.kings[1]
+    position.hashLo = undo.hashLo
+    position.hashHi = undo.hashHi
+}
+
+/**
+ * Umwandlungsfiguren der Seite am Zug als Figurencodes
+ * @param {object} position
+ * @returns {Array}
+ */
+export const getPromotionCodes = (position) => {
+    return position.rules.promotionPieces.map(piece => pieceCode(position.side, typeOf(PIECE_CODES[piece])))
+}
@@ -0,0 +1,54 @@
+/**
+ * Perft-Stellungen - Referenzwerte für die Zuggenerierung
+ * Knotenzahlen je Tiefe (Index 0 = Tiefe 1) aus der Chess Programming Wiki.
+ * Abweichungen deuten auf Fehler bei En passant, Rochade, Fesselungen oder Umwandlungen.
+ */
+
+import { INITIAL_FEN, GAME_VARIANTS } from './chessConstants.js'
+
+export const PERFT_POSITIONS = [
+    {
+        name: 'Startstellung',
+        fen: INITIAL_FEN,
+        nodes: [20, 400, 8902, 197281, 4865609]
+    },
+    {
+        // Rochaden, En passant und Umwandlungen in einer Stellung
+        name: 'Kiwipete',
+        fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+        nodes: [48, 2039, 97862, 4085603]
+    },
+    {
+        // Gefesselte Bauern und En passant mit Abzugsschach auf der Reihe
+        name: 'Position 3',
+        fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+        nodes: [14, 191, 2812, 43238, 674624]
+    },
+    {
+        name: 'Position 4',
+        fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+        nodes: [6, 264, 9467, 422333]
+    },
+    {
+        name: 'Position 5',
+        fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+        nodes: [44, 1486, 62379, 2103487]
+    },
+    {
+        name: 'Position 6',
+        fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+        nodes: [46, 2079, 89890, 3894594]
+    },
+    {
+        name: 'Chess960 Nr. 1',
+        fen: 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+        variant: GAME_VARIANTS.CHESS960,
+        nodes: [21, 528, 12189, 326672]
+    },
+    {
+        name: 'Chess960 Nr. 2',
+        fen: '2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9',
+        variant: GAME_VARIANTS.CHESS960,
+        nodes: [21, 807, 18002]
+    }
+]
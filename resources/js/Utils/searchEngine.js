@@ -0,0 +1,636 @@
+/**
+ * Eingebaute Engine - Alpha-Beta-Suche auf der 0x88-Stellung des moveGenerator
+ * Iterative Vertiefung mit Transpositionstabelle, Ruhesuche und MVV-LVA-Sortierung,
+ * bewertet wird Material aus PIECE_VALUES plus Figur-Feld-Tabellen. Läuft im Worker
+ * (Workers/builtinEngine.worker.js) und kennt nur Varianten mit königlichem König
+ * ohne Einsetzzüge (Standard, Chess960).
+ */
+
+import { PIECE_VALUES } from './chessConstants.js'
+import * as moveGenerator from './moveGenerator.js'
+
+export const MATE_SCORE = 100000
+const MATE_THRESHOLD = MATE_SCORE - 1000
+const INFINITE_SCORE = MATE_SCORE + 1
+
+const MAX_DEPTH = 64
+const TIME_CHECK_INTERVAL = 2048     // Knoten zwischen zwei Blicken auf die Uhr
+const TT_MAX_ENTRIES = 500000        // Danach wird die Tabelle geleert
+const TT_FLAGS = { EXACT: 0, LOWER: 1, UPPER: 2 }
+const KING_ORDER_VALUE = 1000        // König als schlagende Figur zuletzt (MVV-LVA)
+
+/**
+ * Schwierigkeitsstufen, im Worker über die UCI-Option "Skill Level" (1-5) gewählt
+ * noise = Zufallsaufschlag auf die Bewertung der Wurzelzüge (Centipawns),
+ * randomMoveRate = Anteil völlig zufälliger Züge
+ */
+export const SEARCH_LEVELS = [
+    { level: 1, name: 'Anfänger', description: 'Zieht oft aufs Geratewohl', maxDepth: 1, noise: 150, randomMoveRate: 0.3, quiescence: false },
+    { level: 2, name: 'Gelegenheitsspieler', description: 'Sieht zwei Halbzüge weit', maxDepth: 2, noise: 60, randomMoveRate: 0.1, quiescence: false },
+    { level: 3, name: 'Fortgeschritten', description: 'Rechnet Abtausche zu Ende', maxDepth: 3, noise: 25, randomMoveRate: 0, quiescence: true },
+    { level: 4, name: 'Turnierspieler', description: 'Vier Halbzüge plus Schlagfolgen', maxDepth: 4, noise: 10, randomMoveRate: 0, quiescence: true },
+    { level: 5, name: 'Vereinsspieler', description: 'Volle Bedenkzeit, keine Zufallszüge', maxDepth: MAX_DEPTH, noise: 0, randomMoveRate: 0, quiescence: true }
+]
+
+export const DEFAULT_SEARCH_LEVEL = 3
+
+/**
+ * Stufe zur Nummer (ungültige Werte ergeben die Standardstufe)
+ * @param {number} level
+ * @returns {object}
+ */
+export const getSearchLevel = (level) => {
+    return SEARCH_LEVELS.find(entry => entry.level === Number(level)) ??
+        SEARCH_LEVELS.find(entry => entry.level === DEFAULT_SEARCH_LEVEL)
+}
+
+// ===== BEWERTUNG =====
+
+// Figur-Feld-Tabellen aus Sicht von Weiß, Index 0 = a8 (wie rankIndex im 2D-Brett)
+const PIECE_SQUARE_TABLES = {
+    p: [
+        0, 0, 0, 0, 0, 0, 0, 0,
+        50, 50, 50, 50, 50, 50, 50, 50,
+        10, 10, 20, 30, 30, 20, 10, 10,
+        5, 5, 10, 25, 25, 10, 5, 5,
+        0, 0, 0, 20, 20, 0, 0, 0,
+        5, -5, -10, 0, 0, -10, -5, 5,
+        5, 10, 10, -20, -20, 10, 10, 5,
+        0, 0, 0, 0, 0, 0, 0, 0
+    ],
+    n: [
+        -50, -40, -30, -30, -30, -30, -40, -50,
+        -40, -20, 0, 0, 0, 0, -20, -40,
+        -30, 0, 10, 15, 15, 10, 0, -30,
+        -30, 5, 15, 20, 20, 15, 5, -30,
+        -30, 0, 15, 20, 20, 15, 0, -30,
+        -30, 5, 10, 15, 15, 10, 5, -30,
+        -40, -20, 0, 5, 5, 0, -20, -40,
+        -50, -40, -30, -30, -30, -30, -40, -50
+    ],
+    b: [
+        -20, -10, -10, -10, -10, -10, -10, -20,
+        -10, 0, 0, 0, 0, 0, 0, -10,
+        -10, 0, 5, 10, 10, 5, 0, -10,
+        -10, 5, 5, 10, 10, 5, 5, -10,
+        -10, 0, 10, 10, 10, 10, 0, -10,
+        -10, 10, 10, 10, 10, 10, 10, -10,
+        -10, 5, 0, 0, 0, 0, 5, -10,
+        -20, -10, -10, -10, -10, -10, -10, -20
+    ],
+    r: [
+        0, 0, 0, 0, 0, 0, 0, 0,
+        5, 10, 10, 10, 10, 10, 10, 5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        -5, 0, 0, 0, 0, 0, 0, -5,
+        0, 0, 0, 5, 5, 0, 0, 0
+    ],
+    q: [
+        -20, -10, -10, -5, -5, -10, -10, -20,
+        -10, 0, 0, 0, 0, 0, 0, -10,
+        -10, 0, 5, 5, 5, 5, 0, -10,
+        -5, 0, 5, 5, 5, 5, 0, -5,
+        0, 0, 5, 5, 5, 5, 0, -5,
+        -10, 5, 5, 5, 5, 5, 0, -10,
+        -10, 0, 5, 0, 0, 0, 0, -10,
+        -20, -10, -10, -5, -5, -10, -10, -20
+    ]
+}
+
+// König im Mittelspiel hinter den Bauern, im Endspiel ins Zentrum
+const KING_MIDDLEGAME_TABLE = [
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -20, -30, -30, -40, -40, -30, -30, -20,
+    -10, -20, -20, -20, -20, -20, -20, -10,
+    20, 20, 0, 0, 0, 0, 20, 20,
+    20, 30, 10, 0, 0, 10, 30, 20
+]
+
+const KING_ENDGAME_TABLE = [
+    -50, -40, -30, -20, -20, -30, -40, -50,
+    -30, -20, -10, 0, 0, -10, -20, -30,
+    -30, -10, 20, 30, 30, 20, -10, -30,
+    -30, -10, 30, 40, 40, 30, -10, -30,
+    -30, -10, 30, 40, 40, 30, -10, -30,
+    -30, -10, 20, 30, 30, 20, -10, -30,
+    -30, -30, 0, 0, 0, 0, -30, -30,
+    -50, -30, -30, -30, -30, -30, -30, -50
+]
+
+// Endspiel, sobald auf dem Brett höchstens zwei Türme und zwei Leichtfiguren (ohne Bauern) stehen
+const ENDGAME_MATERIAL = 2 * (PIECE_VALUES.r + PIECE_VALUES.b) * 100
+
+const BOARD_SQUARES = Array.from({ length: 64 }, (_, index) => (index >> 3) * 16 + (index & 7))
+
+// Je Figurencode: Materialwert in Centipawns und Feldwerte (Material + Tabelle, aus Sicht von Weiß)
+const PIECE_WORTH = new Int16Array(16)
+const IS_PAWN = new Uint8Array(16)
+const SQUARE_SCORES = []
+const KING_MIDDLEGAME_SCORES = []
+const KING_ENDGAME_SCORES = []
+
+for (let code = 1; code < 16; code++) {
+    const symbol = moveGenerator.toPieceSymbol(code)
+    if (!symbol) continue
+
+    const type = symbol.toLowerCase()
+    const isWhite = symbol !== type
+    const sign = isWhite ? 1 : -1
+
+    const toSquareScores = (table, worth) => {
+        const scores = new Int16Array(128)
+        BOARD_SQUARES.forEach(square => {
+            const rankIndex = isWhite ? square >> 4 : 7 - (square >> 4)
+            scores[square] = sign * (worth + table[rankIndex * 8 + (square & 7)])
+        })
+        return scores
+    }
+
+    PIECE_WORTH[code] = PIECE_VALUES[symbol] * 100
+    IS_PAWN[code] = type === 'p' ? 1 : 0
+
+    if (type === 'k') {
+        KING_MIDDLEGAME_SCORES[code] = toSquareScores(KING_MIDDLEGAME_TABLE, 0)
+        KING_ENDGAME_SCORES[code] = toSquareScores(KING_ENDGAME_TABLE, 0)
+    } else {
+        SQUARE_SCORES[code] = toSquareScores(PIECE_SQUARE_TABLES[type], PIECE_WORTH[code])
+    }
+}
+
+/**
+ * Statische Bewertung aus Sicht der Seite am Zug
+ * @param {object} position - 0x88-Stellung
+ * @returns {number} Centipawns
+ */
+export const evaluatePosition = (position) => {
+    const { squares, kings } = position
+    let score = 0
+    let pieceMaterial = 0
+
+    for (const square of BOARD_SQUARES) {
+        const code = squares[square]
+        if (!code || !SQUARE_SCORES[code]) continue
+
+        score += SQUARE_SCORES[code][square]
+        if (!IS_PAWN[code]) {
+            pieceMaterial += PIECE_WORTH[code]
+        }
+    }
+
+    const kingScores = pieceMaterial <= ENDGAME_MATERIAL ? KING_ENDGAME_SCORES : KING_MIDDLEGAME_SCORES
+    for (const square of kings) {
+        if (square >= 0) {
+            score += kingScores[squares[square]][square]
+        }
+    }
+
+    return position.side === moveGenerator.WHITE ? score : -score
+}
+
+// ===== ZÜGE =====
+
+/**
+ * Zug in UCI-Notation (Rochade wie vom Generator: in Chess960 König auf Turm)
+ * @param {object} move - Zug im 0x88-Format
+ * @param {number} promotion - Figurencode der Umwandlungsfigur oder 0
+ * @returns {string} z.B. 'e7e8q'
+ */
+export const toUciMove = (move, promotion = 0) => {
+    const suffix = promotion ? moveGenerator.toPieceSymbol(promotion).toLowerCase() : ''
+    return `${moveGenerator.toSquareName(move.from)}${moveGenerator.toSquareName(move.to)}${suffix}`
+}
+
+/**
+ * Suchzüge der Seite am Zug: pseudolegal, Umwandlungen je Figur aufgefächert
+ * @param {object} position
+ * @param {boolean} tacticalOnly - Nur Schlagzüge und Umwandlungen in die stärkste Figur (Ruhesuche)
+ * @returns {Array} [{ move, promotion, order }]
+ */
+const generateSearchMoves = (position, tacticalOnly = false) => {
+    const entries = []
+    let promotionCodes = null
+
+    for (const move of moveGenerator.generatePseudoLegalMoves(position)) {
+        if (!move.promotion) {
+            if (!tacticalOnly || move.captured) {
+                entries.push({ move, promotion: 0, order: 0 })
+            }
+            continue
+        }
+
+        promotionCodes ??= moveGenerator.getPromotionCodes(position)
+            .sort((a, b) => PIECE_WORTH[b] - PIECE_WORTH[a])
+
+        for (const promotion of tacticalOnly ? promotionCodes.slice(0, 1) : promotionCodes) {
+            entries.push({ move, promotion, order: 0 })
+        }
+    }
+
+    return entries
+}
+
+const isSameMove = (entry, stored) => {
+    return !!stored &&
+        entry.move.from === stored.from &&
+        entry.move.to === stored.to &&
+        entry.promotion === stored.promotion
+}
+
+/**
+ * Zugsortierung: Tabellenzug, Schlagzüge nach MVV-LVA, Umwandlungen, Killerzüge
+ * @param {Array} entries
+ * @param {object|null} tableMove - { from, to, promotion }
+ * @param {Array} killers - Ruhige Züge, die auf dieser Ebene einen Schnitt erzeugt haben
+ * @returns {Array} sortiert
+ */
+const orderMoves = (entries, tableMove, killers = []) => {
+    for (const entry of entries) {
+        const { move, promotion } = entry
+
+        if (isSameMove(entry, tableMove)) {
+            entry.order = 1000000
+        } else if (move.captured) {
+            entry.order = 100000 + PIECE_WORTH[move.captured] * 10 - (PIECE_WORTH[move.piece] || KING_ORDER_VALUE) + PIECE_WORTH[promotion]
+        } else if (promotion) {
+            entry.order = 90000 + PIECE_WORTH[promotion]
+        } else if (isSameMove(entry, killers[0])) {
+            entry.order = 80000
+        } else if (isSameMove(entry, killers[1])) {
+            entry.order = 70000
+        }
+    }
+
+    return entries.sort((a, b) => b.order - a.order)
+}
+
+// ===== TRANSPOSITIONSTABELLE =====
+
+/**
+ * Leere Transpositionstabelle (bleibt zwischen den Zügen einer Partie bestehen)
+ * @returns {Map}
+ */
+export const createTranspositionTable = () => new Map()
+
+// Mattbewertungen relativ zur Stellung speichern, damit sie in jeder Tiefe stimmen
+const toTableScore = (score, ply) => {
+    if (score > MATE_THRESHOLD) return score + ply
+    if (score < -MATE_THRESHOLD) return score - ply
+    return score
+}
+
+const fromTableScore = (score, ply) => {
+    if (score > MATE_THRESHOLD) return score - ply
+    if (score < -MATE_THRESHOLD) return score + ply
+    return score
+}
+
+const probeTable = (state, position) => {
+    const entry = state.table.get(position.hashLo)
+    return entry && entry.hashHi === position.hashHi ? entry : null
+}
+
+const storeTable = (state, position, depth, score, flag, bestEntry, ply) => {
+    if (state.table.size >= TT_MAX_ENTRIES) {
+        state.table.clear()
+    }
+
+    state.table.set(position.hashLo, {
+        hashHi: position.hashHi,
+        depth,
+        score: toTableScore(score, ply),
+        flag,
+        move: bestEntry ? { from: bestEntry.move.from, to: bestEntry.move.to, promotion: bestEntry.promotion } : null
+    })
+}
+
+// ===== SUCHE =====
+
+const isTimeUp = (state) => {
+    if (++state.nodes % TIME_CHECK_INTERVAL === 0 && state.canStop && Date.now() >= state.deadline) {
+        state.stopped = true
+    }
+    return state.stopped
+}
+
+/**
+ * Wiederholung einer Stellung auf dem Suchpfad (seit dem letzten irreversiblen Zug)
+ */
+const isRepetition = (state, position, ply) => {
+    const oldest = Math.max(0, ply - position.halfmoveClock)
+    for (let index = ply - 2; index >= oldest; index -= 2) {
+        if (state.pathLo[index] === position.hashLo && state.pathHi[index] === position.hashHi) {
+            return true
+        }
+    }
+    return false
+}
+
+/**
+ * Ruhesuche: nur Schlagzüge, bis die Stellung ruhig ist
+ */
+const quiesce = (state, position, alpha, beta, ply) => {
+    if (isTimeUp(state)) return 0
+
+    const standPat = evaluatePosition(position)
+    if (standPat >= beta || ply >= MAX_DEPTH) return standPat
+    if (standPat > alpha) alpha = standPat
+
+    const side = position.side
+
+    for (const entry of orderMoves(generateSearchMoves(position, true), null)) {
+        const undo = moveGenerator.makeMove(position, entry.move, entry.promotion)
+        if (moveGenerator.isInCheck(position, side)) {
+            moveGenerator.unmakeMove(position, entry.move, undo)
+            continue
+        }
+
+        const score = -quiesce(state, position, -beta, -alpha, ply + 1)
+        moveGenerator.unmakeMove(position, entry.move, undo)
+
+        if (state.stopped) return 0
+        if (score >= beta) return score
+        if (score > alpha) alpha = score
+    }
+
+    return alpha
+}
+
+/**
+ * Alpha-Beta (Negamax mit Principal Variation Search)
+ * @returns {number} Bewertung aus Sicht der Seite am Zug
+ */
+const alphaBeta = (state, position, depth, alpha, beta, ply) => {
+    if (isTimeUp(state)) return 0
+
+    if (position.halfmoveClock >= 100 || isRepetition(state, position, ply)) return 0
+    state.pathLo[ply] = position.hashLo
+    state.pathHi[ply] = position.hashHi
+
+    const side = position.side
+    const inCheck = moveGenerator.isInCheck(position, side)
+
+    // Schachgebote verlängern, damit Mattfolgen nicht am Horizont verschwinden
+    if (inCheck) depth++
+
+    if (depth <= 0 || ply >= MAX_DEPTH) {
+        return state.quiescence ? quiesce(state, position, alpha, beta, ply) : evaluatePosition(position)
+    }
+
+    const tableEntry = probeTable(state, position)
+    if (tableEntry && tableEntry.depth >= depth) {
+        const score = fromTableScore(tableEntry.score, ply)
+        if (tableEntry.flag === TT_FLAGS.EXACT ||
+            (tableEntry.flag === TT_FLAGS.LOWER && score >= beta) ||
+            (tableEntry.flag === TT_FLAGS.UPPER && score <= alpha)) {
+            return score
+        }
+    }
+
+    const killers = state.killers[ply] ??= []
+    const moves = orderMoves(generateSearchMoves(position), tableEntry?.move, killers)
+    const originalAlpha = alpha
+    let bestScore = -INFINITE_SCORE
+    let bestEntry = null
+    let legalMoves = 0
+
+    for (const entry of moves) {
+        const undo = moveGenerator.makeMove(position, entry.move, entry.promotion)
+        if (moveGenerator.isInCheck(position, side)) {
+            moveGenerator.unmakeMove(position, entry.move, undo)
+            continue
+        }
+
+        legalMoves++
+
+        let score
+        if (legalMoves === 1) {
+            score = -alphaBeta(state, position, depth - 1, -beta, -alpha, ply + 1)
+        } else {
+            score = -alphaBeta(state, position, depth - 1, -alpha - 1, -alpha, ply + 1)
+            if (score > alpha && score < beta) {
+                score = -alphaBeta(state, position, depth - 1, -beta, -alpha, ply + 1)
+            }
+        }
+
+        moveGenerator.unmakeMove(position, entry.move, undo)
+        if (state.stopped) return 0
+
+        if (score > bestScore) {
+            bestScore = score
+            bestEntry = entry
+        }
+
+        if (score > alpha) {
+            alpha = score
+        }
+
+        if (alpha >= beta) {
+            if (!entry.move.captured && !entry.promotion && !isSameMove(entry, killers[0])) {
+                killers[1] = killers[0]
+                killers[0] = { from: entry.move.from, to: entry.move.to, promotion: 0 }
+            }
+            break
+        }
+    }
+
+    // Matt oder Patt
+    if (!legalMoves) {
+        return inCheck ? -MATE_SCORE + ply : 0
+    }
+
+    const flag = bestScore >= beta
+        ? TT_FLAGS.LOWER
+        : bestScore > originalAlpha ? TT_FLAGS.EXACT : TT_FLAGS.UPPER
+    storeTable(state, position, depth, bestScore, flag, bestEntry, ply)
+
+    return bestScore
+}
+
+/**
+ * Eine Iteration über alle Wurzelzüge, die Bewertung landet am Zug (entry.score)
+ * @param {boolean} exactScores - Jeden Zug mit vollem Fenster rechnen (für Zufallsaufschläge)
+ */
+const searchRoot = (state, position, rootMoves, depth, exactScores) => {
+    let alpha = -INFINITE_SCORE
+
+    for (let index = 0; index < rootMoves.length; index++) {
+        const entry = rootMoves[index]
+        const undo = moveGenerator.makeMove(position, entry.move, entry.promotion)
+
+        let score
+        if (index === 0 || exactScores) {
+            score = -alphaBeta(state, position, depth - 1, -INFINITE_SCORE, INFINITE_SCORE, 1)
+        } else {
+            score = -alphaBeta(state, position, depth - 1, -alpha - 1, -alpha, 1)
+            if (score > alpha) {
+                score = -alphaBeta(state, position, depth - 1, -INFINITE_SCORE, -alpha, 1)
+            }
+        }
+
+        moveGenerator.unmakeMove(position, entry.move, undo)
+        if (state.stopped) return
+
+        // Schwächere Züge tragen nur eine Schranke, für die Sortierung reicht das
+        entry.iterationScore = score
+        if (score > alpha) {
+            alpha = score
+        }
+    }
+
+    // Erst die vollständige Iteration ersetzt die Bewertungen der vorigen
+    rootMoves.forEach(entry => { entry.score = entry.iterationScore })
+}
+
+/**
+ * Hauptvariante aus der Transpositionstabelle
+ * @returns {Array} Züge in UCI-Notation
+ */
+const extractPrincipalVariation = (state, position, maxLength) => {
+    const line = []
+    const played = []
+
+    while (line.length < maxLength) {
+        const stored = probeTable(state, position)?.move
+        const entry = stored && generateSearchMoves(position).find(candidate => isSameMove(candidate, stored))
+        if (!entry) break
+
+        const undo = moveGenerator.makeMove(position, entry.move, entry.promotion)
+        played.push({ entry, undo })
+
+        if (moveGenerator.isInCheck(position, position.side ^ 1)) break
+        line.push(toUciMove(entry.move, entry.promotion))
+    }
+
+    for (let index = played.length - 1; index >= 0; index--) {
+        moveGenerator.unmakeMove(position, played[index].entry.move, played[index].undo)
+    }
+
+    return line
+}
+
+/**
+ * Mattbewertung in Zügen (UCI "score mate"), sonst null
+ * @param {number} score
+ * @returns {number|null} positiv = Seite am Zug setzt matt
+ */
+export const toMateInMoves = (score) => {
+    if (score > MATE_THRESHOLD) return Math.ceil((MATE_SCORE - score) / 2)
+    if (score < -MATE_THRESHOLD) return -Math.ceil((MATE_SCORE + score) / 2)
+    return null
+}
+
+/**
+ * Besten Zug suchen (iterative Vertiefung bis zur Stufentiefe oder zum Zeitlimit)
+ * @param {object} position - 0x88-Stellung, wird unverändert zurückgegeben
+ * @param {object} options
+ * @param {number} options.level - SEARCH_LEVELS-Stufe
+ * @param {number} options.timeLimit - Millisekunden (die erste Iteration läuft immer zu Ende)
+ * @param {number} options.maxDepth - Obergrenze zusätzlich zur Stufe
+ * @param {Map} options.table - Transpositionstabelle (sonst eine neue)
+ * @param {Function} options.onInfo - Je abgeschlossener Iteration: { depth, score, nodes, time, pv }
+ * @param {Function} options.random - Zufallsquelle 0..1 (Tests)
+ * @returns {object} { bestMove, score, depth, nodes, pv } – bestMove null ohne legale Züge
+ */
+export const searchBestMove = (position, options = {}) => {
+    const level = getSearchLevel(options.level ?? DEFAULT_SEARCH_LEVEL)
+    const random = options.random ?? Math.random
+    const maxDepth = Math.min(options.maxDepth ?? MAX_DEPTH, level.maxDepth)
+    const startTime = Date.now()
+
+    const state = {
+        table: options.table ?? createTranspositionTable(),
+        deadline: startTime + (options.timeLimit ?? 1000),
+        quiescence: level.quiescence,
+        killers: [],
+        pathLo: [],
+        pathHi: [],
+        nodes: 0,
+        canStop: false,
+        stopped: false
+    }
+
+    const side = position.side
+
+    // Ungültige Stellung: der König der Gegenseite könnte geschlagen werden
+    if (moveGenerator.isInCheck(position, side ^ 1)) {
+        return { bestMove: null, score: 0, depth: 0, nodes: 0, pv: [] }
+    }
+
+    const rootMoves = orderMoves(generateSearchMoves(position), probeTable(state, position)?.move)
+        .filter(entry => {
+            const undo = moveGenerator.makeMove(position, entry.move, entry.promotion)
+            const isLegal = !moveGenerator.isInCheck(position, side)
+            moveGenerator.unmakeMove(position, entry.move, undo)
+            return isLegal
+        })
+
+    if (!rootMoves.length) {
+        return {
+            bestMove: null,
+            score: moveGenerator.isInCheck(position, side) ? -MATE_SCORE : 0,
+            depth: 0,
+            nodes: 0,
+            pv: []
+        }
+    }
+
+    // Schwache Stufen ziehen ab und zu völlig zufällig
+    if (random() < level.randomMoveRate) {
+        const entry = rootMoves[Math.floor(random() * rootMoves.length)]
+        const bestMove = toUciMove(entry.move, entry.promotion)
+        return { bestMove, score: null, depth: 0, nodes: 0, pv: [bestMove] }
+    }
+
+    state.pathLo[0] = position.hashLo
+    state.pathHi[0] = position.hashHi
+
+    let completedDepth = 0
+
+    for (let depth = 1; depth <= maxDepth; depth++) {
+        state.canStop = depth > 1
+        searchRoot(state, position, rootMoves, depth, level.noise > 0)
+        if (state.stopped) break
+
+        // Stabil sortieren: bester Zug vorn, er eröffnet die nächste Iteration
+        rootMoves.sort((a, b) => b.score - a.score)
+        completedDepth = depth
+
+        const [best] = rootMoves
+        storeTable(state, position, depth, best.score, TT_FLAGS.EXACT, best, 0)
+
+        options.onInfo?.({
+            depth,
+            score: best.score,
+            nodes: state.nodes,
+            time: Date.now() - startTime,
+            pv: extractPrincipalVariation(state, position, depth)
+        })
+
+        if (Math.abs(best.score) > MATE_THRESHOLD || rootMoves.length === 1) break
+    }
+
+    // Zufallsaufschlag auf die exakt gerechneten Wurzelzüge
+    const chosen = level.noise > 0
+        ? rootMoves.reduce((best, entry) => {
+            const noisy = entry.score + (random() * 2 - 1) * level.noise
+            return noisy > best.noisy ? { entry, noisy } : best
+        }, { entry: rootMoves[0], noisy: -Infinity }).entry
+        : rootMoves[0]
+
+    const bestMove = toUciMove(chosen.move, chosen.promotion)
+    const pv = chosen === rootMoves[0] ? extractPrincipalVariation(state, position, completedDepth) : [bestMove]
+
+    return {
+        bestMove,
+        score: chosen.score ?? 0,
+        depth: completedDepth,
+        nodes: state.nodes,
+        pv: pv.length ? pv : [bestMove]
+    }
+}
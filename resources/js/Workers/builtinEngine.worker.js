@@ -0,0 +1,138 @@
+/**
+ * Eingebaute Engine im Web Worker
+ * Spricht die UCI-Teilmenge des engineStore (uci, isready, setoption, ucinewgame,
+ * position, go movetime/depth, stop) und rechnet mit der Alpha-Beta-Suche aus
+ * searchEngine.js auf Stellungen aus useChessLogic. Die Suche blockiert den Worker,
+ * ein 'stop' kommt daher erst nach dem 'bestmove' an und wird ignoriert.
+ */
+
+import { useChessLogic } from '@/Composables/useChessLogic.js'
+import { GAME_VARIANTS, INITIAL_FEN } from '@/Utils/chessConstants.js'
+import {
+    DEFAULT_SEARCH_LEVEL,
+    SEARCH_LEVELS,
+    createTranspositionTable,
+    getSearchLevel,
+    searchBestMove,
+    toMateInMoves
+} from '@/Utils/searchEngine.js'
+
+const ENGINE_NAME = 'J-Chess Engine'
+const DEFAULT_MOVE_TIME = 1000
+const INFINITE_MOVE_TIME = 10000 // 'go infinite' rechnet höchstens so lange
+
+const chessLogic = useChessLogic()
+
+const engine = {
+    level: DEFAULT_SEARCH_LEVEL,
+    variant: GAME_VARIANTS.STANDARD,
+    fen: INITIAL_FEN,
+    table: createTranspositionTable()
+}
+
+const send = (line) => self.postMessage(line)
+
+/**
+ * Bewertung im UCI-Format
+ * @param {number} score - Centipawns aus Sicht der Seite am Zug
+ * @returns {string} z.B. 'cp 35' oder 'mate -2'
+ */
+const formatScore = (score) => {
+    const mateIn = toMateInMoves(score)
+    return mateIn === null ? `cp ${score}` : `mate ${mateIn}`
+}
+
+/**
+ * 'setoption name <Name> value <Wert>'
+ * @param {string} line
+ */
+const handleSetOption = (line) => {
+    const match = /^setoption name (.+?)(?: value (.*))?$/.exec(line)
+    if (!match) return
+
+    const [, name, value = ''] = match
+
+    switch (name.toLowerCase()) {
+        case 'skill level':
+            engine.level = getSearchLevel(value).level
+            break
+        case 'uci_chess960':
+            engine.variant = value === 'true' ? GAME_VARIANTS.CHESS960 : GAME_VARIANTS.STANDARD
+            break
+    }
+}
+
+/**
+ * 'position fen <FEN>' bzw. 'position startpos' (Zuglisten werden nicht unterstützt)
+ * @param {string} line
+ */
+const handlePosition = (line) => {
+    if (line.startsWith('position startpos')) {
+        engine.fen = INITIAL_FEN
+        return
+    }
+
+    const match = /^position fen (.+?)(?: moves .*)?$/.exec(line)
+    if (match) {
+        engine.fen = match[1].trim()
+    }
+}
+
+/**
+ * 'go movetime <ms>' / 'go depth <n>' / 'go infinite': rechnen und 'bestmove' melden
+ * @param {string} line
+ */
+const handleGo = (line) => {
+    const tokens = line.split(/\s+/)
+    const valueOf = (name) => {
+        const index = tokens.indexOf(name)
+        return index === -1 ? null : parseInt(tokens[index + 1])
+    }
+
+    const position = chessLogic.createPositionFromFen(engine.fen, engine.variant)
+    if (!position) {
+        send('info string ungültige Stellung')
+        send('bestmove (none)')
+        return
+    }
+
+    const depth = valueOf('depth')
+    const timeLimit = tokens.includes('infinite')
+        ? INFINITE_MOVE_TIME
+        : valueOf('movetime') ?? (depth ? Infinity : DEFAULT_MOVE_TIME)
+
+    const result = searchBestMove(position, {
+        level: engine.level,
+        timeLimit,
+        maxDepth: depth ?? undefined,
+        table: engine.table,
+        onInfo: (info) => {
+            const nps = info.time ? Math.round((info.nodes * 1000) / info.time) : info.nodes
+            send(`info depth ${info.depth} score ${formatScore(info.score)} nodes ${info.nodes} nps ${nps} time ${info.time} pv ${info.pv.join(' ')}`)
+        }
+    })
+
+    send(`bestmove ${result.bestMove ?? '(none)'}`)
+}
+
+self.onmessage = (event) => {
+    const line = typeof event.data === 'string' ? event.data.trim() : ''
+
+    if (line === 'uci') {
+        send(`id name ${ENGINE_NAME}`)
+        send('id author J-Chess')
+        send(`option name Skill Level type spin default ${DEFAULT_SEARCH_LEVEL} min ${SEARCH_LEVELS[0].level} max ${SEARCH_LEVELS[SEARCH_LEVELS.length - 1].level}`)
+        send('option name UCI_Chess960 type check default false')
+        send('uciok')
+    } else if (line === 'isready') {
+        send('readyok')
+    } else if (line === 'ucinewgame') {
+        engine.table = createTranspositionTable()
+    } else if (line.startsWith('setoption ')) {
+        handleSetOption(line)
+    } else if (line.startsWith('position ')) {
+        handlePosition(line)
+    } else if (line.startsWith('go')) {
+        handleGo(line)
+    }
+}
@@ -1,6 +1,8 @@
 <?php
 
 use App\Http\Controllers\AuthController;
+use App\Http\Controllers\ChessEngineController;
+use App\Http\Controllers\GameController;
 use Illuminate\Support\Facades\Auth;
 use Illuminate\Support\Facades\Route;
 use Inertia\Inertia;
@@ -13,6 +15,10 @@
     return Inertia::render('Chess/Game');
 });
 
+// Engine registry and opening books (JSON)
+Route::get('/engines', [ChessEngineController::class, 'index'])->name('engines.index');
+Route::get('/engines/books', [ChessEngineController::class, 'books'])->name('engines.books');
+
 // Guest routes (only for unauthenticated users)
 Route::middleware('guest')->group(function () {
     Route::get('/register', [AuthController::class, 'showRegister'])->name('register');
@@ -33,9 +39,17 @@
 
     Route::get('/profile', [AuthController::class, 'profile'])->name('profile');
     Route::patch('/profile', [AuthController::class, 'updateProfile'])->name('profile.update');
-});
 
-// Verified email routes
-Route::middleware(['auth', 'verified'])->group(function () {
-    // Game routes will go here in Phase 2
+    Route::put('/engines/preference', [ChessEngineController::class, 'updatePreference'])->name('engines.preference.update');
+    Route::patch('/engines/{engine}/book', [ChessEngineController::class, 'updateBook'])->name('engines.book.update');
+
+    // Game archive (JSON)
+    Route::prefix('games')->name('games.')->group(function () {
+        Route::get('/', [GameController::class, 'index'])->name('index');
+        Route::post('/', [GameController::class, 'store'])->name('store');
+        Route::get('/active', [GameController::class, 'active'])->name('active');
+        Route::get('/{game}', [GameController::class, 'show'])->name('show');
+        Route::put('/{game}', [GameController::class, 'update'])->name('update');
+        Route::delete('/{game}', [GameController::class, 'destroy'])->name('destroy');
+    });
 });
@@ -0,0 +1,14 @@
+/**
+ * Node-Loader für den Vite-Alias "@" (resources/js)
+ * Damit laufen die Composables auch ohne Vite, z.B. in scripts/perft.mjs.
+ */
+
+const root = new URL('../resources/js/', import.meta.url)
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith('@/')) {
+        return nextResolve(new URL(specifier.slice(2), root).href, context)
+    }
+
+    return nextResolve(specifier, context)
+}
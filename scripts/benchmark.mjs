@@ -0,0 +1,123 @@
+/**
+ * Benchmark der Zuggenerierung und Stellungsschlüssel
+ *
+ *   npm run benchmark
+ *   npm run benchmark -- --seconds=5     Mindestdauer je Messung
+ *
+ * Misst Knoten pro Sekunde (Perft), Aufrufe von generateLegalMoves pro Sekunde
+ * und Stellungsschlüssel pro Sekunde.
+ */
+
+import { register } from 'node:module'
+
+register('./alias-loader.mjs', import.meta.url)
+
+const { useChessLogic } = await import('@/Composables/useChessLogic.js')
+const { useFenParser } = await import('@/Composables/useFenParser.js')
+const { PERFT_POSITIONS } = await import('@/Utils/perftPositions.js')
+const { cloneBoard, squareToIndices } = await import('@/Utils/chessUtils.js')
+const moveGenerator = await import('@/Utils/moveGenerator.js')
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, ...value] = arg.replace(/^--/, '').split('=')
+    return [key, value.join('=')]
+}))
+
+// Debug-Ausgaben der Composables unterdrücken
+console.log = () => {}
+const print = (...lines) => process.stdout.write(`${lines.join(' ')}\n`)
+
+const minDuration = (Number(args.seconds) || 2) * 1000
+const chessLogic = useChessLogic()
+const { parseFen, generateFen } = useFenParser()
+
+/**
+ * Aufgabe wiederholen, bis die Mindestdauer erreicht ist
+ * @param {Function} task - liefert die Anzahl bearbeiteter Einheiten
+ * @returns {number} Einheiten pro Sekunde
+ */
+const measure = (task) => {
+    let units = 0
+    const startTime = performance.now()
+
+    do {
+        units += task()
+    } while (performance.now() - startTime < minDuration)
+
+    return units / ((performance.now() - startTime) / 1000)
+}
+
+const format = (perSecond) => Math.round(perSecond).toLocaleString('de-DE').padStart(12)
+
+// Perft-Tiefe je Stellung so, dass eine Runde unter ~100.000 Knoten bleibt
+const perftPositions = PERFT_POSITIONS.map(position => ({
+    ...position,
+    depth: position.nodes.filter(nodes => nodes <= 100000).length
+}))
+
+print('Perft (Knoten/s)')
+perftPositions.forEach(({ name, fen, variant, depth }) => {
+    print(`  ${name.padEnd(16)} Tiefe ${depth} ${format(measure(() => chessLogic.perft(fen, depth, { variant })))}`)
+})
+
+const createGameState = (parsed, variant) => ({
+    currentPlayer: parsed.activeColor,
+    castlingRights: parsed.castlingRights,
+    enPassantSquare: parsed.enPassantSquare,
+    variant
+})
+
+print('\ngenerateLegalMoves (Aufrufe/s)')
+perftPositions.forEach(({ name, fen, variant }) => {
+    const parsed = parseFen(fen)
+    const gameState = createGameState(parsed, variant)
+
+    print(`  ${name.padEnd(24)} ${format(measure(() => {
+        chessLogic.generateLegalMoves(parsed.position, parsed.activeColor, gameState)
+        return 1
+    }))}`)
+})
+
+print('\nStellungsschlüssel (Schlüssel/s)')
+const fens = PERFT_POSITIONS.map(position => position.fen)
+print(`  createPositionKey (FEN)  ${format(measure(() => {
+    fens.forEach(fen => chessLogic.createPositionKey(fen))
+    return fens.length
+}))}`)
+
+// Schlüssel jeder Folgestellung: bisher Brettkopie + FEN ohne Zugzähler, jetzt Zobrist über Make/Unmake
+const successors = perftPositions.map(({ fen, variant }) => {
+    const parsed = parseFen(fen)
+    const gameState = createGameState(parsed, variant)
+    const position = moveGenerator.createPosition(parsed.position, gameState)
+
+    return {
+        parsed,
+        position,
+        boardMoves: chessLogic.generateLegalMoves(parsed.position, parsed.activeColor, gameState),
+        generatorMoves: moveGenerator.generateLegalMoves(position)
+    }
+})
+
+print(`  Folgestellung per FEN    ${format(measure(() => successors.reduce((count, { parsed, boardMoves }) => {
+    boardMoves.forEach(move => {
+        const from = squareToIndices(move.from)
+        const to = squareToIndices(move.to)
+        const board = cloneBoard(parsed.position)
+        board[to.rankIndex][to.fileIndex] = board[from.rankIndex][from.fileIndex]
+        board[from.rankIndex][from.fileIndex] = null
+
+        const nextPlayer = parsed.activeColor === 'white' ? 'black' : 'white'
+        generateFen(board, nextPlayer, parsed.castlingRights, null, 0, 1).split(' ').slice(0, 4).join(' ')
+    })
+    return count + boardMoves.length
+}, 0)))}`)
+
+print(`  Folgestellung Zobrist    ${format(measure(() => successors.reduce((count, { position, generatorMoves }) => {
+    generatorMoves.forEach(move => {
+        const undo = moveGenerator.makeMove(position, move)
+        moveGenerator.getPositionKey(position)
+        moveGenerator.unmakeMove(position, move, undo)
+    })
+    return count + generatorMoves.length
+}, 0)))}`)
@@ -0,0 +1,203 @@
+/**
+ * Eröffnungsbuch im Polyglot-Format erzeugen
+ *
+ *   npm run book                              public/books/j-chess.bin aus OPENING_LINES bauen
+ *   npm run book -- --out=public/books/x.bin  anderer Zielpfad
+ *
+ * Prüft vorher computePolyglotKey gegen die Referenzschlüssel des Polyglot-Formats
+ * und bricht mit Exit-Code 1 ab, wenn ein Schlüssel oder ein Zug einer Linie nicht stimmt.
+ */
+
+import { mkdirSync, writeFileSync } from 'node:fs'
+import { dirname } from 'node:path'
+import { register } from 'node:module'
+
+register('./alias-loader.mjs', import.meta.url)
+
+const { useChessLogic } = await import('@/Composables/useChessLogic.js')
+const { useFenParser } = await import('@/Composables/useFenParser.js')
+const { CASTLING_RIGHTS, INITIAL_FEN, PLAYER_COLORS } = await import('@/Utils/chessConstants.js')
+const { POLYGLOT_ENTRY_SIZE, computePolyglotKey } = await import('@/Utils/polyglot.js')
+const moveGenerator = await import('@/Utils/moveGenerator.js')
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, ...value] = arg.replace(/^--/, '').split('=')
+    return [key, value.join('=')]
+}))
+
+// Debug-Ausgaben der Composables unterdrücken
+console.log = () => {}
+const print = (...lines) => process.stdout.write(`${lines.join(' ')}\n`)
+
+const outputPath = args.out || 'public/books/j-chess.bin'
+
+// Referenzschlüssel aus der Polyglot-Spezifikation
+const REFERENCE_KEYS = [
+    ['rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', '463b96181691fc9c'],
+    ['rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1', '823c9b50fd114196'],
+    ['rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR w KQkq d6 0 2', '0756b94461c50fb0'],
+    ['rnbqkbnr/ppp1pppp/8/3pP3/8/8/PPPP1PPP/RNBQKBNR b KQkq - 0 2', '662fafb965db29d4'],
+    ['rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPP1PPP/RNBQKBNR w KQkq f6 0 3', '22a48b5a8e47ff78'],
+    ['rnbqkbnr/ppp1p1pp/8/3pPp2/8/8/PPPPKPPP/RNBQ1BNR b kq - 0 3', '652a607ca3f242c1'],
+    ['rnbq1bnr/ppp1pkpp/8/3pPp2/8/8/PPPPKPPP/RNBQ1BNR w - - 0 4', '00fdd303c946bdd9'],
+    ['rnbqkbnr/p1pppppp/8/8/PpP4P/8/1P1PPPP1/RNBQKBNR b KQkq c3 0 3', '3c8123ea7b067637'],
+    ['rnbqkbnr/p1pppppp/8/8/P6P/R1p5/1P1PPPP1/1NBQKBNR b Kkq - 0 4', '5c3f9b829b279560']
+]
+
+// Eröffnungslinien in UCI-Notation mit Gewicht (höher = häufiger gespielt)
+const OPENING_LINES = [
+    // 1.e4 e5
+    [8, 'e2e4 e7e5 g1f3 b8c6 f1b5 a7a6 b5a4 g8f6 e1g1 f8e7 f1e1 b7b5 a4b3 d7d6 c2c3 e8g8'],
+    [4, 'e2e4 e7e5 g1f3 b8c6 f1b5 g8f6 e1g1 f6e4 d2d4 e4d6 b5c6 d7c6 d4e5 d6f5'],
+    [5, 'e2e4 e7e5 g1f3 b8c6 f1c4 f8c5 c2c3 g8f6 d2d3 d7d6 e1g1 e8g8'],
+    [3, 'e2e4 e7e5 g1f3 b8c6 f1c4 g8f6 d2d3 f8e7 e1g1 e8g8 f1e1 d7d6'],
+    [3, 'e2e4 e7e5 g1f3 b8c6 d2d4 e5d4 f3d4 g8f6 d4c6 b7c6 e4e5 d8e7'],
+    [2, 'e2e4 e7e5 g1f3 g8f6 f3e5 d7d6 e5f3 f6e4 d2d4 d6d5 f1d3 b8c6'],
+    [1, 'e2e4 e7e5 b1c3 g8f6 f2f4 d7d5 f4e5 f6e4 g1f3 f8e7'],
+    // Sizilianisch
+    [6, 'e2e4 c7c5 g1f3 d7d6 d2d4 c5d4 f3d4 g8f6 b1c3 a7a6 c1e3 e7e5 d4b3 c8e6'],
+    [3, 'e2e4 c7c5 g1f3 d7d6 d2d4 c5d4 f3d4 g8f6 b1c3 g7g6 c1e3 f8g7 f2f3 e8g8'],
+    [4, 'e2e4 c7c5 g1f3 b8c6 d2d4 c5d4 f3d4 g8f6 b1c3 e7e5 d4b5 d7d6 c1g5 a7a6'],
+    [3, 'e2e4 c7c5 g1f3 e7e6 d2d4 c5d4 f3d4 b8c6 b1c3 d8c7 c1e3 a7a6'],
+    [2, 'e2e4 c7c5 g1f3 b8c6 f1b5 g7g6 e1g1 f8g7 f1e1 e7e5'],
+    [2, 'e2e4 c7c5 c2c3 g8f6 e4e5 f6d5 d2d4 c5d4 g1f3 b8c6'],
+    // Französisch und Caro-Kann
+    [4, 'e2e4 e7e6 d2d4 d7d5 b1c3 g8f6 c1g5 f8e7 e4e5 f6d7 g5e7 d8e7'],
+    [3, 'e2e4 e7e6 d2d4 d7d5 b1c3 f8b4 e4e5 c7c5 a2a3 b4c3 b2c3 g8e7'],
+    [2, 'e2e4 e7e6 d2d4 d7d5 e4e5 c7c5 c2c3 b8c6 g1f3 d8b6'],
+    [4, 'e2e4 c7c6 d2d4 d7d5 b1c3 d5e4 c3e4 c8f5 e4g3 f5g6 h2h4 h7h6'],
+    [3, 'e2e4 c7c6 d2d4 d7d5 e4e5 c8f5 g1f3 e7e6 f1e2 c6c5'],
+    // Weitere Antworten auf 1.e4
+    [2, 'e2e4 d7d5 e4d5 d8d5 b1c3 d5a5 d2d4 g8f6 g1f3 c8f5'],
+    [1, 'e2e4 g7g6 d2d4 f8g7 b1c3 d7d6 f2f4 g8f6 g1f3 e8g8'],
+    [1, 'e2e4 g8f6 e4e5 f6d5 d2d4 d7d6 g1f3 c8g4 f1e2 e7e6'],
+    // 1.d4 d5
+    [6, 'd2d4 d7d5 c2c4 e7e6 b1c3 g8f6 c1g5 f8e7 e2e3 e8g8 g1f3 h7h6 g5h4 b7b6'],
+    [4, 'd2d4 d7d5 c2c4 c7c6 g1f3 g8f6 b1c3 d5c4 a2a4 c8f5 e2e3 e7e6'],
+    [3, 'd2d4 d7d5 c2c4 d5c4 g1f3 g8f6 e2e3 e7e6 f1c4 c7c5 e1g1 a7a6'],
+    [2, 'd2d4 d7d5 g1f3 g8f6 c1f4 e7e6 e2e3 c7c5 c2c3 b8c6'],
+    // Indische Verteidigungen
+    [5, 'd2d4 g8f6 c2c4 e7e6 b1c3 f8b4 e2e3 e8g8 f1d3 d7d5 g1f3 c7c5 e1g1'],
+    [4, 'd2d4 g8f6 c2c4 g7g6 b1c3 f8g7 e2e4 d7d6 g1f3 e8g8 f1e2 e7e5 e1g1 b8c6'],
+    [3, 'd2d4 g8f6 c2c4 e7e6 g1f3 b7b6 g2g3 c8a6 b2b3 f8b4 c1d2 b4e7'],
+    [3, 'd2d4 g8f6 c2c4 g7g6 b1c3 d7d5 c4d5 f6d5 e2e4 d5c3 b2c3 f8g7'],
+    [2, 'd2d4 g8f6 c2c4 c7c5 d4d5 e7e6 b1c3 e6d5 c4d5 d7d6 e2e4 g7g6'],
+    [1, 'd2d4 f7f5 g2g3 g8f6 f1g2 g7g6 g1f3 f8g7 e1g1 e8g8'],
+    // Flankeneröffnungen
+    [3, 'c2c4 e7e5 b1c3 g8f6 g1f3 b8c6 g2g3 d7d5 c4d5 f6d5 f1g2 d5b6'],
+    [2, 'c2c4 g8f6 b1c3 e7e6 e2e4 d7d5 e4e5 d5d4'],
+    [2, 'c2c4 c7c5 g1f3 b8c6 b1c3 g7g6 g2g3 f8g7 f1g2 e7e6'],
+    [3, 'g1f3 d7d5 g2g3 g8f6 f1g2 e7e6 e1g1 f8e7 d2d3 e8g8'],
+    [2, 'g1f3 g8f6 c2c4 g7g6 b1c3 f8g7 e2e4 d7d6 d2d4 e8g8']
+]
+
+const chessLogic = useChessLogic()
+const { generateFen } = useFenParser()
+const CASTLING_ORDER = Object.keys(CASTLING_RIGHTS)
+
+/**
+ * FEN einer 0x88-Stellung
+ * @param {object} position
+ * @returns {string}
+ */
+const toFen = (position) => {
+    const board = Array.from({ length: 8 }, (_, rankIndex) =>
+        Array.from({ length: 8 }, (_, fileIndex) =>
+            moveGenerator.toPieceSymbol(position.squares[rankIndex * 16 + fileIndex]) ?? null
+        )
+    )
+    const castlingRights = Object.fromEntries(CASTLING_ORDER.map((right, bit) => [right, Boolean(position.castling & (1 << bit))]))
+    const activeColor = position.side === moveGenerator.WHITE ? PLAYER_COLORS.WHITE : PLAYER_COLORS.BLACK
+    const enPassantSquare = position.epSquare < 0 ? null : moveGenerator.toSquareName(position.epSquare)
+
+    return generateFen(board, activeColor, castlingRights, enPassantSquare)
+}
+
+/**
+ * UCI-Zug im Polyglot-Format (Rochade als König schlägt Turm)
+ * @param {object} move - Zug aus generateLegalMoves
+ * @param {string} uci
+ * @returns {number}
+ */
+const encodeMove = (move, uci) => {
+    const to = move.type === 'castle' ? move.rookFrom : move.to
+    const coordinates = (square) => [square & 7, 7 - (square >> 4)]
+    const [toFile, toRow] = coordinates(to)
+    const [fromFile, fromRow] = coordinates(move.from)
+    const promotion = ['', 'n', 'b', 'r', 'q'].indexOf(uci[4] || '')
+
+    return toFile | (toRow << 3) | (fromFile << 6) | (fromRow << 9) | (promotion << 12)
+}
+
+const checkReferenceKeys = () => {
+    const failures = REFERENCE_KEYS.filter(([fen, expected]) =>
+        computePolyglotKey(fen).toString(16).padStart(16, '0') !== expected
+    )
+
+    failures.forEach(([fen]) => print('✗ Schlüssel weicht ab:', fen))
+    return failures.length === 0
+}
+
+/**
+ * Linien abspielen und Gewichte je (Stellung, Zug) aufsummieren
+ * @returns {Map|null} "key:move" -> { key, move, weight }, null bei ungültigem Zug
+ */
+const collectEntries = () => {
+    const entries = new Map()
+
+    for (const [weight, line] of OPENING_LINES) {
+        const position = chessLogic.createPositionFromFen(INITIAL_FEN)
+
+        for (const uci of line.split(' ')) {
+            const move = moveGenerator.generateLegalMoves(position).find(candidate =>
+                moveGenerator.toSquareName(candidate.from) === uci.slice(0, 2) &&
+                moveGenerator.toSquareName(candidate.type === 'castle' ? candidate.kingTo : candidate.to) === uci.slice(2, 4)
+            )
+            if (!move) {
+                print('✗ Ungültiger Zug', uci, 'in', line)
+                return null
+            }
+
+            const key = computePolyglotKey(toFen(position))
+            const raw = encodeMove(move, uci)
+            const entry = entries.get(`${key}:${raw}`) ?? { key, move: raw, weight: 0 }
+            entry.weight += weight
+            entries.set(`${key}:${raw}`, entry)
+
+            const promotionCode = uci[4]
+                ? moveGenerator.getPromotionCodes(position).find(code => moveGenerator.toPieceSymbol(code).toLowerCase() === uci[4])
+                : 0
+            moveGenerator.makeMove(position, move, promotionCode)
+        }
+    }
+
+    return entries
+}
+
+const writeBook = (entries) => {
+    const sorted = [...entries.values()].sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : b.weight - a.weight))
+    const view = new DataView(new ArrayBuffer(sorted.length * POLYGLOT_ENTRY_SIZE))
+
+    sorted.forEach((entry, index) => {
+        const offset = index * POLYGLOT_ENTRY_SIZE
+        view.setBigUint64(offset, entry.key)
+        view.setUint16(offset + 8, entry.move)
+        view.setUint16(offset + 10, Math.min(entry.weight, 0xffff))
+        view.setUint32(offset + 12, 0)
+    })
+
+    mkdirSync(dirname(outputPath), { recursive: true })
+    writeFileSync(outputPath, new Uint8Array(view.buffer))
+    print(`${outputPath}: ${sorted.length} Einträge, ${new Set(sorted.map(entry => entry.key)).size} Stellungen`)
+}
+
+if (!checkReferenceKeys()) {
+    process.exit(1)
+}
+
+const entries = collectEntries()
+if (!entries) {
+    process.exit(1)
+}
+
+writeBook(entries)
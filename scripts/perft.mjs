@@ -0,0 +1,69 @@
+/**
+ * Perft-Suite für useChessLogic.generateLegalMoves
+ *
+ *   npm run perft                          alle Referenzstellungen bis 100.000 Knoten je Tiefe
+ *   npm run perft -- --max-nodes=5000000   tiefer rechnen
+ *   npm run perft -- --fen="<FEN>" --depth=3 [--variant=chess960]
+ *                                          Divide einer Stellung (Knoten je Zug)
+ *
+ * Beendet sich mit Exit-Code 1, wenn eine Knotenzahl abweicht.
+ */
+
+import { register } from 'node:module'
+
+register('./alias-loader.mjs', import.meta.url)
+
+const { useChessLogic } = await import('@/Composables/useChessLogic.js')
+const { PERFT_POSITIONS } = await import('@/Utils/perftPositions.js')
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, ...value] = arg.replace(/^--/, '').split('=')
+    return [key, value.join('=')]
+}))
+
+// Debug-Ausgaben der Composables unterdrücken
+console.log = () => {}
+const print = (...lines) => process.stdout.write(`${lines.join(' ')}\n`)
+
+const { perft, divide } = useChessLogic()
+
+const runDivide = () => {
+    const depth = Number(args.depth) || 1
+    const result = divide(args.fen, depth, { variant: args.variant })
+    if (!result) {
+        print('Ungültige FEN:', args.fen)
+        return false
+    }
+
+    result.moves.forEach(({ move, nodes }) => print(`${move}: ${nodes}`))
+    print(`\nZüge: ${result.moves.length}`, `Knoten: ${result.nodes}`)
+    return true
+}
+
+const runSuite = () => {
+    const maxNodes = Number(args['max-nodes']) || 100000
+    let failures = 0
+
+    PERFT_POSITIONS.forEach(({ name, fen, variant, nodes }) => {
+        print(`\n${name}  ${fen}`)
+
+        nodes.forEach((expected, index) => {
+            if (expected > maxNodes) return
+
+            const depth = index + 1
+            const startTime = performance.now()
+            const actual = perft(fen, depth, { variant })
+            const duration = Math.round(performance.now() - startTime)
+            const isCorrect = actual === expected
+
+            if (!isCorrect) failures++
+            print(`  ${isCorrect ? '✓' : '✗'} Tiefe ${depth}: ${actual} (erwartet ${expected}) ${duration} ms`)
+        })
+    })
+
+    print(failures === 0 ? '\nAlle Knotenzahlen stimmen.' : `\n${failures} Knotenzahl(en) weichen ab.`)
+    return failures === 0
+}
+
+const success = args.fen ? runDivide() : runSuite()
+process.exit(success ? 0 : 1)
@@ -0,0 +1,121 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\ChessEngine;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ChessEngineControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private function createEngine(array $attributes = []): ChessEngine
+    {
+        return ChessEngine::create([
+            'name' => 'Stockfish',
+            'path' => 'stockfish',
+            'version' => '16',
+            'settings' => ['opening_book' => 'j-chess.bin'],
+            'is_active' => true,
+            'is_default' => true,
+            'skill_level_min' => 0,
+            'skill_level_max' => 20,
+            'default_skill_level' => 10,
+            ...$attributes,
+        ]);
+    }
+
+    private function createEngineAdmin(): User
+    {
+        $admin = User::factory()->create();
+        config(['app.engine_admins' => [$admin->email]]);
+
+        return $admin;
+    }
+
+    public function test_guests_cannot_select_an_opening_book(): void
+    {
+        $engine = $this->createEngine();
+
+        $this->patchJson("/engines/{$engine->id}/book", ['opening_book' => null])
+            ->assertUnauthorized();
+
+        $this->assertSame('j-chess.bin', $engine->fresh()->openingBook());
+    }
+
+    public function test_players_cannot_change_the_shared_opening_book(): void
+    {
+        $engine = $this->createEngine();
+        $this->createEngineAdmin();
+        $user = User::factory()->create();
+
+        $this->actingAs($user)
+            ->patchJson("/engines/{$engine->id}/book", ['opening_book' => null])
+            ->assertForbidden();
+
+        $this->assertSame('j-chess.bin', $engine->fresh()->openingBook());
+    }
+
+    public function test_engine_admins_select_the_opening_book_in_the_engine_settings(): void
+    {
+        $engine = $this->createEngine(['settings' => ['opening_book' => 'j-chess.bin', 'threads' => 2]]);
+        $admin = $this->createEngineAdmin();
+
+        $this->actingAs($admin)
+            ->patchJson("/engines/{$engine->id}/book", ['opening_book' => null])
+            ->assertOk()
+            ->assertJsonPath('engine.opening_book', null);
+
+        $this->assertSame(['opening_book' => null, 'threads' => 2], $engine->fresh()->settings);
+    }
+
+    public function test_unknown_books_are_rejected(): void
+    {
+        $engine = $this->createEngine();
+        $admin = $this->createEngineAdmin();
+
+        $this->actingAs($admin)
+            ->patchJson("/engines/{$engine->id}/book", ['opening_book' => '../../.env'])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('opening_book');
+
+        $this->assertSame('j-chess.bin', $engine->fresh()->openingBook());
+    }
+
+    public function test_books_tells_whether_the_selection_can_be_saved(): void
+    {
+        $this->createEngine();
+        $admin = $this->createEngineAdmin();
+        $user = User::factory()->create();
+
+        $this->getJson('/engines/books')
+            ->assertOk()
+            ->assertJsonPath('can_save_books', false)
+            ->assertJsonPath('engines.0.opening_book', 'j-chess.bin');
+
+        $this->actingAs($user)
+            ->getJson('/engines/books')
+            ->assertJsonPath('can_save_books', false);
+
+        $this->actingAs($admin)
+            ->getJson('/engines/books')
+            ->assertOk()
+            ->assertJsonPath('can_save_books', true)
+            ->assertJsonPath('books', ['j-chess.bin']);
+    }
+
+    public function test_preference_is_clamped_to_the_engine_range(): void
+    {
+        $engine = $this->createEngine();
+        $user = User::factory()->create();
+
+        $this->actingAs($user)
+            ->putJson('/engines/preference', ['engine_id' => $engine->id, 'skill_level' => 99])
+            ->assertOk()
+            ->assertJsonPath('preference.skill_level', 20);
+
+        $this->assertSame($engine->id, $user->fresh()->preferred_engine_id);
+    }
+}
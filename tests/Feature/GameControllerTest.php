@@ -0,0 +1,150 @@
+<?php
+
+namespace Tests\Feature;
+
+use App\Models\Game;
+use App\Models\User;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class GameControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+    /**
+     * Payload as sent by gameStore.serializeGame()
+     */
+    private function gamePayload(array $overrides = []): array
+    {
+        return [
+            'client_id' => 'game_1',
+            'white_name' => 'Weiß',
+            'black_name' => 'Schwarz',
+            'mode' => 'local-pvp',
+            'variant' => 'standard',
+            'initial_fen' => self::START_FEN,
+            'current_fen' => 'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2',
+            'status' => 'ACTIVE',
+            'result' => '*',
+            'pgn' => '1. e4 e5 *',
+            'moves' => [
+                ['san' => 'e4', 'from' => 'e2', 'to' => 'e4', 'fen_after' => 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1'],
+                ['san' => 'e5', 'from' => 'e7', 'to' => 'e5', 'fen_after' => 'rnbqkbnr/pppp1ppp/8/4p3/4P3/8/PPPP1PPP/RNBQKBNR w KQkq e6 0 2'],
+            ],
+            ...$overrides,
+        ];
+    }
+
+    public function test_guests_cannot_save_games(): void
+    {
+        $this->postJson('/games', $this->gamePayload())->assertUnauthorized();
+
+        $this->assertDatabaseCount('games', 0);
+    }
+
+    public function test_unverified_users_can_save_games(): void
+    {
+        $user = User::factory()->unverified()->create();
+
+        $this->actingAs($user)
+            ->postJson('/games', $this->gamePayload())
+            ->assertCreated()
+            ->assertJsonPath('game.move_count', 2)
+            ->assertJsonPath('game.moves.1.san', 'e5');
+    }
+
+    public function test_store_validates_the_payload(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)
+            ->postJson('/games', $this->gamePayload([
+                'mode' => 'blitz',
+                'result' => '2-0',
+                'moves' => [['san' => 'e4', 'from' => 'e22', 'to' => 'e4']],
+            ]))
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['mode', 'result', 'moves.0.from', 'moves.0.fen_after']);
+    }
+
+    public function test_repeated_store_updates_the_same_client_game(): void
+    {
+        $user = User::factory()->create();
+
+        $this->actingAs($user)->postJson('/games', $this->gamePayload())->assertCreated();
+        $this->actingAs($user)->postJson('/games', $this->gamePayload())->assertOk();
+
+        $this->assertDatabaseCount('games', 1);
+        $this->assertDatabaseCount('moves', 2);
+    }
+
+    public function test_update_replaces_all_moves(): void
+    {
+        $user = User::factory()->create();
+        $gameId = $this->actingAs($user)->postJson('/games', $this->gamePayload())->json('game.id');
+
+        $payload = $this->gamePayload([
+            'current_fen' => 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1',
+            'moves' => [
+                ['san' => 'e4', 'from' => 'e2', 'to' => 'e4', 'fen_after' => 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1'],
+            ],
+        ]);
+
+        $this->actingAs($user)
+            ->putJson("/games/{$gameId}", $payload)
+            ->assertOk()
+            ->assertJsonPath('game.move_count', 1)
+            ->assertJsonCount(1, 'game.moves');
+
+        $this->assertDatabaseCount('moves', 1);
+        $this->assertDatabaseHas('moves', ['game_id' => $gameId, 'ply' => 1, 'san' => 'e4']);
+    }
+
+    public function test_finished_games_keep_their_finish_time(): void
+    {
+        $user = User::factory()->create();
+        $payload = $this->gamePayload(['status' => 'CHECKMATE', 'result' => '0-1']);
+
+        $gameId = $this->actingAs($user)->postJson('/games', $payload)->json('game.id');
+        $finishedAt = Game::find($gameId)->finished_at;
+
+        $this->travel(5)->minutes();
+        $this->actingAs($user)->putJson("/games/{$gameId}", $payload)->assertOk();
+
+        $this->assertNotNull($finishedAt);
+        $this->assertTrue($finishedAt->equalTo(Game::find($gameId)->finished_at));
+    }
+
+    public function test_only_the_owner_can_access_a_game(): void
+    {
+        $owner = User::factory()->create();
+        $otherUser = User::factory()->create();
+        $gameId = $this->actingAs($owner)->postJson('/games', $this->gamePayload())->json('game.id');
+
+        $this->actingAs($otherUser)->getJson("/games/{$gameId}")->assertForbidden();
+        $this->actingAs($otherUser)->putJson("/games/{$gameId}", $this->gamePayload())->assertForbidden();
+        $this->actingAs($otherUser)->deleteJson("/games/{$gameId}")->assertForbidden();
+
+        $this->assertDatabaseHas('games', ['id' => $gameId]);
+        $this->assertDatabaseCount('moves', 2);
+    }
+
+    public function test_active_returns_the_latest_unfinished_game(): void
+    {
+        $user = User::factory()->create();
+        $this->actingAs($user)->postJson('/games', $this->gamePayload([
+            'client_id' => 'game_finished',
+            'status' => 'CHECKMATE',
+            'result' => '1-0',
+        ]));
+        $activeId = $this->actingAs($user)->postJson('/games', $this->gamePayload())->json('game.id');
+
+        $this->actingAs($user)
+            ->getJson('/games/active')
+            ->assertOk()
+            ->assertJsonPath('game.id', $activeId)
+            ->assertJsonCount(2, 'game.moves');
+    }
+}
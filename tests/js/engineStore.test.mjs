@@ -0,0 +1,109 @@
+import { afterEach, beforeEach, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createPinia, setActivePinia } from 'pinia'
+import { useGameStore } from '@/Stores/gameStore.js'
+import { useEngineStore, ENGINE_TYPES } from '@/Stores/engineStore.js'
+import { useOpeningBookStore } from '@/Stores/openingBookStore.js'
+import { GAME_MODES } from '@/Utils/chessConstants.js'
+
+/**
+ * UCI-Worker-Attrappe: Stockfish lädt nicht, die eingebaute Engine antwortet mit e2e4
+ * (mit answerSearch = false bleibt die Suche offen, mit asyncLoadError meldet Stockfish den Fehler wie ein
+ * echter Worker erst nachträglich über onerror)
+ */
+class FakeWorker {
+    static commands = []
+    static answerSearch = true
+    static asyncLoadError = false
+
+    constructor(url) {
+        this.failed = url.includes('stockfish')
+
+        if (this.failed && FakeWorker.asyncLoadError) {
+            setTimeout(() => this.onerror({ message: 'WebAssembly nicht verfügbar' }))
+        } else if (this.failed) {
+            throw new Error('WebAssembly nicht verfügbar')
+        }
+    }
+
+    postMessage(command) {
+        if (this.failed) return
+        FakeWorker.commands.push(command)
+
+        const reply = (line) => setTimeout(() => this.onmessage({ data: line }))
+        if (command === 'uci') reply('uciok')
+        if (command === 'isready') reply('readyok')
+        if (command.startsWith('go') && FakeWorker.answerSearch) reply('bestmove e2e4')
+    }
+
+    terminate() {}
+}
+
+describe('engineStore', () => {
+    let gameStore
+    let engineStore
+
+    beforeEach(async () => {
+        globalThis.Worker = FakeWorker
+        FakeWorker.commands = []
+        FakeWorker.answerSearch = true
+        FakeWorker.asyncLoadError = false
+
+        setActivePinia(createPinia())
+        gameStore = useGameStore()
+        engineStore = useEngineStore()
+        await useOpeningBookStore().setEngineBook(ENGINE_TYPES.STOCKFISH, null)
+
+        await gameStore.initializeGame({ mode: GAME_MODES.VS_AI, playerColor: 'black' })
+    })
+
+    afterEach(() => {
+        engineStore.terminateEngine()
+        delete globalThis.Worker
+    })
+
+    test('Eingebaute Engine springt für einen Zug ein, die Auswahl bleibt', async () => {
+        engineStore.setSkillLevel(15)
+
+        const result = await engineStore.makeMove()
+
+        assert.ok(result?.success)
+        assert.equal(gameStore.moveHistory[0].san, 'e4')
+        assert.equal(engineStore.engineType, ENGINE_TYPES.STOCKFISH)
+        assert.equal(engineStore.skillLevel, 15)
+        assert.equal(engineStore.fallbackEngine, ENGINE_TYPES.BUILTIN)
+        assert.ok(FakeWorker.commands.includes(
+            `setoption name Skill Level value ${engineStore.engines[ENGINE_TYPES.BUILTIN].skillLevel}`
+        ))
+    })
+
+    test('Beenden während der Suche gibt die Engine wieder frei', async () => {
+        FakeWorker.answerSearch = false
+        const search = engineStore.makeMove()
+
+        while (!FakeWorker.commands.some(command => command.startsWith('go'))) {
+            await new Promise(resolve => setTimeout(resolve))
+        }
+
+        engineStore.terminateEngine()
+        assert.equal(await search, null)
+
+        FakeWorker.answerSearch = true
+        FakeWorker.asyncLoadError = false
+        const result = await engineStore.makeMove()
+
+        assert.ok(result?.success)
+        assert.equal(gameStore.moveHistory[0].san, 'e4')
+    })
+
+    test('Worker-Fehler beim Laden übergibt sofort an die eingebaute Engine', async () => {
+        FakeWorker.asyncLoadError = true
+        const startedAt = Date.now()
+
+        const result = await engineStore.makeMove()
+
+        assert.ok(result?.success)
+        assert.equal(engineStore.fallbackEngine, ENGINE_TYPES.BUILTIN)
+        assert.ok(Date.now() - startedAt < 1000, 'Fallback erst nach dem Ready-Timeout')
+    })
+})
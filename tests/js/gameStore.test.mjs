@@ -0,0 +1,257 @@
+import { beforeEach, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createPinia, setActivePinia } from 'pinia'
+import { useGameStore } from '@/Stores/gameStore.js'
+import { useChessTimerStore, TIME_CONTROL_TYPES } from '@/Stores/chessTimerStore.js'
+import { GAME_STATUS } from '@/Utils/chessConstants.js'
+
+/**
+ * Züge in Koordinatenschreibweise ausführen, z.B. 'e2e4'
+ * @param {object} gameStore
+ * @param {string[]} moves
+ */
+const playMoves = (gameStore, moves) => {
+    for (const move of moves) {
+        const result = gameStore.attemptMove(move.slice(0, 2), move.slice(2, 4))
+        assert.ok(result.success, `Zug ${move} nicht ausgeführt`)
+    }
+}
+
+describe('gameStore', () => {
+    let gameStore
+
+    beforeEach(async () => {
+        setActivePinia(createPinia())
+        gameStore = useGameStore()
+        await gameStore.initializeGame({})
+    })
+
+    describe('gameResult', () => {
+        test('Schachmatt: Ergebnis bleibt beim Zurückblättern gleich', () => {
+            playMoves(gameStore, ['f2f3', 'e7e5', 'g2g4', 'd8h4'])
+
+            assert.equal(gameStore.gameResult.result, '0-1')
+
+            gameStore.goToMove(2)
+            assert.equal(gameStore.gameResult.result, '0-1')
+
+            gameStore.goToMove(-1)
+            assert.equal(gameStore.gameResult.result, '0-1')
+        })
+    })
+
+    describe('SAN', () => {
+        test('Schach wird mit + markiert', () => {
+            playMoves(gameStore, ['e2e4', 'f7f6', 'd1h5', 'g7g6', 'h5g6', 'h7g6', 'f1b5'])
+
+            assert.deepEqual(gameStore.moveHistory.map(move => move.san), ['e4', 'f6', 'Qh5+', 'g6', 'Qxg6+', 'hxg6', 'Bb5'])
+            assert.equal(gameStore.moveHistory[2].isCheck, true)
+            assert.equal(gameStore.moveHistory[2].isCheckmate, false)
+        })
+
+        test('Schachmatt wird mit # markiert', () => {
+            playMoves(gameStore, ['e2e4', 'f7f6', 'd2d4', 'g7g5', 'd1h5'])
+
+            assert.equal(gameStore.moveHistory[4].san, 'Qh5#')
+            assert.equal(gameStore.moveHistory[4].isCheckmate, true)
+        })
+
+        test('Rochade mit Schach', () => {
+            gameStore.loadGameFromFen('5k2/8/8/8/8/8/8/4K2R w K - 0 1')
+            playMoves(gameStore, ['e1g1'])
+
+            assert.equal(gameStore.moveHistory[0].san, 'O-O+')
+        })
+
+        test('Mehrdeutige Züge nennen das Ausgangsfeld', () => {
+            playMoves(gameStore, ['g1f3', 'e7e5', 'd2d3', 'd7d5', 'b1d2'])
+
+            assert.equal(gameStore.moveHistory[4].san, 'Nbd2')
+        })
+
+        test('PGN-Export und -Import behalten + und #', async () => {
+            playMoves(gameStore, ['f2f3', 'e7e5', 'g2g4', 'd8h4'])
+            const pgn = gameStore.currentPGN
+
+            assert.match(pgn, /2\. g4 Qh4# 0-1/)
+
+            const result = await gameStore.loadGameFromPgn(pgn)
+            assert.ok(result.success)
+            assert.equal(gameStore.currentPGN, pgn)
+        })
+    })
+
+    describe('loadGameFromFen', () => {
+        test('Stellung ohne Mattmaterial endet sofort remis', () => {
+            const result = gameStore.loadGameFromFen('8/8/8/4k3/8/8/8/4K3 w - - 0 1')
+
+            assert.ok(result.success)
+            assert.equal(gameStore.gameStatus, GAME_STATUS.DRAW_INSUFFICIENT)
+            assert.equal(gameStore.gameResult.result, '1/2-1/2')
+        })
+    })
+
+    describe('Stellungswiederholung', () => {
+        const KNIGHT_SHUFFLE = ['g1f3', 'g8f6', 'f3g1', 'f6g8']
+
+        test('Züge tragen den Schlüssel ihrer Stellung', () => {
+            playMoves(gameStore, KNIGHT_SHUFFLE)
+
+            const [, , , backHome] = gameStore.moveHistory
+            assert.equal(backHome.positionKey, gameStore.positionHistory[0])
+            assert.deepEqual(gameStore.positionHistory, [gameStore.positionHistory[0], ...gameStore.moveHistory.map(move => move.positionKey)])
+        })
+
+        test('Dritte Wiederholung kann reklamiert werden', () => {
+            playMoves(gameStore, [...KNIGHT_SHUFFLE, 'g1f3', 'g8f6', 'f3g1'])
+            assert.equal(gameStore.availableDrawClaim?.onNextMove, true)
+
+            playMoves(gameStore, ['f6g8'])
+            assert.equal(gameStore.availableDrawClaim?.onNextMove, false)
+            assert.equal(gameStore.getCurrentPositionRepetitionCount(), 3)
+        })
+
+        test('Zurücknehmen und Wiederholen behalten den Stellungsverlauf', () => {
+            playMoves(gameStore, KNIGHT_SHUFFLE)
+            const positionHistory = [...gameStore.positionHistory]
+
+            gameStore.undoLastMove()
+            gameStore.redoMove()
+
+            assert.deepEqual(gameStore.positionHistory, positionHistory)
+        })
+    })
+
+    describe('Bedenkzeit', () => {
+        test('Umwandlung wechselt die Uhr nur einmal', async () => {
+            const timerStore = useChessTimerStore()
+            await gameStore.initializeGameWithTimer({
+                timeControl: TIME_CONTROL_TYPES.CUSTOM,
+                customTimeControl: {
+                    periods: [
+                        { moves: 2, time: 300, increment: 10 },
+                        { moves: null, time: 60, increment: 10 }
+                    ]
+                }
+            })
+            gameStore.loadGameFromFen('7k/P7/8/8/8/8/8/R3K3 w - - 0 1')
+
+            playMoves(gameStore, ['a1b1', 'h8g8'])
+            const result = gameStore.attemptMove('a7', 'a8', { promotion: 'Q' })
+            timerStore.stopTimer()
+
+            assert.ok(result.success)
+            assert.equal(gameStore.moveHistory[2].san, 'a8=Q+')
+            assert.deepEqual(timerStore.playerMoveCount, { white: 2, black: 1 })
+            assert.deepEqual(timerStore.periodIndex, { white: 1, black: 0 })
+            assert.equal(timerStore.moveTimings.length, 3)
+            assert.equal(timerStore.activePlayer, 'black')
+            assert.ok(timerStore.blackTime <= 310)
+        })
+
+        test('Zurücknehmen über die Zeitkontrolle nimmt die Periode zurück', async () => {
+            const timerStore = useChessTimerStore()
+            await gameStore.initializeGameWithTimer({
+                timeControl: TIME_CONTROL_TYPES.CUSTOM,
+                customTimeControl: {
+                    periods: [
+                        { moves: 1, time: 300, increment: 10 },
+                        { moves: null, time: 60, increment: 10 }
+                    ]
+                }
+            })
+
+            playMoves(gameStore, ['e2e4'])
+            assert.deepEqual(timerStore.periodIndex, { white: 1, black: 0 })
+
+            gameStore.undoLastMove()
+            assert.deepEqual(timerStore.playerMoveCount, { white: 0, black: 0 })
+            assert.deepEqual(timerStore.periodIndex, { white: 0, black: 0 })
+            assert.equal(timerStore.moveTimings.length, 0)
+            assert.equal(timerStore.activePlayer, 'white')
+            assert.ok(timerStore.whiteTime <= 300)
+
+            playMoves(gameStore, ['e2e4'])
+            timerStore.stopTimer()
+
+            assert.deepEqual(timerStore.playerMoveCount, { white: 1, black: 0 })
+            assert.deepEqual(timerStore.periodIndex, { white: 1, black: 0 })
+            assert.ok(timerStore.whiteTime <= 370)
+            assert.equal(timerStore.originalWhiteTime, 360)
+        })
+
+        test('Delay steht im eigenen PGN-Tag', async () => {
+            await gameStore.initializeGameWithTimer({
+                timeControl: TIME_CONTROL_TYPES.CUSTOM,
+                customTimeControl: { initialTime: 5400, increment: 0, delay: 5, delayMode: 'bronstein' }
+            })
+
+            assert.match(gameStore.currentPGN, /\[TimeControl "5400"\]\n\[TimeDelay "bronstein 5"\]/)
+        })
+    })
+
+    describe('restoreGame', () => {
+        /**
+         * Gespeicherte Partie wie aus GET /games/{id}
+         * @param {object} serialized - Ergebnis von serializeGame
+         * @returns {object}
+         */
+        const toServerGame = (serialized) => ({
+            ...serialized,
+            id: 1,
+            moves: serialized.moves.map((move, index) => ({
+                ply: index + 1,
+                san: move.san,
+                from_square: move.from,
+                to_square: move.to,
+                promotion: move.promotion,
+                fen_after: move.fen_after,
+                clock: move.clock
+            }))
+        })
+
+        test('Varianten, Kommentare und NAGs bleiben erhalten', async () => {
+            playMoves(gameStore, ['e2e4', 'e7e5', 'g1f3'])
+            const [e4, e5] = gameStore.moveHistory
+
+            gameStore.setMoveComment(e4.id, 'Königsbauer')
+            gameStore.toggleMoveNag(e5.id, 1)
+            gameStore.goToMove(0)
+            playMoves(gameStore, ['c7c5'])
+
+            const serialized = gameStore.serializeGame()
+            const pgn = gameStore.currentPGN
+
+            const result = await gameStore.restoreGame(toServerGame(serialized))
+
+            assert.ok(result.success)
+            assert.equal(gameStore.currentPGN, pgn)
+            assert.deepEqual(gameStore.moveHistory.map(move => move.san), ['e4', 'e5', 'Nf3'])
+            assert.equal(gameStore.moveHistory[0].comment, 'Königsbauer')
+            assert.deepEqual(gameStore.moveHistory[1].nags, [1])
+            assert.equal(Object.keys(gameStore.moveNodes).length, 4)
+        })
+
+        test('Aufgabe wird mit Status übernommen', async () => {
+            playMoves(gameStore, ['e2e4', 'e7e5'])
+            gameStore.resignGame('black')
+
+            const serialized = gameStore.serializeGame()
+            const result = await gameStore.restoreGame(toServerGame(serialized))
+
+            assert.ok(result.success)
+            assert.equal(gameStore.gameStatus, serialized.status)
+            assert.equal(gameStore.gameResult.result, '1-0')
+        })
+
+        test('Ohne PGN wird die Hauptvariante nachgespielt', async () => {
+            playMoves(gameStore, ['e2e4', 'e7e5', 'g1f3'])
+
+            const serialized = gameStore.serializeGame()
+            const result = await gameStore.restoreGame(toServerGame({ ...serialized, pgn: null }))
+
+            assert.ok(result.success)
+            assert.deepEqual(gameStore.moveHistory.map(move => move.san), ['e4', 'e5', 'Nf3'])
+        })
+    })
+})
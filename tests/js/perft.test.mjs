@@ -0,0 +1,29 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { useChessLogic } from '@/Composables/useChessLogic.js'
+import { PERFT_POSITIONS } from '@/Utils/perftPositions.js'
+
+const { perft } = useChessLogic()
+
+/**
+ * Schnelle Auswahl der Referenzstellungen, die volle Suite läuft mit npm run perft
+ * Stellungsname -> Tiefe
+ */
+const QUICK_DEPTHS = {
+    'Startstellung': 3,
+    'Kiwipete': 2,
+    'Position 3': 3, // En passant mit Fesselung auf der Reihe
+    'Position 4': 2, // Umwandlungen mit und ohne Schlag
+    'Position 5': 2
+}
+
+describe('perft', () => {
+    for (const { name, fen, variant, nodes } of PERFT_POSITIONS) {
+        const depth = QUICK_DEPTHS[name]
+        if (!depth) continue
+
+        test(`${name} Tiefe ${depth}`, () => {
+            assert.equal(perft(fen, depth, { variant }), nodes[depth - 1])
+        })
+    }
+})
@@ -0,0 +1,26 @@
+/**
+ * Vorbereitung für die JS-Tests (npm test)
+ * Registriert den Vite-Alias "@" und die Vite-Importe ?url/?worker und ersetzt
+ * die Browser-APIs, die die Stores beim Laden brauchen (Audio, localStorage).
+ */
+
+import { register } from 'node:module'
+
+register('../../scripts/alias-loader.mjs', import.meta.url)
+register('./vite-loader.mjs', import.meta.url)
+
+globalThis.Audio = class {
+    load() {}
+    play() {
+        return Promise.resolve()
+    }
+}
+
+const storage = new Map()
+
+globalThis.localStorage = {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key),
+    clear: () => storage.clear()
+}
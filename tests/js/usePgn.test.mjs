@@ -0,0 +1,49 @@
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { usePgn } from '@/Composables/usePgn.js'
+import { GAME_VARIANTS, INITIAL_FEN } from '@/Utils/chessConstants.js'
+import { getVariantRules } from '@/Utils/chessVariants.js'
+
+const { generatePgn, parsePgn } = usePgn()
+
+/**
+ * Tags der ersten Partie einer PGN
+ * @param {string} pgn
+ * @returns {object}
+ */
+const getTags = (pgn) => parsePgn(pgn).games[0].tags
+
+describe('generatePgn', () => {
+    test('Standardpartie aus der Grundstellung ohne SetUp/FEN', () => {
+        const tags = getTags(generatePgn({ startingFen: INITIAL_FEN }))
+
+        assert.equal(tags.SetUp, undefined)
+        assert.equal(tags.FEN, undefined)
+    })
+
+    for (const variant of [GAME_VARIANTS.CRAZYHOUSE, GAME_VARIANTS.ANTICHESS, GAME_VARIANTS.THREE_CHECK]) {
+        test(`${variant} aus der Grundstellung der Variante ohne SetUp/FEN`, () => {
+            const { startFen, pgnName } = getVariantRules(variant)
+            const tags = getTags(generatePgn({ startingFen: startFen, variant }))
+
+            assert.equal(tags.Variant, pgnName)
+            assert.equal(tags.SetUp, undefined)
+            assert.equal(tags.FEN, undefined)
+        })
+    }
+
+    test('Eigene Stellung mit SetUp/FEN', () => {
+        const fen = '4k3/8/8/8/8/8/8/4K2R w K - 0 1'
+        const tags = getTags(generatePgn({ startingFen: fen }))
+
+        assert.equal(tags.SetUp, '1')
+        assert.equal(tags.FEN, fen)
+    })
+
+    test('Chess960 nennt die Startstellung immer', () => {
+        const tags = getTags(generatePgn({ startingFen: INITIAL_FEN, variant: GAME_VARIANTS.CHESS960 }))
+
+        assert.equal(tags.Variant, 'Chess960')
+        assert.equal(tags.FEN, INITIAL_FEN)
+    })
+})
@@ -0,0 +1,19 @@
+/**
+ * Node-Loader für Vite-Importe mit Suffix
+ *   ?url    - Pfad des Moduls als Default-Export
+ *   ?worker - Konstruktor, der einen Worker für das Modul startet (Worker stellt der Test)
+ */
+
+export async function resolve(specifier, context, nextResolve) {
+    const match = /^(.*)\?(url|worker)$/.exec(specifier)
+    if (!match) {
+        return nextResolve(specifier, context)
+    }
+
+    const path = JSON.stringify(match[1])
+    const source = match[2] === 'url'
+        ? `export default ${path}`
+        : `export default function ViteWorker() { return new Worker(${path}) }`
+
+    return { url: `data:text/javascript,${encodeURIComponent(source)}`, shortCircuit: true }
+}